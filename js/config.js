@@ -18,7 +18,8 @@
             stats: 3600000,      // 1 hour
             weather: 3600000,    // 1 hour
             map: 1800000,        // 30 minutes
-            elevation: 3600000   // 1 hour
+            elevation: 3600000,  // 1 hour
+            health: 600000       // 10 minutes
         },
         
         // Backoff configuration
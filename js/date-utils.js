@@ -8,9 +8,10 @@
      * Shows "Today" if the date is today, otherwise formats as "Mon Jan 1"
      * @param {string} dateString - Date string in YYYY-MM-DD format
      * @param {boolean} useUTC - Whether to use UTC for date comparison (default: true)
+     * @param {string} [timeZone] - Time zone the date string belongs to; "Today" is judged there
      * @returns {string} Formatted date string
      */
-    function formatDate(dateString, useUTC = true) {
+    function formatDate(dateString, useUTC = true, timeZone) {
         if (!dateString) return '—';
         
         const date = useUTC 
@@ -19,7 +20,9 @@
         const today = new Date();
         
         if (useUTC) {
-            const todayStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+            const todayStr = timeZone
+                ? new Intl.DateTimeFormat('en-CA', { timeZone: timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(today)
+                : `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
             if (dateString === todayStr) {
                 return 'Today';
             }
@@ -41,12 +44,15 @@
     /**
      * Format time string (ISO format) for display
      * @param {string} timeString - ISO time string
+     * @param {string} [timeZone] - Time zone to show the time in (default: the browser's)
      * @returns {string} Formatted time string (e.g., "2:30 PM")
      */
-    function formatTime(timeString) {
+    function formatTime(timeString, timeZone) {
         if (!timeString) return '—';
         const date = new Date(timeString);
-        return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
+        const options = { hour: 'numeric', minute: '2-digit', hour12: true };
+        if (timeZone) options.timeZone = timeZone;
+        return date.toLocaleTimeString('en-US', options);
     }
 
     // Export utilities to global scope
@@ -17,6 +17,8 @@
         selectedDay: null,
         selectedDayIndex: -1,
         availableDays: [],
+        // Hiking time zone the worker uses for day boundaries (updated from /elevation)
+        timeZone: 'America/New_York',
         chart: null
     };
 
@@ -24,14 +26,14 @@
      * Format date for display (uses shared DateUtils)
      */
     function formatDate(dateString) {
-        return window.DateUtils.formatDate(dateString, true); // Use UTC
+        return window.DateUtils.formatDate(dateString, true, state.timeZone);
     }
 
     /**
      * Format time for chart labels (uses shared DateUtils)
      */
     function formatTime(timeString) {
-        return window.DateUtils.formatTime(timeString);
+        return window.DateUtils.formatTime(timeString, state.timeZone);
     }
 
     /**
@@ -60,6 +62,7 @@
                 },
                 state
             );
+            if (data?.timeZone) state.timeZone = data.timeZone;
             return data?.days || [];
         } catch (e) {
             console.error('[Elevation] Failed to fetch available days:', e);
@@ -373,7 +376,7 @@
             if (!point.time) return false;
             const date = new Date(point.time);
             const hour = parseInt(
-                new Intl.DateTimeFormat('en-US', { hour: 'numeric', hour12: false, timeZone: 'America/New_York' })
+                new Intl.DateTimeFormat('en-US', { hour: 'numeric', hour12: false, timeZone: state.timeZone })
                     .format(date), 10
             );
             // Include points from 6am (6) to 8pm (20, inclusive)
@@ -0,0 +1,91 @@
+// Health Module - Shows a header warning when the worker's data pipeline is degraded
+(function() {
+    'use strict';
+
+    // Configuration
+    const HealthConfig = {
+        workerUrl: Utils.getConfig('workerUrl', 'https://where-is-al.matthew-declercq.workers.dev/'),
+        refreshInterval: Utils.getConfig('refreshIntervals.health', 600000)
+    };
+
+    // Module state
+    const state = {
+        refreshIntervalId: null,
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
+    /**
+     * Show or hide the "data pipeline degraded" indicator.
+     * Only a reported 'degraded' status shows it; failing to reach /health is left to the
+     * other modules' error handling so a flaky connection doesn't blame the pipeline.
+     */
+    function updateHealthIndicator(health) {
+        const indicator = document.getElementById('header-pipeline-status');
+        if (!indicator) return;
+
+        const degraded = !!health && health.status === 'degraded';
+        indicator.hidden = !degraded;
+        indicator.title = degraded && health.reasons ? health.reasons.join('\n') : '';
+    }
+
+    /**
+     * Fetch pipeline health from Cloudflare Worker
+     */
+    async function fetchHealth() {
+        if (!window.ApiClient) {
+            console.error('[Health] ApiClient not available. Make sure js/api-client.js is loaded before js/health.js');
+            return;
+        }
+
+        try {
+            await window.ApiClient.fetch(
+                `${HealthConfig.workerUrl}health`,
+                { method: 'GET' },
+                {
+                    onSuccess: (data) => {
+                        updateHealthIndicator(data);
+                    },
+                    onError: (error) => {
+                        console.warn('[Health] Fetch error:', error.message);
+                    }
+                },
+                state
+            );
+        } catch (error) {
+            console.warn('[Health] Fetch exception:', error.message);
+        }
+    }
+
+    /**
+     * Setup automatic refresh
+     */
+    function setupAutoRefresh() {
+        window.ApiClient.setupAutoRefresh(fetchHealth, HealthConfig.refreshInterval, state);
+    }
+
+    /**
+     * Handle page visibility changes
+     */
+    function handleVisibilityChange() {
+        window.ApiClient.handleVisibilityChange(fetchHealth, setupAutoRefresh, state);
+    }
+
+    /**
+     * Cleanup on page unload
+     */
+    function cleanup() {
+        window.ApiClient.cleanup(state);
+        Utils.VisibilityManager.unregister(handleVisibilityChange);
+    }
+
+    Utils.ready(function() {
+        fetchHealth();
+        setupAutoRefresh();
+        Utils.VisibilityManager.register(handleVisibilityChange);
+    });
+
+    // Cleanup on page unload
+    window.addEventListener('beforeunload', cleanup);
+})();
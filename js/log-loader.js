@@ -1,7 +1,20 @@
 // Log entry loader for Where Is Al
+// Interleaves hand-written HTML entries with inReach messages from the worker
 (function() {
     'use strict';
 
+    const LogConfig = {
+        workerUrl: Utils.getConfig('workerUrl', '')
+    };
+
+    // Module state (used by ApiClient for backoff)
+    const state = {
+        refreshIntervalId: null,
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
     async function fetchHTML(filePath) {
         const response = await fetch(filePath);
         if (!response.ok) {
@@ -10,6 +23,118 @@
         return await response.text();
     }
 
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Load hand-written entries listed in the manifest
+     * @param {string} basePath - Path prefix for log-entries/
+     * @returns {Promise<Array<{sortKey: string, html: string}>>}
+     */
+    async function loadHtmlEntries(basePath) {
+        const manifestPath = basePath + 'log-entries/manifest.json';
+        let filenames;
+        try {
+            const manifestText = await fetchHTML(manifestPath);
+            filenames = JSON.parse(manifestText);
+        } catch (parseError) {
+            console.error('Failed to parse manifest.json:', parseError);
+            return [];
+        }
+
+        if (!Array.isArray(filenames) || filenames.length === 0) {
+            return [];
+        }
+
+        // Load all entries in parallel; filenames are YYYY-MM-DD.html so they double as sort keys
+        const results = await Promise.all(filenames.map(async (filename) => {
+            try {
+                const html = await fetchHTML(basePath + 'log-entries/' + filename);
+                return { sortKey: filename.replace(/\.html$/, ''), html };
+            } catch (error) {
+                console.warn(`[LogLoader] Failed to load ${filename}:`, error);
+                return null;
+            }
+        }));
+
+        return results.filter(result => result !== null);
+    }
+
+    /**
+     * Render a short inReach message as a log card
+     */
+    function renderMessage(message) {
+        const date = new Date(message.time);
+        const dateStr = date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+        const timeStr = window.DateUtils ? window.DateUtils.formatTime(message.time) : date.toLocaleTimeString();
+        const hasLocation = Number.isFinite(message.lat) && Number.isFinite(message.lon);
+
+        const mapLink = hasLocation
+            ? '<a href="#" class="log-message-map-link" data-lat="' + message.lat + '" data-lon="' + message.lon + '">' +
+              '<i class="fas fa-map-marker-alt"></i> View on map</a>'
+            : '';
+
+        return '<div class="log-entry log-message">' +
+            '<div class="log-entry-header">' +
+                '<h3 class="log-entry-title"><i class="fas fa-satellite-dish"></i> Message from the trail</h3>' +
+                '<div class="log-entry-meta">' +
+                    '<span class="log-entry-date">' + escapeHtml(dateStr) + ' · ' + escapeHtml(timeStr) + '</span>' +
+                    mapLink +
+                '</div>' +
+            '</div>' +
+            '<div class="log-entry-content">' +
+                '<p>' + escapeHtml(message.text) + '</p>' +
+            '</div>' +
+        '</div>';
+    }
+
+    /**
+     * Fetch inReach messages from the worker
+     * @returns {Promise<Array<{sortKey: string, html: string}>>}
+     */
+    async function loadMessageEntries() {
+        if (!LogConfig.workerUrl || !window.ApiClient) return [];
+
+        try {
+            const data = await window.ApiClient.fetch(
+                LogConfig.workerUrl + 'messages',
+                { method: 'GET' },
+                {
+                    onSuccess: () => {},
+                    onError: (error) => {
+                        console.warn('[LogLoader] Failed to fetch messages:', error.message);
+                    }
+                },
+                state
+            );
+            const messages = (data && data.messages) || [];
+            return messages.map(message => ({ sortKey: message.time, html: renderMessage(message) }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function handleMapLinkClick(event) {
+        const link = event.target.closest('.log-message-map-link');
+        if (!link) return;
+        event.preventDefault();
+
+        const lat = parseFloat(link.dataset.lat);
+        const lon = parseFloat(link.dataset.lon);
+        const card = link.closest('.log-message');
+        const text = card ? card.querySelector('.log-entry-content p') : null;
+
+        if (window.TrailMap) {
+            window.TrailMap.focusLocation(lat, lon, text ? '<div>' + escapeHtml(text.textContent) + '</div>' : null);
+        }
+    }
+
     async function loadLogEntries() {
         const logGrid = document.getElementById('log-grid');
         if (!logGrid) return;
@@ -19,50 +144,25 @@
         try {
             // Calculate base path
             const currentPath = window.location.pathname;
-            const basePath = currentPath.endsWith('main.html') 
+            const basePath = currentPath.endsWith('main.html')
                 ? currentPath.replace(/main\.html$/, '')
                 : currentPath.substring(0, currentPath.lastIndexOf('/') + 1);
-            
-            // Fetch manifest
-            const manifestPath = basePath + 'log-entries/manifest.json';
-            let filenames;
-            try {
-                const manifestText = await fetchHTML(manifestPath);
-                filenames = JSON.parse(manifestText);
-            } catch (parseError) {
-                console.error('Failed to parse manifest.json:', parseError);
-                throw new Error(`Invalid manifest format: ${parseError.message}`);
-            }
-            
-            if (!Array.isArray(filenames) || filenames.length === 0) {
-                logGrid.innerHTML = '<p class="log-empty-message">No log entries to display</p>';
-                return;
-            }
 
-            // Sort by filename (newest first) and load in parallel for better performance
-            // Load all entries in parallel, then insert in order
-            const sortedFilenames = [...filenames].sort().reverse();
-            const loadPromises = sortedFilenames.map(async (filename) => {
-                try {
-                    const html = await fetchHTML(basePath + 'log-entries/' + filename);
-                    return { filename, html };
-                } catch (error) {
-                    console.warn(`[LogLoader] Failed to load ${filename}:`, error);
-                    return { filename, html: null };
-                }
-            });
-            
-            const results = await Promise.all(loadPromises);
-            // Filter out failed loads and insert in order (Promise.all preserves order)
-            const validResults = results.filter(result => result.html !== null);
-            
-            if (validResults.length === 0) {
+            const [htmlEntries, messageEntries] = await Promise.all([
+                loadHtmlEntries(basePath),
+                loadMessageEntries()
+            ]);
+
+            // Newest first: ISO timestamps and YYYY-MM-DD filenames sort lexically
+            const entries = htmlEntries.concat(messageEntries)
+                .sort((a, b) => b.sortKey.localeCompare(a.sortKey));
+
+            if (entries.length === 0) {
                 logGrid.innerHTML = '<p class="log-empty-message">No log entries to display</p>';
                 return;
             }
-            
-            // Insert in sorted order (already sorted by filename from sortedFilenames)
-            for (const { html } of validResults) {
+
+            for (const { html } of entries) {
                 logGrid.insertAdjacentHTML('beforeend', html);
             }
         } catch (error) {
@@ -70,14 +170,22 @@
         }
     }
 
+    function initialize() {
+        const logGrid = document.getElementById('log-grid');
+        if (logGrid) {
+            logGrid.addEventListener('click', handleMapLinkClick);
+        }
+        loadLogEntries();
+    }
+
     // Auto-initialize when DOM is ready
     (function init() {
         if (typeof Utils !== 'undefined' && Utils.ready) {
-            Utils.ready(loadLogEntries);
+            Utils.ready(initialize);
         } else if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', loadLogEntries);
+            document.addEventListener('DOMContentLoaded', initialize);
         } else {
-            loadLogEntries();
+            initialize();
         }
     })();
 })();
@@ -12,9 +12,36 @@
         trailOpacity: 0.85,
         onTrailColor: '#06b6d4',
         offTrailColor: '#facc15',
+        importedColor: '#a855f7',
+        suspectColor: '#ef4444',
         currentPositionColor: '#facc15',
         currentPositionBorder: '#1a1a1a',
         routeLineColor: '#06b6d4',
+        hikedColor: '#f97316',
+        hikedWeight: 6,
+        skippedColor: '#6b7280',
+        skippedDashArray: '2 10',
+        stateLineColor: '#7c3aed',
+        milestoneColor: '#f59e0b',
+        passedMilestoneColor: '#3d6b2a',
+        skippedMilestoneColor: '#6b7280',
+        // Point of interest layers (GET /poi), toggled from the layers control
+        poiCategories: {
+            shelter: { label: 'Shelters', icon: 'fa-house', color: '#8b5a2b', visible: false },
+            water: { label: 'Water', icon: 'fa-droplet', color: '#0284c7', visible: false },
+            road: { label: 'Road Crossings', icon: 'fa-road', color: '#4b5563', visible: false },
+            hostel: { label: 'Hostels', icon: 'fa-bed', color: '#db2777', visible: false },
+            'post-office': { label: 'Post Offices', icon: 'fa-envelope', color: '#1d4ed8', visible: false },
+            town: { label: 'Towns', icon: 'fa-city', color: '#0f766e', visible: true },
+            chicken: { label: 'Fried Chicken', icon: 'fa-drumstick-bite', color: '#c2410c', visible: true }
+        },
+        // Used until (or if) GET /trail says which trail is being hiked
+        defaultTrail: {
+            shortName: 'AT',
+            totalMiles: 2197.9,
+            geojson: 'data/at-trail-simplified.geojson',
+            milestones: 'data/milestones.json'
+        },
         defaultCenter: [37.0, -79.5],
         defaultZoom: 6
     };
@@ -27,12 +54,45 @@
         backoffDelay: 0
     };
 
+    // Separate request state for GET /coverage, refreshed alongside the points
+    const coverageState = {
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
+    const trailState = {
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
+    const poiState = {
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
+    // GET /milestones, refreshed alongside the points as milestones are passed
+    const milestonesState = {
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
     let map = null;
     let mapSection = null;
     let trailLayer = null;
     let milestonesLayer = null;
+    let stateLinesLayer = null;
     let chickenLayer = null;
+    let poiControl = null;
     let pointsLayer = null;
+    let coverageLayer = null;
+
+    // The trail being hiked (GET /trail) and the latest GET /coverage response
+    let trail = null;
+    let coverageData = null;
 
     let currentMarker = null;
     let hasInitiallyFocused = false;
@@ -84,6 +144,71 @@
         });
     }
 
+    // Track export formats offered by the download control (GET /export/<format>)
+    const EXPORT_FORMATS = [
+        { format: 'gpx', label: 'GPX (Gaia, Garmin)' },
+        { format: 'kml', label: 'KML (Google Earth)' },
+        { format: 'geojson', label: 'GeoJSON' },
+        { format: 'csv', label: 'CSV (spreadsheet)' }
+    ];
+
+    function addDownloadControl() {
+        createMapControl({
+            containerClass: 'map-download-control',
+            title: 'Download track',
+            innerHTML: '<i class="fas fa-download"></i>',
+            onClick: toggleDownloadMenu
+        });
+    }
+
+    function toggleDownloadMenu(button) {
+        var container = button.parentNode;
+        var menu = container.querySelector('.map-download-menu');
+        if (menu) {
+            menu.remove();
+            return;
+        }
+
+        menu = L.DomUtil.create('div', 'map-download-menu', container);
+        EXPORT_FORMATS.forEach(function(item) {
+            var option = L.DomUtil.create('a', 'map-download-option', menu);
+            option.href = '#';
+            option.textContent = item.label;
+            L.DomEvent.on(option, 'click', function(e) {
+                L.DomEvent.preventDefault(e);
+                menu.remove();
+                downloadTrack(item.format);
+            });
+        });
+    }
+
+    // The export needs the auth header, so fetch it and save it through a blob URL
+    function downloadTrack(format) {
+        var token = sessionStorage.getItem('auth_token');
+        if (!token) return;
+
+        fetch(MapConfig.workerUrl + 'export/' + format, {
+            headers: { 'Authorization': 'Bearer ' + token }
+        })
+            .then(function(response) {
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.blob();
+            })
+            .then(function(blob) {
+                var url = URL.createObjectURL(blob);
+                var link = document.createElement('a');
+                link.href = url;
+                link.download = 'where-is-al.' + format;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+            })
+            .catch(function(error) {
+                console.error('[Map] Track download failed:', error.message);
+            });
+    }
+
     function flyToCurrentLocation() {
         if (currentMarker) {
             map.flyTo(currentMarker.getLatLng(), 13);
@@ -91,6 +216,22 @@
         }
     }
 
+    // Scroll to the map, fly to a location and open a popup there
+    // (used by Captain's Log message cards to link to where they were sent)
+    function focusLocation(lat, lon, popupContent) {
+        if (!map || !Number.isFinite(lat) || !Number.isFinite(lon)) return;
+        if (mapSection) {
+            mapSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+        map.flyTo([lat, lon], 13);
+        if (popupContent) {
+            L.popup({ maxWidth: 250 })
+                .setLatLng([lat, lon])
+                .setContent(popupContent)
+                .openOn(map);
+        }
+    }
+
     function toggleFullscreen(button) {
         const wrapper = mapSection;
         if (!wrapper) return;
@@ -155,11 +296,13 @@
         // Add "go to current location" control
         addLocateControl();
 
-        // Load trail and milestones in parallel, then fetch points
-        loadTrailData();
-        loadMilestones();
-        loadChicken();
-        fetchPoints();
+        // Add track download control
+        addDownloadControl();
+
+        // Load the trail and its milestones, and fetch points in parallel
+        loadTrail();
+        fetchPoi();
+        refreshMapData();
 
         // Setup auto-refresh
         setupAutoRefresh();
@@ -181,8 +324,34 @@
         window.addEventListener('resize', resizeHandler);
     }
 
-    function loadTrailData() {
-        fetch('data/at-trail-simplified.geojson')
+    // Ask the worker which trail is being hiked, then draw it, its milestones and state lines
+    function loadTrail() {
+        window.ApiClient.fetch(MapConfig.workerUrl + 'trail', { method: 'GET' }, {
+            onSuccess: function(data) {
+                showTrail(data);
+            },
+            onError: function(error) {
+                console.error('[Map] Failed to fetch trail, showing the default:', error.message);
+                showTrail(MapConfig.defaultTrail);
+            }
+        }, trailState);
+    }
+
+    function showTrail(trailInfo) {
+        trail = trailInfo;
+
+        var legendLabel = document.getElementById('legend-trail-label');
+        if (legendLabel && trail.shortName) {
+            legendLabel.textContent = trail.shortName + ' Trail';
+        }
+
+        loadTrailData(trail.geojson);
+        fetchMilestones();
+        showStateLines(trail.stateLines || []);
+    }
+
+    function loadTrailData(geojsonUrl) {
+        fetch(geojsonUrl)
             .then(function(response) {
                 if (!response.ok) throw new Error('Failed to load trail GeoJSON');
                 return response.json();
@@ -197,6 +366,7 @@
                         lineJoin: 'round'
                     }
                 }).addTo(map);
+                renderCoverage();
                 if (pointsLayer) pointsLayer.bringToFront();
             })
             .catch(function(error) {
@@ -204,37 +374,205 @@
             });
     }
 
-    function loadMilestones() {
-        fetch('data/milestones.json')
+    function fetchCoverage() {
+        var url = MapConfig.workerUrl + 'coverage';
+
+        window.ApiClient.fetch(url, { method: 'GET' }, {
+            onSuccess: function(data) {
+                coverageData = data;
+                renderCoverage();
+            },
+            onError: function(error) {
+                console.error('[Map] Failed to fetch coverage:', error.message);
+            }
+        }, coverageState);
+    }
+
+    // Hiked trail highlighted over the trail line, skipped sections dashed. The worker cuts the
+    // lines from its own trail data (coverageData.lines), so they sit at its trail miles.
+    function renderCoverage() {
+        if (!map || !trailLayer || !coverageData || !coverageData.lines) return;
+
+        if (coverageLayer) {
+            map.removeLayer(coverageLayer);
+        }
+        coverageLayer = L.layerGroup();
+
+        coverageData.lines.skipped.forEach(function(line) {
+            L.polyline(line, {
+                color: MapConfig.skippedColor,
+                weight: MapConfig.hikedWeight,
+                dashArray: MapConfig.skippedDashArray,
+                lineCap: 'round',
+                interactive: false
+            }).addTo(coverageLayer);
+        });
+
+        coverageData.lines.hiked.forEach(function(line, i) {
+            var interval = coverageData.hiked[i];
+            L.polyline(line, {
+                color: MapConfig.hikedColor,
+                weight: MapConfig.hikedWeight,
+                opacity: 0.9,
+                lineCap: 'round',
+                lineJoin: 'round'
+            }).bindTooltip('Hiked mile ' + interval[0].toFixed(1) + ' to ' + interval[1].toFixed(1), { sticky: true })
+              .addTo(coverageLayer);
+        });
+
+        coverageLayer.addTo(map);
+        if (pointsLayer) pointsLayer.bringToFront();
+    }
+
+    // Milestones with their passed/upcoming status (GET /milestones); the trail's static
+    // milestones file if the worker can't be reached
+    function fetchMilestones() {
+        window.ApiClient.fetch(MapConfig.workerUrl + 'milestones', { method: 'GET' }, {
+            onSuccess: function(data) {
+                renderMilestones(data.milestones);
+            },
+            onError: function(error) {
+                console.error('[Map] Failed to fetch milestones, showing them without status:', error.message);
+                if (!milestonesLayer) loadMilestones(trail.milestones);
+            }
+        }, milestonesState);
+    }
+
+    function loadMilestones(milestonesUrl) {
+        fetch(milestonesUrl)
             .then(function(response) {
                 if (!response.ok) throw new Error('Failed to load milestones');
                 return response.json();
             })
-            .then(function(milestones) {
-                milestonesLayer = L.layerGroup();
+            .then(renderMilestones)
+            .catch(function(error) {
+                console.error('[Map] Failed to load milestones:', error);
+            });
+    }
 
-                milestones.forEach(function(ms) {
-                    var icon = L.divIcon({
-                        className: 'milestone-icon',
-                        html: '<i class="fas fa-mountain" style="color: #f59e0b;"></i>',
-                        iconSize: [26, 26],
-                        iconAnchor: [13, 13]
-                    });
+    // Popup line for a milestone's status on the hike (see worker/src/milestones.js)
+    function milestoneStatusHtml(ms) {
+        if (ms.status === 'passed') {
+            return '<div class="popup-milestone-status">Passed' +
+                (ms.datePassed ? ' ' + window.DateUtils.formatDate(ms.datePassed) : '') + '</div>';
+        }
+        if (ms.status === 'upcoming') {
+            return '<div class="popup-milestone-status">' + ms.milesAway.toFixed(1) + ' mi ahead' +
+                (ms.eta ? ' &middot; ETA ' + window.DateUtils.formatDate(ms.eta) : '') + '</div>';
+        }
+        if (ms.status === 'skipped') {
+            return '<div class="popup-milestone-status">Skipped</div>';
+        }
+        return '';
+    }
 
-                    var popupContent = '<strong>' + ms.name + '</strong>' +
-                        '<div class="popup-state">' + ms.state + '</div>' +
-                        '<div>' + ms.description + '</div>';
+    function renderMilestones(milestones) {
+        if (milestonesLayer) {
+            map.removeLayer(milestonesLayer);
+        }
+        milestonesLayer = L.layerGroup();
+
+        milestones.forEach(function(ms) {
+            var color = ms.status === 'passed' ? MapConfig.passedMilestoneColor
+                : ms.status === 'skipped' ? MapConfig.skippedMilestoneColor
+                : MapConfig.milestoneColor;
+            var icon = L.divIcon({
+                className: 'milestone-icon',
+                html: '<i class="fas fa-mountain" style="color: ' + color + ';"></i>',
+                iconSize: [26, 26],
+                iconAnchor: [13, 13]
+            });
 
-                    L.marker([ms.lat, ms.lon], { icon: icon })
-                        .bindPopup(popupContent, { maxWidth: 250 })
-                        .addTo(milestonesLayer);
-                });
+            var popupContent = '<strong>' + ms.name + '</strong>' +
+                '<div class="popup-state">' + ms.state + (ms.mile != null ? ' &middot; Mile ' + ms.mile.toFixed(1) : '') + '</div>' +
+                milestoneStatusHtml(ms) +
+                '<div>' + ms.description + '</div>';
 
-                milestonesLayer.addTo(map);
-            })
-            .catch(function(error) {
-                console.error('[Map] Failed to load milestones:', error);
+            L.marker([ms.lat, ms.lon], { icon: icon })
+                .bindPopup(popupContent, { maxWidth: 250 })
+                .addTo(milestonesLayer);
+        });
+
+        milestonesLayer.addTo(map);
+    }
+
+    // Markers where the trail crosses into a new state (stateLines from GET /trail)
+    function showStateLines(stateLines) {
+        if (stateLinesLayer) {
+            map.removeLayer(stateLinesLayer);
+        }
+        stateLinesLayer = L.layerGroup();
+
+        stateLines.forEach(function(line) {
+            var icon = L.divIcon({
+                className: 'state-line-icon',
+                html: '<i class="fas fa-flag" style="color: ' + MapConfig.stateLineColor + ';"></i>',
+                iconSize: [22, 22],
+                iconAnchor: [11, 11]
+            });
+
+            var popupContent = '<strong>' + line.name + '</strong>' +
+                '<div class="popup-state">' + line.from.join(' / ') + ' &rarr; ' + line.to.join(' / ') + '</div>' +
+                '<div>Mile ' + line.mile.toFixed(1) + '</div>';
+
+            L.marker([line.lat, line.lon], { icon: icon })
+                .bindPopup(popupContent, { maxWidth: 250 })
+                .addTo(stateLinesLayer);
+        });
+
+        stateLinesLayer.addTo(map);
+    }
+
+    // One toggleable layer per point of interest category (GET /poi); the static fried
+    // chicken list if the worker can't be reached
+    function fetchPoi() {
+        window.ApiClient.fetch(MapConfig.workerUrl + 'poi', { method: 'GET' }, {
+            onSuccess: function(data) {
+                renderPoi(data.categories || [], data.points || []);
+            },
+            onError: function(error) {
+                console.error('[Map] Failed to fetch points of interest, showing fried chicken only:', error.message);
+                loadChicken();
+            }
+        }, poiState);
+    }
+
+    function renderPoi(categories, points) {
+        if (poiControl) {
+            map.removeControl(poiControl);
+        }
+        var overlays = {};
+
+        categories.forEach(function(category) {
+            var style = MapConfig.poiCategories[category];
+            if (!style) return;
+
+            var layer = L.layerGroup();
+            var icon = L.divIcon({
+                className: 'poi-icon',
+                html: '<i class="fas ' + style.icon + '" style="color: ' + style.color + ';"></i>',
+                iconSize: [22, 22],
+                iconAnchor: [11, 11]
             });
+
+            points.forEach(function(poi) {
+                if (poi.category !== category) return;
+                var location = poi.state + ' &middot; Mile ' + poi.mile.toFixed(1) +
+                    (poi.offTrailMiles >= 0.5 ? ' (' + poi.offTrailMiles.toFixed(1) + ' mi off trail)' : '');
+                var popupContent = '<strong>' + poi.name + '</strong>' +
+                    '<div class="popup-state">' + location + '</div>' +
+                    (poi.description ? '<div>' + poi.description + '</div>' : '');
+
+                L.marker([poi.lat, poi.lon], { icon: icon })
+                    .bindPopup(popupContent, { maxWidth: 250 })
+                    .addTo(layer);
+            });
+
+            if (style.visible) layer.addTo(map);
+            overlays['<i class="fas ' + style.icon + '" style="color: ' + style.color + ';"></i> ' + style.label] = layer;
+        });
+
+        poiControl = L.control.layers(null, overlays, { position: 'topright', collapsed: true }).addTo(map);
     }
 
     function loadChicken() {
@@ -304,6 +642,10 @@
             '</div></div>';
     }
 
+    function isImportedPoint(point) {
+        return !!point.source && point.source !== 'inreach';
+    }
+
     function renderPoints(points) {
         // Clear existing point layers
         if (pointsLayer) {
@@ -360,10 +702,15 @@
                 currentMarker.bindPopup(popupContent, { maxWidth: 280 });
                 currentMarker.addTo(map);
             } else {
-                // Regular point
-                var color = isOnTrail ? MapConfig.onTrailColor : MapConfig.offTrailColor;
-                var radius = isOnTrail ? 7 : 8;
-                var borderColor = isOnTrail ? MapConfig.onTrailColor : '#1a1a1a';
+                // Regular point (imported GPX/GeoJSON/CSV points are drawn smaller in their own color)
+                // Suspect fixes (implausible speed jumps flagged at ingest) are hollow dashed rings
+                var isImported = isImportedPoint(point);
+                var isSuspect = point.suspect === true;
+                var color = isSuspect ? MapConfig.suspectColor
+                    : isImported ? MapConfig.importedColor
+                    : (isOnTrail ? MapConfig.onTrailColor : MapConfig.offTrailColor);
+                var radius = isImported ? 5 : (isOnTrail && !isSuspect ? 7 : 8);
+                var borderColor = isOnTrail || isImported || isSuspect ? color : '#1a1a1a';
 
                 var marker = L.circleMarker([point.lat, point.lon], {
                     radius: radius,
@@ -371,12 +718,15 @@
                     color: borderColor,
                     weight: 2,
                     opacity: 0.9,
-                    fillOpacity: 0.9
+                    fillOpacity: isSuspect ? 0.15 : 0.9,
+                    dashArray: isSuspect ? '3 3' : null
                 });
 
                 var timeStr = point.time ? new Date(point.time).toLocaleString() : 'Unknown';
                 var elevStr = point.elevation != null ? point.elevation + ' ft' : 'N/A';
-                var statusStr = isOnTrail ? 'On trail' : 'Off trail';
+                var statusStr = isSuspect ? 'Suspect GPS fix (implausible jump)'
+                    : (isOnTrail ? 'On trail' : 'Off trail') +
+                    (isImported ? ' · Imported (' + point.source + ')' : '');
                 marker.bindPopup(
                     '<div class="popup-time">' + timeStr + '</div>' +
                     '<div>Elevation: ' + elevStr + '</div>' +
@@ -389,7 +739,7 @@
             }
 
             // Collect on-trail coordinates for route line
-            if (isOnTrail) {
+            if (isOnTrail && !point.suspect) {
                 onTrailCoords.push([point.lat, point.lon]);
             }
         });
@@ -455,12 +805,18 @@
         return 'Last updated ' + days + (days === 1 ? ' day ago' : ' days ago');
     }
 
+    function refreshMapData() {
+        fetchPoints();
+        fetchCoverage();
+        if (trail) fetchMilestones();
+    }
+
     function setupAutoRefresh() {
-        window.ApiClient.setupAutoRefresh(fetchPoints, MapConfig.refreshInterval, state);
+        window.ApiClient.setupAutoRefresh(refreshMapData, MapConfig.refreshInterval, state);
     }
 
     function handleVisibilityChange() {
-        window.ApiClient.handleVisibilityChange(fetchPoints, setupAutoRefresh, state);
+        window.ApiClient.handleVisibilityChange(refreshMapData, setupAutoRefresh, state);
     }
 
     function cleanup() {
@@ -473,6 +829,11 @@
         }
     }
 
+    // Public API for other modules
+    window.TrailMap = {
+        focusLocation: focusLocation
+    };
+
     // Initialize when DOM is ready
     Utils.ready(initializeMap);
 
@@ -16,6 +16,13 @@
         backoffDelay: 0
     };
 
+    // Separate request state for GET /milestones (the "Next up" card), refreshed with the stats
+    const milestonesState = {
+        isLoading: false,
+        errorCount: 0,
+        backoffDelay: 0
+    };
+
     // Stat element IDs mapping
     const statElements = {
         'totalMilesCompleted': 'total-miles',
@@ -123,6 +130,89 @@
                 noteEl.style.display = 'none';
             }
         }
+
+        updateStateProgress(statsData.states);
+    }
+
+    /**
+     * Build one state's progress bar
+     * @param {Object} state - Entry of stats.states (see worker/src/states.js)
+     * @returns {HTMLElement}
+     */
+    function createStateProgress(state) {
+        const percent = state.plannedMiles > 0 ? Math.min(100, (state.milesDone / state.plannedMiles) * 100) : 0;
+
+        const item = document.createElement('div');
+        item.className = 'state-progress' + (state.dateCompleted ? ' state-progress-complete' : '');
+
+        const header = document.createElement('div');
+        header.className = 'state-progress-header';
+        const name = document.createElement('span');
+        name.className = 'state-progress-name';
+        name.textContent = state.state;
+        const miles = document.createElement('span');
+        miles.className = 'state-progress-miles';
+        miles.textContent = `${state.milesDone.toFixed(1)} / ${state.plannedMiles.toFixed(1)} mi`;
+        header.append(name, miles);
+
+        const bar = document.createElement('div');
+        bar.className = 'state-progress-bar';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-label', `${state.state} progress`);
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', '100');
+        bar.setAttribute('aria-valuenow', String(Math.round(percent)));
+        const fill = document.createElement('div');
+        fill.className = 'state-progress-fill';
+        fill.style.width = `${percent}%`;
+        bar.appendChild(fill);
+
+        const dates = document.createElement('div');
+        dates.className = 'state-progress-dates';
+        const days = `${state.daysSpent} ${state.daysSpent === 1 ? 'day' : 'days'}`;
+        if (state.dateCompleted) {
+            dates.textContent = `${window.DateUtils.formatDate(state.dateEntered)} – ${window.DateUtils.formatDate(state.dateCompleted)} · ${days}`;
+        } else if (state.dateEntered) {
+            dates.textContent = `Entered ${window.DateUtils.formatDate(state.dateEntered)} · ${days} · ${state.milesRemaining.toFixed(1)} mi to go`;
+        } else {
+            dates.textContent = 'Not yet';
+        }
+
+        item.append(header, bar, dates);
+        return item;
+    }
+
+    /**
+     * Render the per-state progress bars (stats.states), in trail order
+     */
+    function updateStateProgress(states) {
+        const container = document.getElementById('state-progress');
+        if (!container || !Array.isArray(states) || states.length === 0) return;
+
+        container.replaceChildren(...states.map(createStateProgress));
+    }
+
+    /**
+     * Show the nearest upcoming milestone, how far ahead it is and its ETA
+     * @param {Object} data - GET /milestones response (see worker/src/milestones.js)
+     */
+    function updateNextMilestone(data) {
+        const valueEl = document.getElementById('next-milestone');
+        const noteEl = document.getElementById('next-milestone-note');
+        if (!valueEl || !noteEl || !data.position) return;
+
+        const next = data.next;
+        valueEl.textContent = next ? next.name : '—';
+        if (next) {
+            const eta = next.eta ? ` · ETA ${window.DateUtils.formatDate(next.eta)}` : '';
+            noteEl.textContent = `${next.milesAway.toFixed(1)} mi ahead${eta}`;
+        } else {
+            noteEl.textContent = 'No milestones left on the plan';
+        }
+        noteEl.style.display = 'block';
+
+        const placeholder = valueEl.closest('.stat-card').querySelector('.stat-placeholder');
+        if (placeholder) placeholder.style.display = 'none';
     }
 
     /**
@@ -166,25 +256,54 @@
         );
     }
 
+    /**
+     * Fetch milestone progress for the "Next up" card
+     */
+    async function fetchNextMilestone() {
+        if (!StatsConfig.workerUrl) return;
+
+        await window.ApiClient.fetch(
+            StatsConfig.workerUrl + 'milestones',
+            { method: 'GET' },
+            {
+                onSuccess: (data) => {
+                    updateNextMilestone(data);
+                },
+                onError: (error) => {
+                    console.error('[Stats] Failed to fetch milestones:', error.message);
+                }
+            },
+            milestonesState
+        );
+    }
+
+    /**
+     * Fetch the stats and the next milestone
+     */
+    function refreshStats() {
+        fetchStats();
+        fetchNextMilestone();
+    }
+
     /**
      * Setup automatic refresh
      */
     function setupAutoRefresh() {
-        window.ApiClient.setupAutoRefresh(fetchStats, StatsConfig.refreshInterval, state);
+        window.ApiClient.setupAutoRefresh(refreshStats, StatsConfig.refreshInterval, state);
     }
 
     /**
      * Handle page visibility changes
      */
     function handleVisibilityChange() {
-        window.ApiClient.handleVisibilityChange(fetchStats, setupAutoRefresh, state);
+        window.ApiClient.handleVisibilityChange(refreshStats, setupAutoRefresh, state);
     }
 
     /**
      * Initialize stats module
      */
     function initializeStats() {
-        fetchStats();
+        refreshStats();
         setupAutoRefresh();
     }
 
@@ -1,25 +1,42 @@
 #!/usr/bin/env node
 /**
- * Generates worker/src/at-trail-with-miles.js from the simplified trail.
+ * Generates worker/src/<id>-trail-with-miles.js from the simplified trail
+ * (worker/src/<id>-trail-simplified.js, see scripts/simplify-trail.js).
  *
- * For each of the 4822 simplified trail vertices:
+ * For each simplified trail vertex (4822 for the AT):
  *   1. Accumulates haversine distance between consecutive points (cumulative miles)
- *   2. Fetches DEM elevation from Open-Meteo Elevation API
- *   3. Scales cumulative miles so the endpoint matches the known AT length (2197.9 mi)
+ *   2. Scales cumulative miles so the endpoint matches the trail's official length
+ *      (--total-miles; 2197.9 mi for the AT)
+ *   3. Looks up DEM elevation: from local SRTM .hgt / GeoTIFF tiles with --dem <dir> (see
+ *      scripts/dem-tiles.js), then from the Open-Meteo Elevation API for points the tiles
+ *      don't cover
+ *
+ * Open-Meteo results are cached by coordinate in data/<id>-elevation-cache.json (or
+ * --elevation-cache <file>; --no-elevation-cache to skip) after every batch, so an interrupted
+ * or rate-limited run resumes where it stopped, and a rebuild with the same tiles and cache
+ * gives the same data. --offline never calls Open-Meteo: points with neither a tile nor a cached
+ * elevation are written without one.
  *
  * Output format: [[lon, lat, cumulativeMiles, elevationFt], ...]
+ * Also regenerates worker/src/<id>-trail-index.js (see scripts/build-trail-index.js) and, when
+ * their inputs exist, worker/src/<id>-trail-states.js (scripts/build-trail-states.js),
+ * worker/src/<id>-trail-milestones.js (scripts/build-trail-milestones.js) and
+ * worker/src/<id>-trail-poi.js (scripts/build-trail-poi.js).
  *
- * Usage: node scripts/build-trail-data.js
+ * Usage: node scripts/build-trail-data.js [--trail at]
+ *        node scripts/build-trail-data.js --dem ~/dem/srtm --offline
+ *        node scripts/build-trail-data.js --trail pct --name "Pacific Crest Trail" --total-miles 2650
  */
 
 const fs = require('fs');
-const path = require('path');
-
-const ROOT = path.resolve(__dirname, '..');
-const SIMPLIFIED_JS_PATH = path.join(ROOT, 'worker', 'src', 'at-trail-simplified.js');
-const OUTPUT_PATH = path.join(ROOT, 'worker', 'src', 'at-trail-with-miles.js');
+const crypto = require('crypto');
+const { writeTrailIndex } = require('./build-trail-index');
+const { writeTrailStates } = require('./build-trail-states');
+const { writeTrailMilestones } = require('./build-trail-milestones');
+const { writeTrailPoi } = require('./build-trail-poi');
+const { parseTrailArgs, requireTrailDetails } = require('./trail-files');
+const { openDemTiles } = require('./dem-tiles');
 
-const TOTAL_AT_MILES = 2197.9;
 const BATCH_SIZE = 100; // Open-Meteo supports up to 100 coordinates per request
 const METERS_TO_FEET = 3.28084;
 
@@ -36,23 +53,45 @@ function haversine(lat1, lon1, lat2, lon2) {
 }
 
 // Load simplified trail coords from the JS file
-function loadTrailCoords() {
-  const content = fs.readFileSync(SIMPLIFIED_JS_PATH, 'utf-8');
+function loadTrailCoords(files) {
+  const content = fs.readFileSync(files.simplified, 'utf-8');
   const arrayStr = content.match(/= (\[.+\]);/s)[1];
   return JSON.parse(arrayStr);
 }
 
-// Fetch DEM elevations from Open-Meteo in batches
-async function fetchElevations(coords) {
-  const elevations = new Array(coords.length);
-  const totalBatches = Math.ceil(coords.length / BATCH_SIZE);
+// Open-Meteo elevations (meters) keyed by "lat,lon"; with no file it only lives for this run
+function openElevationCache(file) {
+  const elevations = file && fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')).elevations : {};
+  const key = (lat, lon) => `${lat},${lon}`;
+  return {
+    size: () => Object.keys(elevations).length,
+    get: (lat, lon) => elevations[key(lat, lon)] ?? null,
+    set: (lat, lon, meters) => { elevations[key(lat, lon)] = meters; },
+    // Write to a temporary file first so an interrupted run never leaves a truncated cache
+    save() {
+      if (!file) return;
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({ source: 'open-meteo', elevations }, null, 1) + '\n');
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  };
+}
+
+// Fetch DEM elevations from Open-Meteo in batches, skipping coordinates already in the cache and
+// saving it after every batch
+async function fetchElevations(coords, cache) {
+  const elevations = coords.map(([lon, lat]) => cache.get(lat, lon));
+  const pending = coords.map((_, i) => i).filter(i => elevations[i] === null);
+  if (pending.length < coords.length) {
+    console.log(`  ${coords.length - pending.length} elevations from cache, ${pending.length} to fetch`);
+  }
+  const totalBatches = Math.ceil(pending.length / BATCH_SIZE);
 
-  for (let i = 0; i < coords.length; i += BATCH_SIZE) {
-    const batch = coords.slice(i, i + BATCH_SIZE);
+  for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+    const batch = pending.slice(i, i + BATCH_SIZE);
     const batchNum = Math.floor(i / BATCH_SIZE) + 1;
 
-    const lats = batch.map(([, lat]) => lat).join(',');
-    const lons = batch.map(([lon]) => lon).join(',');
+    const lats = batch.map(k => coords[k][1]).join(',');
+    const lons = batch.map(k => coords[k][0]).join(',');
     const url = `https://api.open-meteo.com/v1/elevation?latitude=${lats}&longitude=${lons}`;
 
     let retries = 5;
@@ -67,18 +106,18 @@ async function fetchElevations(coords) {
           throw new Error(`HTTP ${res.status}: ${await res.text()}`);
         }
         const data = await res.json();
-        for (let j = 0; j < batch.length; j++) {
-          elevations[i + j] = data.elevation[j];
-        }
+        batch.forEach((k, j) => {
+          elevations[k] = data.elevation[j] ?? null;
+          if (elevations[k] !== null) cache.set(coords[k][1], coords[k][0], elevations[k]);
+        });
+        cache.save();
         console.log(`  Batch ${batchNum}/${totalBatches}: ${batch.length} elevations fetched`);
         break;
       } catch (err) {
         retries--;
         if (retries === 0) {
+          // Left out of the cache, so the next run fetches them again
           console.error(`  Batch ${batchNum} FAILED: ${err.message}`);
-          for (let j = 0; j < batch.length; j++) {
-            elevations[i + j] = null;
-          }
         } else {
           console.log(`  Batch ${batchNum} retry in ${retryDelay/1000}s (${5 - retries}/5): ${err.message}`);
           await new Promise(r => setTimeout(r, retryDelay));
@@ -88,7 +127,7 @@ async function fetchElevations(coords) {
     }
 
     // Rate limiting: generous delay between batches to stay under limits
-    if (i + BATCH_SIZE < coords.length) {
+    if (i + BATCH_SIZE < pending.length) {
       await new Promise(r => setTimeout(r, 1500));
     }
   }
@@ -96,9 +135,46 @@ async function fetchElevations(coords) {
   return elevations;
 }
 
+// Elevations in meters (null where unknown): local DEM tiles first, then the cache and
+// Open-Meteo for the rest (the cache alone when offline)
+async function getElevations(coords, { demDir, cache, offline }) {
+  const elevations = new Array(coords.length).fill(null);
+  if (demDir) {
+    const dem = openDemTiles(demDir);
+    console.log(`Reading DEM elevations from ${dem.tileCount} local tiles in ${demDir}...`);
+    coords.forEach(([lon, lat], i) => { elevations[i] = dem.elevationAt(lat, lon); });
+    console.log(`  ${elevations.filter(e => e !== null).length}/${coords.length} points covered by the tiles`);
+  }
+
+  const missing = elevations.map((e, i) => i).filter(i => elevations[i] === null);
+  if (missing.length === 0) return elevations;
+
+  const missingCoords = missing.map(i => coords[i]);
+  let fetched;
+  if (offline) {
+    console.log(`Looking up ${missing.length} elevations in the cache (offline)...`);
+    fetched = missingCoords.map(([lon, lat]) => cache.get(lat, lon));
+  } else {
+    console.log(`Fetching ${missing.length} DEM elevations from Open-Meteo...`);
+    fetched = await fetchElevations(missingCoords, cache);
+  }
+  missing.forEach((index, j) => { elevations[index] = fetched[j]; });
+  return elevations;
+}
+
 async function main() {
-  console.log('Loading simplified trail coordinates...');
-  const coords = loadTrailCoords();
+  const trail = parseTrailArgs({
+    dem: { type: 'string' },
+    offline: { type: 'boolean', default: false },
+    'elevation-cache': { type: 'string' },
+    'no-elevation-cache': { type: 'boolean', default: false }
+  });
+  requireTrailDetails(trail);
+  const { files, totalMiles, values } = trail;
+  const cacheFile = values['no-elevation-cache'] ? null : values['elevation-cache'] || files.elevationCache;
+
+  console.log(`Loading simplified ${trail.name} coordinates...`);
+  const coords = loadTrailCoords(files);
   console.log(`Loaded ${coords.length} points`);
 
   // Step 1: Calculate raw cumulative haversine distances
@@ -113,15 +189,16 @@ async function main() {
   const rawTotal = rawMiles[coords.length - 1];
   console.log(`Raw haversine total: ${rawTotal.toFixed(1)} miles`);
 
-  // Step 2: Scale to match known AT length
-  const scale = TOTAL_AT_MILES / rawTotal;
-  console.log(`Scale factor: ${scale.toFixed(6)} (${TOTAL_AT_MILES} / ${rawTotal.toFixed(1)})`);
+  // Step 2: Scale to match the official trail length
+  const scale = totalMiles / rawTotal;
+  console.log(`Scale factor: ${scale.toFixed(6)} (${totalMiles} / ${rawTotal.toFixed(1)})`);
   const scaledMiles = rawMiles.map(m => m * scale);
   console.log(`Scaled total: ${scaledMiles[scaledMiles.length - 1].toFixed(1)} miles`);
 
-  // Step 3: Fetch DEM elevations
-  console.log('Fetching DEM elevations from Open-Meteo...');
-  const elevationsMeters = await fetchElevations(coords);
+  // Step 3: Look up DEM elevations
+  const cache = openElevationCache(cacheFile);
+  if (cacheFile) console.log(`Elevation cache: ${cacheFile} (${cache.size()} entries)`);
+  const elevationsMeters = await getElevations(coords, { demDir: values.dem, cache, offline: values.offline });
 
   // Convert to feet
   const elevationsFeet = elevationsMeters.map(e =>
@@ -144,21 +221,42 @@ async function main() {
 
   // Verify endpoints
   console.log(`\nVerification:`);
-  console.log(`  Start: [${trailData[0]}] (expect Springer Mt ~34.63, -84.19, mile 0)`);
-  console.log(`  End:   [${trailData[trailData.length - 1]}] (expect Katahdin ~45.90, -68.92, mile ${TOTAL_AT_MILES})`);
+  console.log(`  Start: [${trailData[0]}] (expect the southern terminus, mile 0)`);
+  console.log(`  End:   [${trailData[trailData.length - 1]}] (expect the northern terminus, mile ${totalMiles})`);
 
-  // Step 5: Write output
-  const jsContent = `// Appalachian Trail data with cumulative miles and DEM elevation.
+  // Step 5: Write output (version hash lets the worker detect points snapped against older data)
+  const dataJson = JSON.stringify(trailData);
+  const version = crypto.createHash('sha1').update(dataJson).digest('hex').slice(0, 8);
+  const jsContent = `// ${trail.name} data with cumulative miles and DEM elevation.
 // Format: [lon, lat, cumulativeMiles, elevationFt] (GeoJSON coordinate order)
-// ${trailData.length} points, scaled to ${TOTAL_AT_MILES} total miles.
+// ${trailData.length} points, scaled to ${totalMiles} total miles.
 // Generated by scripts/build-trail-data.js
-export const AT_TRAIL_DATA = ${JSON.stringify(trailData)};
+// ${files.versionName} is a hash of the data; points snapped at ingest are tagged with it.
+export const ${files.dataName} = ${dataJson};
+export const ${files.versionName} = '${version}';
 `;
 
-  fs.writeFileSync(OUTPUT_PATH, jsContent);
-  const fileSize = fs.statSync(OUTPUT_PATH).size;
-  console.log(`\nWritten: ${OUTPUT_PATH}`);
+  fs.writeFileSync(files.withMiles, jsContent);
+  const fileSize = fs.statSync(files.withMiles).size;
+  console.log(`\nWritten: ${files.withMiles}`);
   console.log(`File size: ${(fileSize / 1024).toFixed(1)} KB`);
+  console.log(`Data version: ${version}`);
+
+  // Step 6: Regenerate the spatial index so it matches the new data
+  console.log('\nBuilding trail segment index...');
+  await writeTrailIndex(trailData, version, files);
+
+  // Step 7: Locate the state lines on the new data
+  console.log('\nLocating state lines...');
+  writeTrailStates(trailData, version, files);
+
+  // Step 8: Snap the milestones to the new data
+  console.log('\nSnapping milestones...');
+  writeTrailMilestones(trailData, version, files);
+
+  // Step 9: Snap the points of interest to the new data
+  console.log('\nSnapping points of interest...');
+  writeTrailPoi(trailData, version, files);
   console.log('Done!');
 }
 
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Generates worker/src/<id>-trail-index.js, a uniform lat/lon grid over the trail
+ * segments in worker/src/<id>-trail-with-miles.js (file names: scripts/trail-files.js).
+ *
+ * Each grid cell lists the indices of the segments (trailData[i] -> trailData[i + 1])
+ * whose bounding box overlaps it, so the worker only projects a ping onto the
+ * handful of segments near it instead of all of them. The grid is built by buildTrailIndex in
+ * worker/src/trail-index.js, the same code that indexes trails at runtime.
+ *
+ * Run automatically at the end of scripts/build-trail-data.js, or on its own:
+ * Usage: node scripts/build-trail-index.js [--trail at]
+ */
+
+const fs = require('fs');
+const { parseTrailArgs } = require('./trail-files');
+
+// Write <id>-trail-index.js for the given trail data and data version (files from trailFiles)
+async function writeTrailIndex(trailData, version, files) {
+  const { buildTrailIndex } = await import('../worker/src/trail-index.js');
+  const index = buildTrailIndex(trailData);
+  const jsContent = `// Spatial grid over the ${files.dataName} segments for fast nearest-segment lookup.
+// cells["col,row"] lists segment indices i (trailData[i] -> trailData[i + 1]) whose
+// bounding box overlaps the cell; col = floor(lon / cellDegrees), row = floor(lat / cellDegrees).
+// Generated by scripts/build-trail-index.js for ${files.versionName} ${version}
+export const ${files.indexName} = ${JSON.stringify({ version, ...index })};
+`;
+
+  fs.writeFileSync(files.index, jsContent);
+  const fileSize = fs.statSync(files.index).size;
+  console.log(`Written: ${files.index}`);
+  console.log(`Grid cells: ${Object.keys(index.cells).length} (${index.cellDegrees}° per cell)`);
+  console.log(`File size: ${(fileSize / 1024).toFixed(1)} KB`);
+}
+
+// Load trail data and its version from the generated worker module
+function loadTrailData(files) {
+  const content = fs.readFileSync(files.withMiles, 'utf-8');
+  const data = JSON.parse(content.match(new RegExp(`${files.dataName} = (\\[.+\\]);`, 's'))[1]);
+  const version = content.match(new RegExp(`${files.versionName} = '([^']+)'`))[1];
+  return { data, version };
+}
+
+if (require.main === module) {
+  const { files } = parseTrailArgs();
+  const { data, version } = loadTrailData(files);
+  console.log(`Loaded ${data.length} trail points (version ${version})`);
+  writeTrailIndex(data, version, files).catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { writeTrailIndex, loadTrailData };
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/**
+ * Generates worker/src/<id>-trail-milestones.js: the milestones the map shows (data/milestones.json
+ * for the AT; file names: scripts/trail-files.js), each snapped to its trail mile on the vertices
+ * in worker/src/<id>-trail-with-miles.js and sorted by mile. The worker uses them for passed and
+ * upcoming milestones (GET /milestones).
+ *
+ * A milestone is snapped to the closest point on the trail line. Milestones more than
+ * WARN_OFF_TRAIL_MILES from the trail (a town or viewpoint down a side trail) are reported so
+ * their coordinates can be checked.
+ *
+ * Run automatically at the end of scripts/build-trail-data.js, or on its own after editing the
+ * milestones:
+ * Usage: node scripts/build-trail-milestones.js [--trail at]
+ */
+
+const fs = require('fs');
+const { parseTrailArgs } = require('./trail-files');
+const { loadTrailData } = require('./build-trail-index');
+
+const WARN_OFF_TRAIL_MILES = 1;
+const MILES_PER_DEG_LAT = 69.0;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Closest point on the trail to lat/lon: { mile, distance } (projection as in worker/src/geo.js)
+function snapToTrail(trailData, lat, lon) {
+  const milesPerDegLon = MILES_PER_DEG_LAT * Math.cos(lat * Math.PI / 180);
+  let best = null;
+  for (let i = 0; i < trailData.length - 1; i++) {
+    const [aLon, aLat, aMile] = trailData[i];
+    const [bLon, bLat, bMile] = trailData[i + 1];
+    const px = (lon - aLon) * milesPerDegLon;
+    const py = (lat - aLat) * MILES_PER_DEG_LAT;
+    const bx = (bLon - aLon) * milesPerDegLon;
+    const by = (bLat - aLat) * MILES_PER_DEG_LAT;
+    const segLenSq = bx * bx + by * by;
+    const t = segLenSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / segLenSq));
+    const distance = Math.hypot(px - t * bx, py - t * by);
+    if (!best || distance < best.distance) {
+      best = { mile: aMile + (bMile - aMile) * t, distance };
+    }
+  }
+  return best;
+}
+
+// Snap each milestone to the trail, sorted by trail mile
+function buildTrailMilestones(trailData, milestones) {
+  return milestones
+    .map(milestone => {
+      const { mile, distance } = snapToTrail(trailData, milestone.lat, milestone.lon);
+      return { ...milestone, mile: round2(mile), offTrailMiles: round2(distance) };
+    })
+    .sort((a, b) => a.mile - b.mile);
+}
+
+// Write <id>-trail-milestones.js for the given trail data and data version (files from
+// trailFiles); trails without a milestones file are skipped
+function writeTrailMilestones(trailData, version, files) {
+  if (!fs.existsSync(files.milestones)) {
+    console.log(`No ${files.milestones}; skipping milestones`);
+    return;
+  }
+
+  const milestones = buildTrailMilestones(trailData, JSON.parse(fs.readFileSync(files.milestones, 'utf-8')));
+  const jsContent = `// Map milestones snapped to their trail mile, sorted by mile. offTrailMiles is how far the
+// milestone's coordinates are from the trail line.
+// Generated by scripts/build-trail-milestones.js from data/${files.milestones.split('/').pop()} for ${files.versionName} ${version}
+export const ${files.milestonesName} = ${JSON.stringify({ version, milestones })};
+`;
+
+  fs.writeFileSync(files.milestoneMiles, jsContent);
+  console.log(`Written: ${files.milestoneMiles}`);
+  for (const milestone of milestones) {
+    const warning = milestone.offTrailMiles > WARN_OFF_TRAIL_MILES ? `  WARNING: ${milestone.offTrailMiles} mi off trail` : '';
+    console.log(`  mile ${milestone.mile.toFixed(2).padStart(7)}  ${milestone.name}${warning}`);
+  }
+}
+
+if (require.main === module) {
+  const { files } = parseTrailArgs();
+  const { data, version } = loadTrailData(files);
+  console.log(`Loaded ${data.length} trail points (version ${version})`);
+  writeTrailMilestones(data, version, files);
+}
+
+module.exports = { snapToTrail, buildTrailMilestones, writeTrailMilestones };
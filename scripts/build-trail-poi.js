@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * Generates worker/src/<id>-trail-poi.js, the trail's points of interest snapped to their trail
+ * miles (file names: scripts/trail-files.js), for GET /poi and GET /poi/ahead.
+ *
+ * data/<id>-poi.json has three parts:
+ *   points    [{ category, name, description, state, lat, lon }]
+ *   sources   { category: "file.json" } other data files (same shape as data/milestones.json,
+ *             without a category) whose entries all belong to one category, e.g. the AT's
+ *             fried chicken list in data/chicken.json
+ *   coverage  { category: [[from, to], ...] } the stretches where a category's list is complete,
+ *             each end the name of one of the points, or "start" / "end" for the termini.
+ *             Elsewhere no points means no data, so GET /poi/ahead reports those miles as
+ *             missing. Categories without coverage are treated as incomplete everywhere.
+ * Categories are those in POI_CATEGORIES. Each point is snapped to the closest point on the
+ * trail line; shelters, water and road crossings further than WARN_OFF_TRAIL_MILES from it are
+ * reported, since their coordinates are probably wrong.
+ *
+ * Run automatically at the end of scripts/build-trail-data.js, or on its own after editing the
+ * points:
+ * Usage: node scripts/build-trail-poi.js [--trail at]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseTrailArgs } = require('./trail-files');
+const { loadTrailData } = require('./build-trail-index');
+const { snapToTrail } = require('./build-trail-milestones');
+
+// Matches POI_CATEGORIES in worker/src/poi.js
+const POI_CATEGORIES = ['shelter', 'water', 'road', 'hostel', 'post-office', 'town', 'chicken'];
+const ON_TRAIL_CATEGORIES = ['shelter', 'water', 'road'];
+const WARN_OFF_TRAIL_MILES = 0.5;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// All points from the POI file and its sources, each with a category, and the declared coverage
+function loadPoi(files) {
+  const { points = [], sources = {}, coverage = {} } = JSON.parse(fs.readFileSync(files.poiSource, 'utf-8'));
+  const all = [...points];
+  for (const [category, file] of Object.entries(sources)) {
+    const entries = JSON.parse(fs.readFileSync(path.join(path.dirname(files.poiSource), file), 'utf-8'));
+    all.push(...entries.map(entry => ({ category, ...entry })));
+  }
+
+  for (const poi of all) {
+    if (!POI_CATEGORIES.includes(poi.category)) {
+      throw new Error(`"${poi.name}" has unknown category "${poi.category}"; expected one of: ${POI_CATEGORIES.join(', ')}`);
+    }
+  }
+  return { points: all, coverage };
+}
+
+// Snap each point to the trail, sorted by trail mile
+function buildTrailPoi(trailData, points) {
+  return points
+    .map(({ category, name, description, state, lat, lon }) => {
+      const { mile, distance } = snapToTrail(trailData, lat, lon);
+      return { category, name, description, state, lat, lon, mile: round2(mile), offTrailMiles: round2(distance) };
+    })
+    .sort((a, b) => a.mile - b.mile);
+}
+
+// Resolve coverage ends (point names, "start" or "end") to trail miles: { category: [[lo, hi]] }
+function buildPoiCoverage(points, coverage, totalMiles) {
+  const mileOf = end => {
+    if (end === 'start') return 0;
+    if (end === 'end') return totalMiles;
+    const poi = points.find(p => p.name === end);
+    if (!poi) throw new Error(`Coverage end "${end}" is not the name of a point (or "start" / "end")`);
+    return poi.mile;
+  };
+
+  const result = {};
+  for (const [category, stretches] of Object.entries(coverage)) {
+    if (!POI_CATEGORIES.includes(category)) {
+      throw new Error(`Coverage for unknown category "${category}"; expected one of: ${POI_CATEGORIES.join(', ')}`);
+    }
+    result[category] = stretches
+      .map(([from, to]) => [mileOf(from), mileOf(to)].sort((a, b) => a - b))
+      .sort((a, b) => a[0] - b[0]);
+  }
+  return result;
+}
+
+// Write <id>-trail-poi.js for the given trail data and data version (files from trailFiles);
+// trails without a POI file are skipped
+function writeTrailPoi(trailData, version, files) {
+  if (!fs.existsSync(files.poiSource)) {
+    console.log(`No ${files.poiSource}; skipping points of interest`);
+    return;
+  }
+
+  const poi = loadPoi(files);
+  const points = buildTrailPoi(trailData, poi.points);
+  const coverage = buildPoiCoverage(points, poi.coverage, trailData[trailData.length - 1][2]);
+  const jsContent = `// Points of interest snapped to their trail mile, sorted by mile. offTrailMiles is how far the
+// point's coordinates are from the trail line (towns and post offices are usually a hitch away).
+// coverage lists, by category, the trail-mile stretches where that category's list is complete.
+// Generated by scripts/build-trail-poi.js from data/${path.basename(files.poiSource)} for ${files.versionName} ${version}
+export const ${files.poiName} = ${JSON.stringify({ version, coverage, points })};
+`;
+
+  fs.writeFileSync(files.poi, jsContent);
+  console.log(`Written: ${files.poi}`);
+  for (const category of POI_CATEGORIES) {
+    const count = points.filter(p => p.category === category).length;
+    const stretches = (coverage[category] || []).map(([lo, hi]) => `${lo}-${hi}`).join(', ') || 'none';
+    if (count > 0) console.log(`  ${category}: ${count} (complete for miles: ${stretches})`);
+  }
+  for (const poi of points) {
+    if (ON_TRAIL_CATEGORIES.includes(poi.category) && poi.offTrailMiles > WARN_OFF_TRAIL_MILES) {
+      console.warn(`  WARNING: ${poi.category} "${poi.name}" is ${poi.offTrailMiles} mi off trail (mile ${poi.mile})`);
+    }
+  }
+}
+
+if (require.main === module) {
+  const { files } = parseTrailArgs();
+  const { data, version } = loadTrailData(files);
+  console.log(`Loaded ${data.length} trail points (version ${version})`);
+  writeTrailPoi(data, version, files);
+}
+
+module.exports = { POI_CATEGORIES, buildTrailPoi, buildPoiCoverage, writeTrailPoi };
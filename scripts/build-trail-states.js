@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Generates worker/src/<id>-trail-states.js, the trail-mile ranges of each state the trail
+ * passes through, from the state lines in data/<id>-state-lines.json and the trail vertices in
+ * worker/src/<id>-trail-with-miles.js (file names: scripts/trail-files.js).
+ *
+ * data/<id>-state-lines.json lists the state(s) at the start of the trail and every line crossed,
+ * in trail order. `enter` is the state(s) from that point on; two states mean the trail follows
+ * the border and counts toward both. Each line is located by one of:
+ *   "lat": 36.5977                       a parallel crossed by the trail
+ *   "lon": -72.3005                      a meridian crossed by the trail
+ *   "line": [[lat, lon], [lat, lon]]     a straight border through two points
+ *   "near": [lat, lon]                   the trail vertex closest to a landmark
+ * The first crossing after the previous line is used, so a border the trail wanders back and
+ * forth across is entered where it is first crossed.
+ *
+ * Run automatically at the end of scripts/build-trail-data.js, or on its own:
+ * Usage: node scripts/build-trail-states.js [--trail at]
+ */
+
+const fs = require('fs');
+const { parseTrailArgs } = require('./trail-files');
+const { loadTrailData } = require('./build-trail-index');
+
+const round2 = n => Math.round(n * 100) / 100;
+const round4 = n => Math.round(n * 10000) / 10000;
+
+// Signed side of a vertex relative to a state line (0 on it); null for "near" lines
+function sideFunction(line) {
+  if (line.lat !== undefined) return ([, lat]) => lat - line.lat;
+  if (line.lon !== undefined) return ([lon]) => lon - line.lon;
+  if (line.line) {
+    const [[aLat, aLon], [bLat, bLon]] = line.line;
+    return ([lon, lat]) => (bLon - aLon) * (lat - aLat) - (bLat - aLat) * (lon - aLon);
+  }
+  return null;
+}
+
+// First point at or after vertex `startIndex` where the trail meets the line: { index, t }
+// (t is the fraction of the way from vertex index to index + 1)
+function findCrossing(trailData, line, startIndex) {
+  const side = sideFunction(line);
+  if (!side) {
+    const [lat, lon] = line.near;
+    let best = null;
+    for (let i = startIndex; i < trailData.length; i++) {
+      const distance = (trailData[i][1] - lat) ** 2 + ((trailData[i][0] - lon) * Math.cos(lat * Math.PI / 180)) ** 2;
+      if (!best || distance < best.distance) best = { index: i, t: 0, distance };
+    }
+    return best;
+  }
+
+  for (let i = startIndex; i < trailData.length - 1; i++) {
+    const a = side(trailData[i]);
+    const b = side(trailData[i + 1]);
+    if (a === 0) return { index: i, t: 0 };
+    if (a * b < 0) return { index: i, t: a / (a - b) };
+  }
+  return null;
+}
+
+// Build { segments, lines } from the trail data and the state lines file
+function buildTrailStates(trailData, stateLines) {
+  const segments = [];
+  const lines = [];
+  let states = stateLines.start;
+  let fromMile = 0;
+  let startIndex = 0;
+
+  for (const line of stateLines.lines) {
+    const crossing = findCrossing(trailData, line, startIndex);
+    if (!crossing) {
+      throw new Error(`State line "${line.name}" is not crossed after mile ${fromMile}`);
+    }
+    const a = trailData[crossing.index];
+    const b = trailData[Math.min(crossing.index + 1, trailData.length - 1)];
+    const at = k => a[k] + (b[k] - a[k]) * crossing.t;
+    const mile = round2(at(2));
+
+    segments.push({ states, fromMile, toMile: mile });
+    lines.push({ name: line.name, mile, lat: round4(at(1)), lon: round4(at(0)), from: states, to: line.enter });
+    states = line.enter;
+    fromMile = mile;
+    startIndex = crossing.index + 1;
+  }
+  segments.push({ states, fromMile, toMile: trailData[trailData.length - 1][2] });
+  return { segments, lines };
+}
+
+// Write <id>-trail-states.js for the given trail data and data version (files from trailFiles);
+// trails without a state lines file are skipped
+function writeTrailStates(trailData, version, files) {
+  if (!fs.existsSync(files.stateLines)) {
+    console.log(`No ${files.stateLines}; skipping state boundaries`);
+    return;
+  }
+
+  const stateLines = JSON.parse(fs.readFileSync(files.stateLines, 'utf-8'));
+  const { segments, lines } = buildTrailStates(trailData, stateLines);
+  const jsContent = `// Trail-mile ranges of the states along the trail and the state lines between them.
+// segments: { states, fromMile, toMile } in trail order; two states mean the trail follows the
+// border and counts toward both. lines: { name, mile, lat, lon, from, to } for each crossing.
+// Generated by scripts/build-trail-states.js from data/${files.stateLines.split('/').pop()} for ${files.versionName} ${version}
+export const ${files.statesName} = ${JSON.stringify({ version, segments, lines })};
+`;
+
+  fs.writeFileSync(files.states, jsContent);
+  console.log(`Written: ${files.states}`);
+  for (const line of lines) {
+    console.log(`  mile ${line.mile.toFixed(2).padStart(7)}  ${line.name} (${line.to.join(' / ')})`);
+  }
+}
+
+if (require.main === module) {
+  const { files } = parseTrailArgs();
+  const { data, version } = loadTrailData(files);
+  console.log(`Loaded ${data.length} trail points (version ${version})`);
+  writeTrailStates(data, version, files);
+}
+
+module.exports = { buildTrailStates, writeTrailStates };
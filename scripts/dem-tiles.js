@@ -0,0 +1,382 @@
+/**
+ * Reads elevations from local DEM tiles, so scripts/build-trail-data.js can run without
+ * Open-Meteo.
+ *
+ * A DEM directory holds (in any subfolders):
+ *   *.hgt            SRTM tiles, named after their south-west corner (N34W084.hgt): big-endian
+ *                    int16 meters, 1201 x 1201 (3 arc-second) or 3601 x 3601 (1 arc-second)
+ *                    samples, -32768 for voids
+ *   *.tif, *.tiff    single-band GeoTIFFs in WGS84 lat/lon (SRTM, Copernicus DEM, USGS 3DEP
+ *                    after gdalwarp -t_srs EPSG:4326): uncompressed or Deflate, strips or
+ *                    tiles, integer or float samples, GDAL nodata. Re-save other compressions
+ *                    with gdal_translate -co COMPRESS=DEFLATE.
+ * Elevations are bilinearly interpolated between the four samples around a point; void samples
+ * are left out and the rest reweighted. Points no tile covers come back null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const HGT_VOID = -32768;
+// Rasters are decoded on first use; the trail crosses tiles in order, so a few stay loaded
+const MAX_LOADED_TILES = 4;
+
+// TIFF tags and GeoKeys used below
+const TAG = {
+  imageWidth: 256,
+  imageLength: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  modelPixelScale: 33550,
+  modelTiepoint: 33922,
+  geoKeyDirectory: 34735,
+  gdalNoData: 42113
+};
+const GEO_KEY_RASTER_TYPE = 1025;
+const RASTER_PIXEL_IS_POINT = 2;
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 16: 8 };
+
+// ---- HGT ----
+
+function openHgt(file) {
+  const match = path.basename(file).match(/^([NS])(\d{2})([EW])(\d{3})/i);
+  if (!match) throw new Error(`${file}: HGT tiles must be named after their south-west corner, e.g. N34W084.hgt`);
+  const south = (match[1].toUpperCase() === 'N' ? 1 : -1) * Number(match[2]);
+  const west = (match[3].toUpperCase() === 'E' ? 1 : -1) * Number(match[4]);
+
+  const size = Math.sqrt(fs.statSync(file).size / 2);
+  if (!Number.isInteger(size)) throw new Error(`${file}: not a square grid of int16 samples`);
+
+  // Samples sit on the grid lines: the first row is the north edge, the first column the west edge
+  return {
+    file,
+    bounds: { west, south, east: west + 1, north: south + 1 },
+    width: size,
+    height: size,
+    originLon: west,
+    originLat: south + 1,
+    xRes: 1 / (size - 1),
+    yRes: 1 / (size - 1),
+    readRaster() {
+      const bytes = fs.readFileSync(file);
+      const raster = new Float32Array(size * size);
+      for (let i = 0; i < raster.length; i++) {
+        const value = bytes.readInt16BE(i * 2);
+        raster[i] = value === HGT_VOID ? NaN : value;
+      }
+      return raster;
+    }
+  };
+}
+
+// ---- GeoTIFF ----
+
+// Read the first image directory of a classic (non-BigTIFF) TIFF, loading tag values from the
+// file as needed rather than reading it whole
+function readTiffTags(fd, file) {
+  const read = (offset, length) => {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(fd, buffer, 0, length, offset);
+    return buffer;
+  };
+
+  const header = read(0, 8);
+  const order = header.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') throw new Error(`${file}: not a TIFF file`);
+  const le = order === 'II';
+  const u16 = (buf, at) => (le ? buf.readUInt16LE(at) : buf.readUInt16BE(at));
+  const u32 = (buf, at) => (le ? buf.readUInt32LE(at) : buf.readUInt32BE(at));
+  if (u16(header, 2) === 43) throw new Error(`${file}: BigTIFF is not supported; re-save with gdal_translate -co BIGTIFF=NO`);
+  if (u16(header, 2) !== 42) throw new Error(`${file}: not a TIFF file`);
+
+  const ifdOffset = u32(header, 4);
+  const count = u16(read(ifdOffset, 2), 0);
+  const entries = read(ifdOffset + 2, count * 12);
+  const tags = {};
+  for (let e = 0; e < count; e++) {
+    const at = e * 12;
+    const tag = u16(entries, at);
+    const type = u16(entries, at + 2);
+    const n = u32(entries, at + 4);
+    const size = TYPE_SIZES[type];
+    if (!size) continue;
+    const bytes = size * n <= 4 ? entries.subarray(at + 8, at + 8 + size * n) : read(u32(entries, at + 8), size * n);
+    tags[tag] = readTagValues(bytes, type, n, le);
+  }
+  return { tags, le };
+}
+
+function readTagValues(bytes, type, n, le) {
+  if (type === 2) return bytes.toString('latin1').replace(/\0+$/, '');
+  const values = [];
+  for (let i = 0; i < n; i++) {
+    switch (type) {
+      case 1: case 7: values.push(bytes.readUInt8(i)); break;
+      case 6: values.push(bytes.readInt8(i)); break;
+      case 3: values.push(le ? bytes.readUInt16LE(i * 2) : bytes.readUInt16BE(i * 2)); break;
+      case 8: values.push(le ? bytes.readInt16LE(i * 2) : bytes.readInt16BE(i * 2)); break;
+      case 4: values.push(le ? bytes.readUInt32LE(i * 4) : bytes.readUInt32BE(i * 4)); break;
+      case 9: values.push(le ? bytes.readInt32LE(i * 4) : bytes.readInt32BE(i * 4)); break;
+      case 11: values.push(le ? bytes.readFloatLE(i * 4) : bytes.readFloatBE(i * 4)); break;
+      case 12: values.push(le ? bytes.readDoubleLE(i * 8) : bytes.readDoubleBE(i * 8)); break;
+      case 16: values.push(Number(le ? bytes.readBigUInt64LE(i * 8) : bytes.readBigUInt64BE(i * 8))); break;
+      case 5: case 10: {
+        const read32 = type === 5 ? (le ? 'readUInt32LE' : 'readUInt32BE') : (le ? 'readInt32LE' : 'readInt32BE');
+        values.push(bytes[read32](i * 8) / bytes[read32](i * 8 + 4));
+        break;
+      }
+    }
+  }
+  return values;
+}
+
+// Reader for one sample format: (DataView, byte offset, little-endian) -> number
+function sampleReader(format, bits, file) {
+  const key = `${format}:${bits}`;
+  const readers = {
+    '1:8': (view, at) => view.getUint8(at),
+    '1:16': (view, at, le) => view.getUint16(at, le),
+    '1:32': (view, at, le) => view.getUint32(at, le),
+    '2:8': (view, at) => view.getInt8(at),
+    '2:16': (view, at, le) => view.getInt16(at, le),
+    '2:32': (view, at, le) => view.getInt32(at, le),
+    '3:32': (view, at, le) => view.getFloat32(at, le),
+    '3:64': (view, at, le) => view.getFloat64(at, le)
+  };
+  if (!readers[key]) throw new Error(`${file}: unsupported sample format ${format} with ${bits} bits`);
+  return readers[key];
+}
+
+// Undo a horizontal differencing predictor on one decompressed block, in place. Returns whether
+// the block's samples are now big-endian (the floating point predictor stores them that way).
+function undoPredictor(bytes, predictor, blockWidth, bytesPerSample, le, file) {
+  if (predictor === 1) return !le;
+  const rowBytes = blockWidth * bytesPerSample;
+  const rows = Math.floor(bytes.length / rowBytes);
+
+  if (predictor === 2) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const get = { 1: 'getUint8', 2: 'getUint16', 4: 'getUint32' }[bytesPerSample];
+    const set = { 1: 'setUint8', 2: 'setUint16', 4: 'setUint32' }[bytesPerSample];
+    const mask = 2 ** (bytesPerSample * 8);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 1; c < blockWidth; c++) {
+        const at = r * rowBytes + c * bytesPerSample;
+        view[set](at, (view[get](at, le) + view[get](at - bytesPerSample, le)) % mask, le);
+      }
+    }
+    return !le;
+  }
+
+  if (predictor === 3) {
+    // Bytes are differenced along the row, with each sample's bytes split into planes, most
+    // significant first
+    const row = Buffer.alloc(rowBytes);
+    for (let r = 0; r < rows; r++) {
+      const start = r * rowBytes;
+      for (let i = 1; i < rowBytes; i++) bytes[start + i] = (bytes[start + i] + bytes[start + i - 1]) & 0xff;
+      bytes.copy(row, 0, start, start + rowBytes);
+      for (let c = 0; c < blockWidth; c++) {
+        for (let b = 0; b < bytesPerSample; b++) {
+          bytes[start + c * bytesPerSample + b] = row[b * blockWidth + c];
+        }
+      }
+    }
+    return true;
+  }
+
+  throw new Error(`${file}: unsupported predictor ${predictor}`);
+}
+
+function openGeoTiff(file) {
+  const fd = fs.openSync(file, 'r');
+  let tiff;
+  try {
+    tiff = readTiffTags(fd, file);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const { tags, le } = tiff;
+  const first = tag => (tags[tag] ? tags[tag][0] : undefined);
+
+  if ((first(TAG.samplesPerPixel) || 1) !== 1) throw new Error(`${file}: expected a single-band elevation raster`);
+  if (!tags[TAG.modelPixelScale] || !tags[TAG.modelTiepoint]) {
+    throw new Error(`${file}: no georeferencing (ModelPixelScale / ModelTiepoint tags)`);
+  }
+
+  const width = first(TAG.imageWidth);
+  const height = first(TAG.imageLength);
+  const [xRes, yRes] = tags[TAG.modelPixelScale];
+  const [i, j, , x, y] = tags[TAG.modelTiepoint];
+  const geoKeys = tags[TAG.geoKeyDirectory] || [];
+  let pixelIsPoint = false;
+  for (let k = 4; k + 3 < geoKeys.length; k += 4) {
+    if (geoKeys[k] === GEO_KEY_RASTER_TYPE) pixelIsPoint = geoKeys[k + 3] === RASTER_PIXEL_IS_POINT;
+  }
+
+  // Lon/lat of the first sample: a pixel's corner unless the raster is PixelIsPoint
+  const half = pixelIsPoint ? 0 : 0.5;
+  const originLon = x - i * xRes + half * xRes;
+  const originLat = y + j * yRes - half * yRes;
+  const edge = pixelIsPoint ? 0 : 0.5;
+  const bounds = {
+    west: originLon - edge * xRes,
+    north: originLat + edge * yRes,
+    east: originLon + (width - 1 + edge) * xRes,
+    south: originLat - (height - 1 + edge) * yRes
+  };
+  if (bounds.west < -180 || bounds.east > 180 || bounds.south < -90 || bounds.north > 90) {
+    throw new Error(`${file}: expected WGS84 lat/lon; reproject with gdalwarp -t_srs EPSG:4326`);
+  }
+
+  const noData = tags[TAG.gdalNoData] !== undefined ? Number(tags[TAG.gdalNoData]) : null;
+
+  return {
+    file,
+    bounds,
+    width,
+    height,
+    originLon,
+    originLat,
+    xRes,
+    yRes,
+    readRaster() {
+      return readGeoTiffRaster(file, tags, le, width, height, noData);
+    }
+  };
+}
+
+function readGeoTiffRaster(file, tags, le, width, height, noData) {
+  const first = tag => (tags[tag] ? tags[tag][0] : undefined);
+  const bits = first(TAG.bitsPerSample) || 1;
+  const bytesPerSample = bits / 8;
+  const readSample = sampleReader(first(TAG.sampleFormat) || 1, bits, file);
+  const compression = first(TAG.compression) || 1;
+  const predictor = first(TAG.predictor) || 1;
+  if (![1, 8, 32946].includes(compression)) {
+    throw new Error(`${file}: unsupported compression ${compression}; re-save with gdal_translate -co COMPRESS=DEFLATE`);
+  }
+
+  // Strips are full-width blocks of rowsPerStrip rows; tiles are tileWidth x tileLength blocks
+  const tiled = tags[TAG.tileOffsets] !== undefined;
+  const blockWidth = tiled ? first(TAG.tileWidth) : width;
+  const blockHeight = tiled ? first(TAG.tileLength) : Math.min(first(TAG.rowsPerStrip) || height, height);
+  const offsets = tags[tiled ? TAG.tileOffsets : TAG.stripOffsets];
+  const byteCounts = tags[tiled ? TAG.tileByteCounts : TAG.stripByteCounts];
+  const blocksAcross = Math.ceil(width / blockWidth);
+
+  const raster = new Float32Array(width * height);
+  const fd = fs.openSync(file, 'r');
+  try {
+    for (let b = 0; b < offsets.length; b++) {
+      let bytes = Buffer.alloc(byteCounts[b]);
+      fs.readSync(fd, bytes, 0, byteCounts[b], offsets[b]);
+      if (compression !== 1) bytes = zlib.inflateSync(bytes);
+      const bigEndian = undoPredictor(bytes, predictor, blockWidth, bytesPerSample, le, file);
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+      const col0 = (b % blocksAcross) * blockWidth;
+      const row0 = Math.floor(b / blocksAcross) * blockHeight;
+      for (let r = 0; r < blockHeight && row0 + r < height; r++) {
+        for (let c = 0; c < blockWidth && col0 + c < width; c++) {
+          const at = (r * blockWidth + c) * bytesPerSample;
+          if (at + bytesPerSample > bytes.length) break;
+          const value = readSample(view, at, !bigEndian);
+          raster[(row0 + r) * width + col0 + c] = value === noData ? NaN : value;
+        }
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return raster;
+}
+
+// ---- Sampling ----
+
+// Bilinear interpolation at lat/lon within a tile; void samples are skipped and the remaining
+// weights renormalized. Null when all four samples are void.
+function interpolate(tile, raster, lat, lon) {
+  const fx = Math.min(Math.max((lon - tile.originLon) / tile.xRes, 0), tile.width - 1);
+  const fy = Math.min(Math.max((tile.originLat - lat) / tile.yRes, 0), tile.height - 1);
+  const c0 = Math.floor(fx);
+  const r0 = Math.floor(fy);
+  const c1 = Math.min(c0 + 1, tile.width - 1);
+  const r1 = Math.min(r0 + 1, tile.height - 1);
+  const dx = fx - c0;
+  const dy = fy - r0;
+
+  let sum = 0;
+  let weight = 0;
+  for (const [r, c, w] of [[r0, c0, (1 - dx) * (1 - dy)], [r0, c1, dx * (1 - dy)], [r1, c0, (1 - dx) * dy], [r1, c1, dx * dy]]) {
+    const value = raster[r * tile.width + c];
+    if (w > 0 && !Number.isNaN(value)) {
+      sum += value * w;
+      weight += w;
+    }
+  }
+  return weight > 0 ? sum / weight : null;
+}
+
+/**
+ * Index the .hgt and GeoTIFF tiles in `dir` (and its subfolders).
+ *
+ * @returns {{ tileCount: number, elevationAt: (lat: number, lon: number) => number|null }}
+ *   elevationAt gives meters, or null where no tile covers the point or its samples are void
+ */
+function openDemTiles(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`DEM directory not found: ${dir}`);
+  }
+
+  const tiles = fs.readdirSync(dir, { recursive: true })
+    .map(name => path.join(dir, name))
+    .sort()
+    .flatMap(file => {
+      if (/\.hgt$/i.test(file)) return [openHgt(file)];
+      if (/\.tiff?$/i.test(file)) return [openGeoTiff(file)];
+      return [];
+    });
+
+  const loaded = new Map(); // tile -> raster, least recently used first
+  function rasterOf(tile) {
+    let raster = loaded.get(tile);
+    if (raster) {
+      loaded.delete(tile);
+    } else {
+      raster = tile.readRaster();
+      if (loaded.size >= MAX_LOADED_TILES) loaded.delete(loaded.keys().next().value);
+    }
+    loaded.set(tile, raster);
+    return raster;
+  }
+
+  return {
+    tileCount: tiles.length,
+    elevationAt(lat, lon) {
+      // Tiles share their edges, so try each that covers the point until one has data there
+      for (const tile of tiles) {
+        const { west, south, east, north } = tile.bounds;
+        if (lon < west || lon > east || lat < south || lat > north) continue;
+        const elevation = interpolate(tile, rasterOf(tile), lat, lon);
+        if (elevation !== null) return elevation;
+      }
+      return null;
+    }
+  };
+}
+
+module.exports = { openDemTiles };
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for Garmin's MapShare KML feed, so the cron → KML → storage pipeline can
+ * run offline against `wrangler dev` (Miniflare KV/D1) instead of share.garmin.com.
+ *
+ * Serves GET /Feed/Share/<MapShare ID>[?d1=...&d2=...] as inReach-style KML. A simulated
+ * hiker walks north along the trail in worker/src/<--trail>-trail-with-miles.js, pinging every
+ * --interval simulated minutes during each day's hiking hours and posting a message when
+ * the device is turned on and at camp. The simulated clock starts at --start and runs
+ * --speed times faster than real time; only pings up to the current simulated time are
+ * served, so repeated fetches pick up new points the way the live feed does.
+ *
+ * Like the real feed, a request without d1 returns only the latest ping. With --password
+ * the feed requires HTTP Basic auth with that password (any user name), as sent by
+ * buildKmlFetchOptions in worker/src/utils.js.
+ *
+ * Usage: node scripts/fake-mapshare-server.js [--port 8790] [--start 2026-03-03T12:00:00Z]
+ *          [--speed 60] [--interval 10] [--password secret] [--name Al] [--trail at]
+ * Then set MAPSHARE_BASE_URL=http://localhost:8790 for the worker (see README).
+ */
+
+const http = require('http');
+const { parseArgs } = require('util');
+const { trailFiles } = require('./trail-files');
+const { loadTrailData } = require('./build-trail-index');
+
+const FEET_TO_METERS = 0.3048;
+const MPH_TO_KMH = 1.609344;
+
+// Simulated hiking day: HIKING_HOURS of walking at HIKING_PACE_MPH from the start time of
+// day, then the device is off until the same time the next day
+const HIKING_HOURS = 10;
+const HIKING_PACE_MPH = 2.3;
+
+// GPS fixes scatter up to ~15 m around the trail
+const GPS_NOISE_DEGREES = 0.00015;
+
+const DEVICE = {
+  name: 'Al',
+  deviceType: 'inReach Mini 2',
+  imei: '300434067000000'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8790' },
+      start: { type: 'string', default: '2026-03-03T12:00:00Z' },
+      speed: { type: 'string', default: '60' },
+      interval: { type: 'string', default: '10' },
+      password: { type: 'string', default: '' },
+      name: { type: 'string', default: DEVICE.name },
+      trail: { type: 'string', default: 'at' }
+    }
+  });
+
+  const options = {
+    port: parseInt(values.port, 10),
+    start: new Date(values.start),
+    speed: parseFloat(values.speed),
+    intervalMs: parseFloat(values.interval) * 60 * 1000,
+    password: values.password,
+    name: values.name,
+    trail: values.trail
+  };
+  if (!Number.isInteger(options.port)) throw new Error('--port must be a number');
+  if (isNaN(options.start.getTime())) throw new Error('--start must be an ISO date-time');
+  if (!(options.speed > 0)) throw new Error('--speed must be a positive number');
+  if (!(options.intervalMs > 0)) throw new Error('--interval must be a positive number of minutes');
+  return options;
+}
+
+/**
+ * The simulated hike as a function of ping index: ping i is at start + i * interval, and
+ * only pings inside a day's hiking window exist. Returns null for the device-off hours.
+ */
+async function createHike(trailData, { start, intervalMs }) {
+  // Trail position and seeded randomness come from the worker's (ES module) helpers
+  const { locateTrailMile } = await import('../worker/src/trails.js');
+  const { seededRandom } = await import('../worker/src/utils.js');
+  const totalMiles = trailData[trailData.length - 1][2];
+
+  function pingAt(index) {
+    const time = new Date(start.getTime() + index * intervalMs);
+    const sinceStart = time.getTime() - start.getTime();
+    const day = Math.floor(sinceStart / DAY_MS);
+    const hikingMs = sinceStart - day * DAY_MS;
+    if (hikingMs > HIKING_HOURS * HOUR_MS) return null;
+
+    const mile = (day * HIKING_HOURS + hikingMs / HOUR_MS) * HIKING_PACE_MPH;
+    if (mile > totalMiles) return null;
+
+    const { lat, lon, elevationFt, course } = locateTrailMile(trailData, mile);
+    const firstOfDay = hikingMs < intervalMs;
+    const lastOfDay = hikingMs + intervalMs > HIKING_HOURS * HOUR_MS;
+
+    let event = 'Tracking interval received.';
+    let text = '';
+    if (firstOfDay) {
+      event = 'Tracking turned on from device.';
+      text = day === 0 ? 'Starting at Springer Mountain!' : 'Heading out, all good.';
+    } else if (lastOfDay) {
+      event = 'Msg to shared map received';
+      text = `Made camp at mile ${mile.toFixed(1)}.`;
+    }
+
+    return {
+      index,
+      time,
+      lat: lat + (seededRandom(index * 2) - 0.5) * 2 * GPS_NOISE_DEGREES,
+      lon: lon + (seededRandom(index * 2 + 1) - 0.5) * 2 * GPS_NOISE_DEGREES,
+      elevationMeters: elevationFt * FEET_TO_METERS,
+      velocityKmh: firstOfDay ? 0 : HIKING_PACE_MPH * MPH_TO_KMH * (0.8 + seededRandom(index * 3) * 0.4),
+      course,
+      event,
+      text
+    };
+  }
+
+  // Pings with from <= time <= to, oldest first
+  function pingsBetween(from, to) {
+    const pings = [];
+    const first = Math.max(0, Math.ceil((from.getTime() - start.getTime()) / intervalMs));
+    const last = Math.floor((to.getTime() - start.getTime()) / intervalMs);
+    for (let i = first; i <= last; i++) {
+      const ping = pingAt(i);
+      if (ping) pings.push(ping);
+    }
+    return pings;
+  }
+
+  // Index of the last ping, reaching the end of the trail
+  const hikingHoursTotal = totalMiles / HIKING_PACE_MPH;
+  const finishDay = Math.floor(hikingHoursTotal / HIKING_HOURS);
+  const finishIndex = Math.floor((finishDay * DAY_MS + (hikingHoursTotal - finishDay * HIKING_HOURS) * HOUR_MS) / intervalMs);
+
+  // The most recent ping at or before `time`; overnight that is the previous day's last ping
+  function latestPing(time) {
+    const newest = Math.min(Math.floor((time.getTime() - start.getTime()) / intervalMs), finishIndex);
+    const oldest = newest - Math.ceil(DAY_MS / intervalMs);
+    for (let i = newest; i >= Math.max(oldest, 0); i--) {
+      const ping = pingAt(i);
+      if (ping) return ping;
+    }
+    return null;
+  }
+
+  return { pingsBetween, latestPing };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Garmin's US-style local date-time, e.g. "3/3/2026 7:00:00 AM"
+function formatGarminTime(date, timeZone) {
+  return date.toLocaleString('en-US', { timeZone, hour12: true }).replace(',', '');
+}
+
+function renderPlacemark(ping, name) {
+  const data = [
+    ['Id', String(900000000 + ping.index)],
+    ['Time UTC', formatGarminTime(ping.time, 'UTC')],
+    ['Time', formatGarminTime(ping.time, 'America/New_York')],
+    ['Name', name],
+    ['Map Display Name', name],
+    ['Device Type', DEVICE.deviceType],
+    ['IMEI', DEVICE.imei],
+    ['Incident Id', ''],
+    ['Latitude', ping.lat.toFixed(6)],
+    ['Longitude', ping.lon.toFixed(6)],
+    ['Elevation', `${ping.elevationMeters.toFixed(2)} m from MSL`],
+    ['Velocity', `${ping.velocityKmh.toFixed(1)} km/h`],
+    ['Course', `${ping.course.toFixed(2)} ° True`],
+    ['Valid GPS Fix', 'True'],
+    ['In Emergency', 'False'],
+    ['Text', ping.text],
+    ['Event', ping.event],
+    ['Device Identifier', ''],
+    ['SpatialRefSystem', 'WGS84']
+  ];
+
+  return `      <Placemark>
+        <name>${escapeXml(name)}</name>
+        <visibility>1</visibility>
+        <description></description>
+        <TimeStamp><when>${ping.time.toISOString().replace('.000Z', 'Z')}</when></TimeStamp>
+        <styleUrl>#style_track</styleUrl>
+        <ExtendedData>
+${data.map(([key, value]) => `          <Data name="${key}"><value>${escapeXml(value)}</value></Data>`).join('\n')}
+        </ExtendedData>
+        <Point>
+          <extrude>false</extrude>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${ping.lon.toFixed(6)},${ping.lat.toFixed(6)},${ping.elevationMeters.toFixed(2)}</coordinates>
+        </Point>
+      </Placemark>`;
+}
+
+// inReach feed document: one Placemark per ping, then the track as an untimed LineString
+function renderKml(pings, { name, now }) {
+  const placemarks = pings.map(ping => renderPlacemark(ping, name));
+  if (pings.length > 1) {
+    placemarks.push(`      <Placemark>
+        <name>${escapeXml(name)}</name>
+        <styleUrl>#linestyle_track</styleUrl>
+        <LineString>
+          <tessellate>1</tessellate>
+          <coordinates>${pings.map(p => `${p.lon.toFixed(6)},${p.lat.toFixed(6)},${p.elevationMeters.toFixed(2)}`).join(' ')}</coordinates>
+        </LineString>
+      </Placemark>`);
+  }
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>KML Export ${formatGarminTime(now, 'UTC')}</name>
+    <Style id="style_track"><IconStyle><Icon><href>https://share.garmin.com/img/map/track-point.png</href></Icon></IconStyle></Style>
+    <Style id="linestyle_track"><LineStyle><color>ff3c14dc</color><width>4</width></LineStyle></Style>
+    <Folder>
+      <name>${escapeXml(name)}</name>
+${placemarks.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+}
+
+// Parse a feed d1/d2 value (e.g. 2026-03-03T14:05z); null when absent or invalid
+function parseFeedDate(value) {
+  if (!value) return null;
+  const date = new Date(value.replace(/z$/i, 'Z'));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function isAuthorized(request, password) {
+  if (!password) return true;
+  const match = (request.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+  if (!match) return false;
+  const credentials = Buffer.from(match[1], 'base64').toString('utf-8');
+  return credentials.slice(credentials.indexOf(':') + 1) === password;
+}
+
+async function createServer(options, trailData) {
+  const hike = await createHike(trailData, options);
+  const startedAt = Date.now();
+  const simulatedNow = () => new Date(options.start.getTime() + (Date.now() - startedAt) * options.speed);
+
+  return http.createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const now = simulatedNow();
+
+    if (request.method !== 'GET' || !/^\/Feed\/Share\/[^/]+$/.test(url.pathname)) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' });
+      response.end('Not found');
+      return;
+    }
+
+    if (!isAuthorized(request, options.password)) {
+      console.log(`[MapShare] ${url.pathname}${url.search} -> 401`);
+      response.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Basic realm="MapShare"' });
+      response.end('Unauthorized');
+      return;
+    }
+
+    const d1 = parseFeedDate(url.searchParams.get('d1'));
+    const d2 = parseFeedDate(url.searchParams.get('d2'));
+    const until = d2 && d2 < now ? d2 : now;
+    let pings;
+    if (d1) {
+      pings = hike.pingsBetween(d1, until);
+    } else {
+      const latest = hike.latestPing(until);
+      pings = latest ? [latest] : [];
+    }
+
+    console.log(`[MapShare] ${url.pathname}${url.search} -> ${pings.length} pings (simulated time ${now.toISOString()})`);
+    response.writeHead(200, { 'Content-Type': 'application/vnd.google-earth.kml+xml; charset=utf-8' });
+    response.end(renderKml(pings, { name: options.name, now }));
+  });
+}
+
+if (require.main === module) {
+  const options = parseOptions();
+  const { data: trailData } = loadTrailData(trailFiles(options.trail));
+  createServer(options, trailData).then(server => server.listen(options.port, () => {
+    console.log(`Fake MapShare feed on http://localhost:${options.port}/Feed/Share/<id>`);
+    console.log(`Simulated clock starts at ${options.start.toISOString()}, ${options.speed}x real time`);
+    console.log(`Ping interval ${options.intervalMs / 60000} min${options.password ? ', Basic auth required' : ''}`);
+  })).catch(err => {
+    console.error('Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, createHike };
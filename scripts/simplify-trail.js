@@ -1,20 +1,24 @@
 #!/usr/bin/env node
 /**
- * Parses the AT trail KML and generates:
- * 1. worker/src/at-trail-simplified.js - Simplified coords (~5K points) for off-trail detection
- * 2. data/at-trail.geojson - Full-resolution GeoJSON for frontend map display
+ * Parses a trail KML (data/<id>-trail.kml) and generates:
+ * 1. worker/src/<id>-trail-simplified.js - Simplified coords (~5K points) for off-trail detection
+ * 2. data/<id>-trail.geojson - Full-resolution GeoJSON
+ * 3. data/<id>-trail-simplified.geojson - Simplified (~7K points) GeoJSON for the frontend map
+ * Miles run from the southern end, so the trail is ordered south-to-north.
+ *
+ * Usage: node scripts/simplify-trail.js [--trail at] [--name "Pacific Crest Trail"]
  */
 
 const fs = require('fs');
-const path = require('path');
+const { parseTrailArgs } = require('./trail-files');
 
-const ROOT = path.resolve(__dirname, '..');
-const KML_PATH = path.join(ROOT, 'data', 'at-trail.kml');
-const SIMPLIFIED_JS_PATH = path.join(ROOT, 'worker', 'src', 'at-trail-simplified.js');
-const GEOJSON_PATH = path.join(ROOT, 'data', 'at-trail.geojson');
+const trail = parseTrailArgs();
+const { files } = trail;
+const trailName = trail.name || trail.id.toUpperCase();
 
-// Target number of points for simplified version
+// Target number of points for the simplified worker coords and the map's display line
 const TARGET_POINTS = 5000;
+const DISPLAY_TARGET_POINTS = 7000;
 
 // --- KML Parsing ---
 
@@ -230,8 +234,8 @@ function simplifyToTarget(points, targetCount) {
 
 // --- Main ---
 
-console.log('Reading KML...');
-const kmlText = fs.readFileSync(KML_PATH, 'utf-8');
+console.log(`Reading ${files.kml}...`);
+const kmlText = fs.readFileSync(files.kml, 'utf-8');
 
 console.log('Parsing coordinates...');
 const segments = parseKmlCoordinates(kmlText);
@@ -254,29 +258,39 @@ for (let i = 1; i < fullTrail.length; i++) {
 console.log(`After dedup: ${deduped.length} points`);
 
 // Verify trail direction
-console.log(`Start: lat=${deduped[0][1].toFixed(4)}, lon=${deduped[0][0].toFixed(4)} (expect ~34.63, -84.19 Springer Mt)`);
-console.log(`End: lat=${deduped[deduped.length-1][1].toFixed(4)}, lon=${deduped[deduped.length-1][0].toFixed(4)} (expect ~45.90, -68.92 Katahdin)`);
+console.log(`Start: lat=${deduped[0][1].toFixed(4)}, lon=${deduped[0][0].toFixed(4)} (expect the southern terminus)`);
+console.log(`End: lat=${deduped[deduped.length-1][1].toFixed(4)}, lon=${deduped[deduped.length-1][0].toFixed(4)} (expect the northern terminus)`);
+
+// A single-LineString FeatureCollection named after the trail
+function trailGeoJson(coordinates) {
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: {
+        name: trailName
+      },
+      geometry: {
+        type: 'LineString',
+        coordinates
+      }
+    }]
+  };
+}
 
 // --- Generate full GeoJSON ---
 console.log('Writing full GeoJSON...');
-const geojson = {
-  type: 'FeatureCollection',
-  features: [{
-    type: 'Feature',
-    properties: {
-      name: 'Appalachian Trail'
-    },
-    geometry: {
-      type: 'LineString',
-      coordinates: deduped
-    }
-  }]
-};
-
-fs.writeFileSync(GEOJSON_PATH, JSON.stringify(geojson));
-const geojsonSize = fs.statSync(GEOJSON_PATH).size;
+fs.writeFileSync(files.geojson, JSON.stringify(trailGeoJson(deduped)));
+const geojsonSize = fs.statSync(files.geojson).size;
 console.log(`GeoJSON written: ${(geojsonSize / 1024 / 1024).toFixed(1)} MB (${deduped.length} points)`);
 
+// --- Generate the map's display GeoJSON ---
+console.log(`Simplifying display line to ~${DISPLAY_TARGET_POINTS} points...`);
+const display = simplifyToTarget(deduped, DISPLAY_TARGET_POINTS);
+fs.writeFileSync(files.displayGeojson, JSON.stringify(trailGeoJson(display)));
+const displaySize = fs.statSync(files.displayGeojson).size;
+console.log(`Display GeoJSON written: ${(displaySize / 1024).toFixed(1)} KB (${display.length} points)`);
+
 // --- Generate simplified JS ---
 console.log(`Simplifying to ~${TARGET_POINTS} points...`);
 const simplified = simplifyToTarget(deduped, TARGET_POINTS);
@@ -288,15 +302,15 @@ const rounded = simplified.map(([lon, lat]) => [
   Math.round(lat * 10000) / 10000
 ]);
 
-const jsContent = `// Simplified Appalachian Trail coordinates for off-trail distance calculations.
+const jsContent = `// Simplified ${trailName} coordinates for off-trail distance calculations.
 // Format: [lon, lat] pairs (GeoJSON coordinate order)
 // Douglas-Peucker simplified to ${rounded.length} points from ${deduped.length} original points.
 // Generated by scripts/simplify-trail.js
-export const AT_TRAIL_COORDS = ${JSON.stringify(rounded)};
+export const ${files.coordsName} = ${JSON.stringify(rounded)};
 `;
 
-fs.writeFileSync(SIMPLIFIED_JS_PATH, jsContent);
-const jsSize = fs.statSync(SIMPLIFIED_JS_PATH).size;
+fs.writeFileSync(files.simplified, jsContent);
+const jsSize = fs.statSync(files.simplified).size;
 console.log(`Simplified JS written: ${(jsSize / 1024).toFixed(1)} KB (${rounded.length} points)`);
 
 console.log('Done!');
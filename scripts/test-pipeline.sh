@@ -34,12 +34,37 @@ PASS=0
 FAIL=0
 WARN=0
 
-pass() { ((PASS++)); echo -e "  ${GREEN}✓ $1${NC}"; }
-fail() { ((FAIL++)); echo -e "  ${RED}✗ $1${NC}"; }
-warn() { ((WARN++)); echo -e "  ${YELLOW}⚠ $1${NC}"; }
+# Plain assignment: under set -e, ((PASS++)) exits the script when the count is 0
+pass() { PASS=$((PASS + 1)); echo -e "  ${GREEN}✓ $1${NC}"; }
+fail() { FAIL=$((FAIL + 1)); echo -e "  ${RED}✗ $1${NC}"; }
+warn() { WARN=$((WARN + 1)); echo -e "  ${YELLOW}⚠ $1${NC}"; }
 info() { echo -e "  ${CYAN}ℹ $1${NC}"; }
 header() { echo -e "\n${CYAN}━━━ $1 ━━━${NC}"; }
 
+# GET an endpoint with the auth token; sets HTTP_CODE, CONTENT_TYPE and BODY
+fetch_endpoint() {
+  local response
+  response=$(curl -s -w "\n%{http_code}\n%{content_type}" "$BASE_URL$1" \
+    -H "$AUTH_HEADER" \
+    --max-time 30)
+  CONTENT_TYPE=$(echo "$response" | tail -1)
+  HTTP_CODE=$(echo "$response" | tail -2 | head -1)
+  BODY=$(echo "$response" | sed '$d' | sed '$d')
+}
+
+# Pass if the JSON object in BODY has every listed top-level field
+check_fields() {
+  local label=$1
+  shift
+  local missing
+  missing=$(echo "$BODY" | jq -r '$ARGS.positional - keys | join(", ")' --args "$@" 2>/dev/null) || missing="response is not a JSON object"
+  if [ -z "$missing" ]; then
+    pass "$label response has $(echo "$*" | sed 's/ /, /g')"
+  else
+    fail "$label response missing: $missing"
+  fi
+}
+
 # --- Check prerequisites ---
 header "Prerequisites"
 
@@ -285,8 +310,134 @@ else
   warn "Elevation endpoint returned HTTP $ELEV_HTTP_CODE"
 fi
 
-# --- Step 6: Data consistency check ---
-header "Step 6: Data Consistency"
+# --- Step 6: Messages endpoint ---
+header "Step 6: Messages Endpoint (GET /messages)"
+
+fetch_endpoint "/messages"
+if [ "$HTTP_CODE" = "200" ]; then
+  pass "Messages endpoint returned 200"
+  check_fields "Messages" messages
+  MESSAGE_COUNT=$(echo "$BODY" | jq '.messages | length')
+  if [ "$MESSAGE_COUNT" -gt 0 ] 2>/dev/null; then
+    if [ "$(echo "$BODY" | jq '.messages | all(has("time") and has("lat") and has("lon") and has("text"))')" = "true" ]; then
+      pass "Messages received: $MESSAGE_COUNT (time, lat, lon, text)"
+    else
+      fail "Messages missing time, lat, lon or text"
+    fi
+    info "Latest: $(echo "$BODY" | jq -r '.messages[-1] | "\(.time) \(.text)"')"
+  else
+    warn "No messages returned (may be expected if none were sent)"
+  fi
+else
+  fail "Messages endpoint returned HTTP $HTTP_CODE"
+  echo "$BODY" | jq . 2>/dev/null || echo "$BODY"
+fi
+
+# --- Step 7: Health endpoint ---
+header "Step 7: Health Endpoint (GET /health)"
+
+fetch_endpoint "/health"
+if [ "$HTTP_CODE" = "200" ]; then
+  pass "Health endpoint returned 200"
+  check_fields "Health" status reasons checkedAt ingest freshness storage
+  HEALTH_STATUS=$(echo "$BODY" | jq -r '.status')
+  case "$HEALTH_STATUS" in
+    ok) pass "Pipeline status: ok" ;;
+    degraded|unknown)
+      warn "Pipeline status: $HEALTH_STATUS"
+      echo "$BODY" | jq -r '.reasons[]' 2>/dev/null | while read -r reason; do info "$reason"; done
+      ;;
+    *) fail "Unexpected pipeline status: $HEALTH_STATUS" ;;
+  esac
+  info "Latest point age: $(echo "$BODY" | jq -r '.freshness.latestPointAgeMinutes') min"
+else
+  fail "Health endpoint returned HTTP $HTTP_CODE"
+  echo "$BODY" | jq . 2>/dev/null || echo "$BODY"
+fi
+
+# --- Step 8: Coverage endpoint ---
+header "Step 8: Coverage Endpoint (GET /coverage)"
+
+fetch_endpoint "/coverage"
+if [ "$HTTP_CODE" = "200" ]; then
+  pass "Coverage endpoint returned 200"
+  check_fields "Coverage" plan plannedMiles hikedMiles skippedMiles remainingMiles hiked skipped remaining lines
+  if [ "$(echo "$BODY" | jq '(.lines.hiked | length) == (.hiked | length) and (.lines.skipped | length) == (.skipped | length)')" = "true" ]; then
+    pass "One map line per hiked and skipped interval"
+  else
+    fail "Coverage lines don't match the hiked/skipped intervals"
+  fi
+  info "$(echo "$BODY" | jq -r '"Hiked \(.hikedMiles) mi, skipped \(.skippedMiles) mi, remaining \(.remainingMiles) mi of \(.plannedMiles) mi"')"
+else
+  fail "Coverage endpoint returned HTTP $HTTP_CODE"
+  echo "$BODY" | jq . 2>/dev/null || echo "$BODY"
+fi
+
+# --- Step 9: Milestones endpoint ---
+header "Step 9: Milestones Endpoint (GET /milestones)"
+
+fetch_endpoint "/milestones"
+if [ "$HTTP_CODE" = "200" ]; then
+  pass "Milestones endpoint returned 200"
+  check_fields "Milestones" position averageDailyMiles next milestones
+  if [ "$(echo "$BODY" | jq '(.milestones | length) > 0 and (.milestones | all(has("name") and has("mile") and has("status")))')" = "true" ]; then
+    pass "Milestones received: $(echo "$BODY" | jq '.milestones | length') (name, mile, status)"
+  else
+    fail "No milestones, or milestones missing name, mile or status"
+  fi
+  info "Next up: $(echo "$BODY" | jq -r 'if .next then "\(.next.name) in \(.next.milesAway) mi" else "none" end')"
+else
+  fail "Milestones endpoint returned HTTP $HTTP_CODE"
+  echo "$BODY" | jq . 2>/dev/null || echo "$BODY"
+fi
+
+# --- Step 10: POI ahead endpoint ---
+header "Step 10: Points of Interest Ahead (GET /poi/ahead)"
+
+fetch_endpoint "/poi/ahead?miles=50"
+if [ "$HTTP_CODE" = "200" ]; then
+  pass "POI ahead endpoint returned 200"
+  check_fields "POI ahead" position miles stretch coverage points
+  if [ "$(echo "$BODY" | jq '.points | all(.milesAhead >= 0 and .milesAhead <= 50)')" = "true" ]; then
+    pass "POIs within 50 miles ahead: $(echo "$BODY" | jq '.points | length')"
+  else
+    fail "POI ahead returned points outside 0-50 miles ahead"
+  fi
+  MISSING_CATEGORIES=$(echo "$BODY" | jq -r '[.coverage[] | select(.missingMiles | length > 0) | .category] | join(", ")')
+  if [ -n "$MISSING_CATEGORIES" ]; then
+    info "Incomplete POI data ahead for: $MISSING_CATEGORIES"
+  fi
+else
+  fail "POI ahead endpoint returned HTTP $HTTP_CODE"
+  echo "$BODY" | jq . 2>/dev/null || echo "$BODY"
+fi
+
+# --- Step 11: Track export endpoints ---
+header "Step 11: Track Export (GET /export/*)"
+
+for FORMAT in gpx kml geojson csv; do
+  fetch_endpoint "/export/$FORMAT"
+  if [ "$HTTP_CODE" != "200" ]; then
+    fail "/export/$FORMAT returned HTTP $HTTP_CODE"
+    continue
+  fi
+  case "$FORMAT" in
+    gpx) EXPECTED_TYPE="application/gpx+xml"; [[ "$BODY" == *"<gpx "* ]] && VALID=true || VALID=false ;;
+    kml) EXPECTED_TYPE="application/vnd.google-earth.kml+xml"; [[ "$BODY" == *"<kml "* ]] && VALID=true || VALID=false ;;
+    geojson) EXPECTED_TYPE="application/geo+json"; VALID=$(echo "$BODY" | jq '.type == "FeatureCollection"' 2>/dev/null || echo false) ;;
+    csv) EXPECTED_TYPE="text/csv"; [[ "$BODY" == time,lat,lon,* ]] && VALID=true || VALID=false ;;
+  esac
+  if [[ "$CONTENT_TYPE" != "$EXPECTED_TYPE"* ]]; then
+    fail "/export/$FORMAT served as $CONTENT_TYPE (expected $EXPECTED_TYPE)"
+  elif [ "$VALID" != "true" ]; then
+    fail "/export/$FORMAT body is not a $FORMAT track"
+  else
+    pass "/export/$FORMAT returned a $FORMAT track ($(echo "$BODY" | wc -c | tr -d ' ') bytes)"
+  fi
+done
+
+# --- Step 12: Data consistency check ---
+header "Step 12: Data Consistency"
 
 if [ "$POINT_COUNT" -gt 0 ] 2>/dev/null && [ -n "$LOCATION_LAT" ] && [ "$LOCATION_LAT" != "null" ]; then
   # Check that stats location matches the last point
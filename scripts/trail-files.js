@@ -0,0 +1,96 @@
+/**
+ * File locations and generated constant names for a trail, shared by the trail build scripts.
+ *
+ * Every script takes --trail <id> (default "at"); a trail's files are named after its id:
+ *   data/<id>-trail.kml                     source KML (input to simplify-trail.js)
+ *   data/<id>-trail.geojson                 full-resolution line
+ *   data/<id>-trail-simplified.geojson      line drawn by the frontend map
+ *   data/<id>-state-lines.json              state lines along the trail (input to build-trail-states.js)
+ *   data/<id>-milestones.json               map milestones (the AT's is data/milestones.json)
+ *   data/<id>-poi.json                      points of interest (input to build-trail-poi.js)
+ *   data/<id>-elevation-cache.json          Open-Meteo elevations by coordinate (build-trail-data.js)
+ *   worker/src/<id>-trail-simplified.js     <ID>_TRAIL_COORDS
+ *   worker/src/<id>-trail-with-miles.js     <ID>_TRAIL_DATA, <ID>_TRAIL_DATA_VERSION
+ *   worker/src/<id>-trail-index.js          <ID>_TRAIL_INDEX
+ *   worker/src/<id>-trail-states.js         <ID>_TRAIL_STATES
+ *   worker/src/<id>-trail-milestones.js     <ID>_TRAIL_MILESTONES
+ *   worker/src/<id>-trail-poi.js            <ID>_TRAIL_POI
+ * The worker modules are then registered in worker/src/trails.js.
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Trail ids, names and lengths the scripts know without --name / --total-miles
+const KNOWN_TRAILS = {
+  at: { name: 'Appalachian Trail', totalMiles: 2197.9 }
+};
+
+function trailFiles(id) {
+  const prefix = id.toUpperCase().replace(/-/g, '_');
+  return {
+    kml: path.join(ROOT, 'data', `${id}-trail.kml`),
+    geojson: path.join(ROOT, 'data', `${id}-trail.geojson`),
+    displayGeojson: path.join(ROOT, 'data', `${id}-trail-simplified.geojson`),
+    simplified: path.join(ROOT, 'worker', 'src', `${id}-trail-simplified.js`),
+    withMiles: path.join(ROOT, 'worker', 'src', `${id}-trail-with-miles.js`),
+    index: path.join(ROOT, 'worker', 'src', `${id}-trail-index.js`),
+    stateLines: path.join(ROOT, 'data', `${id}-state-lines.json`),
+    states: path.join(ROOT, 'worker', 'src', `${id}-trail-states.js`),
+    // The AT's milestones predate per-trail file names
+    milestones: path.join(ROOT, 'data', id === 'at' ? 'milestones.json' : `${id}-milestones.json`),
+    milestoneMiles: path.join(ROOT, 'worker', 'src', `${id}-trail-milestones.js`),
+    poiSource: path.join(ROOT, 'data', `${id}-poi.json`),
+    poi: path.join(ROOT, 'worker', 'src', `${id}-trail-poi.js`),
+    elevationCache: path.join(ROOT, 'data', `${id}-elevation-cache.json`),
+    coordsName: `${prefix}_TRAIL_COORDS`,
+    dataName: `${prefix}_TRAIL_DATA`,
+    versionName: `${prefix}_TRAIL_DATA_VERSION`,
+    indexName: `${prefix}_TRAIL_INDEX`,
+    statesName: `${prefix}_TRAIL_STATES`,
+    milestonesName: `${prefix}_TRAIL_MILESTONES`,
+    poiName: `${prefix}_TRAIL_POI`
+  };
+}
+
+/**
+ * Parse --trail, --name and --total-miles from the command line (plus any extra `options` for
+ * util.parseArgs). Name and length default to KNOWN_TRAILS; scripts that need them call
+ * requireTrailDetails.
+ *
+ * @returns {{ id: string, name: string|null, totalMiles: number|null, files: Object, values: Object }}
+ */
+function parseTrailArgs(options = {}) {
+  const { values } = parseArgs({
+    options: {
+      trail: { type: 'string', default: 'at' },
+      name: { type: 'string' },
+      'total-miles': { type: 'string' },
+      ...options
+    }
+  });
+
+  const id = values.trail;
+  if (!/^[a-z][a-z0-9-]*$/.test(id)) {
+    throw new Error(`--trail must be a lowercase id such as "pct", got "${id}"`);
+  }
+
+  const known = KNOWN_TRAILS[id] || {};
+  const totalMiles = values['total-miles'] !== undefined ? Number(values['total-miles']) : known.totalMiles ?? null;
+  if (totalMiles !== null && !(totalMiles > 0)) {
+    throw new Error('--total-miles must be a positive number');
+  }
+
+  return { id, name: values.name || known.name || null, totalMiles, files: trailFiles(id), values };
+}
+
+// Fail unless the trail's name and length are known (from KNOWN_TRAILS or the command line)
+function requireTrailDetails(trail) {
+  if (!trail.name || trail.totalMiles === null) {
+    throw new Error(`Trail "${trail.id}" is not built in; pass --name "<Trail Name>" and --total-miles <official length>`);
+  }
+}
+
+module.exports = { ROOT, KNOWN_TRAILS, trailFiles, parseTrailArgs, requireTrailDetails };
@@ -0,0 +1,33 @@
+-- Schema for the D1 storage backend (STORAGE_BACKEND = "d1", see worker/src/store-d1.js).
+-- Apply with: npx wrangler d1 migrations apply where-is-al --remote
+
+-- One row per stored point; data is the point's JSON as stored under points:YYYY-MM-DD in KV
+CREATE TABLE IF NOT EXISTS points (
+  time TEXT PRIMARY KEY,
+  day TEXT NOT NULL,
+  trail_mile REAL,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS points_day ON points (day);
+CREATE INDEX IF NOT EXISTS points_trail_mile ON points (trail_mile);
+
+-- One row per inReach message
+CREATE TABLE IF NOT EXISTS messages (
+  time TEXT PRIMARY KEY,
+  day TEXT NOT NULL,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS messages_day ON messages (day);
+
+-- Per-day summaries (day-summary.js)
+CREATE TABLE IF NOT EXISTS day_summaries (
+  day TEXT PRIMARY KEY,
+  data TEXT NOT NULL
+);
+
+-- Small keyed values: tokens, rate limits, caches and meta: markers. expires_at is epoch ms.
+CREATE TABLE IF NOT EXISTS kv (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  expires_at INTEGER
+);
@@ -0,0 +1,428 @@
+import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { getLocalDateString, getHikingTimeZone, getOffTrailThreshold, getSpeedLimits } from './utils.js';
+import { DATE_REGEX } from './constants.js';
+import { snapStalePoints, findSnapAnchor } from './trail-distance.js';
+import { getTrail } from './trails.js';
+import { getHikePlan } from './hike-plan.js';
+import { loadPreviousDayPoints, DAY_TIMEZONE_KEY } from './storage.js';
+import { writeDaySummary, isSummaryCurrent } from './day-summary.js';
+import { listAllKeyEntries } from './kv.js';
+import { getStore } from './store.js';
+import { KvStore } from './store-kv.js';
+import { D1Store } from './store-d1.js';
+import { flagSpeedOutliers, findLastGoodFix } from './outliers.js';
+import { storeKmlSnapshot } from './ingest.js';
+import { listKmlSnapshots, readKmlSnapshot } from './archive.js';
+
+// Read a day's raw point record from storage (including hidden points)
+async function readDayPoints(dateStr, env) {
+  return getStore(env).getDay('points', dateStr);
+}
+
+/**
+ * Apply `update` to the stored point with the given timestamp and write the day back.
+ * Returns the updated point, or null if no point exists at that time.
+ */
+export async function updateStoredPoint(time, update, env) {
+  const timeKey = time.toISOString();
+  const dateStr = getLocalDateString(time, getHikingTimeZone(env));
+  const dayPoints = await readDayPoints(dateStr, env);
+  if (!dayPoints) return null;
+
+  const index = dayPoints.findIndex(p => new Date(p.time).toISOString() === timeKey);
+  if (index === -1) return null;
+
+  dayPoints[index] = update({ ...dayPoints[index] });
+
+  // A moved point needs re-snapping, and hiding/moving changes its neighbours' outlier status
+  const previousPoints = await loadPreviousDayPoints(dateStr, env) || [];
+  const anchor = findSnapAnchor(previousPoints);
+  snapStalePoints(dayPoints, getTrail(env), getOffTrailThreshold(env), { anchor, plan: getHikePlan(env) });
+  flagSpeedOutliers(dayPoints, getSpeedLimits(env), { before: findLastGoodFix(previousPoints) });
+
+  await getStore(env).putDay('points', dateStr, dayPoints);
+  await writeDaySummary(dateStr, dayPoints, env);
+
+  // Stats are cached for a minute; drop the cache so the edit shows up immediately
+  try {
+    await getStore(env).delete('cache:stats');
+  } catch (_) {}
+
+  return dayPoints[index];
+}
+
+function hidePoint(point) {
+  return { ...point, hidden: true };
+}
+
+function restorePoint(point) {
+  return { ...point, hidden: null };
+}
+
+// Move a point to corrected coordinates, remembering where the device reported it.
+// Trail snapping fields are cleared so they get recomputed for the new location.
+function movePoint(lat, lon) {
+  return (point) => ({
+    ...point,
+    correctedFrom: point.correctedFrom ?? { lat: point.lat, lon: point.lon },
+    lat,
+    lon,
+    onTrail: null,
+    trailMile: null,
+    trailElevation: null,
+    snapConfidence: null,
+    snapVersion: null,
+    snapThreshold: null
+  });
+}
+
+// Write the summary of each points day ({ date, value }) that is missing one, has a stale one
+// (older summary code, snapping or OFF_TRAIL_THRESHOLD), is in `changed`, or any with `force`,
+// and delete summaries of days that no longer have points.
+async function refreshDaySummaries(days, env, { force = false, changed = new Set() } = {}) {
+  const store = getStore(env);
+  const trail = getTrail(env);
+  const thresholdMiles = getOffTrailThreshold(env);
+  const stored = new Map((await store.loadDays('days')).map(({ date, value }) => [date, value]));
+
+  let written = 0;
+  for (const { date, value: dayPoints } of days) {
+    const summary = stored.get(date);
+    if (!force && !changed.has(date) && summary && isSummaryCurrent(summary, trail, thresholdMiles)) continue;
+    await writeDaySummary(date, dayPoints, env);
+    written++;
+  }
+
+  const pointDays = new Set(days.map(({ date }) => date));
+  let deleted = 0;
+  for (const date of stored.keys()) {
+    if (pointDays.has(date)) continue;
+    await store.deleteDay('days', date);
+    deleted++;
+  }
+
+  return { written, deleted };
+}
+
+// Re-snap every stored day whose points were snapped against another trail or trail dataset, an
+// older snapping algorithm, or a different OFF_TRAIL_THRESHOLD (or all points with ?force=true).
+// Days are processed in date order so each day's snapping continues from the previous one.
+// Day summaries that are missing or stale are rebuilt too, so run this after upgrading.
+async function handleResnap(request, env) {
+  const force = new URL(request.url).searchParams.get('force') === 'true';
+  const trail = getTrail(env);
+  const thresholdMiles = getOffTrailThreshold(env);
+  const plan = getHikePlan(env);
+  const store = getStore(env);
+  const days = await store.loadDays('points');
+
+  const resnapped = new Set();
+  let pointsResnapped = 0;
+  let anchor = null;
+  for (const { date, value: dayPoints } of days) {
+    const count = snapStalePoints(dayPoints, trail, thresholdMiles, { force, anchor, plan });
+    anchor = findSnapAnchor(dayPoints) || anchor;
+    if (count === 0) continue;
+
+    await store.putDay('points', date, dayPoints);
+    resnapped.add(date);
+    pointsResnapped += count;
+  }
+
+  const summaries = await refreshDaySummaries(days, env, { changed: resnapped });
+
+  if (resnapped.size > 0 || summaries.written > 0 || summaries.deleted > 0) {
+    try {
+      await store.delete('cache:stats');
+    } catch (_) {}
+  }
+
+  return createSuccessResponse({
+    success: true,
+    daysScanned: days.length,
+    daysUpdated: resnapped.size,
+    pointsResnapped,
+    summariesWritten: summaries.written,
+    summariesDeleted: summaries.deleted
+  }, request, { 'Cache-Control': 'no-cache' });
+}
+
+// Regroup every record in `collection` (points or messages) into days for `timeZone`.
+// New day records are written before emptied ones are deleted, so an interrupted run loses
+// nothing and can simply be repeated. `finalize` may adjust the regrouped records before writing;
+// it gets each day's time-sorted records, in date order.
+async function rebucketCollection(collection, timeZone, env, finalize = null) {
+  const store = getStore(env);
+  const days = await store.loadDays(collection);
+  const storedJson = new Map();
+  const byDay = new Map();
+
+  for (const { date, value } of days) {
+    storedJson.set(date, JSON.stringify(value));
+    for (const record of value) {
+      const localDate = getLocalDateString(record.time, timeZone);
+      if (!byDay.has(localDate)) byDay.set(localDate, new Map());
+      byDay.get(localDate).set(new Date(record.time).toISOString(), record);
+    }
+  }
+
+  const dates = Array.from(byDay.keys()).sort();
+  const recordsByDate = dates.map(date =>
+    Array.from(byDay.get(date).values()).sort((a, b) => new Date(a.time) - new Date(b.time))
+  );
+  if (finalize) finalize(recordsByDate);
+
+  let daysWritten = 0;
+  for (const [i, date] of dates.entries()) {
+    const records = recordsByDate[i];
+    if (JSON.stringify(records) === storedJson.get(date)) continue;
+    await store.putDay(collection, date, records);
+    daysWritten++;
+  }
+
+  let daysDeleted = 0;
+  for (const date of storedJson.keys()) {
+    if (byDay.has(date)) continue;
+    await store.deleteDay(collection, date);
+    daysDeleted++;
+  }
+
+  return { daysRead: days.length, daysWritten, daysDeleted };
+}
+
+// Migrate stored points and messages to day keys in the configured HIKING_TIMEZONE.
+// Run once after changing HIKING_TIMEZONE; running it again is a no-op.
+async function handleRebucket(request, env) {
+  const timeZone = getHikingTimeZone(env);
+  const speedLimits = getSpeedLimits(env);
+
+  // Refresh outlier flags for the regrouped days in one pass, so fixes around midnight are
+  // checked against their neighbours on either side
+  const points = await rebucketCollection('points', timeZone, env, pointsByDate => flagSpeedOutliers(pointsByDate.flat(), speedLimits));
+  const messages = await rebucketCollection('messages', timeZone, env);
+
+  // Day summaries follow the new day keys; rebuilding them also drops summaries for removed days
+  const store = getStore(env);
+  const summaries = await refreshDaySummaries(await store.loadDays('points'), env, { force: true });
+
+  await store.put(DAY_TIMEZONE_KEY, timeZone);
+  try {
+    await store.delete('cache:stats');
+  } catch (_) {}
+
+  return createSuccessResponse({
+    success: true,
+    timeZone,
+    points,
+    messages,
+    daySummaries: summaries.written
+  }, request, { 'Cache-Control': 'no-cache' });
+}
+
+// Keyed values carried over by the storage migration; cache: and ratelimit: entries are
+// short-lived and simply rebuilt
+const MIGRATED_KEY_PREFIXES = ['meta:', 'token:', 'health:'];
+
+// Copy everything stored in the TRAIL_HISTORY KV namespace into the TRAIL_DB D1 database,
+// optionally only the days in ?from=&to= (YYYY-MM-DD). Records are upserted, so the copy can be
+// run in chunks and repeated to pick up points ingested meanwhile before switching
+// STORAGE_BACKEND to "d1". KV is left untouched.
+async function handleMigrateStorage(request, env) {
+  if (!env.TRAIL_HISTORY || !env.TRAIL_DB) {
+    return createErrorResponse(500, 'Migration needs both the TRAIL_HISTORY KV and TRAIL_DB D1 bindings', request);
+  }
+
+  const params = new URL(request.url).searchParams;
+  const from = params.get('from');
+  const to = params.get('to');
+  if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+    return createErrorResponse(400, 'Query parameters "from" and "to" must be YYYY-MM-DD', request);
+  }
+
+  const source = new KvStore(env.TRAIL_HISTORY);
+  const target = new D1Store(env.TRAIL_DB);
+
+  const days = {};
+  for (const collection of ['points', 'messages', 'days']) {
+    const records = await source.loadDays(collection, { from, to });
+    for (const { date, value } of records) {
+      await target.putDay(collection, date, value);
+    }
+    days[collection] = records.length;
+  }
+
+  let keys = 0;
+  for (const prefix of MIGRATED_KEY_PREFIXES) {
+    for (const { name, expiration } of await listAllKeyEntries(env.TRAIL_HISTORY, prefix)) {
+      const value = await env.TRAIL_HISTORY.get(name);
+      if (value === null) continue;
+      await target.put(name, value, { expiration });
+      keys++;
+    }
+  }
+
+  return createSuccessResponse({ success: true, from, to, days, keys }, request, { 'Cache-Control': 'no-cache' });
+}
+
+const DEFAULT_REBUILD_BATCH = 50;
+
+// Env whose storage bindings point at the rebuild target: the REBUILD_HISTORY KV namespace,
+// or REBUILD_DB with the D1 backend. Null if the target isn't bound.
+function rebuildTargetEnv(env) {
+  const target = env.STORAGE_BACKEND === 'd1' ? env.REBUILD_DB : env.REBUILD_HISTORY;
+  return target ? { ...env, TRAIL_HISTORY: env.REBUILD_HISTORY, TRAIL_DB: env.REBUILD_DB } : null;
+}
+
+// Replay archived KML snapshots, oldest first, through the normal parse-and-store path into a
+// fresh namespace (e.g. after fixing a parser bug or adding fields). Each call replays ?limit=
+// snapshots; call again with the returned cursor until done, then point TRAIL_HISTORY (or
+// TRAIL_DB) at the rebuilt data. The target must not be the live storage, and the first call
+// (no cursor) refuses a target that already has points unless ?resume=true.
+async function handleRebuildFromArchive(request, env) {
+  if (!env.KML_ARCHIVE) {
+    return createErrorResponse(500, 'KML_ARCHIVE R2 bucket not configured', request);
+  }
+
+  const targetEnv = rebuildTargetEnv(env);
+  if (!targetEnv) {
+    return createErrorResponse(500, 'Rebuild target not configured (bind REBUILD_HISTORY, or REBUILD_DB for the D1 backend)', request);
+  }
+  if ((env.REBUILD_HISTORY && env.REBUILD_HISTORY === env.TRAIL_HISTORY) || (env.REBUILD_DB && env.REBUILD_DB === env.TRAIL_DB)) {
+    return createErrorResponse(500, 'Rebuild target is the live storage; bind REBUILD_HISTORY (or REBUILD_DB) to a fresh namespace', request);
+  }
+
+  const params = new URL(request.url).searchParams;
+
+  // A first page into a target that already holds points would merge into an earlier run's
+  // data; continuing that run has to be asked for
+  if (!params.get('cursor') && params.get('resume') !== 'true') {
+    const storedDays = await getStore(targetEnv).listDays('points');
+    if (storedDays.length > 0) {
+      return createErrorResponse(409, `Rebuild target already holds ${storedDays.length} days of points; empty it, or pass resume=true to replay into it anyway`, request);
+    }
+  }
+  const limitParam = parseInt(params.get('limit'), 10);
+  const limit = Number.isFinite(limitParam) && limitParam > 0 ? Math.min(limitParam, 1000) : DEFAULT_REBUILD_BATCH;
+
+  const { keys, cursor } = await listKmlSnapshots(env, { cursor: params.get('cursor'), limit });
+
+  const totals = { pointsParsed: 0, pointsNew: 0, daysWritten: 0, messagesNew: 0 };
+  const failed = [];
+  for (const key of keys) {
+    try {
+      const kmlText = await readKmlSnapshot(env, key);
+      if (!kmlText) continue;
+      const result = await storeKmlSnapshot(kmlText, targetEnv);
+      for (const field of Object.keys(totals)) totals[field] += result[field];
+    } catch (error) {
+      console.error(`[Archive] Failed to replay ${key}:`, error);
+      failed.push({ key, error: error.message });
+    }
+  }
+
+  return createSuccessResponse({
+    success: true,
+    snapshots: keys.length,
+    firstSnapshot: keys[0] || null,
+    lastSnapshot: keys[keys.length - 1] || null,
+    ...totals,
+    failed,
+    cursor,
+    done: cursor === null
+  }, request, { 'Cache-Control': 'no-cache' });
+}
+
+async function handleListPoints(request, env) {
+  const day = new URL(request.url).searchParams.get('day');
+  if (!day || !DATE_REGEX.test(day)) {
+    return createErrorResponse(400, 'Query parameter "day" is required (YYYY-MM-DD)', request);
+  }
+
+  const points = (await readDayPoints(day, env)) || [];
+  return createSuccessResponse({ date: day, points }, request, { 'Cache-Control': 'no-cache' });
+}
+
+async function handleEditPoint(request, env, action) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return createErrorResponse(400, 'Invalid request format', request);
+  }
+
+  const time = new Date(body && body.time);
+  if (!body || typeof body.time !== 'string' || isNaN(time.getTime())) {
+    return createErrorResponse(400, 'Invalid request: time field is required and must be an ISO timestamp', request);
+  }
+
+  let update;
+  if (action === 'hide') {
+    update = hidePoint;
+  } else if (action === 'restore') {
+    update = restorePoint;
+  } else {
+    const lat = Number(body.lat);
+    const lon = Number(body.lon);
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90 || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+      return createErrorResponse(400, 'Invalid request: lat and lon must be valid coordinates', request);
+    }
+    update = movePoint(lat, lon);
+  }
+
+  const point = await updateStoredPoint(time, update, env);
+  if (!point) {
+    return createErrorResponse(404, `No point found at ${time.toISOString()}`, request);
+  }
+
+  return createSuccessResponse({ success: true, action, point }, request, { 'Cache-Control': 'no-cache' });
+}
+
+/**
+ * Admin point editing (requires an admin token):
+ *   GET  /admin/points?day=YYYY-MM-DD   list a day's stored points, including hidden ones
+ *   POST /admin/points/hide     { time }            soft-delete a bad fix
+ *   POST /admin/points/restore  { time }            undo a hide
+ *   POST /admin/points/move     { time, lat, lon }  correct a point's location
+ *   POST /admin/resnap[?force=true]                 recompute stale trail snapping in bulk
+ *   POST /admin/rebucket                            move stored days to HIKING_TIMEZONE day keys
+ *   POST /admin/migrate-storage[?from=&to=]         copy KV data into the D1 database
+ *   POST /admin/rebuild-from-archive[?cursor=&limit=]  replay archived KML into a fresh namespace
+ */
+export async function handleAdmin(request, env) {
+  if (!getStore(env)) {
+    return createErrorResponse(500, 'Storage not configured', request);
+  }
+
+  const { pathname } = new URL(request.url);
+
+  try {
+    if (pathname === '/admin/points' && request.method === 'GET') {
+      return await handleListPoints(request, env);
+    }
+
+    if (pathname === '/admin/resnap' && request.method === 'POST') {
+      return await handleResnap(request, env);
+    }
+
+    if (pathname === '/admin/rebucket' && request.method === 'POST') {
+      return await handleRebucket(request, env);
+    }
+
+    if (pathname === '/admin/migrate-storage' && request.method === 'POST') {
+      return await handleMigrateStorage(request, env);
+    }
+
+    if (pathname === '/admin/rebuild-from-archive' && request.method === 'POST') {
+      return await handleRebuildFromArchive(request, env);
+    }
+
+    const match = pathname.match(/^\/admin\/points\/(hide|restore|move)$/);
+    if (match && request.method === 'POST') {
+      return await handleEditPoint(request, env, match[1]);
+    }
+  } catch (error) {
+    return createErrorResponse(500, error.message, request);
+  }
+
+  return createErrorResponse(404, 'Not Found', request);
+}
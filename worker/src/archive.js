@@ -0,0 +1,40 @@
+// Raw MapShare KML snapshots in the KML_ARCHIVE R2 bucket, one object per feed fetch:
+// kml/<fetch time ISO>.kml, so listing order is fetch order. Archiving is skipped when the
+// bucket isn't bound; the rebuild command (POST /admin/rebuild-from-archive) replays them.
+const SNAPSHOT_PREFIX = 'kml/';
+
+// Archive one fetched feed body. Never throws: a failed archive must not fail the ingest.
+export async function archiveKmlSnapshot(env, kmlText, { fetchedAt, since, httpStatus }) {
+  if (!env.KML_ARCHIVE) return null;
+
+  const key = `${SNAPSHOT_PREFIX}${fetchedAt.toISOString()}.kml`;
+  try {
+    await env.KML_ARCHIVE.put(key, kmlText, {
+      httpMetadata: { contentType: 'application/vnd.google-earth.kml+xml' },
+      customMetadata: { since: since.toISOString(), httpStatus: String(httpStatus) }
+    });
+    return key;
+  } catch (error) {
+    console.error(`[Archive] Failed to archive KML snapshot ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * List archived snapshot keys, oldest first, a page at a time.
+ *
+ * @returns {Promise<{ keys: string[], cursor: string|null }>} cursor is null after the last page
+ */
+export async function listKmlSnapshots(env, { cursor = null, limit = 100 } = {}) {
+  const page = await env.KML_ARCHIVE.list({ prefix: SNAPSHOT_PREFIX, cursor: cursor || undefined, limit });
+  return {
+    keys: page.objects.map(object => object.key),
+    cursor: page.truncated ? page.cursor : null
+  };
+}
+
+// Read an archived snapshot's KML text, or null if it no longer exists
+export async function readKmlSnapshot(env, key) {
+  const object = await env.KML_ARCHIVE.get(key);
+  return object ? object.text() : null;
+}
@@ -0,0 +1,4 @@
+// Map milestones snapped to their trail mile, sorted by mile. offTrailMiles is how far the
+// milestone's coordinates are from the trail line.
+// Generated by scripts/build-trail-milestones.js from data/milestones.json for AT_TRAIL_DATA_VERSION 864d813f
+export const AT_TRAIL_MILESTONES = {"version":"864d813f","milestones":[{"name":"Springer Mountain","description":"Southern Terminus. The official start, with a plaque and register.","state":"Georgia","lat":34.6267,"lon":-84.1936,"mile":0,"offTrailMiles":0.01},{"name":"Blood Mountain","description":"Georgia's highest A.T. point (4,458 ft) with a historic CCC stone shelter and panoramic views.","state":"Georgia","lat":34.74,"lon":-83.937,"mile":29.21,"offTrailMiles":0.02},{"name":"Neels Gap","description":"Mountain Crossings outfitter (the only building the trail passes through) for early resupply.","state":"Georgia","lat":34.724,"lon":-83.917,"mile":31.64,"offTrailMiles":0.72},{"name":"Fontana Dam","description":"Tallest dam east of the Rockies. Entering the Smokies.","state":"North Carolina","lat":35.443,"lon":-83.805,"mile":164.29,"offTrailMiles":0.52},{"name":"Clingmans Dome","description":"Highest point on the entire A.T. (6,643 ft) with an observation tower.","state":"Tennessee / North Carolina","lat":35.5629,"lon":-83.4984,"mile":200.06,"offTrailMiles":0},{"name":"Charlie's Bunion","description":"Dramatic rocky outcrop with stunning views.","state":"Tennessee / North Carolina","lat":35.639,"lon":-83.381,"mile":211.47,"offTrailMiles":0.3},{"name":"Max Patch","description":"Iconic open bald with sweeping mountain views.","state":"North Carolina","lat":35.797,"lon":-82.962,"mile":255.88,"offTrailMiles":0.22},{"name":"Hot Springs","description":"Trail runs through downtown. Natural mineral baths and resupply. One of three towns the A.T. passes directly through.","state":"North Carolina","lat":35.892,"lon":-82.829,"mile":274.93,"offTrailMiles":0.03},{"name":"Roan Highlands","description":"Grassy balds (Round Bald, Jane Bald, Grassy Ridge) with 360-degree vistas.","state":"Tennessee / North Carolina","lat":36.106,"lon":-82.11,"mile":374.93,"offTrailMiles":0.04},{"name":"Damascus","description":"\"Trail Town USA.\" One of three towns the A.T. passes through downtown. Hosts Trail Days each May.","state":"Virginia","lat":36.633,"lon":-81.789,"mile":459.73,"offTrailMiles":0.13},{"name":"Grayson Highlands","description":"Wild ponies, open balds, and Mount Rogers (highest in VA).","state":"Virginia","lat":36.657,"lon":-81.545,"mile":486.83,"offTrailMiles":0.28},{"name":"Dragon's Tooth","description":"Rugged rock formations and views (part of the Virginia Triple Crown).","state":"Virginia","lat":37.365,"lon":-80.161,"mile":692.57,"offTrailMiles":0.19},{"name":"McAfee Knob","description":"The most photographed spot on the A.T., with a dramatic cliff ledge overlook.","state":"Virginia","lat":37.379,"lon":-80.089,"mile":699.32,"offTrailMiles":0.14},{"name":"Tinker Cliffs","description":"Rugged rock formations and views (part of the Virginia Triple Crown).","state":"Virginia","lat":37.42,"lon":-79.99,"mile":707.29,"offTrailMiles":0.33},{"name":"Harpers Ferry","description":"Psychological halfway point (~1,014 miles) and ATC headquarters.","state":"West Virginia","lat":39.324,"lon":-77.739,"mile":1016.28,"offTrailMiles":0.11},{"name":"Pine Grove Furnace","description":"Official halfway marker (varies slightly yearly).","state":"Pennsylvania","lat":40.033,"lon":-77.306,"mile":1099.24,"offTrailMiles":0.11},{"name":"Delaware Water Gap","description":"Historic crossing at the PA/NJ border. A.T. Community with scenic notch cut by the Delaware River.","state":"Pennsylvania / New Jersey","lat":40.968,"lon":-75.12,"mile":1307.18,"offTrailMiles":0.3},{"name":"Bear Mountain Bridge","description":"Lowest elevation on the trail (124 ft) crossing the Hudson River.","state":"New York","lat":41.319,"lon":-73.984,"mile":1416.76,"offTrailMiles":0.06},{"name":"Mount Greylock","description":"Massachusetts' highest point (3,491 ft) with a war memorial tower and views of five states.","state":"Massachusetts","lat":42.637,"lon":-73.166,"mile":1598.9,"offTrailMiles":0.01},{"name":"Hanover","description":"Trail runs through Main Street. One of three towns the A.T. passes through. Dartmouth Outing Club maintains the section.","state":"New Hampshire","lat":43.704,"lon":-72.289,"mile":1761.31,"offTrailMiles":0.1},{"name":"Mount Moosilauke","description":"White Mountains begin - first big alpine climb for NOBOs.","state":"New Hampshire","lat":44.024,"lon":-71.8315,"mile":1811.41,"offTrailMiles":0.02},{"name":"Franconia Ridge","description":"One of the longest above-treeline stretches on the A.T. Mt. Lafayette, Lincoln, Liberty. Stunning 360-degree views.","state":"New Hampshire","lat":44.161,"lon":-71.645,"mile":1836.71,"offTrailMiles":0.01},{"name":"Mount Washington","description":"Highest in the Northeast outside Maine; Presidential Range with exposed ridges.","state":"New Hampshire","lat":44.2706,"lon":-71.3033,"mile":1869.67,"offTrailMiles":0.15},{"name":"Mahoosuc Notch","description":"\"The hardest mile\" with boulder scrambling.","state":"Maine","lat":44.558,"lon":-70.999,"mile":1926.45,"offTrailMiles":1},{"name":"100 Mile Wilderness","description":"Most remote section (~92 miles) from Monson to Abol Bridge. No road crossings, requires 10+ days of supplies.","state":"Maine","lat":45.2979,"lon":-69.4946,"mile":2079.83,"offTrailMiles":2.15},{"name":"Gulf Hagas","description":"\"Grand Canyon of Maine\" - dramatic slate gorge with 130-ft walls and waterfalls in the 100 Mile Wilderness.","state":"Maine","lat":45.484,"lon":-69.323,"mile":2114.69,"offTrailMiles":0.89},{"name":"Abol Bridge","description":"End of the 100 Mile Wilderness. First view of Katahdin for NOBOs before the final approach.","state":"Maine","lat":45.8679,"lon":-68.9972,"mile":2192.26,"offTrailMiles":0.92},{"name":"Mount Katahdin","description":"Northern Terminus. The iconic wooden sign marking the end, with a challenging boulder climb.","state":"Maine","lat":45.9045,"lon":-68.9214,"mile":2197.9,"offTrailMiles":0}]};
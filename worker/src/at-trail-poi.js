@@ -0,0 +1,5 @@
+// Points of interest snapped to their trail mile, sorted by mile. offTrailMiles is how far the
+// point's coordinates are from the trail line (towns and post offices are usually a hitch away).
+// coverage lists, by category, the trail-mile stretches where that category's list is complete.
+// Generated by scripts/build-trail-poi.js from data/at-poi.json for AT_TRAIL_DATA_VERSION 864d813f
+export const AT_TRAIL_POI = {"version":"864d813f","coverage":{"shelter":[[0,29.22]],"chicken":[[0,2197.9]]},"points":[{"category":"shelter","name":"Springer Mountain Shelter","description":"First shelter on the trail, just north of the summit. Spring nearby.","state":"Georgia","lat":34.6296,"lon":-84.1921,"mile":0.17,"offTrailMiles":0.17},{"category":"shelter","name":"Stover Creek Shelter","description":"Two-level shelter by Stover Creek.","state":"Georgia","lat":34.6474,"lon":-84.2,"mile":2.53,"offTrailMiles":0.08},{"category":"shelter","name":"Hawk Mountain Shelter","description":"Shelter on a side trail below Hawk Mountain. Spring behind.","state":"Georgia","lat":34.6662,"lon":-84.1353,"mile":8.15,"offTrailMiles":0.12},{"category":"shelter","name":"Gooch Mountain Shelter","description":"Shelter with tent pads and a reliable spring.","state":"Georgia","lat":34.6547,"lon":-84.0403,"mile":16.3,"offTrailMiles":0.01},{"category":"chicken","name":"Shenanigans Irish Pub","description":"Local Irish pub serving fried chicken plate","state":"Georgia","lat":34.532,"lon":-83.985,"mile":17.14,"offTrailMiles":8.71},{"category":"post-office","name":"Suches Post Office","description":"GA 60, 2 mi from Woody Gap.","state":"Georgia","lat":34.6917,"lon":-84.0209,"mile":19.54,"offTrailMiles":1.32},{"category":"road","name":"Woody Gap (GA 60)","description":"Paved road; hitch to Suches.","state":"Georgia","lat":34.6775,"lon":-83.9996,"mile":21.09,"offTrailMiles":0.01},{"category":"shelter","name":"Woods Hole Shelter","description":"Shelter 0.4 mi off trail below Blood Mountain.","state":"Georgia","lat":34.7333,"lon":-83.961,"mile":27.04,"offTrailMiles":0.23},{"category":"shelter","name":"Blood Mountain Shelter","description":"Historic CCC stone shelter on the summit. No water.","state":"Georgia","lat":34.7399,"lon":-83.937,"mile":29.22,"offTrailMiles":0.02},{"category":"water","name":"Neels Gap spigot","description":"Outdoor spigot at Mountain Crossings.","state":"Georgia","lat":34.735,"lon":-83.9184,"mile":31.34,"offTrailMiles":0.03},{"category":"road","name":"Neels Gap (US 19/129)","description":"The trail passes through Mountain Crossings.","state":"Georgia","lat":34.735,"lon":-83.9184,"mile":31.34,"offTrailMiles":0.03},{"category":"hostel","name":"Mountain Crossings","description":"Outfitter and hostel at Neels Gap.","state":"Georgia","lat":34.735,"lon":-83.9184,"mile":31.34,"offTrailMiles":0.03},{"category":"water","name":"Tesnatee Gap spring","description":"Seasonal spring below the gap.","state":"Georgia","lat":34.726,"lon":-83.8475,"mile":37.04,"offTrailMiles":0.01},{"category":"road","name":"Hogpen Gap (GA 348)","description":"Richard Russell Scenic Highway.","state":"Georgia","lat":34.724,"lon":-83.839,"mile":37.58,"offTrailMiles":0.07},{"category":"town","name":"Helen","description":"Alpine-themed tourist town, 9 mi from Unicoi Gap.","state":"Georgia","lat":34.7015,"lon":-83.731,"mile":38.43,"offTrailMiles":5.96},{"category":"chicken","name":"Bigg Daddys Restaurant","description":"Local restaurant and tavern with fried chicken dinners","state":"Georgia","lat":34.701,"lon":-83.728,"mile":38.43,"offTrailMiles":6.14},{"category":"shelter","name":"Blue Mountain Shelter","description":"Shelter below Blue Mountain. Spring on the trail north of it.","state":"Georgia","lat":34.813,"lon":-83.7723,"mile":49.76,"offTrailMiles":0.3},{"category":"road","name":"Unicoi Gap (GA 75)","description":"Hitch to Helen.","state":"Georgia","lat":34.8017,"lon":-83.7425,"mile":52.4,"offTrailMiles":0.05},{"category":"water","name":"Indian Grave Gap creek","description":"Small creek south of the gap.","state":"Georgia","lat":34.793,"lon":-83.7145,"mile":54.88,"offTrailMiles":0.02},{"category":"shelter","name":"Tray Mountain Shelter","description":"Shelter just north of Tray Mountain's summit.","state":"Georgia","lat":34.803,"lon":-83.6838,"mile":57.25,"offTrailMiles":0.09},{"category":"shelter","name":"Deep Gap Shelter","description":"Shelter 0.3 mi off trail in Deep Gap.","state":"Georgia","lat":34.8806,"lon":-83.6541,"mile":65.12,"offTrailMiles":0.07},{"category":"chicken","name":"Papa's Pizza & Subs","description":"Local pizza and subs spot with fried chicken specials","state":"Georgia","lat":34.945,"lon":-83.757,"mile":65.45,"offTrailMiles":7.39},{"category":"post-office","name":"Hiawassee Post Office","description":"11 mi from Dicks Creek Gap.","state":"Georgia","lat":34.9493,"lon":-83.7574,"mile":65.72,"offTrailMiles":7.58},{"category":"town","name":"Hiawassee","description":"Full resupply, 11 mi from Dicks Creek Gap.","state":"Georgia","lat":34.9493,"lon":-83.7574,"mile":65.72,"offTrailMiles":7.58},{"category":"hostel","name":"Top of Georgia Hostel","description":"Hostel and resupply near Dicks Creek Gap.","state":"Georgia","lat":34.911,"lon":-83.6216,"mile":69.19,"offTrailMiles":0.15},{"category":"road","name":"Dicks Creek Gap (US 76)","description":"Hitch to Hiawassee.","state":"Georgia","lat":34.9125,"lon":-83.6185,"mile":69.38,"offTrailMiles":0.03},{"category":"shelter","name":"Plumorchard Gap Shelter","description":"Large shelter 0.2 mi off trail. Last shelter in Georgia.","state":"Georgia","lat":34.9479,"lon":-83.5868,"mile":74.3,"offTrailMiles":0.16},{"category":"shelter","name":"Standing Indian Shelter","description":"Shelter below Standing Indian Mountain.","state":"North Carolina","lat":35.0373,"lon":-83.5376,"mile":88.17,"offTrailMiles":0.06},{"category":"chicken","name":"Daniel's Steakhouse","description":"Southern buffet with standout fried chicken and sides","state":"Georgia","lat":34.879,"lon":-83.399,"mile":95.62,"offTrailMiles":9.8},{"category":"shelter","name":"Carter Gap Shelter","description":"Two shelters in Carter Gap.","state":"North Carolina","lat":35.072,"lon":-83.489,"mile":102.09,"offTrailMiles":0.37},{"category":"post-office","name":"Franklin Post Office","description":"10 mi from Winding Stair Gap.","state":"North Carolina","lat":35.1823,"lon":-83.3816,"mile":106.28,"offTrailMiles":9.86},{"category":"town","name":"Franklin","description":"Hiker-friendly town with shuttles from Winding Stair Gap.","state":"North Carolina","lat":35.1823,"lon":-83.3816,"mile":106.28,"offTrailMiles":9.86},{"category":"chicken","name":"The Factory Diner","description":"Local diner serving fried chicken","state":"North Carolina","lat":35.182,"lon":-83.382,"mile":106.28,"offTrailMiles":9.83},{"category":"shelter","name":"Rock Gap Shelter","description":"Shelter just south of Rock Gap, near the road to Franklin.","state":"North Carolina","lat":35.0977,"lon":-83.5273,"mile":106.65,"offTrailMiles":0.03},{"category":"shelter","name":"Long Branch Shelter","description":"Two-level shelter by Long Branch.","state":"North Carolina","lat":35.1065,"lon":-83.536,"mile":107.63,"offTrailMiles":0.05},{"category":"road","name":"Winding Stair Gap (US 64)","description":"Hitch to Franklin.","state":"North Carolina","lat":35.1197,"lon":-83.5479,"mile":109.55,"offTrailMiles":0.02},{"category":"shelter","name":"Wayah Shelter","description":"Shelter north of Wayah Bald.","state":"North Carolina","lat":35.1882,"lon":-83.5643,"mile":120.97,"offTrailMiles":0.01},{"category":"shelter","name":"A. Rufus Morgan Shelter","description":"Shelter by a creek above the Nantahala Outdoor Center.","state":"North Carolina","lat":35.319,"lon":-83.5826,"mile":135.72,"offTrailMiles":0.24},{"category":"water","name":"Nantahala River","description":"Treat or filter; the NOC has potable water.","state":"North Carolina","lat":35.3316,"lon":-83.5925,"mile":136.93,"offTrailMiles":0.01},{"category":"road","name":"US 19 / Nantahala Outdoor Center","description":"Trail crosses the river at the NOC.","state":"North Carolina","lat":35.3316,"lon":-83.5925,"mile":136.93,"offTrailMiles":0.01},{"category":"hostel","name":"Nantahala Outdoor Center","description":"Bunkhouse, outfitter and restaurants on the trail.","state":"North Carolina","lat":35.3316,"lon":-83.5925,"mile":136.93,"offTrailMiles":0.01},{"category":"shelter","name":"Sassafras Gap Shelter","description":"Shelter below Cheoah Bald.","state":"North Carolina","lat":35.3448,"lon":-83.6353,"mile":140.74,"offTrailMiles":0.25},{"category":"road","name":"Stecoah Gap (NC 143)","description":"Paved road with a picnic area.","state":"North Carolina","lat":35.362,"lon":-83.718,"mile":150.7,"offTrailMiles":0.06},{"category":"shelter","name":"Brown Fork Gap Shelter","description":"Shelter between Stecoah Gap and Yellow Creek Gap.","state":"North Carolina","lat":35.3712,"lon":-83.7431,"mile":153.46,"offTrailMiles":0.01},{"category":"chicken","name":"Lynn's Place Restaurant","description":"Family-owned local restaurant with fried chicken","state":"North Carolina","lat":35.322,"lon":-83.807,"mile":154.33,"offTrailMiles":4.78},{"category":"post-office","name":"Fontana Dam Post Office","description":"In Fontana Village, 2 mi from the trail.","state":"North Carolina","lat":35.4346,"lon":-83.8213,"mile":163.41,"offTrailMiles":1.2},{"category":"town","name":"Fontana Village","description":"Resort village with a small store before the Smokies.","state":"North Carolina","lat":35.4346,"lon":-83.8213,"mile":163.41,"offTrailMiles":1.2},{"category":"road","name":"NC 28 (Fontana Dam Marina)","description":"Shuttle to Fontana Village.","state":"North Carolina","lat":35.4423,"lon":-83.7977,"mile":164.29,"offTrailMiles":0.1},{"category":"water","name":"Fontana Dam Visitor Center","description":"Potable water and restrooms at the dam.","state":"North Carolina","lat":35.4509,"lon":-83.8063,"mile":166,"offTrailMiles":0.11},{"category":"shelter","name":"Fontana Dam Shelter","description":"The \"Fontana Hilton\", by the lake with showers nearby.","state":"North Carolina","lat":35.4513,"lon":-83.8105,"mile":166.16,"offTrailMiles":0.16},{"category":"shelter","name":"Mollies Ridge Shelter","description":"First shelter in the Smokies. Reservations required.","state":"Tennessee / North Carolina","lat":35.5286,"lon":-83.8046,"mile":174.52,"offTrailMiles":0.43},{"category":"shelter","name":"Spence Field Shelter","description":"Smokies shelter below Spence Field bald.","state":"Tennessee / North Carolina","lat":35.5658,"lon":-83.73,"mile":183,"offTrailMiles":0.15},{"category":"chicken","name":"Everett Street Diner","description":"Local diner with fried chicken biscuits and gravy","state":"North Carolina","lat":35.431,"lon":-83.447,"mile":200.11,"offTrailMiles":9.54},{"category":"town","name":"Gatlinburg","description":"Tourist town, 15 mi from Newfound Gap.","state":"Tennessee","lat":35.7143,"lon":-83.5102,"mile":206.01,"offTrailMiles":7.95},{"category":"water","name":"Newfound Gap","description":"Restrooms with potable water in season.","state":"Tennessee / North Carolina","lat":35.611,"lon":-83.425,"mile":207.59,"offTrailMiles":0.06},{"category":"road","name":"Newfound Gap (US 441)","description":"Hitch to Gatlinburg or Cherokee.","state":"Tennessee / North Carolina","lat":35.611,"lon":-83.425,"mile":207.59,"offTrailMiles":0.06},{"category":"shelter","name":"Icewater Spring Shelter","description":"Busy Smokies shelter 3 mi north of Newfound Gap.","state":"Tennessee / North Carolina","lat":35.629,"lon":-83.3926,"mile":210.42,"offTrailMiles":0.11},{"category":"shelter","name":"Davenport Gap Shelter","description":"Last Smokies shelter, with a chain-link front.","state":"Tennessee / North Carolina","lat":35.7674,"lon":-83.1201,"mile":239.47,"offTrailMiles":0.08},{"category":"road","name":"Davenport Gap (TN 32)","description":"Northern end of the Smokies.","state":"Tennessee / North Carolina","lat":35.7708,"lon":-83.1098,"mile":240.14,"offTrailMiles":0},{"category":"hostel","name":"Standing Bear Farm","description":"Hostel just north of the Smokies.","state":"Tennessee","lat":35.7773,"lon":-83.1202,"mile":241.18,"offTrailMiles":0.4},{"category":"chicken","name":"Smoky Mountain Diner","description":"Classic local diner with crispy Southern fried chicken","state":"North Carolina","lat":35.892,"lon":-82.83,"mile":274.87,"offTrailMiles":0.04},{"category":"town","name":"Hot Springs","description":"Trail town with mineral baths.","state":"North Carolina","lat":35.893,"lon":-82.829,"mile":274.96,"offTrailMiles":0.09},{"category":"post-office","name":"Hot Springs Post Office","description":"On the trail in town.","state":"North Carolina","lat":35.8932,"lon":-82.8284,"mile":275,"offTrailMiles":0.09},{"category":"chicken","name":"Iron Horse Station","description":"Historic local restaurant with fried chicken special","state":"North Carolina","lat":35.892,"lon":-82.828,"mile":275,"offTrailMiles":0.01},{"category":"hostel","name":"Laughing Heart Lodge","description":"Hostel and lodge on the trail in Hot Springs.","state":"North Carolina","lat":35.895,"lon":-82.826,"mile":275.2,"offTrailMiles":0.17},{"category":"town","name":"Erwin","description":"Town near the Nolichucky River.","state":"Tennessee","lat":36.1451,"lon":-82.4168,"mile":343.66,"offTrailMiles":2.55},{"category":"chicken","name":"Clarion Ridge Restaurant","description":"Local restaurant serving fried chicken in Erwin","state":"Tennessee","lat":36.143,"lon":-82.417,"mile":343.66,"offTrailMiles":2.4},{"category":"road","name":"Carvers Gap (TN 143)","description":"Parking below the Roan Highlands balds.","state":"Tennessee / North Carolina","lat":36.1063,"lon":-82.1101,"mile":374.91,"offTrailMiles":0.02},{"category":"post-office","name":"Damascus Post Office","description":"On the trail in town.","state":"Virginia","lat":36.6338,"lon":-81.7858,"mile":459.91,"offTrailMiles":0.03},{"category":"chicken","name":"Mojo's Trailside Café","description":"Trailside local cafe with fried chicken nights","state":"Virginia","lat":36.634,"lon":-81.784,"mile":460.02,"offTrailMiles":0},{"category":"town","name":"Damascus","description":"\"Trail Town USA\", home of Trail Days.","state":"Virginia","lat":36.6334,"lon":-81.7834,"mile":460.08,"offTrailMiles":0.01},{"category":"chicken","name":"Keystone Restaurant","description":"Home-style local diner with always-available fried chicken","state":"Virginia","lat":37.096,"lon":-81.062,"mile":584.04,"offTrailMiles":2.26},{"category":"town","name":"Pearisburg","description":"Town near the New River.","state":"Virginia","lat":37.3268,"lon":-80.737,"mile":624.97,"offTrailMiles":0.74},{"category":"chicken","name":"MacArthur Inn Restaurant","description":"Historic inn restaurant with home-style fried chicken","state":"Virginia","lat":37.329,"lon":-80.744,"mile":624.97,"offTrailMiles":0.36},{"category":"chicken","name":"The Homeplace Restaurant","description":"Legendary family-style AYCE fried chicken","state":"Virginia","lat":37.383,"lon":-80.109,"mile":698.29,"offTrailMiles":0.58},{"category":"road","name":"Rockfish Gap (I-64 / US 250)","description":"Hitch to Waynesboro. Southern end of Shenandoah National Park.","state":"Virginia","lat":38.0314,"lon":-78.8586,"mile":850.76,"offTrailMiles":0.1},{"category":"chicken","name":"Mrs. Rowe's Restaurant & Bakery","description":"Iconic local Southern restaurant with fried chicken","state":"Virginia","lat":38.149,"lon":-79.073,"mile":850.97,"offTrailMiles":14.06},{"category":"chicken","name":"Chicken Coop","description":"Local roadside spot known for excellent Southern fried chicken","state":"Virginia","lat":38.067,"lon":-78.889,"mile":851.28,"offTrailMiles":2.78},{"category":"town","name":"Waynesboro","description":"Town below Rockfish Gap.","state":"Virginia","lat":38.0685,"lon":-78.8895,"mile":851.33,"offTrailMiles":2.87},{"category":"chicken","name":"Southern Kitchen Restaurant","description":"Historic family-style restaurant (since 1955) with award-winning fried chicken at 9576 US-11, New Market","state":"Virginia","lat":38.643,"lon":-78.675,"mile":915.7,"offTrailMiles":14.76},{"category":"town","name":"Front Royal","description":"Town north of Shenandoah National Park.","state":"Virginia","lat":38.9182,"lon":-78.1944,"mile":962.07,"offTrailMiles":3.63},{"category":"chicken","name":"Spelunker's Frozen Custard & Grill","description":"Local grill with fried chicken sandwiches","state":"Virginia","lat":38.917,"lon":-78.195,"mile":962.07,"offTrailMiles":3.58},{"category":"hostel","name":"Bears Den Hostel","description":"Stone lodge a short walk off the trail in northern Virginia.","state":"Virginia","lat":39.1103,"lon":-77.8497,"mile":995.46,"offTrailMiles":0.26},{"category":"town","name":"Harpers Ferry","description":"ATC headquarters and the trail's psychological halfway point.","state":"West Virginia","lat":39.3254,"lon":-77.7389,"mile":1016.3,"offTrailMiles":0.21},{"category":"post-office","name":"Harpers Ferry Post Office","description":"In the lower town, near the ATC headquarters.","state":"West Virginia","lat":39.3248,"lon":-77.7374,"mile":1016.39,"offTrailMiles":0.16},{"category":"chicken","name":"Cannonball Deli","description":"Local deli with fried chicken","state":"West Virginia","lat":39.323,"lon":-77.729,"mile":1016.89,"offTrailMiles":0.03},{"category":"chicken","name":"Old South Mountain Inn","description":"Historic local inn with comfort fried chicken","state":"Maryland","lat":39.485,"lon":-77.652,"mile":1035.31,"offTrailMiles":1.72},{"category":"town","name":"Duncannon","description":"Trail town on the Susquehanna River.","state":"Pennsylvania","lat":40.3904,"lon":-77.0311,"mile":1146.75,"offTrailMiles":0.01},{"category":"chicken","name":"The Pub at Doyle Hotel","description":"Historic local pub with fried chicken","state":"Pennsylvania","lat":40.398,"lon":-77.029,"mile":1147.33,"offTrailMiles":0.21},{"category":"chicken","name":"Blue Mountain Restaurant","description":"Local mountain restaurant serving fried chicken","state":"Pennsylvania","lat":40.58,"lon":-75.569,"mile":1267.22,"offTrailMiles":14.02},{"category":"hostel","name":"Church of the Mountain Hostel","description":"Donation hostel in Delaware Water Gap.","state":"Pennsylvania","lat":40.9786,"lon":-75.1418,"mile":1305.15,"offTrailMiles":0.08},{"category":"post-office","name":"Delaware Water Gap Post Office","description":"On the trail in town.","state":"Pennsylvania","lat":40.9787,"lon":-75.1429,"mile":1305.31,"offTrailMiles":0.11},{"category":"town","name":"Delaware Water Gap","description":"Trail town at the Pennsylvania-New Jersey line.","state":"Pennsylvania","lat":40.9787,"lon":-75.1429,"mile":1305.31,"offTrailMiles":0.11},{"category":"chicken","name":"Sycamore Grille","description":"Local grille serving fried chicken","state":"Pennsylvania","lat":40.983,"lon":-75.14,"mile":1305.6,"offTrailMiles":0},{"category":"chicken","name":"The Daily Bean","description":"Local cafe offering fried chicken sandwich","state":"New Jersey","lat":41.2,"lon":-74.485,"mile":1370.76,"offTrailMiles":1.99},{"category":"chicken","name":"Bear Mountain Inn Restaurant","description":"Historic local inn restaurant","state":"New York","lat":41.31,"lon":-73.99,"mile":1415.85,"offTrailMiles":0.19},{"category":"road","name":"Bear Mountain Bridge (US 6/202)","description":"Trail crosses the Hudson River on the bridge.","state":"New York","lat":41.3198,"lon":-73.9849,"mile":1416.71,"offTrailMiles":0},{"category":"town","name":"Kent","description":"Town a short walk from the trail.","state":"Connecticut","lat":41.7245,"lon":-73.4776,"mile":1479.8,"offTrailMiles":0.65},{"category":"chicken","name":"Fife n Drum Restaurant","description":"Local restaurant serving fried chicken","state":"Connecticut","lat":41.724,"lon":-73.477,"mile":1479.8,"offTrailMiles":0.7},{"category":"chicken","name":"Gypsy Joint Café","description":"Local cafe with fried chicken","state":"Massachusetts","lat":42.196,"lon":-73.362,"mile":1537.3,"offTrailMiles":2.9},{"category":"chicken","name":"Trail House Kitchen","description":"Local trail-oriented kitchen","state":"Massachusetts","lat":42.473,"lon":-73.133,"mile":1581.68,"offTrailMiles":1.19},{"category":"town","name":"Dalton","description":"The trail follows the town's streets.","state":"Massachusetts","lat":42.4737,"lon":-73.1665,"mile":1582.22,"offTrailMiles":0.23},{"category":"town","name":"Manchester Center","description":"Outlet town 5 mi from the trail.","state":"Vermont","lat":43.1773,"lon":-73.0562,"mile":1659.98,"offTrailMiles":2.87},{"category":"chicken","name":"Hop'n Moose Pub","description":"Local pub serving fried chicken","state":"Vermont","lat":43.609,"lon":-72.972,"mile":1697.91,"offTrailMiles":6.22},{"category":"post-office","name":"Hanover Post Office","description":"On the trail in town.","state":"New Hampshire","lat":43.7022,"lon":-72.2896,"mile":1761.34,"offTrailMiles":0.01},{"category":"town","name":"Hanover","description":"Home of Dartmouth College.","state":"New Hampshire","lat":43.7022,"lon":-72.2896,"mile":1761.34,"offTrailMiles":0.01},{"category":"chicken","name":"Lou's Restaurant & Bakery","description":"Classic local restaurant and bakery","state":"New Hampshire","lat":43.702,"lon":-72.289,"mile":1761.36,"offTrailMiles":0.01},{"category":"road","name":"Kinsman Notch (NH 112)","description":"Northern foot of Mount Moosilauke.","state":"New Hampshire","lat":44.0397,"lon":-71.7918,"mile":1814.91,"offTrailMiles":0.08},{"category":"road","name":"Pinkham Notch (NH 16)","description":"AMC Pinkham Notch Visitor Center.","state":"New Hampshire","lat":44.257,"lon":-71.253,"mile":1883.03,"offTrailMiles":0.01},{"category":"town","name":"Gorham","description":"Town between the White Mountains and the Mahoosucs.","state":"New Hampshire","lat":44.3876,"lon":-71.1731,"mile":1905.46,"offTrailMiles":2.05},{"category":"chicken","name":"Libby's Bistro","description":"Local bistro with fried chicken","state":"New Hampshire","lat":44.387,"lon":-71.188,"mile":1906.62,"offTrailMiles":2.6},{"category":"chicken","name":"Furbish Brew House & Eats","description":"Local brew house with fried chicken eats","state":"Maine","lat":44.966,"lon":-70.642,"mile":1981.13,"offTrailMiles":6.53},{"category":"chicken","name":"Coplin Dinner House","description":"Local dinner house serving fried chicken","state":"Maine","lat":45.14,"lon":-70.426,"mile":2012.27,"offTrailMiles":3.48},{"category":"hostel","name":"Shaw's Hiker Hostel","description":"Hostel and outfitter in Monson before the Hundred-Mile Wilderness.","state":"Maine","lat":45.2869,"lon":-69.5016,"mile":2079.76,"offTrailMiles":1.77},{"category":"post-office","name":"Monson Post Office","description":"Last mail drop before the Hundred-Mile Wilderness.","state":"Maine","lat":45.2873,"lon":-69.502,"mile":2079.76,"offTrailMiles":1.75},{"category":"town","name":"Monson","description":"Last town before the Hundred-Mile Wilderness.","state":"Maine","lat":45.2873,"lon":-69.502,"mile":2079.76,"offTrailMiles":1.75},{"category":"chicken","name":"Lakeshore House","description":"Local lakeshore restaurant with fried chicken","state":"Maine","lat":45.286,"lon":-69.49,"mile":2079.76,"offTrailMiles":2.34},{"category":"town","name":"Millinocket","description":"Town below Katahdin.","state":"Maine","lat":45.6573,"lon":-68.7098,"mile":2144.91,"offTrailMiles":13.54},{"category":"chicken","name":"Appalachian Trail Cafe","description":"Local cafe with fried chicken plates","state":"Maine","lat":45.657,"lon":-68.711,"mile":2144.91,"offTrailMiles":13.48},{"category":"road","name":"Golden Road (Abol Bridge)","description":"End of the Hundred-Mile Wilderness.","state":"Maine","lat":45.8355,"lon":-68.9753,"mile":2182.22,"offTrailMiles":0.14}]};
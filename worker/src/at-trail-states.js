@@ -0,0 +1,5 @@
+// Trail-mile ranges of the states along the trail and the state lines between them.
+// segments: { states, fromMile, toMile } in trail order; two states mean the trail follows the
+// border and counts toward both. lines: { name, mile, lat, lon, from, to } for each crossing.
+// Generated by scripts/build-trail-states.js from data/at-state-lines.json for AT_TRAIL_DATA_VERSION 864d813f
+export const AT_TRAIL_STATES = {"version":"864d813f","segments":[{"states":["Georgia"],"fromMile":0,"toMile":78.05},{"states":["North Carolina"],"fromMile":78.05,"toMile":171.2},{"states":["North Carolina","Tennessee"],"fromMile":171.2,"toMile":384.59},{"states":["Tennessee"],"fromMile":384.59,"toMile":452.97},{"states":["Virginia"],"fromMile":452.97,"toMile":1014.88},{"states":["West Virginia"],"fromMile":1014.88,"toMile":1016.83},{"states":["Maryland"],"fromMile":1016.83,"toMile":1060.11},{"states":["Pennsylvania"],"fromMile":1060.11,"toMile":1306.69},{"states":["New Jersey"],"fromMile":1306.69,"toMile":1380.95},{"states":["New York"],"fromMile":1380.95,"toMile":1467.62},{"states":["Connecticut"],"fromMile":1467.62,"toMile":1519.21},{"states":["Massachusetts"],"fromMile":1519.21,"toMile":1609.74},{"states":["Vermont"],"fromMile":1609.74,"toMile":1760.65},{"states":["New Hampshire"],"fromMile":1760.65,"toMile":1917.62},{"states":["Maine"],"fromMile":1917.62,"toMile":2197.9}],"lines":[{"name":"Georgia–North Carolina line","mile":78.05,"lat":34.9868,"lon":-83.5992,"from":["Georgia"],"to":["North Carolina"]},{"name":"Doe Knob","mile":171.2,"lat":35.5,"lon":-83.8142,"from":["North Carolina"],"to":["North Carolina","Tennessee"]},{"name":"Doll Flats","mile":384.59,"lat":36.1406,"lon":-82.0005,"from":["North Carolina","Tennessee"],"to":["Tennessee"]},{"name":"Tennessee–Virginia line","mile":452.97,"lat":36.5977,"lon":-81.8668,"from":["Tennessee"],"to":["Virginia"]},{"name":"Loudoun Heights","mile":1014.88,"lat":39.3136,"lon":-77.7414,"from":["Virginia"],"to":["West Virginia"]},{"name":"Potomac River","mile":1016.83,"lat":39.3233,"lon":-77.73,"from":["West Virginia"],"to":["Maryland"]},{"name":"Mason–Dixon Line","mile":1060.11,"lat":39.7205,"lon":-77.5073,"from":["Maryland"],"to":["Pennsylvania"]},{"name":"Delaware River","mile":1306.69,"lat":40.9713,"lon":-75.1325,"from":["Pennsylvania"],"to":["New Jersey"]},{"name":"New Jersey–New York line","mile":1380.95,"lat":41.1982,"lon":-74.3354,"from":["New Jersey"],"to":["New York"]},{"name":"New York–Connecticut line","mile":1467.62,"lat":41.6417,"lon":-73.5187,"from":["New York"],"to":["Connecticut"]},{"name":"Connecticut–Massachusetts line","mile":1519.21,"lat":42.0497,"lon":-73.454,"from":["Connecticut"],"to":["Massachusetts"]},{"name":"Massachusetts–Vermont line","mile":1609.74,"lat":42.7455,"lon":-73.1542,"from":["Massachusetts"],"to":["Vermont"]},{"name":"Connecticut River","mile":1760.65,"lat":43.7043,"lon":-72.3005,"from":["Vermont"],"to":["New Hampshire"]},{"name":"New Hampshire–Maine line","mile":1917.62,"lat":44.4814,"lon":-71.035,"from":["New Hampshire"],"to":["Maine"]}]};
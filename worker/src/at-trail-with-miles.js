@@ -2,4 +2,6 @@
 // Format: [lon, lat, cumulativeMiles, elevationFt] (GeoJSON coordinate order)
 // 4822 points, scaled to 2197.9 total miles.
 // Generated by scripts/build-trail-data.js
+// AT_TRAIL_DATA_VERSION is a hash of the data; points snapped at ingest are tagged with it.
 export const AT_TRAIL_DATA = [[-84.1938,34.6267,0,3760],[-84.1975,34.6334,0.59,3576],[-84.1974,34.6365,0.84,3468],[-84.1922,34.6381,1.21,3445],[-84.1909,34.6452,1.79,3323],[-84.1925,34.6478,2.03,3340],[-84.1959,34.646,2.29,3140],[-84.1986,34.6468,2.49,3094],[-84.1978,34.654,3.07,2927],[-84.1846,34.6619,4.15,2608],[-84.1826,34.6653,4.46,2664],[-84.1778,34.667,4.8,2651],[-84.17,34.6673,5.32,2917],[-84.1699,34.6653,5.48,2986],[-84.1665,34.6631,5.77,3091],[-84.1642,34.6658,6.03,3081],[-84.1507,34.6628,6.96,3340],[-84.1405,34.6658,7.68,3258],[-84.1383,34.6633,7.93,3307],[-84.1369,34.6647,8.08,3225],[-84.1307,34.6632,8.51,2969],[-84.126,34.6652,8.86,3035],[-84.1178,34.6584,9.63,3009],[-84.1066,34.6563,10.39,2854],[-84.1028,34.6532,10.75,2871],[-84.1032,34.6544,10.85,2907],[-84.0932,34.6524,11.53,3363],[-84.0818,34.6538,12.29,2982],[-84.0802,34.6526,12.44,3173],[-84.0801,34.6562,12.73,3225],[-84.0737,34.658,13.18,2861],[-84.0715,34.6623,13.55,2831],[-84.0645,34.6592,14.08,2717],[-84.0624,34.6599,14.23,2608],[-84.0629,34.6568,14.48,2654],[-84.0614,34.6557,14.62,2654],[-84.0562,34.6579,15,2746],[-84.0521,34.654,15.42,2736],[-84.0514,34.6552,15.53,2717],[-84.0463,34.6541,15.88,2936],[-84.0413,34.6552,16.22,2982],[-84.0375,34.6537,16.5,3077],[-84.0358,34.6561,16.72,2874],[-84.0318,34.6522,17.14,2864],[-84.0293,34.6548,17.4,2946],[-84.0272,34.6621,18.01,3064],[-84.0272,34.6642,18.18,3058],[-84.03,34.6665,18.44,3087],[-84.0228,34.6699,18.99,3251],[-84.0185,34.67,19.28,3241],[-84.0166,34.6729,19.54,3215],[-84.0106,34.6726,19.94,3140],[-84.0053,34.6699,20.35,3192],[-84.0004,34.6772,21.03,3278],[-83.9969,34.679,21.3,3238],[-83.9978,34.682,21.55,3258],[-83.9933,34.688,22.12,3681],[-83.9914,34.6948,22.68,3596],[-83.9881,34.6937,22.92,3510],[-83.9898,34.6973,23.23,3412],[-83.984,34.7048,23.95,3028],[-83.9848,34.7093,24.31,3169],[-83.981,34.7156,24.88,3287],[-83.9771,34.7155,25.14,3297],[-83.9755,34.7186,25.41,3274],[-83.9725,34.7188,25.61,3402],[-83.9703,34.7222,25.92,3406],[-83.9716,34.7231,26.03,3461],[-83.9678,34.7243,26.3,3376],[-83.9631,34.7294,26.82,3497],[-83.9539,34.7316,27.45,3645],[-83.9525,34.7352,27.76,3780],[-83.949,34.7363,28.01,3737],[-83.9458,34.741,28.44,3711],[-83.9432,34.7398,28.64,4009],[-83.9412,34.7423,28.88,4160],[-83.9366,34.7393,29.27,4432],[-83.9364,34.7348,29.63,4144],[-83.9319,34.7383,30.04,3934],[-83.9309,34.736,30.24,3757],[-83.9273,34.7351,30.49,3468],[-83.9208,34.7388,31.01,3264],[-83.9182,34.7354,31.34,3166],[-83.9139,34.7341,31.64,3337],[-83.9101,34.7367,31.97,3425],[-83.9071,34.732,32.4,3701],[-83.8999,34.7317,32.88,3898],[-83.894,34.7258,33.49,3553],[-83.8849,34.7268,34.1,3494],[-83.8791,34.7231,34.59,3665],[-83.8698,34.7271,35.28,3586],[-83.8639,34.7261,35.68,3589],[-83.8565,34.7216,36.29,3819],[-83.8537,34.7248,36.61,3448],[-83.8475,34.7262,37.04,3222],[-83.8395,34.725,37.58,3504],[-83.8369,34.729,37.94,3642],[-83.8299,34.7308,38.43,3520],[-83.8297,34.7367,38.9,3694],[-83.826,34.7458,39.68,3586],[-83.8261,34.7497,39.99,3501],[-83.83,34.7588,40.77,3392],[-83.8292,34.7631,41.12,3399],[-83.8309,34.7662,41.4,3474],[-83.8288,34.7687,41.64,3566],[-83.8301,34.771,41.85,3350],[-83.8256,34.7727,42.17,3320],[-83.8263,34.7767,42.5,3097],[-83.8174,34.7815,43.2,3317],[-83.8179,34.7841,43.42,3432],[-83.8105,34.7942,44.37,3652],[-83.8076,34.7938,44.56,3606],[-83.8093,34.7986,44.97,3635],[-83.8048,34.8015,45.34,3478],[-83.8069,34.8031,45.53,3570],[-83.8065,34.8047,45.67,3465],[-83.8113,34.806,46,3566],[-83.8106,34.8103,46.35,3570],[-83.8047,34.8172,47.03,3383],[-83.796,34.8231,47.78,3612],[-83.7912,34.8233,48.1,3481],[-83.7843,34.8208,48.6,3563],[-83.7776,34.8221,49.05,3602],[-83.777,34.8179,49.39,3684],[-83.7671,34.8167,50.06,3881],[-83.7545,34.8125,50.96,4003],[-83.7532,34.809,51.25,3930],[-83.7465,34.8053,51.79,3442],[-83.7439,34.8006,52.2,3114],[-83.7432,34.8024,52.35,3045],[-83.7354,34.8019,52.87,3507],[-83.7322,34.8039,53.14,3717],[-83.7313,34.7989,53.55,4012],[-83.7226,34.7982,54.13,3766],[-83.7205,34.7944,54.46,3510],[-83.7113,34.7918,55.11,3219],[-83.6959,34.7927,56.13,3704],[-83.6908,34.7993,56.76,3845],[-83.6854,34.8021,57.18,4222],[-83.6818,34.8007,57.45,4354],[-83.6693,34.8058,58.37,3825],[-83.6588,34.8132,59.29,3688],[-83.6524,34.8229,60.18,3783],[-83.6585,34.8289,60.81,3688],[-83.6574,34.8314,61.02,3753],[-83.6612,34.8438,62.05,3599],[-83.6597,34.8515,62.68,3681],[-83.6606,34.8536,62.86,3589],[-83.6557,34.8639,63.75,3406],[-83.6572,34.8724,64.45,3914],[-83.6544,34.8784,64.96,4134],[-83.6428,34.8919,66.3,3799],[-83.6319,34.894,67.04,3845],[-83.6292,34.8908,67.35,3675],[-83.6265,34.906,68.59,3120],[-83.6197,34.9091,69.1,2838],[-83.6174,34.9134,69.48,2930],[-83.6079,34.9128,70.11,3153],[-83.6044,34.9106,70.41,3205],[-83.5955,34.9174,71.21,2959],[-83.595,34.9199,71.41,3153],[-83.5999,34.9254,71.96,3412],[-83.6025,34.9374,72.95,3622],[-83.5984,34.9413,73.36,3478],[-83.5936,34.9423,73.69,3291],[-83.588,34.9509,74.48,3406],[-83.5943,34.9541,74.97,3287],[-83.5938,34.9562,75.14,3189],[-83.5972,34.9594,75.48,3114],[-83.5961,34.9618,75.69,3356],[-83.5973,34.9621,75.77,3271],[-83.5929,34.966,76.2,3465],[-83.5948,34.9675,76.37,3386],[-83.5939,34.9708,76.65,3494],[-83.5987,34.982,77.6,3566],[-83.5973,34.9843,77.81,3691],[-83.5996,34.9873,78.1,3799],[-83.5987,34.9915,78.44,3842],[-83.6,34.9942,78.67,3816],[-83.5941,34.9958,79.08,4278],[-83.5843,35.0028,79.94,4678],[-83.5829,35.0128,80.76,4301],[-83.5804,35.0136,80.93,4498],[-83.5814,35.0216,81.58,4593],[-83.5766,35.0257,82.04,4577],[-83.5717,35.0267,82.37,4583],[-83.5719,35.0297,82.62,4665],[-83.5665,35.0317,83.01,4521],[-83.5616,35.037,83.54,4514],[-83.5627,35.0439,84.1,4672],[-83.5653,35.0461,84.35,4678],[-83.5639,35.049,84.6,4843],[-83.5596,35.0469,84.93,4721],[-83.5568,35.0411,85.44,4600],[-83.5532,35.0394,85.71,4403],[-83.551,35.0398,85.86,4416],[-83.5507,35.0434,86.15,4485],[-83.5482,35.0452,86.37,4570],[-83.5476,35.0392,86.86,4790],[-83.543,35.0408,87.19,4974],[-83.5448,35.0392,87.36,4980],[-83.5441,35.0372,87.53,5108],[-83.5429,35.0392,87.71,5072],[-83.541,35.0367,87.95,5325],[-83.5371,35.0363,88.21,5433],[-83.5363,35.0318,88.57,5387],[-83.5315,35.0265,89.11,5161],[-83.5196,35.0184,90.13,4970],[-83.5229,35.0133,90.59,4731],[-83.521,35.0117,90.77,4701],[-83.5258,35.01,91.12,4469],[-83.5253,35.0076,91.32,4514],[-83.5198,35.0071,91.68,4498],[-83.5191,35.0053,91.83,4528],[-83.5169,35.0075,92.06,4409],[-83.516,35.0052,92.26,4524],[-83.512,35.0074,92.58,4308],[-83.5052,35.0009,93.27,4446],[-83.5012,35.0038,93.62,4587],[-83.4937,34.9992,94.24,4564],[-83.4874,35.0023,94.72,4810],[-83.4863,35.0075,95.15,4892],[-83.4837,35.0038,95.49,4898],[-83.4818,35.0038,95.62,4764],[-83.4802,35.0139,96.44,4718],[-83.4773,35.0205,97.01,4708],[-83.4788,35.0241,97.31,4656],[-83.4824,35.0243,97.55,4508],[-83.47,35.0354,98.76,4541],[-83.4718,35.0403,99.18,4921],[-83.4702,35.0436,99.46,4895],[-83.471,35.0464,99.7,4767],[-83.4734,35.0502,100.04,4810],[-83.4774,35.0522,100.35,5213],[-83.4772,35.0554,100.61,5056],[-83.4797,35.0572,100.83,4984],[-83.4785,35.0597,101.05,4970],[-83.4816,35.062,101.32,4934],[-83.4859,35.0616,101.61,4918],[-83.4881,35.0666,102.04,4944],[-83.4957,35.0664,102.54,4760],[-83.4975,35.068,102.71,4636],[-83.4961,35.0681,102.81,4639],[-83.4979,35.074,103.3,4347],[-83.5036,35.0782,103.8,4203],[-83.5115,35.0802,104.35,4449],[-83.5114,35.0824,104.53,4478],[-83.5157,35.0828,104.81,4514],[-83.5174,35.0872,105.18,4386],[-83.5221,35.0876,105.5,4022],[-83.5236,35.0901,105.72,3822],[-83.5216,35.0968,106.28,3665],[-83.5263,35.0973,106.59,3809],[-83.5313,35.1038,107.21,4259],[-83.534,35.1039,107.39,4308],[-83.5367,35.1108,107.97,4370],[-83.5436,35.1125,108.45,4232],[-83.547,35.1153,108.77,4104],[-83.5447,35.1165,108.95,4121],[-83.5463,35.1172,109.07,3986],[-83.5457,35.1194,109.25,3885],[-83.5471,35.1181,109.39,3871],[-83.5483,35.1196,109.53,3711],[-83.547,35.1216,109.71,3793],[-83.5481,35.1228,109.84,3888],[-83.5525,35.1209,110.16,4134],[-83.5568,35.1227,110.48,4183],[-83.5581,35.1209,110.65,4157],[-83.5596,35.1244,110.95,4268],[-83.5575,35.1246,111.09,4373],[-83.5576,35.1268,111.27,4501],[-83.5544,35.1303,111.62,4452],[-83.555,35.1354,112.03,4459],[-83.5581,35.1352,112.24,4469],[-83.5603,35.1394,112.61,4695],[-83.5628,35.1385,112.79,4698],[-83.5685,35.141,113.21,4770],[-83.5712,35.1401,113.41,4925],[-83.5706,35.1418,113.55,4783],[-83.5751,35.1414,113.85,5023],[-83.5819,35.1462,114.44,4797],[-83.5873,35.1469,114.8,4583],[-83.5826,35.148,115.12,4482],[-83.5802,35.1507,115.39,4377],[-83.5809,35.1544,115.69,4206],[-83.578,35.1564,115.94,4298],[-83.577,35.1599,116.23,4439],[-83.5789,35.165,116.66,4662],[-83.5847,35.1651,117.05,4682],[-83.5824,35.1702,117.48,5085],[-83.5858,35.1707,117.71,5138],[-83.5828,35.1763,118.21,5318],[-83.5806,35.1766,118.35,5328],[-83.5797,35.1743,118.55,5253],[-83.5749,35.1741,118.86,5135],[-83.572,35.1768,119.15,4970],[-83.5679,35.1766,119.42,5095],[-83.5606,35.1805,120,5331],[-83.5634,35.1828,120.26,5023],[-83.561,35.1844,120.47,4898],[-83.5622,35.1846,120.55,4859],[-83.5615,35.1875,120.78,4590],[-83.5642,35.1882,120.97,4580],[-83.5622,35.1973,121.72,4491],[-83.5673,35.1991,122.08,4554],[-83.5671,35.204,122.48,4551],[-83.5684,35.204,122.56,4528],[-83.5682,35.2102,123.06,4678],[-83.5663,35.2105,123.19,4692],[-83.5632,35.2146,123.58,4590],[-83.5674,35.2192,124.04,4321],[-83.5628,35.2184,124.35,4275],[-83.5622,35.2223,124.67,4245],[-83.5687,35.229,125.36,4656],[-83.5599,35.2312,125.97,4925],[-83.5578,35.2336,126.2,5059],[-83.5617,35.2362,126.54,5075],[-83.559,35.2404,126.92,5023],[-83.5605,35.2445,127.26,4902],[-83.564,35.2464,127.54,5023],[-83.5654,35.2501,127.85,4934],[-83.5686,35.2508,128.07,4977],[-83.5679,35.2591,128.74,4636],[-83.5705,35.261,128.97,4409],[-83.5693,35.2621,129.09,4367],[-83.5713,35.2671,129.52,3993],[-83.5721,35.2664,129.59,3967],[-83.5755,35.2719,130.09,4255],[-83.5782,35.2706,130.3,4154],[-83.5769,35.2765,130.78,4570],[-83.579,35.2795,131.06,4350],[-83.5813,35.2802,131.22,4301],[-83.5827,35.2833,131.49,4144],[-83.5911,35.282,132.05,4108],[-83.5928,35.2839,132.24,4098],[-83.5953,35.2837,132.4,4108],[-83.5967,35.2862,132.63,4091],[-83.5933,35.2945,133.33,3642],[-83.5944,35.2994,133.73,3369],[-83.5856,35.3093,134.72,2887],[-83.5874,35.3091,134.84,2979],[-83.5884,35.3131,135.17,2615],[-83.5862,35.3218,135.89,2375],[-83.5926,35.3256,136.41,1995],[-83.5913,35.3308,136.83,1798],[-83.5964,35.3348,137.3,2031],[-83.6002,35.3332,137.58,2018],[-83.602,35.3402,138.16,2507],[-83.6071,35.3417,138.51,2480],[-83.6104,35.3408,138.74,2874],[-83.6134,35.3449,139.13,2986],[-83.6165,35.3459,139.35,3123],[-83.6259,35.3447,139.97,3179],[-83.6345,35.3409,140.62,3481],[-83.6415,35.3423,141.09,3773],[-83.6366,35.3397,141.48,3750],[-83.6395,35.3388,141.68,4091],[-83.645,35.3402,142.06,4285],[-83.6607,35.3351,143.17,4633],[-83.6675,35.3313,143.71,4462],[-83.6686,35.3275,144.03,4744],[-83.6784,35.3279,144.67,4803],[-83.6831,35.3243,145.1,4902],[-83.6871,35.3247,145.36,4708],[-83.6902,35.3288,145.75,4455],[-83.7068,35.3308,146.86,3832],[-83.7039,35.3332,147.13,3720],[-83.7047,35.3358,147.34,3730],[-83.7036,35.3355,147.42,3816],[-83.7072,35.339,147.79,3829],[-83.7092,35.3387,147.92,3655],[-83.709,35.3423,148.21,3606],[-83.7125,35.3475,148.69,3855],[-83.7134,35.3527,149.12,3793],[-83.7194,35.3524,149.51,3698],[-83.7179,35.3549,149.74,3530],[-83.7204,35.3535,149.94,3307],[-83.7171,35.3573,150.31,3294],[-83.7181,35.3586,150.43,3301],[-83.7148,35.3673,151.17,3435],[-83.7161,35.3715,151.52,3376],[-83.722,35.3743,151.97,3789],[-83.7336,35.3732,152.74,3825],[-83.7373,35.3705,153.06,3638],[-83.7426,35.3707,153.41,3845],[-83.7488,35.3755,153.97,3615],[-83.7541,35.3762,154.33,3701],[-83.7544,35.383,154.88,3550],[-83.7609,35.3868,155.4,3766],[-83.7597,35.3893,155.62,3586],[-83.7659,35.3956,156.27,3694],[-83.7615,35.4013,156.81,3671],[-83.7633,35.4054,157.16,3560],[-83.7673,35.4047,157.43,3553],[-83.769,35.4062,157.6,3360],[-83.7647,35.4099,158.01,3064],[-83.7705,35.4125,158.44,3169],[-83.7712,35.4147,158.63,3084],[-83.774,35.4141,158.82,2930],[-83.7711,35.4163,159.08,3140],[-83.7749,35.4181,159.37,3363],[-83.7799,35.4174,159.7,3455],[-83.7782,35.4207,159.99,3632],[-83.783,35.4204,160.31,3445],[-83.7905,35.4235,160.86,3606],[-83.8039,35.423,161.74,3527],[-83.7966,35.4318,162.6,2920],[-83.7991,35.4321,162.76,2789],[-83.7952,35.4341,163.07,2664],[-83.8,35.4357,163.41,2464],[-83.7958,35.4374,163.71,2293],[-83.7961,35.439,163.85,2113],[-83.7936,35.439,164.01,2090],[-83.7959,35.4419,164.29,1778],[-83.7902,35.445,164.74,1909],[-83.8019,35.4524,165.71,1686],[-83.808,35.4525,166.11,1660],[-83.8104,35.4545,166.34,1896],[-83.8088,35.4576,166.61,1913],[-83.8123,35.4612,166.98,2041],[-83.8115,35.4629,167.13,2234],[-83.8137,35.4644,167.31,2451],[-83.8121,35.4652,167.44,2572],[-83.8136,35.466,167.56,2562],[-83.8101,35.4694,167.91,2844],[-83.8105,35.4748,168.35,3196],[-83.8074,35.4806,168.86,3602],[-83.8099,35.4845,169.22,3668],[-83.8186,35.4842,169.79,3665],[-83.8153,35.4867,170.08,3720],[-83.8159,35.4906,170.4,3793],[-83.8131,35.4961,170.88,3789],[-83.8142,35.5,171.2,3842],[-83.8108,35.5062,171.75,4104],[-83.81,35.513,172.3,4167],[-83.8136,35.5157,172.62,4137],[-83.8152,35.5208,173.05,4252],[-83.8215,35.5256,173.61,4472],[-83.8124,35.5306,174.34,4390],[-83.8086,35.5346,174.74,4157],[-83.8082,35.538,175.02,3963],[-83.8018,35.54,175.47,4137],[-83.7999,35.5364,175.78,4219],[-83.7985,35.5381,175.95,4209],[-83.8001,35.5419,176.27,4259],[-83.7948,35.5456,176.73,4606],[-83.7806,35.5506,177.75,4662],[-83.7816,35.5515,177.84,4573],[-83.7792,35.5516,178,4537],[-83.7789,35.554,178.2,4311],[-83.7756,35.5534,178.42,4216],[-83.7761,35.5549,178.54,4177],[-83.7719,35.5575,178.89,4154],[-83.7764,35.5621,179.36,4268],[-83.7721,35.5605,179.68,4373],[-83.7588,35.5617,180.55,4491],[-83.7563,35.5642,180.81,4511],[-83.7536,35.564,180.99,4639],[-83.748,35.5579,181.61,4892],[-83.7428,35.5633,182.16,5039],[-83.7374,35.565,182.54,4800],[-83.7227,35.5622,183.53,5102],[-83.7139,35.5641,184.13,5404],[-83.7123,35.5665,184.35,5417],[-83.7055,35.5693,184.85,5354],[-83.6997,35.5681,185.24,5187],[-83.6999,35.5692,185.33,5052],[-83.6944,35.5704,185.7,4974],[-83.6884,35.5683,186.13,4895],[-83.6763,35.5703,186.94,4823],[-83.6607,35.5683,187.98,4682],[-83.6544,35.5697,188.41,4567],[-83.644,35.566,189.15,4856],[-83.6328,35.57,189.95,5007],[-83.6274,35.569,190.32,4777],[-83.6215,35.5727,190.81,4806],[-83.6159,35.5737,191.18,4754],[-83.6083,35.58,191.89,5223],[-83.602,35.5791,192.31,4911],[-83.5985,35.575,192.72,4961],[-83.5958,35.5749,192.89,5039],[-83.5842,35.5628,194.13,5213],[-83.5727,35.5655,194.92,5259],[-83.5668,35.5642,195.32,5479],[-83.5652,35.5662,195.51,5505],[-83.5508,35.5635,196.48,5548],[-83.5411,35.5658,197.14,5558],[-83.5327,35.5644,197.7,5774],[-83.5212,35.5657,198.47,5991],[-83.5166,35.5624,198.87,6188],[-83.4977,35.5629,200.11,6634],[-83.4936,35.5668,200.52,6243],[-83.4852,35.5685,201.09,6220],[-83.4783,35.5796,202.09,5817],[-83.4788,35.5833,202.39,6024],[-83.4723,35.5867,202.9,6178],[-83.4742,35.5907,203.25,5974],[-83.4633,35.5922,203.97,5850],[-83.4628,35.5954,204.23,5682],[-83.4598,35.5979,204.51,5594],[-83.456,35.5982,204.76,5696],[-83.4552,35.6021,205.08,5738],[-83.4473,35.6084,205.81,5305],[-83.4476,35.6109,206.01,5463],[-83.4342,35.6118,206.89,5154],[-83.4306,35.6105,207.15,5003],[-83.4267,35.6123,207.45,4925],[-83.4208,35.6108,207.85,5184],[-83.4199,35.6135,208.08,5295],[-83.4128,35.6164,208.6,5486],[-83.4123,35.6181,208.74,5554],[-83.3956,35.6229,209.9,5981],[-83.3907,35.6284,210.45,6066],[-83.3862,35.6301,210.77,5889],[-83.3858,35.6337,211.06,5705],[-83.3786,35.635,211.55,5387],[-83.3725,35.6384,212.03,5440],[-83.3681,35.6383,212.32,5433],[-83.3643,35.6427,212.76,5072],[-83.3618,35.6432,212.92,5400],[-83.3559,35.6517,213.71,5338],[-83.3579,35.6562,214.1,5295],[-83.3543,35.6565,214.33,5190],[-83.3514,35.6614,214.77,5492],[-83.3438,35.6621,215.27,5466],[-83.3414,35.6663,215.65,5712],[-83.3391,35.6636,215.91,5719],[-83.3332,35.665,216.32,5571],[-83.321,35.6624,217.14,5479],[-83.3129,35.6539,218.01,5410],[-83.3097,35.6528,218.24,5584],[-83.3072,35.6557,218.52,5581],[-83.2976,35.6569,219.16,5768],[-83.2933,35.6619,219.65,5807],[-83.2939,35.665,219.9,5574],[-83.2911,35.6689,220.27,5489],[-83.2932,35.6736,220.67,5682],[-83.2837,35.6746,221.3,5958],[-83.2812,35.6778,221.6,5938],[-83.2747,35.679,222.04,5846],[-83.2693,35.6821,222.47,6096],[-83.2682,35.6884,222.99,6109],[-83.2634,35.6877,223.31,6237],[-83.2591,35.6902,223.65,5955],[-83.2553,35.6962,224.2,5876],[-83.2555,35.7014,224.62,6043],[-83.2619,35.7028,225.05,6247],[-83.2637,35.7052,225.28,6266],[-83.253,35.711,226.12,6194],[-83.2572,35.715,226.54,6135],[-83.2539,35.7182,226.88,6106],[-83.2452,35.7219,227.52,5984],[-83.239,35.7267,228.09,5807],[-83.229,35.7253,228.75,5538],[-83.2166,35.7273,229.58,5016],[-83.2141,35.7233,229.94,4925],[-83.2066,35.7259,230.47,4728],[-83.1974,35.7259,231.08,4872],[-83.1889,35.7297,231.71,4993],[-83.1829,35.7277,232.14,4928],[-83.1826,35.733,232.56,4695],[-83.1809,35.7348,232.75,4478],[-83.1818,35.7388,233.08,4209],[-83.1789,35.7427,233.44,4613],[-83.1794,35.7454,233.66,4590],[-83.1767,35.7447,233.85,4760],[-83.1702,35.7472,234.32,4754],[-83.1647,35.7544,235,5023],[-83.1646,35.7587,235.35,4931],[-83.1606,35.7619,235.72,4741],[-83.1576,35.7621,235.91,4560],[-83.1588,35.7645,236.12,4505],[-83.145,35.7622,237.05,3701],[-83.1445,35.7652,237.29,3573],[-83.1412,35.7656,237.51,3396],[-83.135,35.7633,237.95,3120],[-83.1347,35.7664,238.2,2940],[-83.1272,35.7696,238.76,2881],[-83.1279,35.7711,238.89,2799],[-83.1196,35.7685,239.47,2480],[-83.1098,35.7708,240.14,2064],[-83.1093,35.7749,240.47,2037],[-83.1112,35.7795,240.86,1804],[-83.1153,35.7816,241.18,1795],[-83.1124,35.7853,241.53,1437],[-83.1054,35.7811,242.1,1808],[-83.1023,35.7829,242.35,1831],[-83.0994,35.78,242.65,1867],[-83.0996,35.7823,242.84,1982],[-83.093,35.7784,243.37,2402],[-83.0889,35.7803,243.68,2743],[-83.0875,35.7832,243.93,2867],[-83.0803,35.784,244.41,2900],[-83.0785,35.7857,244.59,3077],[-83.0748,35.7843,244.86,3235],[-83.0735,35.7869,245.08,3435],[-83.0756,35.7894,245.33,3517],[-83.0691,35.7881,245.77,3717],[-83.0679,35.7861,245.94,3802],[-83.0525,35.7894,246.99,4249],[-83.0441,35.7851,247.64,4167],[-83.0437,35.7833,247.78,4121],[-83.0402,35.7841,248.02,4006],[-83.0387,35.7869,248.27,3763],[-83.0338,35.7871,248.59,3645],[-83.0313,35.7846,248.85,3547],[-83.0301,35.7856,248.96,3527],[-83.0305,35.7826,249.21,3356],[-83.0252,35.7838,249.57,3045],[-83.0243,35.7812,249.78,3012],[-83.0228,35.7825,249.93,3163],[-83.0211,35.7799,250.16,3159],[-83.0156,35.7818,250.56,3317],[-83.0106,35.7787,250.97,3566],[-83.0061,35.7785,251.26,3596],[-83.005,35.7746,251.58,3734],[-82.9995,35.7739,251.95,3858],[-82.9993,35.7722,252.09,3783],[-82.9929,35.7728,252.51,3747],[-82.9908,35.7752,252.75,3911],[-82.9812,35.7791,253.45,4314],[-82.9806,35.7814,253.64,4262],[-82.9705,35.7891,254.54,4304],[-82.9636,35.7894,255,4390],[-82.9617,35.7928,255.3,4318],[-82.9578,35.7924,255.56,4370],[-82.9569,35.794,255.7,4485],[-82.9583,35.796,255.88,4567],[-82.9556,35.7989,256.18,4554],[-82.9502,35.8001,256.54,4400],[-82.9516,35.799,256.67,4364],[-82.9507,35.7972,256.83,4265],[-82.9472,35.7988,257.09,4219],[-82.9452,35.8013,257.33,4199],[-82.9527,35.8052,257.91,4091],[-82.9479,35.8077,258.29,4003],[-82.9485,35.8099,258.47,3842],[-82.9472,35.8097,258.55,3848],[-82.9491,35.8105,258.69,3848],[-82.9457,35.8133,259.01,3763],[-82.9434,35.8131,259.16,3678],[-82.9424,35.8175,259.52,3629],[-82.9366,35.8193,259.93,3563],[-82.9402,35.822,260.25,3684],[-82.9354,35.827,260.76,3694],[-82.9372,35.8302,261.04,3789],[-82.9367,35.8333,261.3,4035],[-82.94,35.8353,261.57,4219],[-82.939,35.8369,261.71,4252],[-82.9327,35.8348,262.16,4209],[-82.9239,35.8406,262.9,3885],[-82.9239,35.8391,263.02,3960],[-82.9203,35.837,263.31,4180],[-82.9191,35.8393,263.51,4400],[-82.9067,35.8411,264.33,4613],[-82.905,35.8447,264.64,4501],[-82.9033,35.844,264.77,4462],[-82.9041,35.8461,264.95,4272],[-82.9005,35.8464,265.18,4167],[-82.9016,35.8472,265.28,4068],[-82.8994,35.8485,265.46,3927],[-82.9014,35.8488,265.59,3839],[-82.8984,35.8501,265.81,3681],[-82.9015,35.8512,266.03,3520],[-82.8958,35.8538,266.46,3346],[-82.892,35.8523,266.74,3245],[-82.8908,35.8494,266.99,3005],[-82.8772,35.8519,267.9,2582],[-82.877,35.8542,268.08,2480],[-82.8754,35.8534,268.21,2507],[-82.8751,35.8549,268.33,2480],[-82.869,35.857,268.76,2697],[-82.8707,35.8593,268.98,2759],[-82.8697,35.8611,269.14,2969],[-82.8723,35.8617,269.31,2867],[-82.8718,35.8673,269.77,2717],[-82.8764,35.8674,270.07,2664],[-82.8747,35.8714,270.41,2697],[-82.8608,35.8746,271.35,2457],[-82.8625,35.8767,271.56,2415],[-82.8593,35.8821,272.04,2539],[-82.8561,35.8843,272.31,2408],[-82.8503,35.8849,272.7,2513],[-82.8493,35.8874,272.91,2402],[-82.8444,35.8886,273.24,2497],[-82.8415,35.892,273.57,2159],[-82.8322,35.887,274.3,1611],[-82.8332,35.8895,274.52,1476],[-82.8313,35.8892,274.64,1358],[-82.8308,35.8911,274.8,1345],[-82.8221,35.8935,275.4,1329],[-82.8196,35.8865,275.99,1381],[-82.8189,35.8909,276.35,1621],[-82.8152,35.8858,276.82,2054],[-82.8103,35.8842,277.17,2356],[-82.7989,35.8851,277.92,2274],[-82.7992,35.887,278.07,2100],[-82.7899,35.892,278.8,2418],[-82.7882,35.8955,279.1,2444],[-82.7922,35.8995,279.52,2562],[-82.79,35.9048,279.97,2654],[-82.7917,35.9064,280.14,2441],[-82.79,35.907,280.26,2523],[-82.7902,35.9089,280.42,2365],[-82.7928,35.9111,280.66,2333],[-82.7914,35.914,280.91,2533],[-82.7943,35.9153,281.13,2828],[-82.798,35.9136,281.41,2848],[-82.7978,35.9186,281.81,3123],[-82.8035,35.9228,282.31,3294],[-82.8031,35.9278,282.72,3589],[-82.8007,35.9315,283.05,3419],[-82.8046,35.9324,283.32,3123],[-82.8062,35.9372,283.72,3035],[-82.8001,35.9444,284.42,3087],[-82.7942,35.9468,284.86,3343],[-82.7916,35.951,285.23,3638],[-82.7886,35.9517,285.44,3560],[-82.785,35.9635,286.42,3333],[-82.7768,35.9697,287.15,2946],[-82.7768,35.9735,287.46,3100],[-82.7834,35.976,287.93,3150],[-82.7871,35.9803,288.36,2799],[-82.7852,35.984,288.68,2513],[-82.7859,35.9866,288.89,2316],[-82.7884,35.9879,289.09,2297],[-82.7809,35.9911,289.64,2533],[-82.7775,35.9947,290.01,2365],[-82.7779,35.9973,290.22,2454],[-82.7727,35.9989,290.58,2572],[-82.771,36.0016,290.83,2674],[-82.7644,36.0011,291.26,3035],[-82.7618,36.005,291.62,3117],[-82.7546,36.0041,292.09,3094],[-82.7503,36.006,292.41,3159],[-82.7497,36.0095,292.7,3205],[-82.7402,36.012,293.35,3445],[-82.7392,36.0148,293.58,3530],[-82.7249,36.0184,294.56,4216],[-82.7195,36.022,295.02,4488],[-82.7158,36.0215,295.26,4708],[-82.7122,36.0242,295.58,4570],[-82.7136,36.0257,295.73,4636],[-82.711,36.0283,296,4478],[-82.7045,36.0282,296.43,4380],[-82.7008,36.0319,296.81,4459],[-82.7009,36.0341,296.99,4482],[-82.6894,36.0389,297.83,4308],[-82.684,36.0468,298.56,4216],[-82.6748,36.0489,299.18,4196],[-82.6702,36.053,299.63,4321],[-82.6509,36.0572,300.93,4295],[-82.6372,36.0661,302.08,4626],[-82.6323,36.0663,302.4,4780],[-82.6288,36.0606,302.91,4698],[-82.6189,36.0565,303.64,4534],[-82.6176,36.0489,304.26,4521],[-82.6117,36.0441,304.8,4216],[-82.6079,36.0434,305.06,4183],[-82.6067,36.0401,305.33,3773],[-82.6005,36.0396,305.74,3501],[-82.6012,36.0364,306,3766],[-82.5957,36.0345,306.39,3655],[-82.5992,36.0309,306.76,3465],[-82.5996,36.0264,307.13,3543],[-82.6025,36.0243,307.38,3373],[-82.6041,36.0186,307.85,3350],[-82.6117,36.015,308.43,3186],[-82.6087,36.0128,308.69,3323],[-82.6096,36.0107,308.87,3202],[-82.6083,36.0072,309.16,3202],[-82.6069,36.0079,309.27,3202],[-82.6069,36.0033,309.64,3104],[-82.6044,35.9999,309.96,3366],[-82.6067,35.9983,310.16,3711],[-82.6062,35.9955,310.39,3773],[-82.6096,35.9934,310.67,4072],[-82.6056,35.9899,311.05,4167],[-82.6009,35.9887,311.37,4341],[-82.6071,35.9842,311.92,4498],[-82.6132,35.9707,313.08,4341],[-82.6109,35.9683,313.32,4163],[-82.6131,35.9652,313.61,4147],[-82.6053,35.9667,314.13,3855],[-82.6005,35.9632,314.55,4085],[-82.5993,35.9648,314.71,4193],[-82.5922,35.9663,315.18,4245],[-82.5805,35.9654,315.95,4423],[-82.5782,35.9645,316.12,4416],[-82.5764,35.959,316.58,4350],[-82.5706,35.9579,316.97,4134],[-82.5662,35.954,317.39,4045],[-82.562,35.9546,317.67,3917],[-82.5599,35.9523,317.9,3829],[-82.5568,35.952,318.1,4052],[-82.5528,35.9604,318.83,3940],[-82.549,35.9641,319.22,4291],[-82.5411,35.9668,319.78,4285],[-82.5419,35.9689,319.96,4288],[-82.5346,35.9699,320.44,4308],[-82.531,35.9722,320.74,4232],[-82.5253,35.9703,321.14,4472],[-82.5233,35.9719,321.32,4334],[-82.5233,35.9741,321.5,4301],[-82.5186,35.9763,321.86,4449],[-82.5056,35.9783,322.72,4921],[-82.5039,35.9826,323.08,4957],[-82.5005,35.9825,323.31,4905],[-82.495,35.9862,323.77,5046],[-82.4935,35.9906,324.14,5358],[-82.4907,35.9895,324.34,5492],[-82.4903,35.991,324.47,5417],[-82.489,35.9902,324.58,5413],[-82.4839,35.9939,325.02,5390],[-82.4817,35.9992,325.47,5036],[-82.4734,36.0003,326.02,4921],[-82.4579,36.009,327.25,4997],[-82.4559,36.0118,327.51,4623],[-82.4506,36.0122,327.86,4573],[-82.4497,36.0101,328.04,4528],[-82.4481,36.0144,328.4,4206],[-82.4301,36.0214,329.71,4170],[-82.4282,36.0284,330.28,3862],[-82.4259,36.0255,330.56,3875],[-82.4246,36.028,330.78,3711],[-82.4234,36.0268,330.9,3638],[-82.4224,36.0308,331.23,3323],[-82.4202,36.032,331.41,3291],[-82.421,36.0337,331.55,3386],[-82.4191,36.0346,331.7,3497],[-82.4197,36.039,332.05,3809],[-82.4183,36.0411,332.25,3934],[-82.4239,36.0444,332.7,3914],[-82.4329,36.0448,333.29,3556],[-82.4357,36.0477,333.58,3507],[-82.4345,36.0513,333.88,3294],[-82.4359,36.0526,334.02,3468],[-82.433,36.0539,334.24,3202],[-82.4352,36.0551,334.41,3294],[-82.4331,36.0578,334.67,2976],[-82.436,36.058,334.86,3202],[-82.4335,36.0596,335.07,2963],[-82.4357,36.0604,335.22,3077],[-82.4323,36.0613,335.46,2946],[-82.434,36.0618,335.58,3100],[-82.4325,36.0628,335.7,3031],[-82.4335,36.0676,336.1,3238],[-82.4375,36.0679,336.36,3248],[-82.4387,36.071,336.62,3169],[-82.4425,36.0719,336.88,3159],[-82.4488,36.0706,337.3,3317],[-82.4499,36.0775,337.86,2979],[-82.4551,36.0771,338.2,3002],[-82.4549,36.0799,338.43,3041],[-82.4598,36.0831,338.84,3261],[-82.4577,36.0899,339.4,3258],[-82.4493,36.094,340.04,2904],[-82.4507,36.106,341.02,1762],[-82.4462,36.1052,341.32,1683],[-82.4449,36.1009,341.67,1831],[-82.441,36.0997,341.95,1913],[-82.4302,36.0994,342.65,1821],[-82.4243,36.1069,343.37,2034],[-82.4201,36.1083,343.66,2018],[-82.4104,36.1035,344.4,2385],[-82.4119,36.1053,344.58,2441],[-82.3982,36.1038,345.48,3091],[-82.3959,36.1055,345.68,3146],[-82.3926,36.1025,346.01,3222],[-82.3888,36.1061,346.39,3133],[-82.3861,36.1043,346.62,3271],[-82.3834,36.1073,346.92,3166],[-82.3793,36.1076,347.18,3169],[-82.3796,36.1093,347.32,3054],[-82.3772,36.1094,347.48,3202],[-82.3781,36.1111,347.63,3084],[-82.3759,36.1132,347.85,3002],[-82.3729,36.1138,348.05,3150],[-82.372,36.1069,348.61,3550],[-82.3684,36.1092,348.91,3402],[-82.3679,36.1077,349.04,3583],[-82.3646,36.1087,349.27,3484],[-82.3637,36.1105,349.42,3406],[-82.3617,36.1097,349.57,3517],[-82.3573,36.1149,350.08,3632],[-82.3501,36.1173,350.58,3789],[-82.3484,36.1167,350.7,3760],[-82.3497,36.114,350.94,3871],[-82.3434,36.1156,351.37,4049],[-82.3364,36.1147,351.83,4337],[-82.3314,36.1174,352.22,4413],[-82.3196,36.1187,353,4432],[-82.3139,36.1244,353.59,4104],[-82.3062,36.1275,354.15,4757],[-82.3054,36.1284,354.24,4806],[-82.3071,36.1287,354.35,4747],[-82.3031,36.1315,354.7,4954],[-82.2907,36.1357,355.57,4977],[-82.2867,36.1345,355.85,4882],[-82.2866,36.1378,356.12,4649],[-82.281,36.1294,356.89,4295],[-82.2804,36.1314,357.05,4193],[-82.277,36.1289,357.35,4016],[-82.2746,36.1298,357.52,4042],[-82.2653,36.127,358.17,4249],[-82.26,36.1341,358.84,4016],[-82.2564,36.1354,359.1,4131],[-82.2538,36.1351,359.27,4226],[-82.2514,36.1322,359.55,4413],[-82.2457,36.1322,359.92,4308],[-82.2419,36.1375,360.41,3924],[-82.2263,36.1478,361.73,3976],[-82.2215,36.1569,362.52,4068],[-82.2185,36.1564,362.72,3957],[-82.2143,36.159,363.07,4190],[-82.2016,36.1566,363.92,4367],[-82.1992,36.1526,364.28,4206],[-82.1933,36.1493,364.74,4242],[-82.1871,36.151,365.17,4209],[-82.1837,36.1446,365.73,4196],[-82.1767,36.1426,366.22,4199],[-82.1729,36.1465,366.62,4154],[-82.1657,36.1452,367.1,4367],[-82.1588,36.1465,367.56,4636],[-82.1434,36.1527,368.68,4603],[-82.1458,36.1407,369.66,4160],[-82.1412,36.1389,369.99,4222],[-82.1389,36.1351,370.33,4173],[-82.14,36.1349,370.41,4357],[-82.1366,36.1284,370.98,4833],[-82.1381,36.1198,371.68,5443],[-82.1325,36.1113,372.45,5682],[-82.1311,36.1056,372.92,6102],[-82.1284,36.1042,373.13,6089],[-82.1218,36.106,373.58,6076],[-82.1142,36.1042,374.1,5860],[-82.1154,36.1066,374.31,5774],[-82.1126,36.1048,374.54,5725],[-82.113,36.107,374.72,5535],[-82.1092,36.1064,374.97,5525],[-82.1074,36.1085,375.18,5581],[-82.1002,36.1049,375.73,5679],[-82.0832,36.1054,376.84,5840],[-82.0648,36.1128,378.18,5069],[-82.0604,36.1123,378.47,5164],[-82.0619,36.117,378.86,4747],[-82.0574,36.1195,379.22,4757],[-82.0543,36.1269,379.85,4816],[-82.0445,36.1255,380.5,5000],[-82.037,36.1208,381.11,5144],[-82.0326,36.1211,381.4,5223],[-82.0243,36.1295,382.27,5167],[-82.0244,36.1326,382.52,5007],[-82.0187,36.1347,382.93,5046],[-82.0125,36.1406,383.55,5548],[-82.009,36.1381,383.86,5417],[-82.0018,36.1375,384.33,5230],[-82.0005,36.1406,384.59,5056],[-82.0045,36.1392,384.87,4931],[-82.0081,36.141,385.15,4928],[-82.0083,36.1432,385.33,4888],[-82.012,36.146,385.66,4862],[-82.0111,36.152,386.15,4610],[-82.0169,36.156,386.64,3917],[-82.0147,36.1579,386.85,3858],[-82.0147,36.1633,387.29,3537],[-82.01,36.1681,387.78,3392],[-82.0119,36.1695,387.95,3291],[-82.0109,36.1724,388.19,3054],[-82.0126,36.175,388.43,3051],[-82.0109,36.1764,388.59,2920],[-82.0126,36.1801,388.91,3097],[-82.0091,36.1835,389.26,3232],[-82.0108,36.1841,389.38,3301],[-82.0134,36.1903,389.91,3570],[-82.0109,36.1896,390.08,3589],[-82.0076,36.1926,390.41,3747],[-82.0039,36.1925,390.65,3743],[-82.0039,36.1967,390.99,3714],[-81.9975,36.2023,391.6,3478],[-81.9967,36.2061,391.91,3494],[-81.9911,36.2078,392.3,3445],[-81.989,36.206,392.5,3425],[-81.9763,36.2039,393.34,2828],[-81.9803,36.2088,393.82,2818],[-81.9769,36.2088,394.04,2795],[-81.9742,36.2113,394.31,2877],[-81.977,36.2135,394.56,2861],[-81.9768,36.2188,394.99,2995],[-81.9831,36.2188,395.4,3159],[-81.9925,36.2237,396.13,3222],[-81.9999,36.2193,396.72,3442],[-82.0028,36.2204,396.93,3635],[-82.0027,36.2221,397.07,3711],[-82.014,36.2235,397.81,3573],[-82.0202,36.2197,398.32,3560],[-82.0279,36.2196,398.82,3415],[-82.0323,36.2213,399.14,3360],[-82.031,36.2198,399.29,3517],[-82.0375,36.2173,399.76,3465],[-82.0415,36.2224,400.24,3553],[-82.0488,36.2234,400.72,3438],[-82.0528,36.2191,401.16,3583],[-82.0557,36.2193,401.35,3599],[-82.0613,36.2155,401.82,3717],[-82.0623,36.2183,402.06,3688],[-82.073,36.2166,402.77,3891],[-82.0841,36.221,403.57,4062],[-82.0922,36.2203,404.1,3944],[-82.096,36.2229,404.43,4088],[-82.1134,36.2279,405.63,3944],[-82.1163,36.2348,406.22,3875],[-82.1231,36.2419,406.94,3911],[-82.1234,36.2503,407.62,3465],[-82.1211,36.2553,408.05,3366],[-82.1221,36.2568,408.19,3225],[-82.1238,36.254,408.44,3212],[-82.1262,36.2607,409,2792],[-82.123,36.2637,409.32,2543],[-82.1237,36.266,409.51,2575],[-82.1289,36.2701,409.98,2552],[-82.1314,36.2702,410.15,2536],[-82.1321,36.2731,410.38,2398],[-82.1343,36.2722,410.54,2244],[-82.1335,36.2732,410.64,2198],[-82.1369,36.2784,411.11,2136],[-82.1393,36.2788,411.27,2103],[-82.1368,36.2802,411.47,2087],[-82.1384,36.2819,411.64,2051],[-82.1409,36.283,411.83,2188],[-82.1432,36.2815,412.02,2051],[-82.1412,36.2833,412.22,2188],[-82.1378,36.2828,412.44,2260],[-82.1397,36.284,412.6,2359],[-82.137,36.2834,412.78,2507],[-82.1388,36.2848,412.94,2546],[-82.1352,36.2855,413.18,2713],[-82.1246,36.2828,413.91,3327],[-82.1232,36.2802,414.14,3632],[-82.1184,36.2803,414.45,3727],[-82.1188,36.2827,414.64,3704],[-82.1173,36.284,414.79,3661],[-82.1201,36.2839,414.97,3468],[-82.1187,36.2882,415.33,3304],[-82.1206,36.2866,415.51,3196],[-82.1197,36.2953,416.21,2602],[-82.1213,36.2957,416.32,2644],[-82.1223,36.2933,416.52,2543],[-82.1278,36.2983,417.06,2182],[-82.1279,36.3021,417.37,1962],[-82.1315,36.3014,417.61,1991],[-82.1273,36.3094,418.31,1952],[-82.1309,36.311,418.58,2178],[-82.1291,36.3129,418.77,2172],[-82.1304,36.3137,418.88,2221],[-82.1238,36.3165,419.36,2156],[-82.1254,36.3175,419.49,2198],[-82.1239,36.3225,419.91,1890],[-82.1202,36.3252,420.23,1886],[-82.1159,36.3258,420.52,2287],[-82.1165,36.3281,420.7,2375],[-82.1019,36.3323,421.71,3015],[-82.0771,36.3493,423.83,3327],[-82.0769,36.3517,424.02,3409],[-82.0368,36.3852,427.77,3570],[-82.0218,36.4039,429.57,3970],[-82.0063,36.4164,430.99,4134],[-82.0064,36.4226,431.49,4124],[-82.0021,36.4258,431.87,4203],[-81.9965,36.4265,432.24,4121],[-81.9901,36.4378,433.24,4140],[-81.9826,36.4418,433.83,4022],[-81.9802,36.4474,434.31,4072],[-81.9697,36.4592,435.48,3924],[-81.9656,36.4632,435.89,3780],[-81.9556,36.4677,436.64,3606],[-81.9544,36.4736,437.12,3619],[-81.9602,36.479,437.7,3570],[-81.9606,36.4816,437.91,3520],[-81.9707,36.4882,438.75,3691],[-81.9792,36.4952,439.54,3825],[-81.9799,36.4975,439.73,3865],[-81.984,36.5,440.06,3967],[-81.9874,36.4997,440.29,4026],[-81.985,36.5042,440.68,4190],[-81.986,36.5092,441.09,4222],[-81.981,36.5098,441.42,4065],[-81.9752,36.5148,441.97,3862],[-81.9728,36.5232,442.66,3701],[-81.9642,36.5325,443.6,3458],[-81.9483,36.538,444.72,3478],[-81.9437,36.5446,445.33,3576],[-81.9317,36.5523,446.33,3570],[-81.9301,36.5549,446.56,3671],[-81.9316,36.5559,446.69,3645],[-81.9326,36.5622,447.2,3698],[-81.9299,36.5665,447.59,3789],[-81.9213,36.5721,448.3,3858],[-81.9062,36.578,449.39,3891],[-81.9035,36.5817,449.74,3809],[-81.8977,36.58,450.14,3684],[-81.8794,36.5838,451.36,3701],[-81.875,36.5879,451.8,3622],[-81.8745,36.5918,452.11,3468],[-81.876,36.5934,452.28,3356],[-81.8746,36.5947,452.41,3497],[-81.8207,36.6153,456.28,3130],[-81.8123,36.6169,456.84,2822],[-81.8086,36.6208,457.23,2815],[-81.8049,36.6205,457.47,2805],[-81.8008,36.6247,457.9,2707],[-81.8006,36.6271,458.1,2543],[-81.7967,36.6285,458.38,2520],[-81.7955,36.6274,458.49,2523],[-81.7947,36.6294,458.66,2418],[-81.7965,36.6311,458.84,2264],[-81.7914,36.6315,459.17,1942],[-81.7919,36.6355,459.5,1923],[-81.7837,36.6339,460.04,1946],[-81.7833,36.6305,460.32,1955],[-81.7726,36.6277,461.05,2300],[-81.7705,36.6292,461.23,2431],[-81.7731,36.6309,461.45,2490],[-81.7719,36.6333,461.66,2589],[-81.7756,36.634,461.9,2552],[-81.7675,36.6354,462.44,2904],[-81.7568,36.6436,463.4,3097],[-81.751,36.6427,463.78,2851],[-81.7482,36.6435,463.97,2818],[-81.7475,36.6456,464.15,2756],[-81.7427,36.6447,464.47,2595],[-81.7402,36.6478,464.76,2487],[-81.7387,36.6454,464.98,2444],[-81.7359,36.6459,465.17,2431],[-81.7377,36.6415,465.54,2274],[-81.7349,36.6415,465.72,2418],[-81.7319,36.6383,466.04,2323],[-81.7306,36.6337,466.42,2375],[-81.7173,36.6302,467.33,2703],[-81.7176,36.6317,467.45,2743],[-81.7162,36.6305,467.58,2831],[-81.7137,36.6331,467.85,3255],[-81.7167,36.6348,468.09,3343],[-81.7148,36.6341,468.22,3445],[-81.7084,36.6402,468.87,3307],[-81.699,36.6448,469.58,3166],[-81.6957,36.65,470.05,3228],[-81.6918,36.6525,470.37,3104],[-81.6905,36.6527,470.46,3169],[-81.6915,36.6508,470.62,3097],[-81.688,36.6524,470.88,3018],[-81.6865,36.6509,471.04,3028],[-81.6854,36.6544,471.33,3091],[-81.6781,36.6543,471.8,3012],[-81.6795,36.6525,471.97,2913],[-81.679,36.6482,472.32,2740],[-81.6771,36.6475,472.46,2874],[-81.6738,36.6504,472.77,2930],[-81.6722,36.6469,473.08,2785],[-81.6693,36.649,473.33,2812],[-81.6627,36.6497,473.76,3015],[-81.6645,36.6474,473.98,3189],[-81.6616,36.646,474.2,3294],[-81.6619,36.6432,474.42,3524],[-81.6514,36.6466,475.16,3458],[-81.6498,36.6395,475.74,3255],[-81.6483,36.6402,475.85,3258],[-81.6485,36.6386,475.98,3215],[-81.6466,36.6387,476.1,3330],[-81.6474,36.6368,476.27,3274],[-81.6442,36.6354,476.5,3435],[-81.644,36.6386,476.76,3432],[-81.6412,36.6368,476.99,3524],[-81.6348,36.6407,477.51,3845],[-81.6328,36.6356,477.94,4088],[-81.6288,36.6324,478.31,4377],[-81.6173,36.632,479.05,4895],[-81.6207,36.6344,479.35,4869],[-81.6145,36.6358,479.76,5085],[-81.6024,36.6317,480.61,5118],[-81.6024,36.6347,480.86,5240],[-81.5988,36.6369,481.15,5177],[-81.5995,36.6409,481.47,5210],[-81.5937,36.6425,481.87,5075],[-81.5874,36.6387,482.38,4800],[-81.5844,36.6464,483.03,4587],[-81.5791,36.6481,483.4,4593],[-81.5747,36.6546,484,4721],[-81.5595,36.6596,485.06,4941],[-81.5546,36.6595,485.38,4951],[-81.5524,36.6535,485.88,5180],[-81.5445,36.6507,486.44,5210],[-81.5377,36.6581,487.18,5466],[-81.5292,36.654,487.83,5433],[-81.5223,36.658,488.38,5381],[-81.5169,36.653,488.91,5440],[-81.515,36.647,489.41,5246],[-81.5165,36.6451,489.59,5190],[-81.5159,36.6411,489.92,5010],[-81.5121,36.6383,490.25,4921],[-81.4998,36.6433,491.14,4885],[-81.5066,36.6442,491.59,4718],[-81.4983,36.6556,492.65,4393],[-81.4954,36.6556,492.84,4383],[-81.4885,36.6501,493.47,4570],[-81.4797,36.6519,494.06,4564],[-81.4793,36.6564,494.42,4711],[-81.4808,36.658,494.58,4757],[-81.4797,36.661,494.84,4787],[-81.4927,36.6783,496.46,4754],[-81.5011,36.6762,497.03,4964],[-81.501,36.6779,497.17,4875],[-81.5056,36.6788,497.48,4718],[-81.5119,36.6768,497.92,4455],[-81.5153,36.6775,498.14,4347],[-81.5108,36.6815,498.58,4199],[-81.512,36.6847,498.85,4035],[-81.5097,36.6858,499.02,4022],[-81.5099,36.6889,499.27,3930],[-81.506,36.69,499.54,3819],[-81.5071,36.6928,499.77,3717],[-81.5102,36.6937,499.99,3599],[-81.506,36.6953,500.29,3530],[-81.5072,36.697,500.45,3599],[-81.5057,36.6991,500.64,3635],[-81.5187,36.7004,501.49,4131],[-81.5185,36.7021,501.63,4144],[-81.5228,36.7046,501.97,4219],[-81.5158,36.7066,502.45,4393],[-81.5188,36.7082,502.68,4370],[-81.5181,36.7103,502.86,4249],[-81.5077,36.7156,503.66,3829],[-81.5147,36.7175,504.13,3412],[-81.5121,36.7187,504.33,3333],[-81.5027,36.7194,504.94,3130],[-81.4994,36.7163,505.27,3320],[-81.4878,36.7163,506.02,3127],[-81.4828,36.7201,506.46,2930],[-81.4774,36.7182,506.84,3212],[-81.474,36.7143,507.23,3353],[-81.4751,36.716,507.38,3212],[-81.4737,36.7173,507.52,3238],[-81.4705,36.7158,507.76,3392],[-81.4624,36.7195,508.36,3320],[-81.4586,36.7239,508.79,3543],[-81.4581,36.7254,508.92,3563],[-81.4635,36.7282,509.33,3543],[-81.4775,36.7304,510.26,3858],[-81.4708,36.7356,510.86,3796],[-81.4736,36.7355,511.04,3806],[-81.4723,36.7403,511.44,3517],[-81.4768,36.7409,511.73,3402],[-81.4767,36.7453,512.09,3209],[-81.4819,36.7476,512.47,3051],[-81.4821,36.7494,512.62,3074],[-81.4869,36.7489,512.93,2884],[-81.4866,36.7513,513.12,2884],[-81.4929,36.7537,513.57,2598],[-81.491,36.7566,513.84,2697],[-81.4957,36.7569,514.14,2792],[-81.4919,36.7622,514.64,2559],[-81.4941,36.7632,514.8,2569],[-81.4934,36.7647,514.93,2687],[-81.4841,36.772,515.77,2707],[-81.4869,36.7733,515.98,2848],[-81.4944,36.7691,516.57,3048],[-81.4961,36.7695,516.69,3100],[-81.4957,36.7714,516.84,3104],[-81.4882,36.7782,517.57,3245],[-81.4737,36.7865,518.72,3369],[-81.4706,36.7867,518.92,3278],[-81.4674,36.7901,519.27,3366],[-81.4568,36.7932,520,3428],[-81.4516,36.7968,520.44,3346],[-81.4518,36.7983,520.56,3323],[-81.4466,36.7986,520.9,3287],[-81.4457,36.8007,521.08,3245],[-81.4434,36.8012,521.23,3271],[-81.442,36.7999,521.37,3104],[-81.4398,36.8023,521.61,3120],[-81.4276,36.8062,522.46,3310],[-81.4212,36.8116,523.06,3268],[-81.399,36.8182,524.59,3615],[-81.3797,36.8206,525.85,3848],[-81.3739,36.8234,526.29,3645],[-81.3728,36.8247,526.41,3599],[-81.3745,36.8288,526.76,3865],[-81.372,36.8308,526.99,3868],[-81.3705,36.8345,527.3,3648],[-81.3718,36.8362,527.47,3747],[-81.3704,36.8367,527.56,3835],[-81.373,36.8389,527.81,4009],[-81.3575,36.841,528.82,4009],[-81.3537,36.8463,529.32,3740],[-81.3595,36.846,529.69,3514],[-81.365,36.8522,530.3,3173],[-81.3643,36.8557,530.59,3061],[-81.3613,36.8581,530.86,2940],[-81.3616,36.8612,531.11,2848],[-81.3561,36.8665,531.67,2723],[-81.3579,36.8706,532.02,2598],[-81.3565,36.8727,532.21,2582],[-81.3592,36.8743,532.43,2543],[-81.3585,36.8768,532.64,2651],[-81.3609,36.8786,532.85,2546],[-81.3593,36.8806,533.04,2680],[-81.3618,36.8834,533.32,2569],[-81.3651,36.8821,533.56,2507],[-81.3641,36.884,533.72,2480],[-81.3655,36.8848,533.83,2428],[-81.3707,36.8834,534.19,2467],[-81.373,36.8853,534.4,2402],[-81.3708,36.8865,534.57,2425],[-81.3714,36.8898,534.84,2405],[-81.3667,36.8961,535.43,2490],[-81.3732,36.9008,536,2543],[-81.3718,36.9039,536.26,2602],[-81.3754,36.9077,536.65,2920],[-81.3741,36.911,536.93,2900],[-81.377,36.916,537.37,2887],[-81.3745,36.9189,537.66,2956],[-81.3655,36.9204,538.25,2920],[-81.3598,36.924,538.72,3100],[-81.3652,36.9346,539.64,3268],[-81.3611,36.9407,540.2,3228],[-81.3647,36.9447,540.6,2864],[-81.3637,36.9441,540.68,2917],[-81.3621,36.9478,540.99,2713],[-81.3639,36.9508,541.26,2677],[-81.3687,36.9525,541.6,2900],[-81.3685,36.9549,541.79,3031],[-81.3697,36.9544,541.88,3028],[-81.3707,36.9564,542.05,3146],[-81.3798,36.9516,542.76,3465],[-81.379,36.9556,543.08,3468],[-81.3828,36.96,543.51,2976],[-81.3886,36.964,544.01,2690],[-81.3949,36.9632,544.42,2746],[-81.394,36.9712,545.07,2766],[-81.397,36.9714,545.26,2451],[-81.4009,36.9792,545.94,2516],[-81.4068,36.9817,546.37,2500],[-81.4065,36.9852,546.65,2717],[-81.4102,36.9885,547.01,2887],[-81.4078,36.9896,547.19,3061],[-81.4095,36.9929,547.48,3123],[-81.403,36.9959,547.96,3100],[-81.4048,36.9978,548.15,2930],[-81.4044,37.0008,548.39,2802],[-81.4025,37,548.53,2776],[-81.3971,37.0039,549,2700],[-81.4033,37.0029,549.41,2536],[-81.4102,37.0035,549.86,2575],[-81.4113,37.0057,550.05,2707],[-81.4144,37.0063,550.25,2989],[-81.4203,37.0058,550.64,3054],[-81.417,37.0091,550.98,2766],[-81.4183,37.0122,551.24,2467],[-81.4199,37.0118,551.35,2405],[-81.4197,37.015,551.61,2326],[-81.4276,37.016,552.12,2477],[-81.4311,37.0182,552.41,2575],[-81.4302,37.0213,552.66,2405],[-81.425,37.0226,553.02,2428],[-81.4267,37.0246,553.21,2425],[-81.4228,37.0313,553.81,2707],[-81.4245,37.0355,554.16,3100],[-81.4285,37.0359,554.42,3264],[-81.4237,37.0391,554.82,3497],[-81.4317,37.0435,555.45,3802],[-81.4257,37.0448,555.85,3901],[-81.4175,37.0501,556.53,4121],[-81.4059,37.0538,557.33,4331],[-81.3993,37.0577,557.86,4383],[-81.3773,37.0542,559.31,3547],[-81.3744,37.0568,559.59,3645],[-81.3486,37.0609,561.28,4016],[-81.3264,37.0675,562.81,3907],[-81.2894,37.0847,565.56,3944],[-81.2815,37.0871,566.1,4045],[-81.2741,37.0879,566.59,3684],[-81.2751,37.086,566.75,3615],[-81.2698,37.0873,567.11,3307],[-81.2656,37.0908,567.5,3356],[-81.2625,37.09,567.71,3199],[-81.2583,37.092,568.02,3022],[-81.2567,37.0903,568.19,2881],[-81.2541,37.0924,568.43,2789],[-81.2468,37.0931,568.91,2513],[-81.2415,37.0851,569.64,2844],[-81.2323,37.0898,570.34,3140],[-81.2195,37.1027,571.67,3146],[-81.2099,37.1065,572.36,3120],[-81.2038,37.1052,572.76,2736],[-81.2028,37.1023,573,2618],[-81.1961,37.1047,573.48,2703],[-81.1945,37.1075,573.72,2986],[-81.1964,37.1079,573.85,3005],[-81.1955,37.1093,573.98,3041],[-81.191,37.1094,574.27,3104],[-81.1877,37.1133,574.65,3173],[-81.1853,37.1128,574.81,3107],[-81.1826,37.1188,575.32,2959],[-81.1814,37.1176,575.44,2969],[-81.1758,37.1185,575.81,3058],[-81.1659,37.1268,576.74,2818],[-81.163,37.1271,576.92,2815],[-81.1608,37.1314,577.3,2690],[-81.1574,37.1327,577.54,2687],[-81.1555,37.1314,577.7,2867],[-81.153,37.1338,577.95,2805],[-81.1458,37.1336,578.42,2940],[-81.1415,37.1366,578.78,2992],[-81.1378,37.1365,579.02,3077],[-81.1372,37.1385,579.19,2966],[-81.1335,37.137,579.45,2890],[-81.1255,37.1403,580.03,2779],[-81.1198,37.1391,580.41,2674],[-81.1143,37.1403,580.78,2628],[-81.115,37.1373,581.03,2953],[-81.11,37.1375,581.35,3120],[-81.1043,37.134,581.81,3156],[-81.0938,37.1369,582.52,3041],[-81.0889,37.1332,582.96,3241],[-81.0864,37.1287,583.36,3159],[-81.0761,37.1267,584.04,3002],[-81.0595,37.1324,585.2,3189],[-81.0491,37.1328,585.87,3009],[-81.0433,37.1366,586.35,3150],[-81.0331,37.1391,587.04,2966],[-81.0189,37.1475,588.18,2927],[-81.0081,37.146,588.88,2841],[-81.0069,37.1469,588.99,2792],[-81.0088,37.1485,589.16,2795],[-81.0085,37.1503,589.31,2772],[-81.0006,37.1546,589.93,2946],[-80.9974,37.1594,590.36,2959],[-80.9905,37.1583,590.82,3009],[-80.986,37.1604,591.15,2894],[-80.9815,37.1602,591.44,2805],[-80.9817,37.1579,591.63,2808],[-80.9787,37.1574,591.82,2766],[-80.9791,37.1548,592.04,2694],[-80.9758,37.1531,592.29,2608],[-80.9679,37.1566,592.87,2359],[-80.9562,37.157,593.62,2379],[-80.9563,37.1549,593.79,2477],[-80.9538,37.1561,593.98,2526],[-80.9558,37.1535,594.22,2651],[-80.9254,37.1599,596.25,2631],[-80.9201,37.1631,596.67,2612],[-80.9169,37.1638,596.89,2730],[-80.9174,37.1629,596.97,2641],[-80.9078,37.1694,597.78,2618],[-80.9021,37.1663,598.22,2156],[-80.9031,37.17,598.52,2067],[-80.8995,37.1725,598.83,2379],[-80.9019,37.1721,598.99,2280],[-80.9035,37.1759,599.31,2224],[-80.8973,37.18,599.83,2300],[-80.8979,37.1851,600.24,2300],[-80.8909,37.1886,600.77,2303],[-80.8916,37.1912,600.99,2320],[-80.8895,37.1936,601.22,2352],[-80.8845,37.1936,601.55,2356],[-80.8842,37.1981,601.91,2425],[-80.881,37.1973,602.12,2411],[-80.8789,37.2,602.38,2467],[-80.8701,37.2019,602.97,2598],[-80.8678,37.2043,603.21,2635],[-80.8593,37.2073,603.81,2562],[-80.8583,37.2102,604.05,2520],[-80.854,37.2126,604.39,2493],[-80.8543,37.215,604.58,2530],[-80.8497,37.2155,604.88,2477],[-80.8468,37.2195,605.25,2533],[-80.8264,37.2252,606.64,2644],[-80.8223,37.2244,606.91,2654],[-80.8077,37.2342,608.14,3465],[-80.8065,37.2333,608.24,3373],[-80.8045,37.2348,608.42,3527],[-80.805,37.2383,608.71,3747],[-80.8165,37.242,609.5,3825],[-80.8381,37.2432,610.89,3783],[-80.851,37.2461,611.75,4029],[-80.8646,37.2415,612.7,3773],[-80.8659,37.2479,613.22,3698],[-80.8626,37.2522,613.63,3612],[-80.8587,37.2527,613.88,3484],[-80.8593,37.2546,614.04,3432],[-80.8577,37.2564,614.22,3383],[-80.8552,37.2561,614.38,3399],[-80.8511,37.2594,614.76,3560],[-80.8474,37.2582,615.01,3681],[-80.8362,37.2617,615.79,3901],[-80.8355,37.266,616.14,3793],[-80.8384,37.2705,616.54,3550],[-80.8358,37.2699,616.72,3589],[-80.8341,37.272,616.92,3606],[-80.8272,37.274,617.39,3635],[-80.8232,37.2779,617.8,3465],[-80.8192,37.2784,618.06,3389],[-80.8098,37.2836,618.79,3307],[-80.8029,37.2843,619.24,3301],[-80.801,37.2884,619.59,3196],[-80.7934,37.2905,620.11,3189],[-80.7868,37.2949,620.66,3232],[-80.7848,37.293,620.86,3438],[-80.7569,37.3097,623.1,3717],[-80.7547,37.3133,623.42,3704],[-80.755,37.3181,623.81,3323],[-80.7573,37.3203,624.04,3045],[-80.7515,37.3224,624.45,2687],[-80.7527,37.3231,624.54,2621],[-80.7504,37.328,624.97,2165],[-80.7515,37.3305,625.18,1864],[-80.7496,37.3319,625.35,1683],[-80.7535,37.3338,625.64,1690],[-80.7594,37.3419,626.39,1585],[-80.7522,37.3473,627.03,1883],[-80.7468,37.3456,627.4,1644],[-80.7459,37.3475,627.56,1739],[-80.7468,37.3534,628.04,1903],[-80.7529,37.3582,628.59,2211],[-80.7577,37.3583,628.9,2339],[-80.7495,37.3619,629.5,2539],[-80.7514,37.364,629.71,2300],[-80.7481,37.3665,630,2277],[-80.7503,37.3675,630.17,2408],[-80.7469,37.3688,630.41,2585],[-80.7476,37.3714,630.62,2766],[-80.7443,37.3731,630.87,2713],[-80.7458,37.3751,631.06,2982],[-80.7501,37.3732,631.38,3018],[-80.755,37.375,631.72,3241],[-80.7568,37.373,631.92,3284],[-80.7605,37.3749,632.2,3314],[-80.7484,37.3798,633.08,3317],[-80.7434,37.3795,633.4,3451],[-80.7414,37.3818,633.62,3386],[-80.7194,37.3897,635.17,3310],[-80.7165,37.3891,635.36,3406],[-80.653,37.4203,640.15,3428],[-80.6451,37.4226,640.68,3287],[-80.6396,37.4261,641.14,3550],[-80.6367,37.4306,641.54,3632],[-80.6249,37.4336,642.34,3848],[-80.6216,37.4378,642.74,3658],[-80.6172,37.4379,643.02,3737],[-80.615,37.4335,643.4,3717],[-80.6118,37.4321,643.63,3596],[-80.6147,37.4302,643.87,3353],[-80.6125,37.4293,644.03,3258],[-80.6135,37.4288,644.11,3159],[-80.6094,37.4221,644.71,2733],[-80.6051,37.419,645.08,2425],[-80.6055,37.4222,645.34,2579],[-80.6024,37.4229,645.55,2510],[-80.598,37.419,645.97,2451],[-80.5961,37.4196,646.1,2533],[-80.5971,37.4183,646.22,2516],[-80.5913,37.4173,646.6,2536],[-80.5887,37.4145,646.88,2503],[-80.5845,37.4145,647.15,2546],[-80.5831,37.4031,648.08,3041],[-80.5811,37.4031,648.21,3212],[-80.5802,37.4002,648.45,3412],[-80.5771,37.4008,648.65,3537],[-80.5751,37.3982,648.9,3635],[-80.5738,37.4004,649.09,3720],[-80.5648,37.4018,649.68,3711],[-80.5609,37.4041,649.99,3743],[-80.5468,37.4051,650.9,3737],[-80.5356,37.4109,651.76,3678],[-80.5265,37.4113,652.34,3963],[-80.5098,37.416,653.47,4134],[-80.4916,37.417,654.64,4026],[-80.4939,37.4089,655.31,4035],[-80.4883,37.4028,655.92,3520],[-80.4854,37.4053,656.2,3432],[-80.4831,37.4015,656.54,3182],[-80.4818,37.4016,656.62,3143],[-80.4825,37.4035,656.78,3018],[-80.4727,37.4001,657.46,2513],[-80.4745,37.3972,657.73,2411],[-80.4743,37.3925,658.1,2329],[-80.4684,37.3853,658.8,2139],[-80.4671,37.3859,658.89,2162],[-80.4656,37.3818,659.24,2336],[-80.4595,37.377,659.79,2677],[-80.4551,37.3762,660.08,2822],[-80.452,37.3779,660.32,2881],[-80.4463,37.3727,660.88,3294],[-80.4427,37.3721,661.11,3461],[-80.4399,37.3745,661.38,3714],[-80.4443,37.3628,662.36,3694],[-80.4405,37.356,662.96,3734],[-80.4304,37.3545,663.62,3507],[-80.4217,37.3585,664.26,2858],[-80.4211,37.3615,664.51,2835],[-80.4136,37.3614,664.99,2664],[-80.4115,37.3595,665.19,2523],[-80.4075,37.3616,665.5,2480],[-80.4033,37.3586,665.86,2372],[-80.3974,37.3594,666.25,2257],[-80.3956,37.3576,666.43,2280],[-80.3965,37.3553,666.63,2218],[-80.3944,37.3542,666.79,2205],[-80.383,37.3534,667.52,2333],[-80.3807,37.3511,667.76,2208],[-80.3754,37.3519,668.1,2379],[-80.3743,37.3498,668.29,2336],[-80.3684,37.3473,668.72,2671],[-80.3666,37.3434,669.05,3077],[-80.3431,37.3534,670.76,3415],[-80.3276,37.367,672.24,3271],[-80.2997,37.3844,674.51,3346],[-80.2792,37.3901,675.91,2920],[-80.2747,37.3928,676.27,2743],[-80.2683,37.3866,676.91,2224],[-80.2654,37.388,677.13,2126],[-80.2602,37.387,677.47,1893],[-80.261,37.3842,677.71,1873],[-80.2594,37.3808,678,1755],[-80.2576,37.3819,678.14,1781],[-80.2526,37.3786,678.56,1693],[-80.2445,37.3795,679.08,1578],[-80.2431,37.376,679.38,1680],[-80.2487,37.3758,679.74,1617],[-80.2469,37.3735,679.96,1729],[-80.2451,37.3627,680.84,2165],[-80.2398,37.3582,681.33,2743],[-80.2384,37.3597,681.49,2717],[-80.2387,37.3585,681.58,2825],[-80.2353,37.3588,681.8,2959],[-80.224,37.3651,682.69,2949],[-80.2143,37.3671,683.33,2884],[-80.2023,37.3738,684.27,2753],[-80.2019,37.3775,684.57,2536],[-80.1999,37.3791,684.75,2628],[-80.2006,37.3826,685.04,2310],[-80.1988,37.3838,685.19,2336],[-80.1999,37.3869,685.45,1982],[-80.1981,37.3881,685.6,1972],[-80.2009,37.3919,685.95,1732],[-80.1864,37.3887,686.92,2008],[-80.187,37.386,687.14,2024],[-80.1841,37.3842,687.38,2070],[-80.181,37.3855,687.6,2106],[-80.183,37.3859,687.73,2234],[-80.1817,37.3872,687.87,2270],[-80.1836,37.3867,687.99,2356],[-80.1825,37.3892,688.21,2333],[-80.1747,37.3915,688.74,2503],[-80.1667,37.3891,689.29,2454],[-80.1643,37.3835,689.77,2539],[-80.166,37.3753,690.44,2644],[-80.1729,37.361,691.67,3005],[-80.1692,37.3662,692.15,2904],[-80.1651,37.3655,692.42,2585],[-80.1562,37.373,693.25,2103],[-80.1524,37.3736,693.5,2011],[-80.1466,37.3706,693.95,2113],[-80.1472,37.3665,694.28,1939],[-80.1412,37.3636,694.73,1844],[-80.143,37.3576,695.23,1798],[-80.1322,37.3562,695.93,2208],[-80.1072,37.3744,698.1,2093],[-80.0799,37.3846,700.04,2100],[-80.0615,37.3865,701.22,2224],[-80.0574,37.3889,701.55,2274],[-80.0567,37.3874,701.68,2188],[-80.0539,37.3878,701.86,2365],[-80.0521,37.3899,702.07,2441],[-80.053,37.3908,702.16,2454],[-80.0499,37.3918,702.37,2552],[-80.0402,37.3932,703.01,2995],[-80.035,37.3908,703.39,2995],[-80.0265,37.3908,703.94,2536],[-80.0196,37.3915,704.38,2411],[-80.0128,37.3947,704.89,2274],[-80.0016,37.4052,706,2290],[-80.0006,37.4099,706.38,2418],[-79.9961,37.4155,706.92,2218],[-79.9956,37.4292,708.02,2726],[-79.9992,37.4375,708.73,2805],[-79.9981,37.4387,708.85,2848],[-79.997,37.4365,709.04,2907],[-79.9979,37.4397,709.31,2667],[-79.9952,37.4402,709.48,2559],[-79.9838,37.4327,710.43,2133],[-79.9789,37.4327,710.75,2149],[-79.976,37.4345,710.98,2169],[-79.9739,37.4322,711.21,2205],[-79.9658,37.43,711.76,2165],[-79.9552,37.4209,712.76,2192],[-79.9537,37.4184,712.98,2172],[-79.9559,37.4183,713.12,1946],[-79.9551,37.4152,713.38,1834],[-79.9509,37.4119,713.76,1923],[-79.9442,37.4123,714.19,1811],[-79.9419,37.4153,714.47,1788],[-79.9401,37.4152,714.59,1768],[-79.9373,37.4072,715.26,1932],[-79.9301,37.3986,716.09,1867],[-79.9333,37.3936,716.54,1870],[-79.9351,37.3858,717.18,1831],[-79.9246,37.3814,717.94,1942],[-79.9228,37.3821,718.07,1752],[-79.9249,37.3832,718.23,1696],[-79.9222,37.3868,718.57,1401],[-79.9225,37.3889,718.74,1375],[-79.912,37.3901,719.42,1220],[-79.9091,37.3935,719.75,1283],[-79.9031,37.394,720.14,1352],[-79.896,37.4047,721.11,1355],[-79.8885,37.4039,721.6,1332],[-79.8853,37.3986,722.07,1430],[-79.8769,37.3984,722.61,1660],[-79.8765,37.3969,722.74,1762],[-79.8759,37.3983,722.85,1768],[-79.8746,37.397,722.99,1949],[-79.8713,37.3977,723.21,2080],[-79.8664,37.4011,723.62,1932],[-79.8668,37.3992,723.78,1982],[-79.8621,37.3984,724.09,2192],[-79.8633,37.3951,724.36,2382],[-79.8541,37.3998,725.07,2602],[-79.849,37.3982,725.42,2382],[-79.822,37.4094,727.37,2441],[-79.8193,37.4168,727.99,2300],[-79.8091,37.4183,728.65,1762],[-79.8033,37.417,729.04,1808],[-79.7979,37.4195,729.44,1680],[-79.7962,37.4225,729.71,1637],[-79.7918,37.4238,730.01,1585],[-79.7885,37.4227,730.24,1644],[-79.7885,37.4197,730.48,1709],[-79.7854,37.4209,730.7,1706],[-79.7861,37.4193,730.84,1798],[-79.7799,37.4182,731.24,2067],[-79.7763,37.4194,731.49,2064],[-79.776,37.4214,731.66,2037],[-79.7722,37.4208,731.9,2205],[-79.7713,37.4227,732.07,2139],[-79.7691,37.4217,732.23,2051],[-79.7654,37.4256,732.62,2103],[-79.758,37.4245,733.11,2369],[-79.7511,37.431,733.79,2474],[-79.727,37.4446,735.69,2536],[-79.7248,37.4489,736.06,2487],[-79.7201,37.4492,736.36,2267],[-79.7133,37.4538,736.93,2303],[-79.7096,37.4591,737.42,2438],[-79.7055,37.4609,737.72,2274],[-79.6908,37.4762,739.27,2382],[-79.6788,37.481,740.13,2562],[-79.6728,37.4874,740.78,2526],[-79.6687,37.4881,741.05,2487],[-79.6699,37.4855,741.27,2326],[-79.6657,37.4824,741.64,2421],[-79.6549,37.4885,742.49,2608],[-79.6487,37.4969,743.27,2559],[-79.6532,37.4988,743.6,2428],[-79.6555,37.5019,743.89,2211],[-79.6526,37.5099,744.56,1936],[-79.65,37.5144,744.96,1972],[-79.6337,37.5304,746.62,1732],[-79.6339,37.5268,746.91,1670],[-79.6316,37.5295,747.17,1545],[-79.6287,37.5296,747.36,1430],[-79.6286,37.5312,747.48,1414],[-79.6255,37.5316,747.69,1319],[-79.6221,37.53,747.94,1145],[-79.6234,37.5273,748.17,1056],[-79.6182,37.527,748.51,1421],[-79.6189,37.5278,748.58,1339],[-79.6168,37.5276,748.72,1535],[-79.6132,37.5309,749.07,1745],[-79.6043,37.5338,749.69,1965],[-79.5984,37.5319,750.09,1834],[-79.5943,37.5349,750.45,1499],[-79.5939,37.5326,750.64,1463],[-79.5923,37.5332,750.75,1335],[-79.5909,37.5357,750.97,1299],[-79.5876,37.5336,751.24,1421],[-79.5852,37.534,751.4,1339],[-79.5857,37.5293,751.78,1407],[-79.5825,37.5265,752.08,1650],[-79.5828,37.525,752.21,1742],[-79.5784,37.5266,752.52,1936],[-79.5781,37.5251,752.64,2116],[-79.5731,37.5254,752.96,2362],[-79.5705,37.5199,753.43,2359],[-79.5677,37.5205,753.62,2303],[-79.5632,37.5175,754,2674],[-79.5596,37.5176,754.23,2835],[-79.5607,37.5155,754.41,2995],[-79.5548,37.512,754.88,3022],[-79.5562,37.5088,755.15,3159],[-79.554,37.5053,755.47,3301],[-79.5553,37.4986,756.02,3543],[-79.5462,37.4944,756.69,3136],[-79.5414,37.4988,757.16,3186],[-79.5387,37.4987,757.33,3323],[-79.5373,37.5039,757.76,3350],[-79.5354,37.5038,757.88,3317],[-79.5357,37.5095,758.34,3143],[-79.5291,37.5089,758.77,3317],[-79.5224,37.5107,759.22,3402],[-79.5194,37.5088,759.47,3622],[-79.5157,37.5159,760.09,4035],[-79.5066,37.5203,760.77,3963],[-79.5044,37.5269,761.32,3967],[-79.4947,37.5391,762.48,3533],[-79.4883,37.5412,762.92,3455],[-79.4789,37.5483,763.75,3540],[-79.4701,37.5504,764.34,3481],[-79.4677,37.5561,764.83,2854],[-79.4662,37.5542,765.01,2936],[-79.4649,37.5558,765.16,2854],[-79.4585,37.5566,765.58,2651],[-79.4573,37.5604,765.89,2421],[-79.4406,37.5636,766.99,3077],[-79.4393,37.5683,767.38,2697],[-79.4419,37.5699,767.59,2549],[-79.437,37.5692,767.91,2461],[-79.439,37.5725,768.2,2320],[-79.4372,37.5761,768.51,2497],[-79.4423,37.5745,768.87,2549],[-79.4502,37.5785,769.46,2487],[-79.4489,37.5858,770.06,2490],[-79.4555,37.5858,770.48,2674],[-79.4511,37.5912,771,2585],[-79.4464,37.59,771.31,2326],[-79.4335,37.5925,772.16,1663],[-79.4249,37.5977,772.86,1312],[-79.413,37.5996,773.63,915],[-79.4014,37.604,774.45,715],[-79.3959,37.5964,775.16,830],[-79.3897,37.5943,775.59,633],[-79.3914,37.5967,775.81,699],[-79.3892,37.5982,776,725],[-79.3923,37.6002,776.25,804],[-79.392,37.6024,776.43,873],[-79.3862,37.6051,776.86,892],[-79.388,37.6048,776.98,843],[-79.3875,37.6077,777.22,978],[-79.3916,37.6121,777.66,1079],[-79.3945,37.6128,777.85,1276],[-79.3933,37.615,778.04,1289],[-79.3953,37.6193,778.41,1493],[-79.4032,37.6256,779.13,2428],[-79.3945,37.6301,779.79,2415],[-79.3765,37.6461,781.52,2572],[-79.37,37.6449,781.95,2661],[-79.357,37.6553,783.13,2854],[-79.3588,37.656,783.26,2792],[-79.3479,37.6574,783.96,3064],[-79.3498,37.6584,784.11,3100],[-79.345,37.661,784.48,3251],[-79.3454,37.6659,784.87,2894],[-79.3402,37.675,785.68,2733],[-79.3346,37.6754,786.04,2365],[-79.3345,37.6737,786.18,2283],[-79.3325,37.6763,786.42,2162],[-79.3265,37.6774,786.81,2064],[-79.3152,37.6747,787.57,2178],[-79.3145,37.6728,787.73,2028],[-79.3081,37.6729,788.14,1978],[-79.3079,37.6712,788.27,2149],[-79.3045,37.6695,788.53,2224],[-79.2915,37.6767,789.54,1286],[-79.284,37.6747,790.05,1122],[-79.284,37.6712,790.33,1135],[-79.2814,37.6665,790.75,1168],[-79.2763,37.6678,791.09,1125],[-79.2739,37.6715,791.42,1175],[-79.2763,37.6748,791.73,1043],[-79.2742,37.6761,791.9,1188],[-79.2754,37.6784,792.1,1043],[-79.2736,37.6822,792.43,1152],[-79.2716,37.6824,792.56,1188],[-79.2747,37.6837,792.78,1309],[-79.2711,37.6854,793.05,1365],[-79.2702,37.6897,793.4,1424],[-79.2727,37.6924,793.67,1378],[-79.2725,37.697,794.04,1247],[-79.2675,37.7047,794.74,1365],[-79.2686,37.7108,795.24,1473],[-79.263,37.716,795.79,1601],[-79.261,37.7204,796.16,1699],[-79.2554,37.7209,796.52,2047],[-79.2516,37.7237,796.86,2080],[-79.2464,37.7235,797.19,2300],[-79.2481,37.7267,797.47,2339],[-79.2399,37.727,797.99,3015],[-79.2364,37.7314,798.41,3251],[-79.2298,37.7338,798.87,3540],[-79.2278,37.7397,799.37,3881],[-79.2223,37.7401,799.72,4006],[-79.2179,37.7464,800.3,3497],[-79.2103,37.7509,800.9,3891],[-79.2119,37.7509,801.01,3720],[-79.2088,37.7521,801.23,3875],[-79.2055,37.7508,801.46,3986],[-79.1997,37.7527,801.86,3885],[-79.196,37.7562,802.23,3832],[-79.194,37.7557,802.36,3832],[-79.1946,37.7575,802.51,3642],[-79.1926,37.7572,802.64,3684],[-79.1966,37.7626,803.15,3596],[-79.1872,37.7668,803.84,3822],[-79.1838,37.7712,804.25,3599],[-79.1813,37.7819,805.13,3468],[-79.1774,37.7844,805.45,3504],[-79.179,37.7863,805.63,3589],[-79.1749,37.7893,805.99,3724],[-79.1719,37.7887,806.19,3612],[-79.1733,37.7895,806.3,3727],[-79.1726,37.7914,806.46,3671],[-79.1761,37.7925,806.7,3652],[-79.1756,37.795,806.9,3766],[-79.157,37.804,808.29,3714],[-79.1628,37.8053,808.68,3524],[-79.163,37.8067,808.79,3609],[-79.1532,37.8117,809.53,3645],[-79.1602,37.8123,809.98,3796],[-79.1571,37.8152,810.29,3822],[-79.158,37.8173,810.47,3858],[-79.155,37.822,810.89,3802],[-79.1463,37.8209,811.45,3629],[-79.1405,37.8263,812.02,3576],[-79.1377,37.8234,812.32,3707],[-79.1321,37.8286,812.87,3494],[-79.1277,37.8295,813.16,3455],[-79.1214,37.8279,813.58,3852],[-79.1208,37.83,813.75,3996],[-79.1134,37.8322,814.26,3632],[-79.1048,37.8285,814.88,3573],[-79.0995,37.8288,815.22,3661],[-79.0939,37.827,815.61,3556],[-79.0929,37.8239,815.86,3304],[-79.0885,37.8219,816.19,3353],[-79.0885,37.8234,816.31,3406],[-79.0837,37.8257,816.67,3376],[-79.0792,37.8256,816.95,3435],[-79.0767,37.825,817.12,3488],[-79.0764,37.8219,817.37,3678],[-79.0735,37.8187,817.69,3816],[-79.0657,37.8201,818.2,3963],[-79.0597,37.8192,818.59,3976],[-79.0501,37.8228,819.26,3586],[-79.0488,37.8248,819.44,3251],[-79.0361,37.8272,820.28,2247],[-79.0374,37.8294,820.47,1932],[-79.0352,37.8297,820.61,1903],[-79.0375,37.8304,820.77,1929],[-79.0348,37.8325,821.01,1827],[-79.0197,37.8391,822.11,1217],[-79.0174,37.8496,822.97,1565],[-79.014,37.8559,823.52,1775],[-79.006,37.8537,824.06,2005],[-79.0001,37.8555,824.47,1906],[-78.9978,37.8527,824.74,2044],[-78.999,37.8448,825.38,2382],[-78.998,37.8432,825.52,2493],[-78.9968,37.8439,825.62,2641],[-78.9911,37.8488,826.15,3104],[-78.9887,37.8541,826.61,3255],[-78.9863,37.8547,826.77,3543],[-78.9879,37.8551,826.87,3533],[-78.9858,37.8558,827.02,3701],[-78.9871,37.8562,827.11,3734],[-78.9834,37.8572,827.36,3924],[-78.9868,37.864,827.95,3704],[-78.9932,37.8638,828.35,3425],[-78.9963,37.8658,828.61,3225],[-78.9932,37.8669,828.83,3097],[-78.9915,37.8787,829.78,3025],[-78.9929,37.8803,829.94,2825],[-78.9923,37.8863,830.43,2822],[-78.9942,37.8868,830.55,2956],[-78.9929,37.888,830.68,2976],[-78.9953,37.8881,830.83,3061],[-78.9775,37.9107,832.98,2589],[-78.9722,37.9148,833.45,2612],[-78.9699,37.9199,833.89,2717],[-78.9709,37.9208,833.99,2608],[-78.9661,37.9269,834.56,2575],[-78.9423,37.9457,836.71,2779],[-78.935,37.9397,837.38,2989],[-78.9315,37.9392,837.6,2920],[-78.9231,37.9412,838.16,3294],[-78.9212,37.9442,838.43,3232],[-78.9184,37.9451,838.63,3274],[-78.9121,37.9462,839.04,3376],[-78.9099,37.9441,839.26,3520],[-78.905,37.9471,839.65,3491],[-78.8992,37.9481,840.03,3609],[-78.9019,37.9501,840.26,3448],[-78.9008,37.9551,840.67,3448],[-78.9031,37.9575,840.92,3278],[-78.9012,37.9588,841.08,3281],[-78.8988,37.9576,841.26,3169],[-78.8982,37.9609,841.52,2959],[-78.8946,37.9585,841.82,2871],[-78.8955,37.9595,841.92,2841],[-78.8934,37.959,842.06,2825],[-78.8935,37.9617,842.28,2543],[-78.8926,37.9603,842.41,2700],[-78.891,37.9628,842.63,2507],[-78.8904,37.9606,842.81,2464],[-78.8877,37.9632,843.09,2310],[-78.8878,37.9653,843.26,2119],[-78.8948,37.9653,843.7,2303],[-78.8949,37.9675,843.88,2352],[-78.8905,37.9703,844.24,2346],[-78.8888,37.9741,844.56,2365],[-78.883,37.9795,845.13,2178],[-78.8847,37.9801,845.25,2100],[-78.8814,37.9808,845.47,2060],[-78.8849,37.9831,845.76,1877],[-78.8822,37.9836,845.93,1670],[-78.8838,37.9851,846.09,1726],[-78.8825,37.986,846.2,1814],[-78.8785,37.9865,846.46,1834],[-78.8813,37.9865,846.64,1847],[-78.8785,37.9881,846.86,1949],[-78.8784,37.9901,847.02,1975],[-78.8812,37.9955,847.49,2185],[-78.8766,38.0086,848.59,2106],[-78.8741,38.0102,848.79,2054],[-78.8587,38.0344,850.97,1926],[-78.8461,38.0432,852.04,2336],[-78.8394,38.0503,852.76,2336],[-78.8252,38.0568,853.8,2615],[-78.8229,38.0599,854.09,2641],[-78.8112,38.0613,854.84,2746],[-78.7946,38.069,856.07,2726],[-78.7927,38.0746,856.53,2635],[-78.7974,38.0776,856.92,2746],[-78.7945,38.0788,857.13,2782],[-78.7932,38.0776,857.25,2874],[-78.7868,38.0815,857.77,2884],[-78.7794,38.0827,858.25,2874],[-78.7837,38.0904,858.92,2218],[-78.7802,38.0937,859.27,2306],[-78.7801,38.0969,859.53,2228],[-78.7783,38.0968,859.64,2188],[-78.7805,38.102,860.09,2146],[-78.7783,38.1065,860.48,2241],[-78.7814,38.1077,860.69,2411],[-78.7797,38.1098,860.9,2418],[-78.7819,38.1132,861.2,2231],[-78.787,38.1136,861.53,2231],[-78.7861,38.1161,861.74,2388],[-78.7877,38.1175,861.89,2418],[-78.7857,38.1197,862.11,2500],[-78.7884,38.126,862.64,2648],[-78.7871,38.1285,862.86,2575],[-78.7784,38.1322,863.49,2969],[-78.7793,38.139,864.04,2992],[-78.7751,38.1412,864.36,3123],[-78.774,38.1485,864.95,3022],[-78.7751,38.1523,865.27,2851],[-78.7721,38.1581,865.77,2884],[-78.7745,38.1614,866.08,2808],[-78.7722,38.1625,866.25,2848],[-78.7728,38.1651,866.46,2953],[-78.7713,38.1658,866.57,2972],[-78.7729,38.168,866.78,2789],[-78.7685,38.1711,867.15,2805],[-78.771,38.1772,867.67,2552],[-78.7646,38.1778,868.08,2766],[-78.7569,38.1872,868.98,2697],[-78.7567,38.1912,869.3,2605],[-78.7524,38.1937,869.64,2608],[-78.7536,38.1972,869.94,2523],[-78.7507,38.1986,870.15,2700],[-78.7521,38.2002,870.31,2592],[-78.7516,38.2041,870.62,2467],[-78.7457,38.214,871.51,2638],[-78.739,38.2187,872.07,3087],[-78.7405,38.2202,872.23,3022],[-78.7362,38.2207,872.5,3054],[-78.724,38.2319,873.69,2835],[-78.7104,38.2377,874.67,2792],[-78.7116,38.242,875.03,2631],[-78.7051,38.2462,875.56,2867],[-78.6972,38.2453,876.07,2894],[-78.6881,38.2492,876.72,2881],[-78.6826,38.254,877.24,2877],[-78.6799,38.2529,877.44,3015],[-78.6782,38.2546,877.61,3051],[-78.6763,38.2532,877.78,3117],[-78.6732,38.2498,878.11,3189],[-78.6739,38.2457,878.45,3274],[-78.672,38.2431,878.69,3310],[-78.6663,38.245,879.08,3264],[-78.6646,38.2516,879.62,3182],[-78.6548,38.2574,880.4,3107],[-78.6544,38.2599,880.61,3291],[-78.6559,38.2603,880.71,3222],[-78.6481,38.2629,881.24,3212],[-78.6553,38.2681,881.86,2861],[-78.6585,38.2678,882.07,2726],[-78.6589,38.2727,882.46,2575],[-78.6615,38.2718,882.64,2746],[-78.6641,38.2768,883.08,3061],[-78.6593,38.2818,883.58,2923],[-78.6588,38.2869,884,2936],[-78.6514,38.2936,884.71,2923],[-78.6509,38.2958,884.89,2805],[-78.6435,38.29,885.55,2497],[-78.6322,38.2911,886.27,2818],[-78.6324,38.2952,886.6,2802],[-78.6338,38.2948,886.7,2776],[-78.6308,38.3007,887.21,2510],[-78.615,38.3017,888.21,2530],[-78.6131,38.3027,888.36,2638],[-78.6162,38.3041,888.59,2654],[-78.6035,38.3067,889.42,2946],[-78.601,38.3153,890.13,2776],[-78.5952,38.3184,890.57,2628],[-78.5955,38.3213,890.81,2480],[-78.5935,38.3196,890.99,2490],[-78.5897,38.3259,891.56,2405],[-78.5827,38.3224,892.08,2625],[-78.5765,38.3288,892.73,2661],[-78.5689,38.327,893.23,2851],[-78.5631,38.331,893.72,3136],[-78.5532,38.3336,894.38,3438],[-78.5524,38.3376,894.71,3438],[-78.5467,38.3374,895.07,3392],[-78.5461,38.3418,895.42,2953],[-78.5526,38.3429,895.85,2749],[-78.5515,38.3435,895.93,2713],[-78.5551,38.3475,896.33,2726],[-78.5483,38.3519,896.88,2625],[-78.5479,38.3557,897.19,2490],[-78.5449,38.3578,897.44,2467],[-78.5462,38.36,897.64,2454],[-78.5389,38.3662,898.32,2720],[-78.5344,38.3667,898.61,2779],[-78.5284,38.3645,899.03,3022],[-78.5231,38.3784,900.2,2943],[-78.5213,38.38,900.37,2969],[-78.5154,38.3805,900.74,2940],[-78.5138,38.3862,901.22,2999],[-78.5087,38.3845,901.57,3068],[-78.5018,38.399,902.81,3593],[-78.4973,38.4039,903.3,3488],[-78.4902,38.4056,903.77,3402],[-78.4907,38.4086,904.01,3268],[-78.4861,38.4146,904.58,3163],[-78.4831,38.4293,905.78,3192],[-78.4773,38.4345,906.34,3448],[-78.4752,38.4424,906.99,3360],[-78.4679,38.448,907.63,3294],[-78.4642,38.4465,907.9,3566],[-78.466,38.4473,908.03,3461],[-78.4658,38.4511,908.33,3415],[-78.4609,38.4614,909.22,3228],[-78.4564,38.4643,909.59,3274],[-78.4564,38.4717,910.19,3386],[-78.4397,38.4972,912.5,3392],[-78.4455,38.4986,912.88,3271],[-78.4463,38.503,913.24,3261],[-78.4444,38.5067,913.56,3281],[-78.4485,38.5115,914.03,3284],[-78.4493,38.5156,914.36,3284],[-78.4433,38.5196,914.86,3356],[-78.4445,38.5263,915.4,3560],[-78.4427,38.5297,915.7,3596],[-78.4387,38.5331,916.07,3537],[-78.433,38.5291,916.56,3501],[-78.4331,38.5316,916.76,3366],[-78.4211,38.5344,917.55,3022],[-78.4172,38.5426,918.25,2992],[-78.4172,38.5481,918.7,3058],[-78.4098,38.5491,919.17,3419],[-78.4087,38.5525,919.45,3409],[-78.4059,38.5523,919.63,3540],[-78.4027,38.5551,919.93,3517],[-78.3947,38.5574,920.47,3602],[-78.3868,38.5571,920.97,3330],[-78.3838,38.5623,921.43,3402],[-78.3856,38.5701,922.07,3412],[-78.3831,38.5787,922.78,3442],[-78.3851,38.5781,922.92,3373],[-78.387,38.583,923.33,3369],[-78.385,38.5863,923.62,3537],[-78.3818,38.5899,923.98,3691],[-78.3792,38.5897,924.14,3724],[-78.379,38.5921,924.34,3750],[-78.3702,38.5953,924.95,3881],[-78.368,38.599,925.28,3730],[-78.368,38.6032,925.62,3458],[-78.3656,38.6025,925.78,3386],[-78.3664,38.6083,926.25,3091],[-78.36,38.6152,926.93,3186],[-78.3575,38.6141,927.12,3058],[-78.352,38.6165,927.51,3110],[-78.3492,38.6158,927.7,3123],[-78.3449,38.6204,928.16,3281],[-78.3455,38.6234,928.4,3251],[-78.3386,38.6279,928.97,3169],[-78.3313,38.625,929.48,3609],[-78.3291,38.6287,929.81,3602],[-78.3265,38.6302,930.02,3599],[-78.3264,38.6285,930.15,3652],[-78.3216,38.6382,930.99,3337],[-78.3218,38.6412,931.24,3232],[-78.3197,38.6432,931.44,3468],[-78.32,38.6465,931.71,3451],[-78.3178,38.6493,931.98,3363],[-78.3144,38.6492,932.19,3278],[-78.3138,38.655,932.66,2618],[-78.3193,38.6565,933.03,2572],[-78.3235,38.6609,933.47,2297],[-78.3195,38.6659,933.95,2556],[-78.3241,38.6731,934.59,2818],[-78.3209,38.6783,935.06,2828],[-78.3141,38.6826,935.61,3054],[-78.3167,38.687,936,2864],[-78.3168,38.6934,936.52,2569],[-78.3207,38.6936,936.76,2470],[-78.3219,38.6977,937.1,2549],[-78.3282,38.6991,937.52,2579],[-78.3291,38.7027,937.81,2664],[-78.3321,38.7034,938.01,2628],[-78.3324,38.7061,938.23,2454],[-78.3318,38.7107,938.6,2277],[-78.322,38.7259,939.97,2707],[-78.3192,38.7394,941.07,2710],[-78.3211,38.7446,941.51,2411],[-78.3168,38.7421,941.85,2346],[-78.3145,38.7438,942.05,2247],[-78.307,38.7385,942.68,2510],[-78.3039,38.7383,942.88,2677],[-78.3007,38.742,943.24,2890],[-78.2954,38.7446,943.63,2976],[-78.2939,38.7487,943.98,3048],[-78.2907,38.7495,944.19,3084],[-78.2897,38.7541,944.57,3212],[-78.2843,38.7604,945.18,3402],[-78.2797,38.7624,945.51,3419],[-78.2571,38.7581,946.97,3002],[-78.2494,38.7587,947.46,2818],[-78.2388,38.7621,948.18,2638],[-78.2339,38.7657,948.6,2677],[-78.2334,38.7682,948.81,2684],[-78.2298,38.7688,949.04,2822],[-78.2262,38.7667,949.32,2946],[-78.224,38.7707,949.67,3025],[-78.2176,38.7735,950.13,3150],[-78.2123,38.7749,950.49,3097],[-78.2078,38.774,950.78,3209],[-78.201,38.7763,951.24,3343],[-78.1933,38.7834,951.99,2989],[-78.194,38.7855,952.17,2986],[-78.188,38.7886,952.62,2795],[-78.1888,38.7905,952.78,2743],[-78.1842,38.7932,953.14,2769],[-78.1839,38.7968,953.44,2864],[-78.1773,38.7998,953.92,2661],[-78.1823,38.8055,954.47,2382],[-78.1789,38.8091,954.83,2405],[-78.1799,38.8139,955.23,2556],[-78.177,38.8155,955.45,2740],[-78.1791,38.8167,955.61,2831],[-78.1717,38.8192,956.12,2776],[-78.1734,38.8206,956.27,2756],[-78.1698,38.8208,956.5,2615],[-78.1706,38.8247,956.82,2451],[-78.1684,38.8303,957.29,2589],[-78.162,38.8367,957.95,2480],[-78.1588,38.8454,958.68,2339],[-78.165,38.8467,959.08,2152],[-78.1623,38.85,959.4,2018],[-78.167,38.8567,960.01,1385],[-78.1608,38.8675,960.97,1460],[-78.1575,38.8688,961.2,1394],[-78.1506,38.8782,962.07,968],[-78.1465,38.8763,962.37,988],[-78.139,38.879,962.89,1165],[-78.1343,38.8771,963.22,1204],[-78.1277,38.8795,963.68,1440],[-78.1226,38.8794,964,1640],[-78.1193,38.8817,964.28,1883],[-78.1116,38.8822,964.76,1965],[-78.1083,38.8798,965.05,1949],[-78.1029,38.8799,965.39,1801],[-78.0924,38.8854,966.18,1677],[-78.0893,38.8895,966.56,1506],[-78.0829,38.8884,966.98,1381],[-78.0816,38.8906,967.17,1322],[-78.0754,38.892,967.58,1227],[-78.0746,38.8966,967.95,1152],[-78.0724,38.8963,968.09,1086],[-78.0694,38.8989,968.37,1175],[-78.0685,38.8975,968.5,1243],[-78.0647,38.8983,968.75,1447],[-78.0553,38.9025,969.43,1257],[-78.057,38.9025,969.53,1230],[-78.0557,38.9034,969.64,1191],[-78.0561,38.9058,969.84,1033],[-78.0488,38.9157,970.76,1024],[-78.049,38.9197,971.08,1201],[-78.0449,38.9222,971.41,1339],[-78.0386,38.9229,971.81,1654],[-78.0342,38.9305,972.48,1729],[-78.0314,38.9321,972.7,1814],[-78.0316,38.9361,973.02,1919],[-78.033,38.939,973.27,1900],[-78.0358,38.9401,973.47,1900],[-78.0356,38.9424,973.65,1850],[-78.0317,38.9434,973.91,1808],[-78.0303,38.9476,974.26,2005],[-78.0247,38.9526,974.8,2123],[-78.0188,38.955,975.21,1978],[-78.016,38.9586,975.55,1949],[-78.016,38.9639,975.98,2008],[-78.008,38.9651,976.49,1913],[-78.0028,38.9671,976.85,1745],[-78.0017,38.9695,977.06,1568],[-77.9999,38.969,977.18,1575],[-77.9973,38.9755,977.73,1686],[-77.9984,38.9855,978.54,1854],[-77.9943,38.9881,978.87,1821],[-77.9901,38.9972,979.65,1801],[-77.9806,39.0026,980.39,1572],[-77.976,39.0089,980.97,1499],[-77.9773,39.0099,981.09,1453],[-77.9705,39.0175,981.83,994],[-77.9632,39.0171,982.29,1076],[-77.9653,39.0232,982.8,1184],[-77.9642,39.0268,983.1,1273],[-77.9609,39.0295,983.4,1138],[-77.958,39.0291,983.58,1260],[-77.9582,39.0315,983.78,1161],[-77.9556,39.0338,984.03,1138],[-77.9515,39.0336,984.28,1211],[-77.9511,39.0362,984.49,1201],[-77.9449,39.0401,984.99,1132],[-77.9472,39.0448,985.4,1168],[-77.9422,39.0466,985.74,951],[-77.9412,39.054,986.34,938],[-77.9396,39.0553,986.49,1043],[-77.9353,39.0548,986.76,1240],[-77.9318,39.0586,987.14,1076],[-77.9258,39.0593,987.52,1181],[-77.9174,39.0677,988.38,1043],[-77.9173,39.0719,988.72,948],[-77.91,39.0717,989.17,1175],[-77.9094,39.0731,989.29,1227],[-77.9042,39.07,989.7,1099],[-77.9015,39.0705,989.88,1211],[-77.8995,39.0774,990.45,1115],[-77.9017,39.0806,990.74,1273],[-77.8988,39.0845,991.1,961],[-77.8969,39.0841,991.23,892],[-77.8863,39.093,992.2,974],[-77.8797,39.0943,992.63,1273],[-77.8754,39.0984,993.06,1040],[-77.8742,39.1043,993.54,778],[-77.8684,39.1064,993.94,984],[-77.8608,39.1128,994.64,899],[-77.8569,39.1105,994.95,1204],[-77.8538,39.1143,995.31,1161],[-77.8515,39.1138,995.46,1204],[-77.8508,39.1156,995.61,1043],[-77.8526,39.116,995.73,991],[-77.8535,39.1193,996,961],[-77.8517,39.1224,996.27,961],[-77.8534,39.1259,996.58,866],[-77.8519,39.1296,996.89,879],[-77.8414,39.1375,997.8,951],[-77.8401,39.1403,998.04,1119],[-77.8339,39.1392,998.44,1427],[-77.8313,39.145,998.94,1188],[-77.8285,39.1445,999.12,1316],[-77.8267,39.1469,999.34,1444],[-77.8223,39.1478,999.63,1634],[-77.8206,39.1531,1000.07,1545],[-77.8167,39.1565,1000.43,1644],[-77.81,39.1699,1001.59,1552],[-77.8053,39.1742,1002.05,1529],[-77.8047,39.1795,1002.48,1644],[-77.7962,39.1951,1003.84,1522],[-77.7971,39.2003,1004.26,1450],[-77.7914,39.2088,1005.04,1476],[-77.7921,39.2107,1005.2,1522],[-77.7887,39.2138,1005.52,1581],[-77.786,39.2215,1006.17,1529],[-77.7699,39.2385,1007.87,1512],[-77.7702,39.2425,1008.19,1253],[-77.7673,39.2485,1008.71,1270],[-77.7706,39.2518,1009.05,1198],[-77.7701,39.2556,1009.35,1132],[-77.7622,39.261,1010.01,922],[-77.7525,39.2748,1011.28,840],[-77.7532,39.2818,1011.85,1001],[-77.7504,39.2892,1012.47,1152],[-77.7369,39.3106,1014.39,1158],[-77.7374,39.3136,1014.63,942],[-77.7414,39.3136,1014.88,666],[-77.7403,39.3152,1015.03,587],[-77.7425,39.3184,1015.32,259],[-77.7393,39.3189,1015.52,302],[-77.7445,39.3218,1015.92,404],[-77.7067,39.3257,1018.3,272],[-77.6916,39.3239,1019.26,305],[-77.6814,39.3292,1020.02,276],[-77.6854,39.3308,1020.3,348],[-77.6832,39.3329,1020.52,387],[-77.6806,39.3324,1020.69,482],[-77.6794,39.3338,1020.82,561],[-77.6782,39.332,1020.99,623],[-77.6779,39.3342,1021.17,719],[-77.6763,39.3333,1021.29,863],[-77.674,39.3429,1022.08,1201],[-77.6525,39.3749,1024.99,1096],[-77.6479,39.3884,1026.11,1017],[-77.6395,39.4045,1027.51,978],[-77.6409,39.4139,1028.28,1198],[-77.6386,39.4243,1029.13,1417],[-77.6395,39.4292,1029.53,1391],[-77.6375,39.4379,1030.24,1460],[-77.6328,39.4447,1030.86,1512],[-77.6346,39.4471,1031.08,1470],[-77.6236,39.447,1031.77,1722],[-77.6221,39.4502,1032.04,1617],[-77.629,39.4629,1033.15,1056],[-77.6242,39.465,1033.5,1102],[-77.6229,39.4689,1033.82,961],[-77.6178,39.47,1034.15,1063],[-77.6197,39.4843,1035.31,1083],[-77.6134,39.4885,1035.83,1499],[-77.617,39.4916,1036.17,1401],[-77.6172,39.4979,1036.67,1283],[-77.6236,39.499,1037.08,1467],[-77.6207,39.5049,1037.59,1299],[-77.6214,39.509,1037.92,1460],[-77.6182,39.5179,1038.67,1427],[-77.6149,39.522,1039.06,1401],[-77.6155,39.5245,1039.26,1394],[-77.6033,39.5397,1040.71,1345],[-77.5988,39.5408,1041,1552],[-77.5918,39.5541,1042.16,1759],[-77.5985,39.5634,1043.02,1798],[-77.5964,39.5733,1043.82,1798],[-77.5899,39.5734,1044.23,1660],[-77.5887,39.5789,1044.68,1611],[-77.5811,39.5876,1045.52,1841],[-77.5767,39.6088,1047.26,1690],[-77.5668,39.628,1048.92,1696],[-77.5558,39.6307,1049.64,1427],[-77.5561,39.6295,1049.74,1388],[-77.553,39.6294,1049.93,1509],[-77.5526,39.6333,1050.25,1480],[-77.5506,39.6341,1050.39,1640],[-77.5428,39.6313,1050.92,1680],[-77.5412,39.6391,1051.56,1660],[-77.5382,39.6426,1051.9,1581],[-77.5386,39.6471,1052.26,1545],[-77.543,39.6522,1052.75,1421],[-77.5386,39.6553,1053.12,1220],[-77.5384,39.6576,1053.31,1332],[-77.5338,39.6623,1053.78,1214],[-77.536,39.6644,1054,1083],[-77.5333,39.6648,1054.17,1316],[-77.5325,39.6685,1054.48,1673],[-77.5248,39.6783,1055.4,1752],[-77.5199,39.6898,1056.38,1837],[-77.5219,39.6938,1056.72,1844],[-77.5278,39.691,1057.15,1319],[-77.5293,39.6927,1057.32,1201],[-77.5285,39.6958,1057.57,1227],[-77.5248,39.698,1057.86,1358],[-77.5221,39.7031,1058.31,1414],[-77.5186,39.7047,1058.56,1506],[-77.5159,39.7114,1059.13,1299],[-77.5101,39.7135,1059.52,1217],[-77.5072,39.7208,1060.14,1204],[-77.5019,39.7219,1060.48,1119],[-77.5015,39.7236,1060.62,1132],[-77.4942,39.7242,1061.07,1306],[-77.4897,39.732,1061.76,1542],[-77.4887,39.736,1062.09,1365],[-77.4904,39.7411,1062.52,1184],[-77.489,39.7438,1062.75,1250],[-77.493,39.755,1063.69,1306],[-77.4797,39.7734,1065.38,1493],[-77.4827,39.7793,1065.9,1240],[-77.4805,39.7825,1066.19,1184],[-77.4825,39.7851,1066.43,1056],[-77.48,39.789,1066.78,1020],[-77.4832,39.7939,1067.22,896],[-77.482,39.7966,1067.45,932],[-77.4763,39.7999,1067.9,984],[-77.4782,39.8043,1068.27,1119],[-77.4771,39.8103,1068.76,1480],[-77.4719,39.8204,1069.63,1877],[-77.4762,39.824,1070.03,1969],[-77.4812,39.8254,1070.36,1969],[-77.485,39.8347,1071.14,2014],[-77.5027,39.8362,1072.25,1768],[-77.5054,39.8395,1072.56,1657],[-77.5066,39.8486,1073.3,1575],[-77.5107,39.8497,1073.57,1716],[-77.5112,39.8518,1073.74,1719],[-77.5021,39.8679,1075.16,1680],[-77.4937,39.8903,1077.04,1378],[-77.4912,39.8925,1077.27,1398],[-77.4888,39.9016,1078.02,1142],[-77.4896,39.9061,1078.39,919],[-77.4834,39.9075,1078.79,961],[-77.4865,39.9097,1079.05,971],[-77.4883,39.9138,1079.4,1286],[-77.4855,39.9162,1079.66,1368],[-77.4824,39.9273,1080.57,1339],[-77.4883,39.9345,1081.26,1581],[-77.4832,39.94,1081.8,1827],[-77.4911,39.9468,1082.54,1988],[-77.4902,39.9488,1082.71,1982],[-77.4815,39.9544,1083.41,1860],[-77.4822,39.9603,1083.89,2001],[-77.4769,39.9634,1084.3,1919],[-77.4762,39.9674,1084.63,1965],[-77.4712,39.9729,1085.17,2005],[-77.4663,39.9757,1085.54,2073],[-77.4529,39.9776,1086.39,1791],[-77.45,39.9735,1086.76,1890],[-77.444,39.9733,1087.13,1969],[-77.4273,39.9848,1088.52,1969],[-77.4172,39.9851,1089.15,1818],[-77.412,39.9935,1089.9,1942],[-77.4085,39.9945,1090.13,1991],[-77.3948,40.0082,1091.52,1982],[-77.3819,40.0127,1092.39,1867],[-77.3813,40.0184,1092.86,1880],[-77.3721,40.0239,1093.58,1854],[-77.373,40.0261,1093.76,1785],[-77.3703,40.0287,1094.03,1713],[-77.3653,40.0292,1094.34,1762],[-77.3639,40.0274,1094.51,1742],[-77.3581,40.029,1094.89,1512],[-77.3561,40.0325,1095.2,1329],[-77.3575,40.0349,1095.41,1306],[-77.3563,40.0372,1095.61,1332],[-77.3425,40.0409,1096.51,1375],[-77.3249,40.0384,1097.62,1053],[-77.3199,40.0341,1098.08,1220],[-77.3133,40.0356,1098.51,1109],[-77.3119,40.0312,1098.87,961],[-77.2986,40.0317,1099.7,925],[-77.2933,40.0288,1100.1,866],[-77.2894,40.0318,1100.44,850],[-77.2835,40.0283,1100.9,1076],[-77.2762,40.027,1101.36,1188],[-77.2577,40.0308,1102.55,1371],[-77.255,40.0287,1102.79,1375],[-77.2493,40.0315,1103.2,1414],[-77.2288,40.0535,1105.38,1024],[-77.2174,40.0588,1106.21,1089],[-77.2132,40.0644,1106.73,837],[-77.2067,40.0663,1107.16,732],[-77.2044,40.0726,1107.68,673],[-77.1948,40.079,1108.47,636],[-77.1834,40.0801,1109.18,919],[-77.1776,40.083,1109.61,1017],[-77.1733,40.0882,1110.1,1050],[-77.1731,40.0923,1110.43,1086],[-77.1618,40.0932,1111.14,784],[-77.157,40.091,1111.48,712],[-77.1537,40.0936,1111.77,682],[-77.1507,40.0911,1112.05,735],[-77.1426,40.0923,1112.56,935],[-77.1129,40.1026,1114.57,1106],[-77.1127,40.1071,1114.93,1129],[-77.1103,40.1099,1115.2,1211],[-77.107,40.1104,1115.41,1135],[-77.1031,40.1152,1115.86,1004],[-77.1027,40.1199,1116.24,853],[-77.106,40.1225,1116.54,974],[-77.1041,40.1232,1116.67,1066],[-77.1055,40.1234,1116.75,1017],[-77.1045,40.1253,1116.92,1007],[-77.1086,40.1256,1117.17,942],[-77.1126,40.1308,1117.66,712],[-77.1139,40.1362,1118.1,525],[-77.1158,40.1358,1118.22,535],[-77.115,40.1413,1118.67,518],[-77.1188,40.1427,1118.93,525],[-77.1185,40.1465,1119.24,505],[-77.1228,40.1467,1119.5,495],[-77.1271,40.1501,1119.89,505],[-77.1228,40.1509,1120.16,545],[-77.1224,40.1554,1120.52,581],[-77.1191,40.1555,1120.73,561],[-77.1213,40.1708,1121.97,561],[-77.1197,40.1764,1122.43,551],[-77.1118,40.1817,1123.08,512],[-77.1059,40.1929,1124.05,538],[-77.1083,40.1949,1124.27,509],[-77.1086,40.2019,1124.83,492],[-77.1132,40.2037,1125.15,469],[-77.114,40.2063,1125.37,459],[-77.1128,40.2071,1125.47,469],[-77.1144,40.209,1125.65,479],[-77.1047,40.2135,1126.35,489],[-77.1065,40.2185,1126.77,518],[-77.1022,40.2223,1127.17,509],[-77.1067,40.2278,1127.69,459],[-77.1105,40.2289,1127.94,512],[-77.1051,40.2384,1128.78,528],[-77.0999,40.2404,1129.14,433],[-77.1012,40.2476,1129.72,459],[-77.1041,40.2531,1130.2,404],[-77.1018,40.2572,1130.56,381],[-77.1037,40.2608,1130.88,410],[-77.1034,40.2674,1131.41,404],[-77.0996,40.2708,1131.77,407],[-77.0987,40.2801,1132.52,453],[-77.0944,40.2828,1132.86,482],[-77.0879,40.293,1133.78,653],[-77.0897,40.2973,1134.14,912],[-77.0844,40.2995,1134.51,1201],[-77.0891,40.3004,1134.81,1293],[-77.0893,40.3055,1135.22,961],[-77.0865,40.3062,1135.4,932],[-77.0861,40.31,1135.71,915],[-77.08,40.3118,1136.11,919],[-77.0831,40.3136,1136.35,850],[-77.084,40.3186,1136.76,630],[-77.0783,40.3205,1137.14,666],[-77.0766,40.3259,1137.59,666],[-77.0825,40.3329,1138.26,896],[-77.0888,40.3323,1138.65,853],[-77.089,40.3374,1139.06,974],[-77.1012,40.3396,1139.84,1316],[-77.1031,40.3413,1140.02,1329],[-77.0959,40.3492,1140.79,1171],[-77.0839,40.3571,1141.77,1227],[-77.07,40.3645,1142.81,1234],[-77.0413,40.3747,1144.75,1115],[-77.0405,40.3757,1144.85,1063],[-77.0423,40.3753,1144.96,846],[-77.0349,40.3815,1145.64,515],[-77.0292,40.3813,1145.99,440],[-77.0316,40.3854,1146.35,361],[-77.0312,40.3911,1146.81,381],[-77.0185,40.4028,1148.04,390],[-77.0109,40.4022,1148.51,351],[-77.0076,40.3958,1149.06,367],[-77.016,40.39,1149.76,587],[-77.0176,40.3869,1150.03,518],[-77.0148,40.3856,1150.23,1017],[-76.9732,40.4005,1153.05,1355],[-76.9275,40.4116,1156,1260],[-76.8641,40.4299,1160.16,1260],[-76.7845,40.4583,1165.56,1371],[-76.7813,40.4587,1165.76,1348],[-76.7845,40.4557,1166.07,1155],[-76.7821,40.4557,1166.22,1050],[-76.7832,40.4542,1166.35,984],[-76.7774,40.4535,1166.71,722],[-76.7713,40.4479,1167.3,709],[-76.7632,40.4468,1167.81,922],[-76.7442,40.4487,1168.98,1381],[-76.7303,40.4536,1169.92,1401],[-76.7124,40.4569,1171.05,1660],[-76.7106,40.4532,1171.37,1549],[-76.6983,40.4576,1172.21,1617],[-76.6906,40.4633,1172.87,1608],[-76.6695,40.473,1174.38,1490],[-76.6325,40.4863,1176.89,1457],[-76.6309,40.4888,1177.11,1381],[-76.6042,40.5033,1179.13,1217],[-76.6006,40.5026,1179.35,1135],[-76.5982,40.4968,1179.84,997],[-76.5951,40.4977,1180.05,974],[-76.5946,40.4963,1180.16,948],[-76.5845,40.4937,1180.82,981],[-76.5757,40.4953,1181.37,1220],[-76.5622,40.504,1182.46,1319],[-76.5598,40.5037,1182.61,1280],[-76.5601,40.4968,1183.16,906],[-76.5546,40.4948,1183.54,705],[-76.5503,40.4893,1184.05,571],[-76.55,40.4807,1184.75,535],[-76.5435,40.4817,1185.16,528],[-76.5396,40.4786,1185.5,719],[-76.5318,40.481,1186.02,489],[-76.5282,40.4785,1186.32,502],[-76.5292,40.481,1186.53,574],[-76.5261,40.4843,1186.85,764],[-76.5207,40.4816,1187.25,1188],[-76.5058,40.489,1188.34,1434],[-76.4729,40.4972,1190.47,1496],[-76.4701,40.4956,1190.68,1447],[-76.4517,40.4974,1191.82,1516],[-76.4214,40.4951,1193.69,1480],[-76.3667,40.51,1197.25,1375],[-76.344,40.5111,1198.65,1463],[-76.343,40.514,1198.89,1490],[-76.3245,40.5185,1200.08,1345],[-76.3182,40.5152,1200.55,1404],[-76.3112,40.5158,1200.98,1529],[-76.3052,40.5135,1201.39,1631],[-76.3112,40.5079,1201.97,1467],[-76.3018,40.5114,1202.62,1578],[-76.2974,40.5098,1202.91,1480],[-76.2919,40.5115,1203.28,1493],[-76.29,40.5096,1203.47,1490],[-76.2787,40.5085,1204.17,1483],[-76.2785,40.5111,1204.38,1430],[-76.2749,40.5103,1204.61,1296],[-76.2739,40.5125,1204.8,1440],[-76.2622,40.5137,1205.52,1588],[-76.2596,40.5222,1206.23,1617],[-76.2299,40.5251,1208.06,1535],[-76.2153,40.5284,1209,1565],[-76.2129,40.5273,1209.17,1532],[-76.206,40.5297,1209.63,1601],[-76.2028,40.5297,1209.83,1604],[-76.201,40.5277,1210.02,1572],[-76.1938,40.5278,1210.47,1608],[-76.1917,40.5314,1210.78,1631],[-76.1838,40.5338,1211.3,1627],[-76.1667,40.5311,1212.38,1624],[-76.1644,40.537,1212.87,1627],[-76.1505,40.5392,1213.74,1601],[-76.1495,40.5411,1213.91,1575],[-76.151,40.5448,1214.22,1608],[-76.1478,40.5474,1214.51,1627],[-76.1472,40.5507,1214.78,1611],[-76.1273,40.5564,1216.08,1516],[-76.1157,40.5589,1216.82,1473],[-76.1113,40.5583,1217.09,1411],[-76.1102,40.5525,1217.56,1342],[-76.1041,40.5534,1217.94,1227],[-76.1044,40.5514,1218.11,1368],[-76.1008,40.5492,1218.39,1473],[-76.1012,40.5461,1218.64,1503],[-76.0975,40.5459,1218.87,1526],[-76.0757,40.5532,1220.33,1378],[-76.0726,40.5568,1220.68,1332],[-76.0576,40.5608,1221.65,1450],[-76.0422,40.5684,1222.78,1358],[-76.0351,40.5692,1223.22,1309],[-76.026,40.5767,1224.04,495],[-76.0266,40.58,1224.31,449],[-76.0251,40.5801,1224.4,410],[-76.0251,40.5782,1224.55,374],[-76.0206,40.5741,1224.98,420],[-76.0219,40.5785,1225.35,653],[-76.0198,40.5776,1225.49,1007],[-76.0118,40.5815,1226.08,984],[-76.0014,40.5806,1226.72,1394],[-75.9891,40.5833,1227.5,1388],[-75.9812,40.5829,1227.99,1276],[-75.9764,40.5864,1228.39,1437],[-75.9686,40.5889,1228.91,1450],[-75.9531,40.587,1229.87,1040],[-75.9446,40.5899,1230.45,945],[-75.9377,40.5896,1230.87,997],[-75.9267,40.5949,1231.67,1194],[-75.9283,40.5975,1231.9,1296],[-75.9315,40.5949,1232.19,1447],[-75.9315,40.5972,1232.37,1519],[-75.9365,40.5983,1232.69,1591],[-75.937,40.6,1232.83,1529],[-75.9225,40.6047,1233.8,1594],[-75.9128,40.6127,1234.67,1608],[-75.9296,40.6119,1235.7,1578],[-75.9448,40.6057,1236.76,1427],[-75.9612,40.606,1237.76,1463],[-75.9667,40.6079,1238.13,1273],[-75.9644,40.6123,1238.52,1165],[-75.9609,40.6144,1238.79,1060],[-75.9587,40.6232,1239.51,902],[-75.9584,40.6306,1240.11,810],[-75.9603,40.6313,1240.24,850],[-75.9613,40.6345,1240.5,735],[-75.9577,40.6366,1240.78,640],[-75.9595,40.6381,1240.94,640],[-75.9583,40.6424,1241.3,728],[-75.9543,40.6454,1241.64,837],[-75.9544,40.6519,1242.17,1263],[-75.9594,40.6512,1242.48,1394],[-75.9562,40.6533,1242.74,1427],[-75.9552,40.6566,1243.01,1417],[-75.9217,40.6633,1245.13,1627],[-75.9049,40.6706,1246.32,1637],[-75.9008,40.6743,1246.71,1539],[-75.8923,40.6758,1247.24,1558],[-75.8772,40.6833,1248.34,1594],[-75.86,40.6862,1249.42,1401],[-75.8268,40.7009,1251.77,1375],[-75.8088,40.7063,1252.96,1368],[-75.8037,40.7108,1253.43,1473],[-75.7987,40.7123,1253.76,1516],[-75.7954,40.7162,1254.14,1591],[-75.7806,40.7239,1255.23,1493],[-75.7763,40.7288,1255.71,1611],[-75.7656,40.7311,1256.39,1503],[-75.7456,40.7402,1257.81,1473],[-75.7368,40.7452,1258.49,1486],[-75.7323,40.7516,1259.07,1480],[-75.7239,40.756,1259.7,1414],[-75.7105,40.7599,1260.57,1568],[-75.7058,40.7654,1261.1,1385],[-75.698,40.7672,1261.6,1355],[-75.6958,40.7697,1261.84,1302],[-75.6647,40.7785,1263.87,1539],[-75.6378,40.781,1265.52,1496],[-75.6293,40.7803,1266.05,1286],[-75.617,40.7828,1266.82,1073],[-75.6111,40.7807,1267.22,614],[-75.6059,40.7836,1267.62,364],[-75.6041,40.782,1267.79,476],[-75.6043,40.7873,1268.21,909],[-75.5983,40.7928,1268.79,1404],[-75.5816,40.7987,1269.92,1421],[-75.5616,40.8025,1271.17,1467],[-75.5536,40.806,1271.74,1299],[-75.5406,40.808,1272.55,1312],[-75.5298,40.8065,1273.22,1312],[-75.5186,40.8085,1273.92,1427],[-75.5042,40.8084,1274.8,1516],[-75.4631,40.8173,1277.41,1552],[-75.4489,40.8179,1278.28,1575],[-75.4449,40.8197,1278.56,1598],[-75.4404,40.8177,1278.88,1581],[-75.4342,40.821,1279.34,1572],[-75.4162,40.8237,1280.46,1594],[-75.4141,40.8258,1280.68,1568],[-75.4046,40.8284,1281.29,1483],[-75.3943,40.8289,1281.92,1529],[-75.3894,40.8274,1282.24,1480],[-75.3707,40.8336,1283.49,1493],[-75.3613,40.8394,1284.23,1519],[-75.3582,40.8431,1284.58,1467],[-75.3401,40.8449,1285.7,1453],[-75.3156,40.8578,1287.52,1368],[-75.3076,40.8578,1288.01,1460],[-75.2973,40.8604,1288.67,1230],[-75.2954,40.8593,1288.82,1158],[-75.295,40.8614,1288.99,984],[-75.2928,40.8606,1289.14,968],[-75.2876,40.8628,1289.5,1388],[-75.2754,40.8733,1290.63,1591],[-75.2716,40.8747,1290.88,1621],[-75.2743,40.8806,1291.39,1529],[-75.2718,40.885,1291.77,1407],[-75.265,40.8904,1292.38,1529],[-75.2517,40.8968,1293.34,1667],[-75.245,40.9041,1294.05,1667],[-75.2466,40.9061,1294.24,1673],[-75.2455,40.9082,1294.42,1680],[-75.2295,40.9151,1295.55,1654],[-75.2187,40.9284,1296.81,1568],[-75.2134,40.9296,1297.14,1558],[-75.206,40.9342,1297.73,1371],[-75.1844,40.9371,1299.06,1535],[-75.1737,40.9473,1300.11,1440],[-75.1489,40.9501,1301.64,1362],[-75.1289,40.959,1303.06,1470],[-75.1268,40.9628,1303.39,1312],[-75.1323,40.9645,1303.75,1122],[-75.1351,40.9685,1304.11,682],[-75.1377,40.9687,1304.27,751],[-75.137,40.9713,1304.49,623],[-75.1387,40.9726,1304.63,607],[-75.1404,40.9796,1305.21,545],[-75.142,40.9801,1305.31,479],[-75.1404,40.9831,1305.58,413],[-75.1377,40.9822,1305.75,377],[-75.1325,40.9713,1306.69,338],[-75.1244,40.9708,1307.18,322],[-75.1267,40.974,1307.48,531],[-75.1157,40.9823,1308.42,830],[-75.1122,40.983,1308.65,883],[-75.1122,40.9851,1308.81,978],[-75.1022,40.9888,1309.49,1184],[-75.0954,40.9956,1310.18,1332],[-75.0915,40.9966,1310.43,1378],[-75.0898,40.9995,1310.69,1339],[-75.0785,41.0011,1311.39,1440],[-75.0755,41.0043,1311.7,1362],[-75.0665,41.0049,1312.25,1447],[-75.0605,41.0085,1312.72,1450],[-75.0538,41.0091,1313.13,1493],[-75.0414,41.0156,1314.05,1493],[-75.023,41.0201,1315.23,1463],[-75.0103,41.0255,1316.11,1430],[-75.007,41.0277,1316.38,1322],[-75.0077,41.0293,1316.52,1188],[-75.0054,41.0322,1316.79,1155],[-74.9975,41.0321,1317.27,1457],[-74.9693,41.0496,1319.49,1516],[-74.9659,41.0541,1319.91,1312],[-74.9629,41.0551,1320.11,1276],[-74.9647,41.0575,1320.33,1299],[-74.9636,41.0594,1320.5,1312],[-74.9589,41.0609,1320.81,1260],[-74.9592,41.0631,1320.99,1296],[-74.955,41.063,1321.24,1463],[-74.9454,41.0678,1321.94,1453],[-74.9153,41.086,1324.29,1463],[-74.9006,41.0993,1325.69,1467],[-74.8995,41.1101,1326.56,1375],[-74.8943,41.1123,1326.92,1496],[-74.8867,41.1195,1327.66,1496],[-74.8713,41.1298,1328.91,1411],[-74.8707,41.1317,1329.07,1296],[-74.8636,41.1321,1329.5,1427],[-74.8623,41.1382,1330,1378],[-74.8598,41.1405,1330.24,1457],[-74.8447,41.149,1331.39,1381],[-74.813,41.1613,1333.55,1286],[-74.7977,41.1707,1334.75,1329],[-74.7936,41.1713,1335.01,1263],[-74.7906,41.1736,1335.27,1129],[-74.7906,41.1794,1335.73,961],[-74.7851,41.1818,1336.12,997],[-74.7807,41.1814,1336.39,1161],[-74.7808,41.1795,1336.54,1280],[-74.7704,41.1844,1337.29,1447],[-74.7589,41.1956,1338.43,1401],[-74.7518,41.1983,1338.91,1378],[-74.7376,41.2095,1340.16,1355],[-74.7312,41.2112,1340.57,1457],[-74.7139,41.2216,1341.92,1532],[-74.7058,41.2342,1343.04,1457],[-74.6892,41.2465,1344.46,1512],[-74.6864,41.2521,1344.94,1430],[-74.6895,41.2525,1345.13,1332],[-74.6881,41.2559,1345.42,1263],[-74.6809,41.2582,1345.89,1394],[-74.6758,41.2657,1346.57,1401],[-74.676,41.268,1346.76,1332],[-74.6817,41.2692,1347.12,1457],[-74.6802,41.272,1347.36,1467],[-74.6839,41.2735,1347.62,1411],[-74.6844,41.2753,1347.76,1483],[-74.6744,41.289,1349.02,1614],[-74.679,41.2944,1349.54,1572],[-74.6764,41.2962,1349.76,1588],[-74.6734,41.3025,1350.3,1608],[-74.6677,41.3066,1350.77,1585],[-74.6635,41.3185,1351.77,1644],[-74.6603,41.316,1352.05,1522],[-74.6555,41.3177,1352.37,1388],[-74.6473,41.3276,1353.31,1404],[-74.6415,41.329,1353.68,1106],[-74.6354,41.3277,1354.06,1030],[-74.6221,41.3194,1355.11,912],[-74.6178,41.322,1355.44,869],[-74.6143,41.319,1355.76,922],[-74.5844,41.3068,1357.83,653],[-74.5806,41.3034,1358.18,686],[-74.5602,41.2958,1359.56,636],[-74.5552,41.2873,1360.31,548],[-74.5508,41.2895,1360.63,545],[-74.5415,41.2867,1361.24,531],[-74.5372,41.2903,1361.63,417],[-74.5308,41.2853,1362.19,397],[-74.5378,41.2757,1363.07,430],[-74.5311,41.2727,1363.55,381],[-74.5277,41.2759,1363.88,387],[-74.5215,41.2732,1364.31,449],[-74.5205,41.2712,1364.48,554],[-74.5147,41.2705,1364.84,948],[-74.511,41.2666,1365.23,928],[-74.5128,41.2627,1365.56,1047],[-74.5098,41.2602,1365.83,1089],[-74.5068,41.2606,1366.02,1053],[-74.5013,41.2576,1366.43,1119],[-74.5012,41.2517,1366.9,863],[-74.4899,41.24,1368.07,846],[-74.4801,41.2353,1368.77,453],[-74.4767,41.2351,1368.98,407],[-74.4731,41.2373,1369.26,423],[-74.4711,41.232,1369.71,394],[-74.4602,41.2219,1370.76,482],[-74.448,41.2166,1371.61,640],[-74.4497,41.2114,1372.04,912],[-74.4395,41.214,1372.7,1299],[-74.4353,41.2132,1372.96,1224],[-74.4319,41.2161,1373.27,1109],[-74.4269,41.2154,1373.58,1220],[-74.4242,41.2167,1373.77,1132],[-74.4144,41.2126,1374.45,1286],[-74.414,41.2095,1374.71,1230],[-74.4117,41.2077,1374.91,1227],[-74.4119,41.2038,1375.22,1106],[-74.4015,41.2035,1375.85,1296],[-74.396,41.2008,1376.25,1230],[-74.3933,41.2021,1376.45,1217],[-74.3836,41.2011,1377.04,1253],[-74.3784,41.1997,1377.38,1234],[-74.3731,41.1948,1377.89,1171],[-74.3613,41.1961,1378.61,1220],[-74.3597,41.1946,1378.76,1220],[-74.355,41.1965,1379.09,1148],[-74.3485,41.1924,1379.6,1355],[-74.3467,41.1887,1379.92,1381],[-74.3354,41.1982,1380.95,1283],[-74.3222,41.2039,1381.87,1312],[-74.3168,41.2098,1382.45,1273],[-74.3161,41.214,1382.79,1217],[-74.3069,41.2261,1383.92,1227],[-74.2965,41.2335,1384.78,1260],[-74.2905,41.2408,1385.48,1220],[-74.2874,41.2416,1385.68,1188],[-74.2778,41.2571,1387.05,1309],[-74.2703,41.2616,1387.64,1063],[-74.2619,41.2776,1389.02,1135],[-74.253,41.2734,1389.66,699],[-74.2501,41.2689,1390.06,892],[-74.2376,41.2682,1390.82,1099],[-74.233,41.2693,1391.12,1280],[-74.2235,41.2762,1391.92,1237],[-74.2205,41.2738,1392.18,1056],[-74.2191,41.2681,1392.65,968],[-74.2147,41.2701,1392.96,932],[-74.2084,41.2697,1393.35,1063],[-74.2054,41.2645,1393.8,1115],[-74.2002,41.264,1394.12,925],[-74.1934,41.2666,1394.58,883],[-74.1918,41.2628,1394.9,761],[-74.1884,41.2671,1395.31,823],[-74.1836,41.2666,1395.6,883],[-74.1786,41.2723,1396.15,1027],[-74.1659,41.2723,1396.92,1135],[-74.1618,41.2712,1397.19,1109],[-74.1583,41.2667,1397.61,600],[-74.1506,41.2636,1398.14,722],[-74.1508,41.2613,1398.32,883],[-74.1474,41.2594,1398.58,1145],[-74.1443,41.2615,1398.83,1198],[-74.143,41.2599,1398.98,1112],[-74.1395,41.2615,1399.23,1056],[-74.1331,41.2581,1399.71,1148],[-74.1306,41.2617,1400.03,1319],[-74.1262,41.264,1400.36,1135],[-74.1165,41.2635,1400.95,1289],[-74.112,41.2658,1401.28,1152],[-74.1055,41.263,1401.73,1358],[-74.0953,41.2721,1402.69,1342],[-74.0919,41.2801,1403.37,1204],[-74.0877,41.2812,1403.64,1086],[-74.088,41.2846,1403.91,1145],[-74.0846,41.2853,1404.13,1220],[-74.0786,41.2916,1404.75,1106],[-74.0759,41.2877,1405.11,856],[-74.0727,41.2867,1405.32,945],[-74.0742,41.2834,1405.6,1030],[-74.0721,41.2811,1405.82,1132],[-74.0729,41.2787,1406.02,1158],[-74.0679,41.2755,1406.42,1181],[-74.0633,41.2773,1406.74,1152],[-74.0604,41.2762,1406.93,1217],[-74.0587,41.2802,1407.27,1122],[-74.0513,41.2821,1407.75,1165],[-74.0457,41.2864,1408.23,1004],[-74.0385,41.2825,1408.77,1138],[-74.0255,41.2821,1409.56,725],[-74.0188,41.285,1410.03,801],[-74.0157,41.2841,1410.23,1066],[-74.0148,41.2863,1410.41,1214],[-74.0191,41.3007,1411.6,771],[-74.0114,41.3042,1412.15,778],[-74.0124,41.3069,1412.38,899],[-74.0106,41.3087,1412.56,869],[-74.005,41.3074,1412.91,968],[-74.0104,41.3111,1413.35,1145],[-74.0078,41.3142,1413.65,1237],[-74.0051,41.3159,1413.86,1181],[-74.0067,41.311,1414.27,1289],[-73.9995,41.3115,1414.71,1083],[-74.0006,41.3081,1414.99,974],[-73.9989,41.3077,1415.1,892],[-73.9992,41.3093,1415.23,1024],[-73.9955,41.313,1415.6,682],[-73.9915,41.3125,1415.85,164],[-73.9896,41.3145,1416.05,164],[-73.9885,41.3199,1416.49,180],[-73.9795,41.3197,1417.03,66],[-73.9761,41.3225,1417.34,125],[-73.9688,41.3237,1417.79,669],[-73.9657,41.326,1418.05,715],[-73.9599,41.3251,1418.41,692],[-73.958,41.3277,1418.65,545],[-73.9521,41.3298,1419.05,535],[-73.9534,41.3311,1419.18,650],[-73.9407,41.3412,1420.3,899],[-73.9365,41.3542,1421.38,892],[-73.9315,41.3557,1421.7,712],[-73.9282,41.3506,1422.16,492],[-73.9241,41.3493,1422.43,472],[-73.9202,41.3527,1422.79,512],[-73.9179,41.3525,1422.93,581],[-73.9094,41.3675,1424.25,781],[-73.8982,41.3786,1425.37,833],[-73.894,41.38,1425.65,699],[-73.8922,41.384,1425.99,732],[-73.8871,41.3857,1426.33,764],[-73.8855,41.3842,1426.48,869],[-73.8827,41.3871,1426.77,646],[-73.8789,41.3874,1427,482],[-73.8767,41.3913,1427.34,620],[-73.8772,41.399,1427.97,722],[-73.8746,41.4049,1428.47,705],[-73.8768,41.4061,1428.63,758],[-73.8771,41.4098,1428.93,814],[-73.8818,41.4078,1429.26,978],[-73.8811,41.411,1429.52,994],[-73.8757,41.416,1430.04,971],[-73.8764,41.4181,1430.21,1027],[-73.8743,41.4201,1430.42,1033],[-73.8626,41.4194,1431.13,814],[-73.8474,41.4324,1432.52,830],[-73.8434,41.4389,1433.1,837],[-73.8447,41.4412,1433.3,951],[-73.8438,41.4457,1433.67,997],[-73.8395,41.4481,1433.99,1017],[-73.836,41.4532,1434.46,935],[-73.8407,41.4535,1434.74,1089],[-73.8404,41.4549,1434.85,1106],[-73.8355,41.4638,1435.63,1184],[-73.8304,41.4672,1436.04,1050],[-73.8298,41.4712,1436.37,1053],[-73.8236,41.4759,1436.9,1076],[-73.8178,41.4931,1438.33,1204],[-73.8137,41.4987,1438.85,1119],[-73.8134,41.5065,1439.48,1093],[-73.8085,41.5107,1439.93,1020],[-73.8022,41.5106,1440.31,876],[-73.8015,41.5145,1440.62,863],[-73.7982,41.5169,1440.9,702],[-73.7875,41.5122,1441.65,551],[-73.7827,41.5133,1441.95,820],[-73.7738,41.522,1442.84,1001],[-73.7636,41.5356,1444.1,860],[-73.7582,41.5368,1444.44,915],[-73.7541,41.5413,1444.88,617],[-73.7498,41.5413,1445.14,682],[-73.7475,41.5436,1445.37,830],[-73.7424,41.5444,1445.68,896],[-73.7355,41.5397,1446.25,958],[-73.7286,41.5438,1446.78,906],[-73.72,41.5451,1447.31,945],[-73.7157,41.543,1447.62,984],[-73.7127,41.5443,1447.83,1007],[-73.7085,41.5503,1448.37,1175],[-73.7013,41.5546,1448.93,1191],[-73.7009,41.5585,1449.24,1184],[-73.698,41.5613,1449.53,1188],[-73.692,41.5648,1449.99,1325],[-73.6879,41.5641,1450.24,1319],[-73.6874,41.5677,1450.53,1227],[-73.678,41.5717,1451.19,1227],[-73.6678,41.5789,1452.03,1161],[-73.6637,41.588,1452.81,748],[-73.6579,41.588,1453.16,771],[-73.6586,41.5924,1453.52,827],[-73.6569,41.5945,1453.71,876],[-73.6551,41.594,1453.83,735],[-73.6544,41.5961,1454,787],[-73.6517,41.5942,1454.23,738],[-73.6494,41.5947,1454.37,764],[-73.6465,41.6018,1454.97,873],[-73.6437,41.6031,1455.17,843],[-73.6437,41.6065,1455.44,886],[-73.6396,41.609,1455.76,997],[-73.6207,41.6102,1456.91,1207],[-73.6185,41.6076,1457.15,1201],[-73.6204,41.6052,1457.38,1083],[-73.6161,41.6059,1457.64,899],[-73.6109,41.6028,1458.05,561],[-73.5938,41.6057,1459.1,705],[-73.5922,41.6025,1459.38,545],[-73.5943,41.5997,1459.64,614],[-73.5916,41.5927,1460.23,423],[-73.5766,41.5954,1461.16,591],[-73.5765,41.5987,1461.42,614],[-73.5739,41.5984,1461.58,646],[-73.5677,41.6078,1462.43,1033],[-73.5625,41.611,1462.83,951],[-73.5642,41.6162,1463.26,984],[-73.5607,41.6178,1463.51,948],[-73.561,41.6202,1463.71,925],[-73.5586,41.6199,1463.85,925],[-73.5549,41.6225,1464.16,961],[-73.5511,41.63,1464.81,942],[-73.5467,41.6327,1465.15,843],[-73.5462,41.6354,1465.37,850],[-73.5351,41.6344,1466.04,810],[-73.5337,41.6373,1466.29,883],[-73.5314,41.6364,1466.45,686],[-73.5294,41.6382,1466.64,584],[-73.526,41.6365,1466.88,472],[-73.5257,41.64,1467.17,446],[-73.5186,41.6417,1467.62,446],[-73.5193,41.6436,1467.77,413],[-73.5163,41.6467,1468.08,459],[-73.5181,41.6504,1468.4,581],[-73.5157,41.6507,1468.55,535],[-73.5185,41.6524,1468.77,725],[-73.5176,41.6567,1469.12,794],[-73.5157,41.6601,1469.41,922],[-73.5124,41.6617,1469.65,794],[-73.5163,41.6622,1469.89,673],[-73.5118,41.6661,1470.3,348],[-73.5072,41.6659,1470.58,292],[-73.5041,41.6708,1471.02,285],[-73.5145,41.6755,1471.75,400],[-73.5119,41.6827,1472.35,554],[-73.5152,41.6822,1472.56,712],[-73.5144,41.6852,1472.8,951],[-73.5191,41.6857,1473.09,1168],[-73.5233,41.6814,1473.52,1214],[-73.5238,41.6894,1474.16,1178],[-73.5203,41.6906,1474.4,1207],[-73.5195,41.695,1474.75,1243],[-73.511,41.6951,1475.27,1266],[-73.5089,41.6976,1475.5,1309],[-73.5047,41.6976,1475.76,1007],[-73.5012,41.7044,1476.34,1043],[-73.5024,41.7078,1476.63,1027],[-73.5005,41.7125,1477.02,1204],[-73.5025,41.7153,1477.28,1371],[-73.5007,41.7209,1477.74,1004],[-73.4954,41.7227,1478.09,1109],[-73.4943,41.7247,1478.27,1122],[-73.4969,41.7308,1478.79,725],[-73.4908,41.7303,1479.15,466],[-73.4853,41.734,1479.6,702],[-73.482,41.7334,1479.8,853],[-73.4798,41.741,1480.43,928],[-73.473,41.7439,1480.9,915],[-73.4763,41.7449,1481.12,935],[-73.4776,41.7488,1481.44,922],[-73.4759,41.7504,1481.61,1010],[-73.4748,41.7489,1481.74,833],[-73.4722,41.7504,1481.94,761],[-73.4698,41.7492,1482.12,892],[-73.4659,41.7521,1482.45,915],[-73.466,41.755,1482.68,1079],[-73.451,41.7594,1483.65,686],[-73.4505,41.7578,1483.78,456],[-73.4434,41.7662,1484.58,522],[-73.4351,41.7685,1485.12,433],[-73.419,41.7778,1486.34,453],[-73.4074,41.7929,1487.75,456],[-73.394,41.8063,1489.09,525],[-73.3889,41.8145,1489.82,883],[-73.3917,41.8152,1490,1119],[-73.3908,41.8193,1490.34,1037],[-73.3856,41.8223,1490.73,778],[-73.39,41.8322,1491.57,879],[-73.3896,41.8364,1491.91,837],[-73.3923,41.8381,1492.12,955],[-73.3876,41.8404,1492.46,1181],[-73.3885,41.8432,1492.69,1181],[-73.3849,41.8448,1492.95,1083],[-73.385,41.8485,1493.24,919],[-73.382,41.8488,1493.43,866],[-73.3835,41.8569,1494.09,1220],[-73.39,41.8603,1494.56,1207],[-73.3884,41.8636,1494.85,965],[-73.389,41.8664,1495.07,932],[-73.3925,41.8703,1495.45,945],[-73.3909,41.8735,1495.73,830],[-73.386,41.8729,1496.03,1165],[-73.4019,41.8923,1497.86,1112],[-73.4029,41.898,1498.32,1309],[-73.3976,41.9017,1498.76,1243],[-73.3977,41.9069,1499.18,1115],[-73.3926,41.9108,1499.62,1145],[-73.3907,41.9152,1499.99,1135],[-73.3871,41.9162,1500.22,1142],[-73.3871,41.9181,1500.38,1096],[-73.3833,41.9163,1500.65,1348],[-73.3723,41.919,1501.34,1194],[-73.3711,41.9174,1501.49,1207],[-73.3674,41.9239,1502.06,1001],[-73.3633,41.9258,1502.35,735],[-73.3619,41.9284,1502.57,686],[-73.3636,41.9306,1502.78,561],[-73.3615,41.9327,1502.99,538],[-73.3634,41.9328,1503.1,531],[-73.3611,41.9366,1503.44,568],[-73.3627,41.9441,1504.05,564],[-73.3616,41.9462,1504.23,591],[-73.3662,41.9473,1504.52,528],[-73.3693,41.9511,1504.88,531],[-73.3693,41.9545,1505.16,531],[-73.3677,41.9561,1505.32,561],[-73.373,41.9592,1505.72,591],[-73.3737,41.9623,1505.98,659],[-73.3723,41.9631,1506.08,653],[-73.3775,41.9672,1506.54,873],[-73.3767,41.972,1506.93,1053],[-73.3742,41.9718,1507.08,1099],[-73.3783,41.9758,1507.48,1335],[-73.3921,41.9826,1508.48,1276],[-73.3927,41.9805,1508.65,1302],[-73.3952,41.9806,1508.8,1175],[-73.3958,41.9757,1509.2,1309],[-73.3986,41.9761,1509.37,1161],[-73.4009,41.9735,1509.62,1079],[-73.4007,41.978,1509.98,1060],[-73.4082,41.98,1510.46,1066],[-73.4058,41.9845,1510.85,1109],[-73.4104,41.9947,1511.72,837],[-73.4176,41.9892,1512.34,682],[-73.4216,41.9902,1512.59,699],[-73.424,41.994,1512.93,732],[-73.4278,41.9933,1513.16,896],[-73.4297,41.9971,1513.49,945],[-73.4339,41.9983,1513.76,1148],[-73.434,42.0017,1514.03,1106],[-73.4383,42.0074,1514.56,1148],[-73.4409,42.0084,1514.74,1201],[-73.4461,42.0045,1515.18,1575],[-73.4484,42.0103,1515.67,1588],[-73.4556,42.0174,1516.38,1759],[-73.455,42.0226,1516.8,1775],[-73.452,42.0253,1517.09,1775],[-73.4542,42.0273,1517.29,1818],[-73.4528,42.031,1517.6,1775],[-73.4567,42.037,1518.14,1890],[-73.4529,42.0476,1519.03,1893],[-73.4556,42.0527,1519.47,1634],[-73.438,42.0518,1520.52,1565],[-73.4364,42.0577,1521.01,1552],[-73.4373,42.066,1521.68,1798],[-73.4316,42.0756,1522.53,2146],[-73.432,42.0826,1523.09,2329],[-73.4377,42.0912,1523.87,1988],[-73.4322,42.0982,1524.52,2408],[-73.4326,42.102,1524.83,2589],[-73.4307,42.1022,1524.94,2520],[-73.4356,42.1071,1525.43,2106],[-73.43,42.1102,1525.85,1962],[-73.4326,42.118,1526.5,1873],[-73.4287,42.1246,1527.08,1890],[-73.4382,42.1436,1528.72,1407],[-73.435,42.1408,1529.01,1273],[-73.43,42.1451,1529.47,883],[-73.4254,42.1444,1529.75,863],[-73.4126,42.1472,1530.55,755],[-73.4055,42.1449,1531.01,758],[-73.3931,42.1474,1531.78,719],[-73.3787,42.1466,1532.64,745],[-73.3768,42.1533,1533.2,814],[-73.3738,42.154,1533.38,719],[-73.3693,42.1524,1533.68,709],[-73.3623,42.1535,1534.11,663],[-73.3594,42.1467,1534.69,663],[-73.3602,42.1441,1534.9,676],[-73.3528,42.1441,1535.34,696],[-73.3498,42.1459,1535.57,968],[-73.3451,42.145,1535.87,1175],[-73.3422,42.148,1536.16,1181],[-73.344,42.1535,1536.62,1237],[-73.3366,42.1566,1537.13,1368],[-73.3359,42.1587,1537.3,1519],[-73.3323,42.157,1537.56,1703],[-73.3282,42.1518,1538.04,1762],[-73.3233,42.1554,1538.46,1722],[-73.3245,42.1583,1538.7,1762],[-73.3206,42.1599,1538.97,1755],[-73.3194,42.1667,1539.52,1644],[-73.3142,42.1639,1539.9,1552],[-73.3067,42.1646,1540.36,1624],[-73.3037,42.1695,1540.79,1414],[-73.2926,42.1745,1541.57,1096],[-73.2907,42.1791,1541.95,958],[-73.2913,42.1879,1542.67,1375],[-73.2868,42.1887,1542.94,1493],[-73.2874,42.1926,1543.26,1503],[-73.284,42.1961,1543.61,1673],[-73.2828,42.201,1544.01,1581],[-73.2782,42.2039,1544.37,1827],[-73.2761,42.2023,1544.55,1791],[-73.2725,42.2026,1544.77,1811],[-73.2684,42.2085,1545.3,1955],[-73.2611,42.2082,1545.74,1972],[-73.2601,42.2161,1546.38,1870],[-73.2577,42.2169,1546.53,1942],[-73.2567,42.2211,1546.88,2041],[-73.2527,42.2239,1547.21,2047],[-73.254,42.2265,1547.43,1955],[-73.2474,42.2293,1547.89,1824],[-73.2477,42.2331,1548.19,1759],[-73.2453,42.2359,1548.46,1775],[-73.2495,42.2387,1548.8,1775],[-73.2441,42.2426,1549.25,1883],[-73.2359,42.2451,1549.78,1716],[-73.2349,42.2486,1550.07,1453],[-73.2312,42.2469,1550.33,1621],[-73.2257,42.2523,1550.87,958],[-73.2153,42.251,1551.5,876],[-73.2127,42.2424,1552.21,1211],[-73.2095,42.2378,1552.63,1142],[-73.1991,42.2329,1553.37,919],[-73.1877,42.2387,1554.19,1250],[-73.1824,42.248,1555.01,1742],[-73.1802,42.2485,1555.14,1841],[-73.1789,42.2525,1555.47,1755],[-73.1761,42.2545,1555.71,1729],[-73.1769,42.2565,1555.88,1719],[-73.1808,42.2575,1556.12,1726],[-73.1814,42.2623,1556.51,1791],[-73.1839,42.265,1556.77,1831],[-73.1826,42.2672,1556.97,1781],[-73.1883,42.2705,1557.4,1801],[-73.1816,42.2772,1558.07,1611],[-73.1843,42.2783,1558.26,1568],[-73.1847,42.282,1558.56,1706],[-73.1804,42.2828,1558.82,1699],[-73.173,42.2801,1559.31,1781],[-73.1682,42.2821,1559.64,1519],[-73.1651,42.2792,1559.94,1532],[-73.1636,42.2816,1560.15,1506],[-73.1721,42.2861,1560.78,1542],[-73.1731,42.2882,1560.96,1601],[-73.1651,42.2849,1561.5,1722],[-73.1598,42.2865,1561.84,1696],[-73.1586,42.2889,1562.05,1506],[-73.1568,42.2889,1562.16,1407],[-73.1583,42.2905,1562.32,1391],[-73.1574,42.2919,1562.44,1483],[-73.1509,42.2915,1562.83,1617],[-73.1491,42.2954,1563.16,1841],[-73.1501,42.3004,1563.57,2001],[-73.1457,42.3017,1563.85,2165],[-73.1607,42.3126,1565.11,2096],[-73.1695,42.3125,1565.63,2001],[-73.1704,42.3174,1566.03,2031],[-73.1653,42.3193,1566.37,1949],[-73.1683,42.3299,1567.24,1821],[-73.1664,42.3323,1567.47,1883],[-73.1619,42.3333,1567.75,1893],[-73.1638,42.3449,1568.69,2047],[-73.1599,42.3483,1569.05,2014],[-73.1603,42.3508,1569.25,2005],[-73.1526,42.3561,1569.88,1959],[-73.1534,42.3628,1570.42,1975],[-73.147,42.3683,1571.01,1975],[-73.1517,42.3767,1571.74,2018],[-73.149,42.3795,1572.02,1985],[-73.153,42.3863,1572.62,1952],[-73.1554,42.3871,1572.77,1982],[-73.1566,42.391,1573.1,1916],[-73.1555,42.3943,1573.37,1893],[-73.15,42.3989,1573.87,1844],[-73.1498,42.4048,1574.34,1883],[-73.1513,42.4063,1574.49,1880],[-73.1497,42.4096,1574.77,1867],[-73.1527,42.4105,1574.97,1919],[-73.1548,42.4141,1575.28,1998],[-73.1521,42.4174,1575.59,2034],[-73.1543,42.4201,1575.85,1926],[-73.1543,42.4254,1576.28,1906],[-73.1581,42.4275,1576.56,1942],[-73.1582,42.4387,1577.46,2077],[-73.1615,42.4413,1577.75,2034],[-73.1644,42.4471,1578.25,1969],[-73.1639,42.4491,1578.41,1985],[-73.1662,42.4501,1578.57,1900],[-73.1638,42.4558,1579.05,1759],[-73.1616,42.4569,1579.21,1621],[-73.1646,42.4599,1579.51,1512],[-73.1594,42.4618,1579.86,1798],[-73.1624,42.4641,1580.11,1644],[-73.1671,42.4626,1580.42,1483],[-73.1684,42.4646,1580.6,1332],[-73.1595,42.4686,1581.22,1201],[-73.1563,42.4738,1581.68,1148],[-73.1785,42.4818,1583.15,1250],[-73.1811,42.4844,1583.41,1211],[-73.1649,42.5117,1585.81,2011],[-73.1551,42.5226,1586.87,2057],[-73.1559,42.5288,1587.37,2215],[-73.1473,42.5363,1588.16,1972],[-73.1458,42.5401,1588.48,1831],[-73.1478,42.5446,1588.86,1798],[-73.1471,42.5496,1589.27,1736],[-73.1493,42.5536,1589.62,1385],[-73.1546,42.5549,1589.95,1224],[-73.1547,42.5616,1590.49,971],[-73.1578,42.5621,1590.68,984],[-73.156,42.5654,1590.96,994],[-73.1591,42.5672,1591.2,991],[-73.1586,42.5722,1591.6,1217],[-73.1608,42.5746,1591.84,1316],[-73.1688,42.5759,1592.32,1362],[-73.1721,42.5786,1592.62,1640],[-73.1777,42.5781,1592.95,1765],[-73.1772,42.5817,1593.24,2090],[-73.1724,42.5874,1593.78,2218],[-73.1753,42.5939,1594.34,2320],[-73.1772,42.5948,1594.47,2310],[-73.1792,42.6018,1595.05,2470],[-73.1899,42.6101,1595.97,3074],[-73.1918,42.6143,1596.33,3192],[-73.1865,42.6218,1597.01,3123],[-73.1778,42.6286,1597.76,3061],[-73.1784,42.6308,1597.94,3018],[-73.1685,42.6352,1598.63,3356],[-73.168,42.637,1598.78,3442],[-73.1656,42.6369,1598.92,3488],[-73.1596,42.6459,1599.73,3041],[-73.1582,42.6499,1600.06,3022],[-73.1577,42.6684,1601.55,2927],[-73.1636,42.6681,1601.9,2562],[-73.1679,42.6709,1602.25,2343],[-73.1718,42.6697,1602.5,2343],[-73.1739,42.6726,1602.76,2405],[-73.1682,42.6805,1603.48,1821],[-73.1632,42.6819,1603.8,1309],[-73.16,42.6856,1604.15,1063],[-73.1595,42.6904,1604.54,873],[-73.1564,42.6929,1604.81,722],[-73.1559,42.7001,1605.4,633],[-73.1524,42.7012,1605.62,696],[-73.1487,42.7091,1606.3,1079],[-73.1505,42.7188,1607.08,1437],[-73.1538,42.7202,1607.31,1585],[-73.1553,42.7251,1607.72,1867],[-73.161,42.7273,1608.1,2090],[-73.1592,42.7305,1608.38,2110],[-73.1593,42.735,1608.74,2211],[-73.1567,42.7365,1608.94,2267],[-73.1548,42.7417,1609.37,2320],[-73.1563,42.7431,1609.51,2313],[-73.1534,42.7464,1609.83,2290],[-73.1423,42.7493,1610.53,2165],[-73.1419,42.7531,1610.84,2136],[-73.1369,42.7592,1611.41,2287],[-73.1378,42.7677,1612.1,2093],[-73.1348,42.7702,1612.37,2257],[-73.1331,42.775,1612.77,2356],[-73.1261,42.7776,1613.23,2598],[-73.1242,42.7854,1613.87,2877],[-73.1197,42.7881,1614.21,2972],[-73.1175,42.7921,1614.56,2907],[-73.1181,42.8002,1615.22,2572],[-73.1162,42.8062,1615.71,2621],[-73.1172,42.8102,1616.04,2799],[-73.1205,42.8113,1616.26,2756],[-73.1225,42.8152,1616.59,2818],[-73.1222,42.8211,1617.07,2523],[-73.1251,42.8311,1617.89,2257],[-73.1182,42.839,1618.65,2241],[-73.1102,42.8414,1619.16,2162],[-73.1091,42.847,1619.62,2093],[-73.1224,42.8508,1620.46,2264],[-73.1279,42.8544,1620.9,2507],[-73.1316,42.8606,1621.44,2425],[-73.1307,42.8646,1621.77,2287],[-73.1329,42.8707,1622.28,2293],[-73.127,42.8761,1622.84,2165],[-73.1255,42.8808,1623.23,2165],[-73.1208,42.8859,1623.72,1690],[-73.1152,42.8843,1624.08,1375],[-73.1112,42.8861,1624.35,1627],[-73.1048,42.8845,1624.75,2096],[-73.0971,42.8872,1625.26,2415],[-73.095,42.8916,1625.63,2477],[-73.092,42.8932,1625.85,2625],[-73.0919,42.903,1626.64,2388],[-73.0878,42.9056,1626.96,2339],[-73.0869,42.9091,1627.25,2438],[-73.0803,42.9135,1627.78,2651],[-73.0801,42.9175,1628.1,2805],[-73.0724,42.9233,1628.75,2867],[-73.0713,42.9257,1628.96,2900],[-73.0724,42.9296,1629.28,3051],[-73.0657,42.9356,1629.91,3048],[-73.0589,42.9381,1630.35,3294],[-73.064,42.9418,1630.78,3163],[-73.0623,42.9456,1631.1,3045],[-73.0638,42.9485,1631.35,3005],[-73.0609,42.9547,1631.88,2841],[-73.0607,42.9595,1632.27,2838],[-73.0561,42.9658,1632.84,3114],[-73.06,42.9729,1633.46,3219],[-73.0723,42.9741,1634.19,3586],[-73.0678,42.9872,1635.28,3599],[-73.07,42.991,1635.61,3399],[-73.0685,42.9932,1635.81,3314],[-73.0694,42.9955,1636.01,3258],[-73.0635,43.0004,1636.53,3386],[-73.0622,43.0044,1636.86,3245],[-73.0473,43.0077,1637.78,3241],[-73.0466,43.0113,1638.08,3051],[-73.0368,43.0205,1639.02,3074],[-73.0382,43.0217,1639.14,3136],[-73.0354,43.0216,1639.31,3202],[-73.038,43.0243,1639.58,3136],[-73.0382,43.0297,1640.01,3205],[-73.0426,43.0313,1640.3,3209],[-73.0429,43.0329,1640.43,3196],[-73.038,43.0353,1640.78,3071],[-73.0344,43.033,1641.06,3094],[-73.0258,43.0335,1641.57,2999],[-73.0241,43.041,1642.18,2697],[-73.0196,43.0408,1642.45,2641],[-73.0143,43.0452,1642.92,2684],[-73.0138,43.0489,1643.22,2772],[-73.0081,43.0544,1643.78,2943],[-72.9962,43.0558,1644.49,2661],[-72.9839,43.0515,1645.29,2418],[-72.9801,43.0535,1645.57,2398],[-72.9732,43.0527,1645.98,2293],[-72.9687,43.0581,1646.49,2254],[-72.9703,43.0597,1646.65,2280],[-72.9693,43.0612,1646.78,2290],[-72.9542,43.064,1647.7,2418],[-72.9485,43.0691,1648.23,2631],[-72.9422,43.0708,1648.63,2867],[-72.9428,43.0724,1648.76,2989],[-72.9387,43.0757,1649.12,3199],[-72.9257,43.082,1650.04,3714],[-72.927,43.0833,1650.17,3734],[-72.9248,43.0853,1650.38,3940],[-72.9256,43.0879,1650.59,3845],[-72.9314,43.0914,1651.04,3451],[-72.9345,43.0908,1651.22,3255],[-72.9351,43.093,1651.41,3127],[-72.9391,43.0946,1651.67,2949],[-72.9425,43.0986,1652.05,2815],[-72.9509,43.1003,1652.57,2556],[-72.9536,43.1025,1652.81,2480],[-72.9643,43.1022,1653.44,2615],[-72.9637,43.1112,1654.16,2572],[-72.966,43.1183,1654.75,2513],[-72.9757,43.1222,1655.4,2323],[-72.9783,43.1255,1655.71,2369],[-72.9754,43.1265,1655.9,2356],[-72.9712,43.1341,1656.56,2300],[-72.979,43.1393,1657.18,2280],[-72.9813,43.1448,1657.65,2320],[-72.9873,43.146,1658.01,2365],[-72.9918,43.1506,1658.47,2333],[-73.0034,43.1514,1659.15,2238],[-73.0083,43.154,1659.51,2129],[-72.9978,43.1699,1660.93,2411],[-72.998,43.1736,1661.23,2257],[-72.9945,43.1771,1661.58,2234],[-72.9935,43.1848,1662.21,1988],[-72.9907,43.1892,1662.6,1814],[-72.9804,43.1975,1663.5,1965],[-72.9793,43.2008,1663.77,1916],[-72.9774,43.1996,1663.92,1909],[-72.9734,43.2009,1664.18,1732],[-72.965,43.2162,1665.51,2169],[-72.9593,43.2198,1665.95,2369],[-72.9503,43.221,1666.49,2530],[-72.9467,43.227,1667.02,2989],[-72.9398,43.2279,1667.43,3248],[-72.9367,43.2336,1667.92,3097],[-72.9362,43.242,1668.6,3005],[-72.938,43.2464,1668.97,2861],[-72.9353,43.2526,1669.5,2589],[-72.9379,43.2547,1669.72,2493],[-72.9404,43.2606,1670.22,2618],[-72.9396,43.2634,1670.45,2769],[-72.9432,43.2688,1670.94,3222],[-72.938,43.2736,1671.43,3340],[-72.9368,43.2779,1671.78,3215],[-72.9386,43.2811,1672.06,3294],[-72.9392,43.2914,1672.9,3402],[-72.9364,43.2966,1673.35,3287],[-72.945,43.2961,1673.85,2910],[-72.9495,43.301,1674.33,2664],[-72.958,43.3022,1674.84,2615],[-72.9584,43.3088,1675.37,2664],[-72.9537,43.3123,1675.76,2740],[-72.9525,43.3164,1676.1,2677],[-72.9563,43.3216,1676.58,2680],[-72.9629,43.3217,1676.96,2710],[-72.9653,43.3234,1677.16,2605],[-72.9591,43.3288,1677.73,2864],[-72.9604,43.3339,1678.15,2657],[-72.9579,43.3371,1678.44,2549],[-72.9576,43.3418,1678.82,2477],[-72.9529,43.3453,1679.22,2264],[-72.9492,43.3601,1680.43,1821],[-72.9478,43.3616,1680.58,1850],[-72.9419,43.3622,1680.93,1608],[-72.9482,43.3655,1681.38,1575],[-72.9592,43.3673,1682.04,1594],[-72.9624,43.3731,1682.55,1562],[-72.9604,43.3748,1682.73,1640],[-72.9617,43.3793,1683.1,1703],[-72.9574,43.3838,1683.54,1775],[-72.9553,43.3896,1684.02,1860],[-72.9546,43.4029,1685.1,1900],[-72.9441,43.41,1685.94,1919],[-72.9378,43.4115,1686.33,2005],[-72.9374,43.4148,1686.59,2156],[-72.9392,43.4177,1686.85,2257],[-72.9469,43.4195,1687.32,2395],[-72.9444,43.4253,1687.81,2562],[-72.9449,43.4286,1688.08,2467],[-72.942,43.4327,1688.45,2487],[-72.9454,43.4356,1688.76,2280],[-72.9423,43.4431,1689.39,2290],[-72.9335,43.4422,1689.91,2156],[-72.9348,43.4436,1690.05,1978],[-72.9336,43.4448,1690.17,1886],[-72.9368,43.4462,1690.39,1719],[-72.9382,43.4505,1690.74,1381],[-72.9357,43.455,1691.14,1178],[-72.9324,43.457,1691.39,1296],[-72.9342,43.4568,1691.49,1329],[-72.933,43.4579,1691.61,1371],[-72.9359,43.4599,1691.84,1404],[-72.934,43.4638,1692.17,1683],[-72.9387,43.4688,1692.66,2165],[-72.9389,43.4714,1692.87,2188],[-72.9365,43.477,1693.35,2073],[-72.933,43.4765,1693.55,1880],[-72.9293,43.4817,1694.03,1608],[-72.9258,43.4832,1694.26,1709],[-72.924,43.4902,1694.84,1804],[-72.926,43.4924,1695.05,1745],[-72.9244,43.4994,1695.62,1621],[-72.9273,43.5022,1695.91,1608],[-72.9262,43.5093,1696.48,1470],[-72.9275,43.5125,1696.75,1316],[-72.9255,43.5208,1697.43,896],[-72.9223,43.5263,1697.91,1325],[-72.9134,43.5242,1698.46,1322],[-72.9055,43.5249,1698.93,1772],[-72.9036,43.5271,1699.13,1745],[-72.8934,43.5282,1699.74,1841],[-72.8898,43.5325,1700.14,1991],[-72.8837,43.5307,1700.53,1923],[-72.8755,43.5326,1701.03,1634],[-72.8723,43.5377,1701.48,1404],[-72.8593,43.5406,1702.28,1568],[-72.8568,43.5432,1702.53,1568],[-72.8565,43.5526,1703.29,1703],[-72.853,43.5564,1703.66,1795],[-72.8517,43.5632,1704.22,1969],[-72.84,43.5688,1705.03,2257],[-72.8342,43.578,1705.85,2605],[-72.8172,43.5894,1707.2,3556],[-72.8202,43.5894,1707.38,3747],[-72.8238,43.5938,1707.79,3799],[-72.821,43.5974,1708.13,3829],[-72.8232,43.6027,1708.57,3947],[-72.8223,43.6058,1708.83,3924],[-72.8242,43.6069,1708.97,3747],[-72.8239,43.6092,1709.16,3537],[-72.8204,43.6127,1709.5,3488],[-72.8211,43.6207,1710.15,3369],[-72.8261,43.6238,1710.54,3340],[-72.8266,43.629,1710.96,3448],[-72.8306,43.6341,1711.43,3488],[-72.8352,43.637,1711.78,3632],[-72.8439,43.6378,1712.3,3356],[-72.8473,43.6433,1712.78,2966],[-72.8556,43.6486,1713.43,2362],[-72.8538,43.6515,1713.69,2359],[-72.8555,43.6526,1713.82,2185],[-72.852,43.6571,1714.23,2113],[-72.853,43.6627,1714.69,2080],[-72.85,43.6666,1715.05,1900],[-72.8488,43.6723,1715.52,2139],[-72.8452,43.6748,1715.81,2395],[-72.8352,43.6755,1716.39,2293],[-72.8277,43.6688,1717.09,2513],[-72.8223,43.6682,1717.41,2280],[-72.8138,43.6752,1718.16,1719],[-72.8006,43.6722,1718.97,1578],[-72.7894,43.6737,1719.63,1604],[-72.7861,43.6746,1719.84,1572],[-72.7878,43.6797,1720.26,1427],[-72.7746,43.68,1721.03,1883],[-72.7709,43.6832,1721.37,2264],[-72.7723,43.6859,1721.6,2516],[-72.769,43.6891,1721.92,2372],[-72.7571,43.6944,1722.74,2539],[-72.7495,43.6901,1723.3,2598],[-72.7454,43.6915,1723.56,2605],[-72.7405,43.6909,1723.85,2385],[-72.7347,43.6935,1724.25,2041],[-72.7198,43.6908,1725.15,1401],[-72.7174,43.6924,1725.34,1512],[-72.7144,43.6892,1725.65,1765],[-72.695,43.6857,1726.81,2185],[-72.6876,43.6899,1727.36,2021],[-72.6889,43.6921,1727.56,2146],[-72.685,43.6931,1727.8,2382],[-72.6782,43.6915,1728.21,2451],[-72.6781,43.6902,1728.32,2418],[-72.6753,43.6906,1728.49,2303],[-72.6702,43.6858,1728.97,2221],[-72.6668,43.6859,1729.17,2306],[-72.6635,43.682,1729.54,2703],[-72.6517,43.6822,1730.23,2260],[-72.6475,43.6785,1730.62,2408],[-72.6398,43.6777,1731.07,2421],[-72.6409,43.6759,1731.23,2241],[-72.6394,43.6709,1731.64,2228],[-72.6352,43.6678,1731.99,2238],[-72.6374,43.6635,1732.36,2244],[-72.6304,43.6582,1732.95,2513],[-72.6187,43.6608,1733.67,2054],[-72.6048,43.6578,1734.51,1791],[-72.6041,43.6594,1734.65,1657],[-72.5981,43.6599,1735,1499],[-72.5869,43.6567,1735.7,1385],[-72.5823,43.6533,1736.09,1493],[-72.5746,43.6568,1736.62,1178],[-72.5725,43.6544,1736.85,1122],[-72.5652,43.6547,1737.27,869],[-72.5615,43.658,1737.62,1312],[-72.5635,43.6608,1737.87,1266],[-72.5619,43.6628,1738.06,1529],[-72.562,43.6676,1738.44,1427],[-72.5536,43.6672,1738.94,1198],[-72.5541,43.6719,1739.32,810],[-72.5501,43.6758,1739.71,1083],[-72.5403,43.6754,1740.28,1001],[-72.5371,43.679,1740.63,1348],[-72.5362,43.685,1741.11,1073],[-72.5187,43.6773,1742.31,1529],[-72.5144,43.68,1742.64,1447],[-72.5138,43.684,1742.96,1496],[-72.5117,43.6858,1743.15,1542],[-72.5102,43.6848,1743.27,1631],[-72.5081,43.6879,1743.55,1693],[-72.4985,43.6863,1744.13,1404],[-72.4951,43.6877,1744.35,1608],[-72.4846,43.6871,1744.97,1791],[-72.4782,43.6916,1745.49,1965],[-72.4784,43.6957,1745.82,1936],[-72.4743,43.6966,1746.07,1650],[-72.4709,43.7024,1746.58,1578],[-72.4671,43.7018,1746.8,1601],[-72.4635,43.7059,1747.2,1362],[-72.4559,43.7045,1747.65,1499],[-72.4532,43.7058,1747.84,1457],[-72.4529,43.7085,1748.06,1427],[-72.45,43.7088,1748.23,1421],[-72.4394,43.6999,1749.18,1047],[-72.4376,43.7042,1749.54,1033],[-72.4334,43.7064,1749.84,1115],[-72.432,43.711,1750.22,856],[-72.4229,43.7101,1750.76,600],[-72.4176,43.7123,1751.12,384],[-72.4184,43.7172,1751.51,377],[-72.4134,43.7209,1751.93,545],[-72.4077,43.7213,1752.26,850],[-72.3969,43.7176,1752.96,928],[-72.3934,43.7187,1753.18,1047],[-72.3893,43.7246,1753.72,1056],[-72.3799,43.7281,1754.33,1391],[-72.365,43.7255,1755.23,1476],[-72.3612,43.7233,1755.51,1375],[-72.3588,43.7174,1756.01,1335],[-72.3536,43.7174,1756.31,1257],[-72.35,43.715,1756.59,1224],[-72.3374,43.7121,1757.37,1250],[-72.3339,43.707,1757.82,1250],[-72.3297,43.7067,1758.07,1188],[-72.3245,43.7118,1758.58,909],[-72.3176,43.7089,1759.05,623],[-72.3083,43.7132,1759.69,528],[-72.3052,43.7051,1760.37,472],[-72.2893,43.7025,1761.32,554],[-72.2893,43.7009,1761.45,541],[-72.2858,43.7011,1761.65,515],[-72.2805,43.697,1762.11,502],[-72.2646,43.7002,1763.07,981],[-72.2614,43.7045,1763.46,997],[-72.2586,43.7048,1763.63,1050],[-72.2527,43.7047,1763.97,1217],[-72.2538,43.7012,1764.26,1122],[-72.2505,43.7019,1764.46,1102],[-72.2499,43.7005,1764.58,981],[-72.2419,43.7034,1765.1,787],[-72.2336,43.7031,1765.59,974],[-72.2297,43.7048,1765.85,932],[-72.2264,43.7033,1766.08,978],[-72.218,43.7079,1766.69,1007],[-72.2128,43.7065,1767.02,883],[-72.2113,43.7035,1767.27,889],[-72.2046,43.7031,1767.67,1043],[-72.202,43.7039,1767.83,1063],[-72.1983,43.7088,1768.28,1224],[-72.1927,43.7094,1768.61,1188],[-72.1755,43.7181,1769.83,1417],[-72.1488,43.7171,1771.39,2077],[-72.1453,43.7203,1771.72,2297],[-72.1495,43.7227,1772.03,2119],[-72.1511,43.7278,1772.46,2080],[-72.1392,43.7351,1773.37,2290],[-72.1343,43.7445,1774.18,2014],[-72.1326,43.7531,1774.88,1371],[-72.1282,43.7498,1775.25,1168],[-72.1262,43.7504,1775.37,1076],[-72.1222,43.7592,1776.12,948],[-72.1239,43.7612,1776.31,997],[-72.1222,43.7639,1776.55,1273],[-72.1186,43.7653,1776.79,1444],[-72.118,43.7683,1777.03,1558],[-72.1057,43.7751,1777.93,1998],[-72.1051,43.7767,1778.07,1886],[-72.1084,43.779,1778.33,1673],[-72.1083,43.7837,1778.71,1467],[-72.1035,43.7923,1779.46,984],[-72.095,43.7917,1779.96,1056],[-72.0896,43.794,1780.32,1099],[-72.0786,43.7941,1780.96,1276],[-72.0761,43.7964,1781.2,1165],[-72.0717,43.7968,1781.46,1132],[-72.0689,43.799,1781.7,1407],[-72.0701,43.8008,1781.86,1519],[-72.0666,43.8064,1782.36,1978],[-72.0616,43.8106,1782.8,2362],[-72.0613,43.8198,1783.54,2215],[-72.0545,43.8241,1784.07,2339],[-72.0438,43.8272,1784.74,2730],[-72.042,43.8252,1784.93,2963],[-72.0371,43.8248,1785.22,3225],[-72.0313,43.8268,1785.59,3100],[-72.029,43.8411,1786.76,2674],[-72.0296,43.8491,1787.4,2379],[-72.0323,43.8543,1787.85,2080],[-72.0413,43.861,1788.6,1713],[-72.0359,43.8689,1789.31,1634],[-72.0305,43.8673,1789.65,2051],[-72.0274,43.8719,1790.06,2073],[-72.0283,43.8751,1790.33,2146],[-72.034,43.8774,1790.71,2349],[-72.0314,43.881,1791.04,2546],[-72.0232,43.8845,1791.59,2835],[-72.0228,43.8868,1791.78,2877],[-72.0154,43.8852,1792.23,2316],[-72.0159,43.8887,1792.51,2100],[-72.0011,43.8851,1793.42,1496],[-71.9894,43.8961,1794.53,1181],[-71.9888,43.8985,1794.73,1096],[-71.9851,43.9013,1795.04,909],[-71.9797,43.9022,1795.37,994],[-71.9723,43.9147,1796.46,1302],[-71.9691,43.9141,1796.65,1312],[-71.9612,43.9178,1797.2,1598],[-71.9558,43.9252,1797.88,1929],[-71.9544,43.9374,1798.86,1670],[-71.95,43.9388,1799.14,1673],[-71.9505,43.9451,1799.65,1818],[-71.9489,43.9489,1799.97,1834],[-71.9458,43.9505,1800.19,1732],[-71.9456,43.9539,1800.47,1542],[-71.9437,43.9539,1800.58,1555],[-71.9438,43.9579,1800.9,1706],[-71.9392,43.962,1801.33,1601],[-71.9386,43.967,1801.73,1768],[-71.9347,43.97,1802.06,2021],[-71.929,43.979,1802.86,1962],[-71.9271,43.9795,1802.98,1883],[-71.9279,43.9835,1803.3,1703],[-71.9185,43.9872,1803.92,1463],[-71.911,43.9854,1804.38,1667],[-71.9073,43.988,1804.68,1594],[-71.9032,43.9862,1804.96,1407],[-71.9019,43.9839,1805.16,1286],[-71.8993,43.9866,1805.43,1178],[-71.8998,43.9906,1805.75,1030],[-71.8912,43.9906,1806.25,1257],[-71.8899,43.9955,1806.65,1329],[-71.8874,43.9975,1806.87,1381],[-71.8859,43.9962,1807.01,1365],[-71.8823,43.9981,1807.27,1486],[-71.8756,43.9975,1807.66,1726],[-71.8715,44.0003,1807.99,1903],[-71.8597,44,1808.67,2608],[-71.8501,44.0055,1809.38,3268],[-71.848,44.0115,1809.88,3694],[-71.84,44.0132,1810.37,4446],[-71.8382,44.0186,1810.81,4560],[-71.8314,44.0234,1811.37,4777],[-71.8303,44.0261,1811.59,4675],[-71.8315,44.0279,1811.75,4534],[-71.8283,44.03,1812,4341],[-71.8235,44.0322,1812.34,4400],[-71.8215,44.0292,1812.6,4426],[-71.8163,44.0297,1812.91,4278],[-71.8119,44.0276,1813.21,4068],[-71.8106,44.0289,1813.34,3999],[-71.8112,44.0321,1813.6,3802],[-71.8083,44.0352,1813.9,3235],[-71.7955,44.0384,1814.69,1959],[-71.7908,44.0421,1815.09,2054],[-71.7837,44.0432,1815.52,2628],[-71.7812,44.0458,1815.77,2713],[-71.7697,44.0509,1816.55,2848],[-71.7675,44.0546,1816.88,2927],[-71.7689,44.0599,1817.31,2923],[-71.7646,44.0655,1817.83,2838],[-71.7605,44.0669,1818.09,2749],[-71.758,44.0752,1818.78,3094],[-71.753,44.0772,1819.11,3465],[-71.7508,44.0759,1819.27,3415],[-71.7529,44.0801,1819.63,3284],[-71.752,44.0833,1819.9,3297],[-71.7539,44.0855,1820.11,3238],[-71.7521,44.0917,1820.62,2822],[-71.7565,44.093,1820.89,2818],[-71.7533,44.0981,1821.34,2648],[-71.7409,44.1016,1822.12,2464],[-71.7403,44.1124,1822.99,3077],[-71.7445,44.1143,1823.28,3517],[-71.7409,44.1217,1823.91,4213],[-71.736,44.1242,1824.26,4199],[-71.7369,44.1335,1825.01,4183],[-71.7344,44.1382,1825.41,3786],[-71.7187,44.1408,1826.35,2867],[-71.7118,44.1379,1826.81,2871],[-71.7021,44.1382,1827.37,2740],[-71.707,44.1338,1827.82,2510],[-71.7053,44.1305,1828.11,2408],[-71.6953,44.1254,1828.82,2119],[-71.6814,44.1097,1830.32,1444],[-71.6778,44.114,1830.72,1703],[-71.6735,44.1113,1831.05,1903],[-71.6667,44.1134,1831.48,2116],[-71.6627,44.111,1831.79,2333],[-71.6597,44.114,1832.08,2661],[-71.6475,44.1168,1832.83,3819],[-71.6428,44.1189,1833.15,4206],[-71.6465,44.1228,1833.53,4088],[-71.6486,44.129,1834.04,4075],[-71.6467,44.1328,1834.37,4173],[-71.6479,44.1376,1834.76,4560],[-71.6435,44.1441,1835.34,4665],[-71.6453,44.1667,1837.17,4875],[-71.6423,44.1724,1837.66,4357],[-71.632,44.1809,1838.57,3714],[-71.6199,44.1869,1839.42,3832],[-71.6113,44.1874,1839.92,4439],[-71.6061,44.1902,1840.29,3858],[-71.5995,44.1895,1840.68,3507],[-71.5904,44.194,1841.32,3593],[-71.5824,44.1935,1841.78,3379],[-71.5763,44.1894,1842.27,3389],[-71.5548,44.1877,1843.52,4829],[-71.5512,44.1853,1843.8,4577],[-71.5487,44.1786,1844.36,4557],[-71.5368,44.172,1845.23,4377],[-71.5342,44.1682,1845.57,4544],[-71.5319,44.1689,1845.72,4524],[-71.5317,44.1709,1845.88,4347],[-71.5279,44.1715,1846.11,4311],[-71.5219,44.1788,1846.79,4226],[-71.5166,44.1781,1847.1,4183],[-71.5113,44.1803,1847.45,4035],[-71.5073,44.1844,1847.86,3888],[-71.496,44.1838,1848.51,3743],[-71.4982,44.1873,1848.82,3409],[-71.4977,44.1903,1849.07,3091],[-71.496,44.1952,1849.47,2782],[-71.4928,44.1961,1849.67,2552],[-71.4902,44.1957,1849.83,2467],[-71.4828,44.1861,1850.71,2470],[-71.4757,44.1725,1851.88,2510],[-71.4693,44.1698,1852.31,2513],[-71.4608,44.1701,1852.8,2566],[-71.442,44.1761,1854,2766],[-71.4315,44.1767,1854.6,2848],[-71.4189,44.1734,1855.38,2930],[-71.4089,44.1753,1855.98,2694],[-71.3938,44.1654,1857.16,2057],[-71.3859,44.1668,1857.63,1460],[-71.3881,44.1708,1857.98,1306],[-71.3795,44.1726,1858.5,1706],[-71.3732,44.1764,1858.97,2146],[-71.3836,44.1793,1859.62,2976],[-71.3852,44.1874,1860.28,3445],[-71.3897,44.1956,1860.99,3825],[-71.3759,44.2011,1861.9,3898],[-71.3774,44.2105,1862.67,3704],[-71.3763,44.2171,1863.2,3681],[-71.3697,44.2194,1863.63,3898],[-71.3702,44.2225,1863.88,4140],[-71.3667,44.2243,1864.13,4199],[-71.3648,44.2278,1864.43,4167],[-71.3553,44.2317,1865.06,4052],[-71.3494,44.2387,1865.72,4560],[-71.3398,44.244,1866.42,4551],[-71.3357,44.2485,1866.86,4849],[-71.3258,44.2536,1867.56,5135],[-71.3201,44.2532,1867.89,5082],[-71.3185,44.2556,1868.11,5131],[-71.3191,44.2587,1868.36,4977],[-71.309,44.2644,1869.1,5486],[-71.3047,44.2746,1869.96,5886],[-71.3143,44.2793,1870.63,5384],[-71.3179,44.2861,1871.22,5226],[-71.3167,44.298,1872.18,5220],[-71.3116,44.3048,1872.8,5335],[-71.3129,44.3098,1873.21,5079],[-71.3048,44.3169,1873.95,5272],[-71.2837,44.3281,1875.47,4780],[-71.2723,44.3295,1876.14,5033],[-71.2664,44.326,1876.58,4656],[-71.2612,44.3212,1877.07,4275],[-71.2599,44.3164,1877.46,3589],[-71.2574,44.3143,1877.69,3199],[-71.2568,44.3099,1878.04,2717],[-71.255,44.3088,1878.18,2559],[-71.2618,44.307,1878.6,2569],[-71.2613,44.3051,1878.75,2372],[-71.2632,44.3046,1878.87,2303],[-71.2604,44.2985,1879.39,2395],[-71.2556,44.2954,1879.76,2487],[-71.256,44.2873,1880.42,2621],[-71.2521,44.2834,1880.8,2838],[-71.2544,44.2791,1881.17,2733],[-71.2529,44.2675,1882.11,2552],[-71.255,44.2645,1882.38,2313],[-71.2525,44.2605,1882.74,2087],[-71.2533,44.2574,1882.99,2047],[-71.2502,44.2504,1883.58,2087],[-71.2515,44.2458,1883.96,2005],[-71.2437,44.2461,1884.41,2995],[-71.2413,44.2479,1884.61,3094],[-71.2271,44.2476,1885.44,3993],[-71.2163,44.2517,1886.14,3793],[-71.2083,44.2504,1886.62,4236],[-71.205,44.2517,1886.83,4154],[-71.202,44.2542,1887.1,4278],[-71.2012,44.2628,1887.79,3921],[-71.1946,44.2601,1888.23,3301],[-71.1918,44.2606,1888.4,3593],[-71.1773,44.2684,1889.45,4646],[-71.1747,44.2734,1889.88,4534],[-71.1703,44.2759,1890.2,4573],[-71.172,44.279,1890.47,4144],[-71.1737,44.279,1890.57,4029],[-71.1734,44.2829,1890.88,4062],[-71.1762,44.2898,1891.46,4432],[-71.173,44.2992,1892.24,4413],[-71.1678,44.3031,1892.68,4590],[-71.1677,44.3107,1893.29,4472],[-71.1644,44.3152,1893.7,4380],[-71.1528,44.3215,1894.54,3655],[-71.1505,44.3264,1894.96,3373],[-71.1476,44.3274,1895.14,3379],[-71.1477,44.3305,1895.4,3091],[-71.131,44.3348,1896.42,3885],[-71.1296,44.3373,1896.64,3986],[-71.1313,44.3405,1896.91,3999],[-71.1295,44.34,1897.02,3891],[-71.123,44.3473,1897.72,3688],[-71.116,44.3486,1898.14,3409],[-71.1128,44.3541,1898.62,2772],[-71.1147,44.3601,1899.12,2083],[-71.113,44.3682,1899.78,1755],[-71.1077,44.3759,1900.47,1467],[-71.1066,44.3822,1900.98,1243],[-71.1043,44.3833,1901.14,1230],[-71.1051,44.3905,1901.72,1073],[-71.1104,44.3981,1902.41,866],[-71.1094,44.401,1902.65,794],[-71.112,44.4002,1902.81,807],[-71.1167,44.4064,1903.38,843],[-71.1202,44.4041,1903.65,833],[-71.1266,44.4032,1904.03,1106],[-71.1391,44.4051,1904.77,1709],[-71.1389,44.4069,1904.91,1795],[-71.1425,44.4097,1905.22,1867],[-71.1466,44.4105,1905.46,2054],[-71.1475,44.4157,1905.89,2254],[-71.1504,44.417,1906.08,2415],[-71.1518,44.4153,1906.24,2507],[-71.1575,44.4177,1906.62,2552],[-71.1565,44.4231,1907.06,2178],[-71.1539,44.4267,1907.39,2021],[-71.1577,44.4323,1907.89,2362],[-71.1541,44.4355,1908.22,2533],[-71.1509,44.4337,1908.46,2595],[-71.1489,44.4374,1908.78,2566],[-71.1362,44.4408,1909.56,2106],[-71.1201,44.4424,1910.49,2267],[-71.1105,44.4413,1911.05,2648],[-71.1089,44.4433,1911.24,2815],[-71.0944,44.4439,1912.08,2726],[-71.0928,44.4477,1912.4,2822],[-71.0883,44.4513,1912.79,2799],[-71.0815,44.4515,1913.18,2717],[-71.0738,44.4561,1913.76,2536],[-71.0719,44.454,1913.96,2283],[-71.0669,44.4537,1914.25,2270],[-71.0654,44.4555,1914.42,2562],[-71.0665,44.4565,1914.52,2582],[-71.0609,44.4617,1915.05,2290],[-71.0535,44.4647,1915.54,2638],[-71.0482,44.4642,1915.84,3278],[-71.0469,44.467,1916.08,3366],[-71.0408,44.4687,1916.46,3530],[-71.0391,44.4715,1916.71,3579],[-71.0396,44.4784,1917.26,3238],[-71.0354,44.4813,1917.6,3077],[-71.0103,44.4876,1919.13,3402],[-71.002,44.4952,1919.91,3202],[-70.9977,44.5027,1920.56,3750],[-70.9894,44.5034,1921.04,3619],[-70.9884,44.5163,1922.08,3619],[-70.9835,44.5183,1922.41,3399],[-70.9843,44.5204,1922.58,3232],[-70.9808,44.5252,1923.02,3018],[-70.9817,44.5274,1923.21,3192],[-70.9801,44.5304,1923.46,3392],[-70.9831,44.5356,1923.92,3281],[-70.9903,44.5379,1924.37,2556],[-70.9865,44.5415,1924.73,2382],[-70.9773,44.5457,1925.36,2185],[-70.9788,44.5493,1925.67,2490],[-70.9769,44.5507,1925.82,2585],[-70.9786,44.5584,1926.45,3665],[-70.9761,44.5605,1926.67,3757],[-70.9729,44.5586,1926.91,3658],[-70.9719,44.5595,1927.01,3622],[-70.971,44.5629,1927.28,3435],[-70.9731,44.5652,1927.51,3543],[-70.9704,44.5655,1927.66,3678],[-70.9643,44.5713,1928.25,3714],[-70.958,44.5719,1928.61,3996],[-70.9591,44.5776,1929.08,3658],[-70.9649,44.5832,1929.64,3310],[-70.9619,44.5909,1930.28,2776],[-70.9582,44.5923,1930.52,2687],[-70.9568,44.5899,1930.73,2516],[-70.9586,44.5886,1930.88,2497],[-70.951,44.5883,1931.32,1834],[-70.9502,44.5904,1931.49,1631],[-70.945,44.591,1931.8,1568],[-70.9426,44.5943,1932.1,1699],[-70.9359,44.5946,1932.48,2116],[-70.9256,44.6011,1933.27,2559],[-70.9193,44.5991,1933.67,2697],[-70.9106,44.5998,1934.17,2835],[-70.9092,44.6014,1934.32,2946],[-70.9034,44.6006,1934.66,3553],[-70.9001,44.6031,1934.94,3484],[-70.8976,44.6084,1935.39,3583],[-70.8918,44.6093,1935.73,3780],[-70.894,44.6212,1936.7,2605],[-70.8983,44.6271,1937.23,2398],[-70.9013,44.6271,1937.41,2405],[-70.9002,44.6287,1937.55,2513],[-70.9026,44.6339,1937.99,2861],[-70.8865,44.6395,1939.02,2497],[-70.8893,44.6431,1939.35,2238],[-70.8938,44.6452,1939.66,2169],[-70.8937,44.6506,1940.1,1982],[-70.9004,44.6573,1940.76,1759],[-70.8971,44.66,1941.05,1266],[-70.8991,44.6612,1941.2,1368],[-70.8943,44.6621,1941.48,1381],[-70.8936,44.6675,1941.92,1572],[-70.8771,44.6733,1942.98,2060],[-70.8672,44.6729,1943.55,2306],[-70.865,44.6743,1943.71,2067],[-70.8569,44.6724,1944.2,2277],[-70.8427,44.6727,1945.02,2612],[-70.8378,44.6744,1945.33,2785],[-70.8374,44.6822,1945.96,2867],[-70.8388,44.6847,1946.18,2808],[-70.8371,44.6861,1946.33,2851],[-70.836,44.6935,1946.93,2651],[-70.8309,44.6953,1947.25,2700],[-70.8267,44.6997,1947.68,2690],[-70.8214,44.7024,1948.06,2464],[-70.8223,44.7042,1948.21,2073],[-70.8201,44.7049,1948.35,1972],[-70.821,44.7057,1948.43,1896],[-70.8136,44.7152,1949.31,1404],[-70.8114,44.7162,1949.46,1880],[-70.8035,44.712,1950.02,2356],[-70.7955,44.7134,1950.49,2149],[-70.7906,44.7202,1951.11,1575],[-70.7865,44.7206,1951.35,1453],[-70.7844,44.7222,1951.52,1673],[-70.7843,44.7249,1951.74,2031],[-70.7796,44.7275,1952.08,2490],[-70.7795,44.7318,1952.43,2520],[-70.7732,44.7416,1953.3,2877],[-70.7654,44.7442,1953.79,3438],[-70.7652,44.7495,1954.22,3373],[-70.7689,44.756,1954.79,3002],[-70.7692,44.77,1955.92,3435],[-70.7667,44.7734,1956.22,3379],[-70.7715,44.7871,1957.36,3314],[-70.7668,44.7966,1958.18,3520],[-70.7686,44.7976,1958.31,3428],[-70.7633,44.801,1958.72,3179],[-70.7631,44.8038,1958.94,2989],[-70.7595,44.8052,1959.18,3071],[-70.7596,44.8094,1959.52,3012],[-70.7542,44.811,1959.85,2844],[-70.7514,44.8155,1960.25,2854],[-70.7492,44.816,1960.38,2851],[-70.7481,44.8257,1961.16,2867],[-70.7435,44.8256,1961.43,2740],[-70.7338,44.8287,1962.04,2589],[-70.7286,44.8361,1962.7,1883],[-70.7098,44.8344,1963.79,2119],[-70.71,44.836,1963.92,2218],[-70.6975,44.8446,1964.91,2408],[-70.6918,44.8463,1965.27,2352],[-70.6871,44.8455,1965.54,2379],[-70.6775,44.8501,1966.21,2589],[-70.6672,44.8505,1966.79,2753],[-70.6617,44.8461,1967.27,2385],[-70.6644,44.8415,1967.67,2365],[-70.662,44.8403,1967.84,2425],[-70.6595,44.8408,1967.99,2405],[-70.6587,44.8429,1968.16,2470],[-70.6503,44.8427,1968.64,2671],[-70.6439,44.8454,1969.07,2825],[-70.6269,44.8428,1970.06,2976],[-70.6242,44.8452,1970.31,2828],[-70.616,44.8444,1970.79,2641],[-70.6072,44.85,1971.46,2598],[-70.5916,44.8502,1972.35,2493],[-70.5876,44.8529,1972.67,2487],[-70.5881,44.858,1973.08,2379],[-70.5828,44.8596,1973.41,2228],[-70.5795,44.8578,1973.65,2195],[-70.5655,44.866,1974.69,2379],[-70.5591,44.8668,1975.06,2221],[-70.5614,44.869,1975.28,2241],[-70.5597,44.8758,1975.84,2198],[-70.5522,44.8809,1976.43,2087],[-70.5474,44.8821,1976.72,1995],[-70.5458,44.8848,1976.96,1877],[-70.5391,44.8878,1977.41,1677],[-70.5399,44.8886,1977.49,1719],[-70.5358,44.889,1977.73,1847],[-70.535,44.8939,1978.12,1926],[-70.5368,44.9011,1978.71,1975],[-70.5356,44.9031,1978.89,2041],[-70.5226,44.9064,1979.68,2224],[-70.5258,44.9106,1980.06,2493],[-70.5242,44.9134,1980.31,2667],[-70.5268,44.916,1980.56,2684],[-70.523,44.9172,1980.8,2657],[-70.5241,44.9212,1981.13,2769],[-70.5139,44.9269,1981.87,3750],[-70.4957,44.9456,1983.7,3527],[-70.4874,44.9515,1984.38,3986],[-70.472,44.9515,1985.25,3182],[-70.4609,44.9574,1986.05,3353],[-70.4562,44.9576,1986.32,3563],[-70.4483,44.961,1986.84,3097],[-70.4478,44.9672,1987.34,2920],[-70.4421,44.9722,1987.86,3045],[-70.4329,44.9736,1988.4,2543],[-70.43,44.9722,1988.6,2201],[-70.4254,44.9759,1989,2054],[-70.4195,44.9774,1989.35,1926],[-70.4124,44.9769,1989.76,1978],[-70.408,44.9733,1990.15,1611],[-70.4029,44.974,1990.44,1814],[-70.3963,44.9789,1990.99,2113],[-70.3762,44.9746,1992.19,2306],[-70.3731,44.9771,1992.45,2467],[-70.3668,44.9725,1992.97,2733],[-70.3652,44.974,1993.12,2936],[-70.3629,44.9731,1993.27,3205],[-70.3494,44.9873,1994.65,3301],[-70.3425,44.9909,1995.14,3156],[-70.3404,44.9959,1995.56,3153],[-70.3417,45.0015,1996.02,3373],[-70.3321,45.0057,1996.66,3707],[-70.3206,45.027,1998.5,3665],[-70.3263,45.0291,1998.87,3474],[-70.3276,45.0332,1999.21,3484],[-70.3365,45.0356,1999.75,3018],[-70.3384,45.0349,1999.87,2661],[-70.3375,45.0342,1999.95,2851],[-70.3415,45.0346,2000.18,2329],[-70.3425,45.0392,2000.56,2156],[-70.3519,45.042,2001.14,2457],[-70.3603,45.0408,2001.63,2762],[-70.3625,45.0373,2001.93,3373],[-70.3758,45.0365,2002.7,4026],[-70.3801,45.0459,2003.49,4147],[-70.3838,45.0478,2003.75,4186],[-70.3845,45.0507,2003.99,3934],[-70.3783,45.0611,2004.9,3153],[-70.3729,45.0637,2005.27,2930],[-70.3775,45.078,2006.46,2575],[-70.3714,45.084,2007.05,2526],[-70.3623,45.0884,2007.68,2405],[-70.3606,45.0927,2008.04,2169],[-70.3615,45.097,2008.39,1919],[-70.3593,45.1017,2008.79,1585],[-70.355,45.104,2009.1,1424],[-70.3526,45.1111,2009.68,1270],[-70.3493,45.112,2009.89,1312],[-70.3502,45.1166,2010.26,1309],[-70.3485,45.1176,2010.39,1319],[-70.3484,45.1232,2010.84,1391],[-70.3502,45.1259,2011.08,1493],[-70.3487,45.128,2011.27,1673],[-70.3518,45.1319,2011.63,2156],[-70.3508,45.1359,2011.96,2379],[-70.3546,45.1387,2012.27,2621],[-70.3511,45.1421,2012.61,2894],[-70.3323,45.1437,2013.69,3143],[-70.3264,45.1458,2014.06,3409],[-70.3132,45.1422,2014.87,3448],[-70.2951,45.147,2015.97,3599],[-70.2748,45.1466,2017.12,4029],[-70.2647,45.1483,2017.71,3409],[-70.2616,45.147,2017.92,3202],[-70.2549,45.1487,2018.32,2589],[-70.2574,45.1456,2018.61,2500],[-70.2533,45.1435,2018.9,2300],[-70.2313,45.1448,2020.16,2654],[-70.2261,45.1379,2020.79,2982],[-70.2151,45.1338,2021.49,3012],[-70.2105,45.1299,2021.9,2946],[-70.208,45.1316,2022.1,2707],[-70.2038,45.1313,2022.34,2526],[-70.2024,45.1334,2022.53,2277],[-70.2003,45.1324,2022.67,2287],[-70.1971,45.1367,2023.06,1959],[-70.1922,45.1388,2023.39,1844],[-70.1871,45.134,2023.87,1539],[-70.1756,45.133,2024.53,1263],[-70.1731,45.1349,2024.74,1204],[-70.1682,45.1342,2025.03,1165],[-70.1683,45.1384,2025.37,1138],[-70.1661,45.143,2025.76,1250],[-70.1704,45.1454,2026.07,1165],[-70.1726,45.1527,2026.67,1181],[-70.1671,45.1518,2026.99,1529],[-70.1557,45.1559,2027.72,1309],[-70.146,45.1562,2028.27,1430],[-70.1369,45.1613,2028.93,1703],[-70.1275,45.1587,2029.51,1975],[-70.1224,45.159,2029.8,1834],[-70.1157,45.156,2030.25,1499],[-70.1089,45.1596,2030.73,1319],[-70.0983,45.1584,2031.34,1332],[-70.0956,45.1601,2031.55,1368],[-70.097,45.1663,2032.06,1322],[-70.0804,45.1685,2033.02,1496],[-70.0758,45.1746,2033.57,1276],[-70.0757,45.1775,2033.81,1273],[-70.0734,45.1769,2033.95,1299],[-70.0732,45.1784,2034.07,1266],[-70.0579,45.1846,2035.07,1273],[-70.0558,45.187,2035.3,1237],[-70.0569,45.1909,2035.62,1273],[-70.0544,45.1912,2035.76,1280],[-70.0536,45.1937,2035.97,1329],[-70.0625,45.1993,2036.65,1352],[-70.0661,45.1991,2036.85,1348],[-70.0686,45.2022,2037.14,1355],[-70.073,45.203,2037.4,1322],[-70.073,45.2065,2037.68,1289],[-70.0688,45.2077,2037.94,1214],[-70.071,45.2106,2038.21,1191],[-70.0695,45.2124,2038.37,1191],[-70.081,45.217,2039.13,1289],[-70.0829,45.2208,2039.45,1355],[-70.0797,45.2222,2039.66,1450],[-70.0807,45.225,2039.9,1447],[-70.0771,45.2256,2040.11,1493],[-70.0736,45.2317,2040.64,1476],[-70.0653,45.2331,2041.12,1339],[-70.0541,45.2405,2042,1138],[-70.0467,45.2388,2042.44,1115],[-70.0275,45.242,2043.56,906],[-70.0206,45.2412,2043.95,866],[-70.0179,45.2386,2044.21,725],[-70.0143,45.2389,2044.42,699],[-70.0129,45.2367,2044.62,679],[-70.0042,45.2342,2045.15,640],[-69.9916,45.2412,2046.06,686],[-69.9831,45.2505,2046.95,932],[-69.9831,45.2543,2047.26,938],[-69.978,45.2559,2047.58,1027],[-69.9762,45.261,2048,846],[-69.9688,45.263,2048.45,928],[-69.9572,45.2706,2049.35,1060],[-69.9503,45.2702,2049.74,1152],[-69.9431,45.2749,2050.3,1293],[-69.9381,45.2754,2050.59,1325],[-69.9139,45.2715,2052,1371],[-69.8991,45.2728,2052.84,2343],[-69.8939,45.2711,2053.17,2428],[-69.8911,45.2646,2053.72,2290],[-69.8839,45.2649,2054.13,1988],[-69.8769,45.2618,2054.59,1903],[-69.8711,45.2619,2054.92,1893],[-69.8687,45.2594,2055.17,1870],[-69.8571,45.2563,2055.87,1755],[-69.8444,45.25,2056.75,1519],[-69.8371,45.2511,2057.18,1125],[-69.8358,45.2537,2057.4,1073],[-69.8315,45.2531,2057.65,1020],[-69.8298,45.2521,2057.77,1020],[-69.831,45.2498,2057.97,1020],[-69.827,45.2473,2058.28,1050],[-69.8201,45.2463,2058.68,1122],[-69.8151,45.2499,2059.08,1161],[-69.8094,45.2484,2059.43,1286],[-69.8076,45.2528,2059.8,1368],[-69.8008,45.2567,2060.3,1312],[-69.8014,45.259,2060.48,1266],[-69.7969,45.2592,2060.74,1394],[-69.7856,45.2659,2061.58,1903],[-69.7781,45.2663,2062.01,2149],[-69.7761,45.263,2062.3,2257],[-69.7695,45.2627,2062.67,2585],[-69.7663,45.2703,2063.31,2228],[-69.7639,45.2713,2063.47,2211],[-69.7559,45.269,2063.96,1709],[-69.7484,45.2694,2064.39,1358],[-69.742,45.2736,2064.88,1289],[-69.7341,45.2757,2065.36,1339],[-69.7338,45.2815,2065.83,1286],[-69.7296,45.2831,2066.1,1293],[-69.7247,45.2826,2066.38,1299],[-69.7216,45.2807,2066.62,1283],[-69.7202,45.2775,2066.89,1247],[-69.7172,45.2765,2067.07,1247],[-69.7128,45.2786,2067.38,1214],[-69.7042,45.2766,2067.89,1181],[-69.692,45.277,2068.58,1135],[-69.6729,45.271,2069.77,1037],[-69.6693,45.273,2070.03,1033],[-69.6645,45.2717,2070.32,994],[-69.6614,45.276,2070.71,1017],[-69.6534,45.2765,2071.17,1076],[-69.6484,45.2744,2071.5,988],[-69.6475,45.2764,2071.67,1040],[-69.6438,45.2756,2071.89,968],[-69.6442,45.2783,2072.11,997],[-69.64,45.2781,2072.34,928],[-69.6411,45.2819,2072.66,1066],[-69.6356,45.2821,2072.97,912],[-69.6341,45.2844,2073.17,1001],[-69.6313,45.2832,2073.36,856],[-69.6311,45.2813,2073.51,860],[-69.6278,45.2812,2073.7,919],[-69.6274,45.285,2074.01,860],[-69.6238,45.2883,2074.34,817],[-69.615,45.2864,2074.87,738],[-69.6116,45.2878,2075.09,761],[-69.5968,45.2833,2076,650],[-69.592,45.2837,2076.28,633],[-69.5913,45.2857,2076.45,669],[-69.5886,45.2864,2076.61,801],[-69.5737,45.2814,2077.55,1027],[-69.5621,45.2834,2078.22,988],[-69.5555,45.2873,2078.71,948],[-69.5377,45.2906,2079.76,928],[-69.5396,45.2969,2080.28,1096],[-69.5429,45.3005,2080.62,1309],[-69.543,45.3094,2081.34,1371],[-69.5467,45.315,2081.84,1263],[-69.5413,45.3195,2082.31,1414],[-69.542,45.3233,2082.62,1421],[-69.5354,45.3318,2083.4,1161],[-69.5319,45.3326,2083.61,1243],[-69.5287,45.3374,2084.04,1253],[-69.5224,45.3415,2084.53,1293],[-69.5056,45.3426,2085.48,1316],[-69.5003,45.3509,2086.22,1145],[-69.4935,45.353,2086.64,1106],[-69.4875,45.353,2086.98,1020],[-69.4842,45.3513,2087.21,1047],[-69.4842,45.3525,2087.31,1086],[-69.4807,45.3528,2087.51,1119],[-69.4798,45.3546,2087.66,1145],[-69.4743,45.3563,2088,1070],[-69.4717,45.3607,2088.38,1129],[-69.4723,45.363,2088.57,1109],[-69.4642,45.3643,2089.04,1152],[-69.465,45.3673,2089.29,1093],[-69.4708,45.3714,2089.76,1053],[-69.4717,45.3737,2089.95,978],[-69.4679,45.3759,2090.23,853],[-69.471,45.3795,2090.57,984],[-69.4731,45.3798,2090.69,1004],[-69.4622,45.3816,2091.32,1132],[-69.4638,45.383,2091.47,1122],[-69.4629,45.384,2091.56,1027],[-69.4684,45.3858,2091.91,997],[-69.4637,45.3887,2092.26,735],[-69.4708,45.3987,2093.16,679],[-69.466,45.4,2093.45,942],[-69.4612,45.3985,2093.75,955],[-69.4515,45.4011,2094.34,1198],[-69.4469,45.3991,2094.65,1207],[-69.438,45.4009,2095.17,1260],[-69.4369,45.3999,2095.27,1217],[-69.4361,45.4048,2095.67,1037],[-69.438,45.408,2095.95,1050],[-69.438,45.4158,2096.58,1043],[-69.4312,45.4203,2097.11,663],[-69.426,45.4206,2097.4,719],[-69.4194,45.4169,2097.88,676],[-69.4188,45.4195,2098.09,784],[-69.4117,45.4217,2098.53,938],[-69.4081,45.4146,2099.14,1283],[-69.4031,45.4153,2099.43,1693],[-69.3969,45.4133,2099.82,1985],[-69.3972,45.4148,2099.94,1991],[-69.3947,45.4161,2100.11,1903],[-69.3845,45.4172,2100.7,1929],[-69.3674,45.4157,2101.67,2595],[-69.3608,45.4192,2102.14,2395],[-69.3438,45.4234,2103.16,2375],[-69.3308,45.4308,2104.11,1975],[-69.3169,45.4326,2104.91,2247],[-69.3096,45.4376,2105.49,1827],[-69.3074,45.4419,2105.86,1808],[-69.299,45.4455,2106.41,1919],[-69.2954,45.4436,2106.67,2037],[-69.2915,45.4471,2107.03,1923],[-69.2843,45.4497,2107.49,1713],[-69.2703,45.4494,2108.28,2303],[-69.2696,45.4512,2108.43,2224],[-69.2636,45.4519,2108.77,2090],[-69.2607,45.4556,2109.11,2047],[-69.254,45.4567,2109.5,1991],[-69.2535,45.459,2109.69,1959],[-69.2644,45.4604,2110.32,1670],[-69.2662,45.4618,2110.47,1719],[-69.2651,45.4648,2110.72,1696],[-69.2731,45.4679,2111.24,1644],[-69.294,45.4691,2112.42,1286],[-69.2954,45.4721,2112.68,928],[-69.2944,45.4739,2112.83,817],[-69.287,45.4803,2113.5,712],[-69.294,45.4788,2113.91,797],[-69.2985,45.4798,2114.18,787],[-69.3046,45.4845,2114.69,974],[-69.3034,45.4906,2115.19,1093],[-69.3136,45.4977,2116,1204],[-69.3213,45.5087,2116.99,1362],[-69.3201,45.5123,2117.29,1417],[-69.3221,45.5183,2117.78,1621],[-69.3144,45.5308,2118.88,1929],[-69.322,45.5376,2119.58,2559],[-69.3176,45.5431,2120.09,2549],[-69.3118,45.5451,2120.45,2418],[-69.2983,45.5441,2121.22,3077],[-69.2819,45.5515,2122.32,3018],[-69.2707,45.5526,2122.96,3179],[-69.2658,45.5561,2123.35,2923],[-69.257,45.5586,2123.89,3383],[-69.2445,45.5541,2124.68,3629],[-69.2394,45.5583,2125.13,3087],[-69.2306,45.5604,2125.65,2605],[-69.2348,45.5613,2125.9,2402],[-69.2283,45.565,2126.38,2103],[-69.223,45.5771,2127.4,1745],[-69.2252,45.5786,2127.57,1621],[-69.2068,45.5887,2128.89,1302],[-69.1994,45.5964,2129.64,1257],[-69.1936,45.5965,2129.97,1250],[-69.1922,45.599,2130.18,1296],[-69.1834,45.6033,2130.79,1660],[-69.183,45.6065,2131.05,1726],[-69.1737,45.6077,2131.58,1591],[-69.1581,45.6172,2132.75,1699],[-69.1492,45.6147,2133.29,1988],[-69.1429,45.6182,2133.74,1608],[-69.1371,45.616,2134.11,1480],[-69.1248,45.6163,2134.81,1257],[-69.1223,45.6232,2135.38,1260],[-69.1166,45.6224,2135.71,1263],[-69.1134,45.6269,2136.12,1283],[-69.1051,45.6282,2136.6,1191],[-69.0834,45.6443,2138.38,984],[-69.0717,45.6442,2139.04,820],[-69.0586,45.6501,2139.92,820],[-69.0493,45.6487,2140.46,725],[-69.0485,45.6503,2140.59,705],[-69.0503,45.6519,2140.76,719],[-69.048,45.6533,2140.93,702],[-69.0382,45.6501,2141.54,705],[-69.0304,45.6517,2142,640],[-69.0202,45.6497,2142.59,617],[-69.0063,45.6561,2143.53,607],[-68.9982,45.6575,2144,584],[-68.9961,45.6603,2144.26,561],[-68.9924,45.66,2144.47,561],[-68.9922,45.6637,2144.77,531],[-68.9903,45.6648,2144.91,545],[-68.9932,45.6728,2145.57,535],[-69.0045,45.6781,2146.34,558],[-69.0161,45.68,2147.01,571],[-69.0207,45.684,2147.42,564],[-69.019,45.6868,2147.67,623],[-69.0124,45.6857,2148.05,538],[-69.008,45.6881,2148.37,656],[-69.0061,45.701,2149.41,810],[-69.0075,45.7062,2149.84,656],[-69.0117,45.7091,2150.17,577],[-69.0118,45.7139,2150.56,558],[-69.0168,45.7169,2150.93,505],[-69.0253,45.7176,2151.41,551],[-69.0295,45.7204,2151.74,515],[-69.0302,45.7232,2151.97,551],[-69.0274,45.7283,2152.41,551],[-69.028,45.731,2152.63,541],[-69.0398,45.7353,2153.38,545],[-69.0468,45.7333,2153.8,564],[-69.0486,45.7352,2153.99,538],[-69.0656,45.7362,2154.95,568],[-69.0797,45.7334,2155.77,617],[-69.0855,45.7295,2156.23,640],[-69.1025,45.7348,2157.28,722],[-69.1042,45.737,2157.48,686],[-69.1189,45.7355,2158.31,705],[-69.1278,45.7402,2158.94,702],[-69.1287,45.7428,2159.16,640],[-69.1324,45.7422,2159.37,860],[-69.1409,45.7449,2159.9,722],[-69.1506,45.7534,2160.77,784],[-69.1586,45.7563,2161.28,1053],[-69.1598,45.755,2161.41,1102],[-69.1653,45.7558,2161.72,1447],[-69.1661,45.7577,2161.88,1345],[-69.1633,45.7572,2162.04,1378],[-69.1648,45.76,2162.28,1188],[-69.1788,45.7643,2163.15,1132],[-69.1801,45.7682,2163.47,1030],[-69.1784,45.7704,2163.67,1037],[-69.1811,45.7697,2163.83,965],[-69.1859,45.7724,2164.18,833],[-69.1826,45.7752,2164.47,912],[-69.1814,45.7796,2164.83,784],[-69.1699,45.7805,2165.48,755],[-69.1662,45.7786,2165.74,741],[-69.1628,45.7826,2166.12,837],[-69.1608,45.7873,2166.51,860],[-69.1637,45.7907,2166.83,988],[-69.1621,45.7955,2167.23,997],[-69.1705,45.7992,2167.79,1073],[-69.1697,45.8029,2168.09,1043],[-69.1721,45.805,2168.31,1060],[-69.1702,45.8106,2168.77,1037],[-69.166,45.8133,2169.09,1037],[-69.1657,45.8174,2169.42,1037],[-69.1617,45.8193,2169.69,1043],[-69.1533,45.82,2170.17,1043],[-69.1492,45.8186,2170.43,1086],[-69.1428,45.8193,2170.79,1079],[-69.1391,45.8224,2171.12,1115],[-69.1325,45.824,2171.51,1158],[-69.1226,45.8235,2172.07,1165],[-69.1177,45.8207,2172.42,1152],[-69.1027,45.8188,2173.28,1043],[-69.0864,45.8069,2174.61,1093],[-69.0711,45.8052,2175.48,1089],[-69.0627,45.816,2176.47,1506],[-69.0546,45.8146,2176.94,1450],[-69.0437,45.8185,2177.63,1322],[-69.0356,45.8172,2178.09,1161],[-69.0184,45.8185,2179.07,758],[-69.0147,45.8171,2179.3,778],[-68.9791,45.8264,2181.44,741],[-68.9752,45.8291,2181.75,646],[-68.9758,45.832,2181.99,617],[-68.9717,45.8353,2182.34,607],[-68.9591,45.835,2183.05,620],[-68.9634,45.8393,2183.47,623],[-68.973,45.838,2184.02,617],[-68.9825,45.842,2184.64,610],[-68.9868,45.84,2184.93,617],[-68.9971,45.8436,2185.58,620],[-69.01,45.844,2186.31,620],[-69.0206,45.8478,2186.98,610],[-69.0204,45.8534,2187.43,741],[-69.0231,45.8525,2187.6,682],[-69.0332,45.8574,2188.29,738],[-69.0318,45.8607,2188.56,823],[-69.0346,45.8629,2188.8,846],[-69.0342,45.8658,2189.04,896],[-69.0383,45.8728,2189.65,1053],[-69.0345,45.8758,2189.97,1066],[-69.0344,45.88,2190.31,1047],[-69.03,45.8833,2190.67,1145],[-69.0045,45.8821,2192.11,1050],[-69.0027,45.8806,2192.26,1073],[-68.9996,45.883,2192.52,1073],[-68.9988,45.8884,2192.96,1158],[-68.9869,45.8956,2193.85,1447],[-68.9755,45.8965,2194.49,1916],[-68.9709,45.8949,2194.78,2152],[-68.9593,45.8987,2195.5,2989],[-68.9562,45.8975,2195.7,3442],[-68.9469,45.9,2196.26,4347],[-68.9318,45.8986,2197.11,4698],[-68.9256,45.9039,2197.66,5115],[-68.9215,45.9045,2197.9,5197]];
+export const AT_TRAIL_DATA_VERSION = '864d813f';
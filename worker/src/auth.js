@@ -1,5 +1,6 @@
 import { TOKEN_EXPIRY_MS } from './constants.js';
 import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { getStore } from './store.js';
 
 const AUTH_RATE_LIMIT = {
   maxAttempts: 10,
@@ -7,9 +8,10 @@ const AUTH_RATE_LIMIT = {
 };
 
 async function checkRateLimit(ip, env) {
-  if (!env.TRAIL_HISTORY || !ip) return { limited: false };
+  const store = getStore(env);
+  if (!store || !ip) return { limited: false };
   try {
-    const data = await env.TRAIL_HISTORY.get(`ratelimit:auth:${ip}`);
+    const data = await store.get(`ratelimit:auth:${ip}`);
     if (!data) return { limited: false };
     const { count, resetAt } = JSON.parse(data);
     if (Date.now() >= resetAt) return { limited: false };
@@ -23,18 +25,19 @@ async function checkRateLimit(ip, env) {
 }
 
 async function recordFailedAttempt(ip, env) {
-  if (!env.TRAIL_HISTORY || !ip) return;
+  const store = getStore(env);
+  if (!store || !ip) return;
   const key = `ratelimit:auth:${ip}`;
   try {
     const now = Date.now();
     let count = 1;
     let resetAt = now + AUTH_RATE_LIMIT.windowMs;
-    const existing = await env.TRAIL_HISTORY.get(key);
+    const existing = await store.get(key);
     if (existing) {
       const d = JSON.parse(existing);
       if (now < d.resetAt) { count = d.count + 1; resetAt = d.resetAt; }
     }
-    await env.TRAIL_HISTORY.put(key, JSON.stringify({ count, resetAt }), {
+    await store.put(key, JSON.stringify({ count, resetAt }), {
       expirationTtl: Math.ceil((resetAt - now) / 1000)
     });
   } catch (error) {
@@ -43,42 +46,55 @@ async function recordFailedAttempt(ip, env) {
 }
 
 async function clearRateLimit(ip, env) {
-  if (!env.TRAIL_HISTORY || !ip) return;
+  const store = getStore(env);
+  if (!store || !ip) return;
   try {
-    await env.TRAIL_HISTORY.delete(`ratelimit:auth:${ip}`);
+    await store.delete(`ratelimit:auth:${ip}`);
   } catch (error) {
     console.error('[Auth] Failed to clear rate limit:', error);
   }
 }
 
 /**
- * Validate authentication token
+ * Look up a token's stored data ({ expires, admin }), or null if missing/expired
  */
-export async function validateToken(token, env) {
+export async function getTokenData(token, env) {
   if (!token) {
-    return false;
+    return null;
   }
 
   try {
-    if (!env.TRAIL_HISTORY) return false;
-    const tokenData = await env.TRAIL_HISTORY.get(`token:${token}`);
-    if (!tokenData) return false;
-    const { expires } = JSON.parse(tokenData);
-    if (Date.now() < expires) return true;
-    await env.TRAIL_HISTORY.delete(`token:${token}`);
-    return false;
+    const store = getStore(env);
+    if (!store) return null;
+    const tokenData = await store.get(`token:${token}`);
+    if (!tokenData) return null;
+    const data = JSON.parse(tokenData);
+    if (Date.now() < data.expires) return data;
+    await store.delete(`token:${token}`);
+    return null;
   } catch (error) {
     console.error('[Worker] Token validation error:', error);
-    return false;
+    return null;
   }
 }
 
+/**
+ * Validate authentication token
+ */
+export async function validateToken(token, env) {
+  return (await getTokenData(token, env)) !== null;
+}
+
+function getBearerToken(request) {
+  const authHeader = request.headers.get('Authorization');
+  return authHeader ? authHeader.replace('Bearer ', '') : null;
+}
+
 /**
  * Authentication middleware - extracts and validates token from request
  */
 export async function requireAuth(request, env) {
-  const authHeader = request.headers.get('Authorization');
-  const token = authHeader ? authHeader.replace('Bearer ', '') : null;
+  const token = getBearerToken(request);
 
   if (!token || !(await validateToken(token, env))) {
     return createErrorResponse(401, 'Unauthorized - Invalid or missing token', request);
@@ -87,17 +103,35 @@ export async function requireAuth(request, env) {
   return null;
 }
 
+/**
+ * Admin middleware - like requireAuth, but the token must have been issued for ADMIN_PASSWORD
+ */
+export async function requireAdmin(request, env) {
+  const tokenData = await getTokenData(getBearerToken(request), env);
+
+  if (!tokenData) {
+    return createErrorResponse(401, 'Unauthorized - Invalid or missing token', request);
+  }
+
+  if (tokenData.admin !== true) {
+    return createErrorResponse(403, 'Forbidden - Admin access required', request);
+  }
+
+  return null;
+}
+
 // Store authentication token
-export async function storeToken(token, expires, env) {
-  if (env.TRAIL_HISTORY) {
+export async function storeToken(token, expires, env, { admin = false } = {}) {
+  const store = getStore(env);
+  if (store) {
     try {
-      await env.TRAIL_HISTORY.put(
+      await store.put(
         `token:${token}`,
-        JSON.stringify({ expires }),
+        JSON.stringify(admin ? { expires, admin: true } : { expires }),
         { expirationTtl: Math.floor((expires - Date.now()) / 1000) }
       );
     } catch (error) {
-      console.error('[Worker] Failed to store token in KV:', error);
+      console.error('[Worker] Failed to store token:', error);
     }
   }
 }
@@ -126,8 +160,11 @@ export async function handleAuth(request, env) {
       });
     }
 
+    // Admin password is compared exactly (no lower-casing) and grants admin endpoints
+    const isAdmin = !!env.ADMIN_PASSWORD && password === env.ADMIN_PASSWORD;
+
     // to lower case is intentional and not a security risk
-    if (password.toLowerCase() === CORRECT_PASSWORD) {
+    if (isAdmin || password.toLowerCase() === CORRECT_PASSWORD) {
       await clearRateLimit(ip, env);
 
       const tokenId = crypto.randomUUID();
@@ -135,12 +172,13 @@ export async function handleAuth(request, env) {
       const tokenData = { id: tokenId, expires: expiry };
       const token = btoa(JSON.stringify(tokenData));
 
-      await storeToken(token, expiry, env);
+      await storeToken(token, expiry, env, { admin: isAdmin });
 
       return createSuccessResponse({
         success: true,
         token: token,
-        expires: expiry
+        expires: expiry,
+        admin: isAdmin
       }, request, {
         'Cache-Control': 'no-cache'
       });
@@ -2,6 +2,9 @@ export const TOKEN_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
 export const MS_PER_DAY = 24 * 60 * 60 * 1000;
 export const MOVING_VELOCITY_THRESHOLD_MPH = 1;
 export const MIN_DAY_ON_TRAIL = 1;
-export const TOTAL_TRAIL_MILES = 2197.9;
 export const DEFAULT_OFF_TRAIL_THRESHOLD_MILES = 0.25;
 export const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+export const DEFAULT_MAX_HIKING_SPEED_MPH = 10;
+export const DEFAULT_MAX_DRIVING_SPEED_MPH = 85;
+export const DEFAULT_HIKING_TIMEZONE = 'UTC';
+export const DEFAULT_MAPSHARE_BASE_URL = 'https://share.garmin.com';
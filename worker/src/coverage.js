@@ -0,0 +1,115 @@
+import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { validateEnvOrError, roundMiles } from './utils.js';
+import { loadDaySummaries } from './day-summary.js';
+import { calculateHikeIntervals } from './stats.js';
+import { getHikePlan, getPlanIntervals } from './hike-plan.js';
+import { getTrail, locateTrailMile } from './trails.js';
+import { intervalsLength, intersectIntervals, subtractIntervals, roundIntervals } from './intervals.js';
+
+// Gaps shorter than this are snapping noise between pings, not trail Al missed
+const MIN_GAP_MILES = 0.1;
+
+// Drop gaps too short to be real skipped trail
+function dropShortGaps(intervals) {
+  return intervals.filter(([lo, hi]) => hi - lo >= MIN_GAP_MILES);
+}
+
+/**
+ * Split one plan leg into the trail hiked so far and the gaps: planned trail behind the
+ * furthest point reached along the leg (in its direction) that was never walked is
+ * "skipped" (hitched, road-walked or passed with the tracker off), the rest "remaining".
+ */
+function splitLeg({ from, to }, hiked) {
+  const leg = [[from, to]];
+  const hikedOnLeg = intersectIntervals(hiked, leg);
+  if (hikedOnLeg.length === 0) {
+    return { skipped: [], remaining: leg };
+  }
+
+  const front = to > from
+    ? hikedOnLeg[hikedOnLeg.length - 1][1]
+    : hikedOnLeg[0][0];
+  return {
+    skipped: subtractIntervals([[from, front]], hikedOnLeg),
+    remaining: subtractIntervals([[front, to]], hikedOnLeg)
+  };
+}
+
+/**
+ * Trail coverage for a hike plan (hike-plan.js): the merged trail-mile intervals hiked (from the
+ * snapped trailMile of each day's pings, joined across days where walkable; see
+ * calculateHikeIntervals) and the planned trail not hiked, split into skipped and remaining.
+ * Miles are counted within the plan, so hikedMiles matches the stats total.
+ */
+export function calculateCoverage(summaries, plan) {
+  const planIntervals = getPlanIntervals(plan);
+  const hiked = calculateHikeIntervals(summaries);
+
+  const skipped = [];
+  const remaining = [];
+  for (const leg of plan.legs) {
+    const split = splitLeg(leg, hiked);
+    skipped.push(...split.skipped);
+    remaining.push(...split.remaining);
+  }
+
+  // Legs may overlap; trail hiked on one leg isn't a gap on another
+  const skippedGaps = dropShortGaps(subtractIntervals(skipped, hiked));
+  const remainingGaps = dropShortGaps(subtractIntervals(subtractIntervals(remaining, hiked), skippedGaps));
+
+  return {
+    plan,
+    plannedMiles: roundMiles(intervalsLength(planIntervals)),
+    hikedMiles: roundMiles(intervalsLength(intersectIntervals(hiked, planIntervals))),
+    skippedMiles: roundMiles(intervalsLength(skippedGaps)),
+    remainingMiles: roundMiles(intervalsLength(remainingGaps)),
+    hiked: roundIntervals(hiked),
+    skipped: roundIntervals(skippedGaps),
+    remaining: roundIntervals(remainingGaps)
+  };
+}
+
+/**
+ * The trail line between two trail miles as [lat, lon] pairs, cut from the trail's own data so
+ * the map draws intervals exactly where the worker's miles put them.
+ */
+function sliceTrailLine(trailData, fromMile, toMile) {
+  const start = locateTrailMile(trailData, fromMile);
+  const end = locateTrailMile(trailData, toMile);
+  const round = n => Math.round(n * 1e5) / 1e5;
+  return [
+    [start.lat, start.lon],
+    ...trailData.slice(start.vertex + 1, end.vertex + 1).map(([lon, lat]) => [lat, lon]),
+    [end.lat, end.lon]
+  ].map(([lat, lon]) => [round(lat), round(lon)]);
+}
+
+// Coverage of the configured hike plan (calculateCoverage), with `lines`: the hiked and skipped
+// intervals as trail lines for the map
+export async function getCoverage(env) {
+  const summaries = await loadDaySummaries(env, { from: env.START_DATE });
+  const coverage = calculateCoverage(summaries, getHikePlan(env));
+  const { data } = getTrail(env);
+  return {
+    ...coverage,
+    lines: {
+      hiked: coverage.hiked.map(([lo, hi]) => sliceTrailLine(data, lo, hi)),
+      skipped: coverage.skipped.map(([lo, hi]) => sliceTrailLine(data, lo, hi))
+    }
+  };
+}
+
+// Coverage handler
+export async function handleCoverage(request, env) {
+  const envError = validateEnvOrError(env, request, false);
+  if (envError) return envError;
+
+  try {
+    const coverage = await getCoverage(env);
+    return createSuccessResponse(coverage, request, {
+      'Cache-Control': 'public, max-age=300'
+    });
+  } catch (error) {
+    return createErrorResponse(500, error.message, request);
+  }
+}
@@ -0,0 +1,131 @@
+import { calculateElevationStats, calculateDayElevationGain, calculateDayMileage, calculateCoveredIntervals } from './stats.js';
+import { roundIntervals } from './intervals.js';
+import { getElevation, getOffTrailThreshold } from './utils.js';
+import { getSnapVersion } from './trail-distance.js';
+import { getTrail } from './trails.js';
+import { MOVING_VELOCITY_THRESHOLD_MPH } from './constants.js';
+import { getStore } from './store.js';
+
+// Bump when the summary shape or its calculations change so stored summaries get rebuilt
+const SUMMARY_VERSION = 3;
+
+function pingOf(point) {
+  return { time: new Date(point.time).toISOString(), lat: point.lat, lon: point.lon };
+}
+
+function trailPingOf(point) {
+  return point ? { time: new Date(point.time).toISOString(), trailMile: point.trailMile } : null;
+}
+
+function roundTo(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Summarize one day's stored points (the contents of points:YYYY-MM-DD).
+ * Hidden and suspect points are ignored. Mileage, moving time and the gain used for the
+ * "most elevation gain" stat use on-trail points only; the elevation profile figures
+ * (min/max, gain/loss) use every remaining point with an elevation. The points are snapped
+ * to `trail` (trails.js) with thresholdMiles.
+ *
+ * @returns {Object} day:YYYY-MM-DD record
+ */
+export function summarizeDay(dateStr, dayPoints, trail, thresholdMiles) {
+  const visible = dayPoints
+    .filter(p => !p.hidden && !p.suspect)
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+  const onTrail = visible.filter(p => p.onTrail !== false && p.lat != null && p.lon != null);
+  const snapped = onTrail.filter(p => p.trailMile != null);
+  const trailMiles = snapped.map(p => p.trailMile);
+
+  let movingTimeHours = 0;
+  for (let i = 1; i < onTrail.length; i++) {
+    if ((onTrail[i].velocity || 0) > MOVING_VELOCITY_THRESHOLD_MPH) {
+      movingTimeHours += (new Date(onTrail[i].time) - new Date(onTrail[i - 1].time)) / 3600000;
+    }
+  }
+  const miles = calculateDayMileage(onTrail);
+
+  const profile = visible
+    .filter(p => getElevation(p) !== null)
+    .map(p => ({ elevation: Math.round(getElevation(p) * 10) / 10 }));
+  const elevations = profile.map(p => p.elevation);
+  const { verticalClimbed, verticalLoss } = calculateElevationStats(profile);
+
+  return {
+    date: dateStr,
+    version: SUMMARY_VERSION,
+    snapVersion: getSnapVersion(trail),
+    snapThreshold: thresholdMiles,
+    pings: visible.length,
+    onTrailPings: onTrail.length,
+    offTrailPings: visible.length - onTrail.length,
+    firstPing: visible.length > 0 ? pingOf(visible[0]) : null,
+    lastPing: visible.length > 0 ? pingOf(visible[visible.length - 1]) : null,
+    startTrailMile: trailMiles.length > 0 ? trailMiles[0] : null,
+    endTrailMile: trailMiles.length > 0 ? trailMiles[trailMiles.length - 1] : null,
+    minTrailMile: trailMiles.length > 0 ? Math.min(...trailMiles) : null,
+    maxTrailMile: trailMiles.length > 0 ? Math.max(...trailMiles) : null,
+    // Trail walked this day, and its first/last snapped pings for joining to neighbouring days
+    coveredIntervals: roundIntervals(calculateCoveredIntervals(snapped)),
+    firstTrailPing: trailPingOf(snapped[0]),
+    lastTrailPing: trailPingOf(snapped[snapped.length - 1]),
+    miles: roundTo(miles, 2),
+    movingTimeHours: roundTo(movingTimeHours, 3),
+    averageSpeed: movingTimeHours > 0 ? parseFloat((miles / movingTimeHours).toFixed(1)) : null,
+    onTrailElevationGain: calculateDayElevationGain(onTrail),
+    hasElevation: profile.length > 0,
+    minElevation: profile.length > 0 ? Math.round(Math.min(...elevations)) : null,
+    maxElevation: profile.length > 0 ? Math.round(Math.max(...elevations)) : null,
+    elevationGain: profile.length > 0 ? verticalClimbed : null,
+    elevationLoss: profile.length > 0 ? verticalLoss : null
+  };
+}
+
+// Whether a stored summary was built by the current code from points snapped the current way
+export function isSummaryCurrent(summary, trail, thresholdMiles) {
+  return summary.version === SUMMARY_VERSION &&
+    summary.snapVersion === getSnapVersion(trail) &&
+    summary.snapThreshold === thresholdMiles;
+}
+
+// Write (or remove, for an emptied day) the day:YYYY-MM-DD summary for a day's stored points
+export async function writeDaySummary(dateStr, dayPoints, env) {
+  const store = getStore(env);
+  if (dayPoints.length === 0) {
+    await store.deleteDay('days', dateStr);
+    return null;
+  }
+  const summary = summarizeDay(dateStr, dayPoints, getTrail(env), getOffTrailThreshold(env));
+  await store.putDay('days', dateStr, summary);
+  return summary;
+}
+
+/**
+ * Load the stored summaries for every day in [from, to] (YYYY-MM-DD, inclusive), oldest first.
+ * Summaries are written at ingest and by the admin migrations (POST /admin/resnap rebuilds
+ * missing and stale ones); reads never write.
+ */
+export async function loadDaySummaries(env, { from = null, to = null } = {}) {
+  const store = getStore(env);
+  if (!store) return [];
+
+  const days = await store.loadDays('days', { from, to });
+  return days.map(({ value }) => value).filter(Boolean);
+}
+
+// Read a single day's stored summary, or null
+export async function getDaySummary(dateStr, env) {
+  return getStore(env).getDay('days', dateStr);
+}
+
+// The most recent on-trail ping in a list of day summaries: { mile, time }, or null before the
+// hike starts
+export function findLatestTrailPosition(summaries) {
+  for (let i = summaries.length - 1; i >= 0; i--) {
+    const ping = summaries[i].lastTrailPing;
+    if (ping) return { mile: ping.trailMile, time: ping.time };
+  }
+  return null;
+}
@@ -1,17 +1,13 @@
 import { createErrorResponse, createSuccessResponse } from './responses.js';
-import { getMockElevationData, getMockElevationDays } from './mock.js';
-import { calculateElevationStats } from './stats.js';
-import { getElevation } from './utils.js';
-import { DATE_REGEX, MOVING_VELOCITY_THRESHOLD_MPH } from './constants.js';
-import { haversine } from './geo.js';
+import { getElevation, getHikingTimeZone } from './utils.js';
+import { DATE_REGEX } from './constants.js';
+import { loadDaySummaries, getDaySummary } from './day-summary.js';
+import { getStore } from './store.js';
 
 const pointHasElevation = p => getElevation(p) !== null;
 
 // Elevation handler
 export async function handleElevation(request, env) {
-  const USE_MOCK_DATA = env.USE_MOCK_DATA === 'true';
-  const START_DATE_STR = env.START_DATE;
-
   const url = new URL(request.url);
   const dayParam = url.searchParams.get('day');
 
@@ -23,13 +19,6 @@ export async function handleElevation(request, env) {
     return createErrorResponse(400, 'Invalid date format. Use YYYY-MM-DD', request);
   }
 
-  if (USE_MOCK_DATA) {
-    const mockElevationData = getMockElevationData(dayParam, START_DATE_STR);
-    return createSuccessResponse(mockElevationData, request, {
-      'Cache-Control': 'public, max-age=300'
-    });
-  }
-
   try {
     const elevationData = await getElevationByDay(dayParam, env);
 
@@ -54,45 +43,21 @@ export async function handleElevation(request, env) {
   }
 }
 
-// Get list of available days with elevation data
+// Get list of available days (YYYY-MM-DD in the hiking time zone) with elevation data
 export async function handleElevationDays(request, env) {
-  const USE_MOCK_DATA = env.USE_MOCK_DATA === 'true';
-  const START_DATE_STR = env.START_DATE;
-
-  if (USE_MOCK_DATA) {
-    const mockDays = getMockElevationDays(START_DATE_STR);
-    return createSuccessResponse({ days: mockDays }, request, {
-      'Cache-Control': 'public, max-age=300'
-    });
-  }
-
-  if (!env.TRAIL_HISTORY) {
+  if (!getStore(env)) {
     return createSuccessResponse({ days: [] }, request);
   }
 
   try {
-    const keys = await env.TRAIL_HISTORY.list({ prefix: 'points:' });
-
-    const readPromises = keys.keys.map(async (key) => {
-      const dateStr = key.name.replace('points:', '');
-      try {
-        const dayPointsJson = await env.TRAIL_HISTORY.get(key.name);
-        if (dayPointsJson) {
-          const dayPoints = JSON.parse(dayPointsJson);
-          return dayPoints.some(pointHasElevation) ? dateStr : null;
-        }
-      } catch (error) {
-        console.error(`[Elevation] Failed to read ${key.name}:`, error);
-      }
-      return null;
-    });
-
-    const results = await Promise.all(readPromises);
-    const days = results.filter(dateStr => dateStr !== null);
-
-    days.sort((a, b) => b.localeCompare(a));
-
-    return createSuccessResponse({ days }, request, {
+    const summaries = await loadDaySummaries(env);
+    const days = summaries
+      .filter(d => d.hasElevation)
+      .map(d => d.date)
+      .sort((a, b) => b.localeCompare(a));
+
+    // Days are keyed in the hiking time zone; the frontend uses it for chart times and "Today"
+    return createSuccessResponse({ days, timeZone: getHikingTimeZone(env) }, request, {
       'Cache-Control': 'public, max-age=300'
     });
   } catch (error) {
@@ -102,22 +67,21 @@ export async function handleElevationDays(request, env) {
 
 // Get elevation data for a specific day
 export async function getElevationByDay(dateStr, env) {
-  if (!env.TRAIL_HISTORY) {
+  const store = getStore(env);
+  if (!store) {
     return { points: [], minElevation: null, maxElevation: null, date: dateStr };
   }
 
   try {
-    const kvKey = `points:${dateStr}`;
-    const dayPointsJson = await env.TRAIL_HISTORY.get(kvKey);
+    const dayPoints = await store.getDay('points', dateStr);
 
-    if (!dayPointsJson) {
+    if (!dayPoints) {
       return { points: [], minElevation: null, maxElevation: null, date: dateStr };
     }
 
-    const dayPoints = JSON.parse(dayPointsJson);
-
+    // Points hidden by an admin or flagged as speed outliers are excluded from the profile
     const elevationPoints = dayPoints
-      .filter(pointHasElevation)
+      .filter(p => !p.hidden && !p.suspect && pointHasElevation(p))
       .map(p => ({
         time: p.time,
         elevation: Math.round(getElevation(p) * 10) / 10
@@ -128,48 +92,17 @@ export async function getElevationByDay(dateStr, env) {
       return { points: [], minElevation: null, maxElevation: null, verticalClimbed: null, verticalLoss: null, averageSpeed: null, date: dateStr };
     }
 
-    const elevations = elevationPoints.map(p => p.elevation);
-    const minElevation = Math.round(Math.min(...elevations));
-    const maxElevation = Math.round(Math.max(...elevations));
-
-    const { verticalClimbed, verticalLoss } = calculateElevationStats(elevationPoints);
-
-    // Calculate average speed for this day from on-trail points
-    const onTrailPoints = dayPoints
-      .filter(p => p.onTrail !== false && p.lat != null && p.lon != null)
-      .sort((a, b) => new Date(a.time) - new Date(b.time));
-
-    let averageSpeed = null;
-    if (onTrailPoints.length >= 2) {
-      const trailMilePoints = onTrailPoints.filter(p => p.trailMile != null);
-      let dailyMiles = 0;
-      if (trailMilePoints.length >= 2) {
-        const miles = trailMilePoints.map(p => p.trailMile);
-        dailyMiles = Math.max(...miles) - Math.min(...miles);
-      } else {
-        for (let i = 1; i < onTrailPoints.length; i++) {
-          dailyMiles += haversine(onTrailPoints[i - 1].lat, onTrailPoints[i - 1].lon, onTrailPoints[i].lat, onTrailPoints[i].lon);
-        }
-      }
-      let movingTimeHours = 0;
-      for (let i = 1; i < onTrailPoints.length; i++) {
-        if ((onTrailPoints[i].velocity || 0) > MOVING_VELOCITY_THRESHOLD_MPH) {
-          movingTimeHours += (new Date(onTrailPoints[i].time) - new Date(onTrailPoints[i - 1].time)) / 3600000;
-        }
-      }
-      if (movingTimeHours > 0) {
-        averageSpeed = parseFloat((dailyMiles / movingTimeHours).toFixed(1));
-      }
-    }
+    // Min/max, gain/loss and speed come from the day's stored summary (day-summary.js)
+    const summary = await getDaySummary(dateStr, env) || {};
 
     return {
       date: dateStr,
       points: elevationPoints,
-      minElevation,
-      maxElevation,
-      verticalClimbed,
-      verticalLoss,
-      averageSpeed
+      minElevation: summary.minElevation ?? null,
+      maxElevation: summary.maxElevation ?? null,
+      verticalClimbed: summary.elevationGain ?? null,
+      verticalLoss: summary.elevationLoss ?? null,
+      averageSpeed: summary.averageSpeed ?? null
     };
   } catch (error) {
     console.error(`[Elevation] Failed to get elevation data for ${dateStr}:`, error);
@@ -0,0 +1,228 @@
+import { createErrorResponse } from './responses.js';
+import { getCorsHeaders } from './cors.js';
+import { getElevation, getOffTrailThreshold, getHikingTimeZone, getLocalDateString } from './utils.js';
+import { DATE_REGEX } from './constants.js';
+import { loadHistoricalPoints, serializePoint } from './storage.js';
+import { snapStalePoints } from './trail-distance.js';
+import { getTrail } from './trails.js';
+import { getHikePlan } from './hike-plan.js';
+
+const METERS_TO_FEET = 3.28084;
+
+// Output is flushed to the response stream in chunks of roughly this many characters
+const STREAM_CHUNK_CHARS = 16384;
+
+// Track name for the exported hike on a registered trail (trails.js)
+function trackName(trail) {
+  return `Al's ${trail.name} hike`;
+}
+
+const FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', render: renderGpx },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', render: renderKml },
+  geojson: { contentType: 'application/geo+json', render: renderGeoJson },
+  csv: { contentType: 'text/csv; charset=utf-8', render: renderCsv }
+};
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function escapeCsv(value) {
+  if (value == null) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toIso(time) {
+  return time instanceof Date ? time.toISOString() : time;
+}
+
+// Exported fields for one point; elevation is the trail DEM elevation when snapped (as in
+// the elevation profile), otherwise the device's, in feet
+function exportFields(p) {
+  const elevation = getElevation(p);
+  return {
+    time: toIso(p.time),
+    lat: p.lat,
+    lon: p.lon,
+    elevationFeet: elevation != null ? Math.round(elevation) : null,
+    onTrail: p.onTrail ?? null,
+    trailMile: p.trailMile ?? null,
+    snapConfidence: p.snapConfidence ?? null,
+    stationaryPings: p.stationaryPings > 1 ? p.stationaryPings : null,
+    lastPingTime: p.stationaryPings > 1 && p.lastPingTime ? toIso(p.lastPingTime) : null,
+    source: p.source || 'inreach'
+  };
+}
+
+function elevationMeters(fields) {
+  return fields.elevationFeet != null ? (fields.elevationFeet / METERS_TO_FEET).toFixed(1) : null;
+}
+
+// GPX 1.1 track, one segment per day; trail fields go in a whereisal extensions namespace
+function* renderGpx(points, { days, name }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<gpx version="1.1" creator="Where Is Al" xmlns="http://www.topografix.com/GPX/1/1" xmlns:wia="https://whereisal.com/xmlns/gpx/1">\n';
+  yield `<metadata><name>${escapeXml(name)}</name><time>${new Date().toISOString()}</time></metadata>\n`;
+  yield `<trk><name>${escapeXml(name)}</name>\n`;
+
+  for (const day of days) {
+    yield '<trkseg>\n';
+    for (const p of day) {
+      const f = exportFields(p);
+      const ele = elevationMeters(f);
+      let extensions = '';
+      if (f.trailMile != null) extensions += `<wia:trailMile>${f.trailMile}</wia:trailMile>`;
+      if (f.onTrail != null) extensions += `<wia:onTrail>${f.onTrail}</wia:onTrail>`;
+      if (f.snapConfidence != null) extensions += `<wia:snapConfidence>${f.snapConfidence}</wia:snapConfidence>`;
+      if (f.stationaryPings != null) extensions += `<wia:stationaryPings>${f.stationaryPings}</wia:stationaryPings><wia:lastPingTime>${f.lastPingTime}</wia:lastPingTime>`;
+      extensions += `<wia:source>${escapeXml(f.source)}</wia:source>`;
+      yield `<trkpt lat="${f.lat}" lon="${f.lon}">${ele != null ? `<ele>${ele}</ele>` : ''}<time>${f.time}</time><extensions>${extensions}</extensions></trkpt>\n`;
+    }
+    yield '</trkseg>\n';
+  }
+
+  yield '</trk>\n</gpx>\n';
+}
+
+// KML with the track as a LineString plus a Placemark per point carrying ExtendedData
+function* renderKml(points, { name }) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+  yield '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n';
+  yield `<name>${escapeXml(name)}</name>\n`;
+  yield '<Style id="track"><LineStyle><color>ffd4b606</color><width>3</width></LineStyle></Style>\n';
+
+  if (points.length > 1) {
+    yield '<Placemark><name>Track</name><styleUrl>#track</styleUrl><LineString><tessellate>1</tessellate><coordinates>\n';
+    for (const p of points) {
+      const ele = elevationMeters(exportFields(p));
+      yield `${p.lon},${p.lat}${ele != null ? `,${ele}` : ''}\n`;
+    }
+    yield '</coordinates></LineString></Placemark>\n';
+  }
+
+  yield '<Folder><name>Pings</name>\n';
+  for (const p of points) {
+    const f = exportFields(p);
+    const ele = elevationMeters(f);
+    const data = ['trailMile', 'onTrail', 'snapConfidence', 'elevationFeet', 'stationaryPings', 'lastPingTime', 'source']
+      .filter(name => f[name] != null)
+      .map(name => `<Data name="${name}"><value>${escapeXml(f[name])}</value></Data>`)
+      .join('');
+    yield `<Placemark><TimeStamp><when>${f.time}</when></TimeStamp><ExtendedData>${data}</ExtendedData>` +
+      `<Point><coordinates>${f.lon},${f.lat}${ele != null ? `,${ele}` : ''}</coordinates></Point></Placemark>\n`;
+  }
+  yield '</Folder>\n</Document>\n</kml>\n';
+}
+
+// GeoJSON FeatureCollection of Point features (elevation in meters as the third coordinate)
+function* renderGeoJson(points) {
+  yield '{"type":"FeatureCollection","features":[\n';
+  for (let i = 0; i < points.length; i++) {
+    const { lat, lon, ...properties } = exportFields(points[i]);
+    const ele = elevationMeters(properties);
+    const coordinates = ele != null ? [lon, lat, parseFloat(ele)] : [lon, lat];
+    yield `${i > 0 ? ',\n' : ''}${JSON.stringify({ type: 'Feature', geometry: { type: 'Point', coordinates }, properties })}`;
+  }
+  yield '\n]}\n';
+}
+
+const CSV_COLUMNS = ['time', 'lat', 'lon', 'elevationFeet', 'onTrail', 'trailMile', 'snapConfidence', 'stationaryPings', 'lastPingTime', 'source'];
+
+function* renderCsv(points) {
+  yield `${CSV_COLUMNS.join(',')}\n`;
+  for (const p of points) {
+    const f = exportFields(p);
+    yield `${CSV_COLUMNS.map(column => escapeCsv(f[column])).join(',')}\n`;
+  }
+}
+
+// Stream a generator of strings as the response body, a chunk at a time
+function streamText(chunks) {
+  const encoder = new TextEncoder();
+  const iterator = chunks[Symbol.iterator]();
+  return new ReadableStream({
+    pull(controller) {
+      let text = '';
+      while (text.length < STREAM_CHUNK_CHARS) {
+        const { value, done } = iterator.next();
+        if (done) {
+          if (text) controller.enqueue(encoder.encode(text));
+          controller.close();
+          return;
+        }
+        text += value;
+      }
+      controller.enqueue(encoder.encode(text));
+    }
+  });
+}
+
+// Split time-sorted points into runs that share a hiking day (for GPX track segments)
+function splitByDay(points, timeZone) {
+  const days = [];
+  let currentDate = null;
+  for (const p of points) {
+    const date = getLocalDateString(p.time, timeZone);
+    if (date !== currentDate) {
+      days.push([]);
+      currentDate = date;
+    }
+    days[days.length - 1].push(p);
+  }
+  return days;
+}
+
+/**
+ * Export handler — GET /export/{gpx|kml|geojson|csv}[?from=YYYY-MM-DD&to=YYYY-MM-DD]
+ * Streams the track (optionally a range of hiking-time-zone days) as a download.
+ * Hidden and speed-outlier points are left out; stationary clusters are collapsed to their
+ * first ping with stationaryPings/lastPingTime, as on the map.
+ */
+export async function handleExport(request, env) {
+  const url = new URL(request.url);
+  const formatName = url.pathname.slice('/export/'.length).toLowerCase();
+  const format = FORMATS[formatName];
+  if (!format) {
+    return createErrorResponse(400, `Unsupported format "${formatName}". Use one of: ${Object.keys(FORMATS).join(', ')}`, request);
+  }
+
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
+  if ((from && !DATE_REGEX.test(from)) || (to && !DATE_REGEX.test(to))) {
+    return createErrorResponse(400, 'Query parameters "from" and "to" must be YYYY-MM-DD', request);
+  }
+
+  const trail = getTrail(env);
+  const thresholdMiles = getOffTrailThreshold(env);
+  const timeZone = getHikingTimeZone(env);
+  let points;
+  try {
+    points = await loadHistoricalPoints(env.START_DATE, env, { from, to });
+    // Points are snapped at ingest; only legacy/stale ones are snapped here
+    snapStalePoints(points, trail, thresholdMiles, { plan: getHikePlan(env) });
+    points = points
+      .filter(p => !p.suspect)
+      .map(p => ({ ...serializePoint(p), stationaryPings: p.stationaryPings, lastPingTime: p.lastPingTime }));
+  } catch (error) {
+    return createErrorResponse(500, error.message, request);
+  }
+
+  const days = splitByDay(points, timeZone);
+  const filename = `where-is-al${from ? `-from-${from}` : ''}${to ? `-to-${to}` : ''}.${formatName}`;
+
+  return new Response(streamText(format.render(points, { days, name: trackName(trail) })), {
+    headers: {
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-cache',
+      ...getCorsHeaders(request)
+    }
+  });
+}
@@ -1,34 +1,30 @@
 import { createErrorResponse, createSuccessResponse } from './responses.js';
-import { validateEnvOrError, buildKmlUrl, buildKmlFetchOptions, getOffTrailThreshold } from './utils.js';
-import { getMockData } from './mock.js';
-import { parseKmlPoints } from './kml.js';
+import { validateEnvOrError, getHikingTimeZone } from './utils.js';
+import { getMockWeather } from './mock.js';
 import { calculateStats } from './stats.js';
-import { loadHistoricalPoints, storePointsByDay } from './storage.js';
 import { fetchWeatherCached } from './weather.js';
-import { TOTAL_TRAIL_MILES } from './constants.js';
-import { tagAndSnapPoints } from './trail-distance.js';
-
-// Stats handler — reads points from KV only (cron handles KML polling)
+import { getHikePlan, getPlannedMiles, getPlanIntervals } from './hike-plan.js';
+import { getTrail, describeTrail } from './trails.js';
+import { calculateStateProgress } from './states.js';
+import { ingestKmlFeed } from './ingest.js';
+import { loadDaySummaries } from './day-summary.js';
+import { getStore } from './store.js';
+import { trackIngest } from './health.js';
+
+// Stats handler — reads stored day summaries only (cron handles KML polling; in mock mode
+// the summaries come from the seeded scenario, see mock.js)
 export async function handleStats(request, env) {
   const START_DATE_STR = env.START_DATE;
   const USE_MOCK_DATA = env.USE_MOCK_DATA === 'true';
 
-  if (USE_MOCK_DATA) {
-    const envError = validateEnvOrError(env, request, false);
-    if (envError) return envError;
-    const mockData = getMockData(START_DATE_STR);
-    return createSuccessResponse(mockData, request, {
-      'Cache-Control': 'public, max-age=300'
-    });
-  }
-
-  const envError = validateEnvOrError(env, request, true);
+  const envError = validateEnvOrError(env, request, !USE_MOCK_DATA);
   if (envError) return envError;
 
-  // Short-circuit with KV-cached stats to avoid recomputation on burst requests
-  if (env.TRAIL_HISTORY) {
+  // Short-circuit with cached stats to avoid recomputation on burst requests
+  const store = getStore(env);
+  if (store) {
     try {
-      const cached = await env.TRAIL_HISTORY.get('cache:stats', 'json');
+      const cached = await store.get('cache:stats', 'json');
       if (cached && Date.now() - cached.timestamp < 60000) {
         return createSuccessResponse(cached.data, request, { 'Cache-Control': 'public, max-age=60' });
       }
@@ -38,20 +34,27 @@ export async function handleStats(request, env) {
   }
 
   try {
-    const allPoints = await loadHistoricalPoints(START_DATE_STR, env);
-
-    // Tag points as on/off trail and snap to trail in a single pass
-    tagAndSnapPoints(allPoints, undefined, getOffTrailThreshold(env));
-
-    const stats = calculateStats(allPoints, START_DATE_STR, TOTAL_TRAIL_MILES, { filterOffTrail: true });
+    // Per-day summaries are maintained at ingest; missing or stale ones are rebuilt on read
+    const summaries = await loadDaySummaries(env, { from: START_DATE_STR });
+
+    const plan = getHikePlan(env);
+    const planIntervals = getPlanIntervals(plan);
+    const stats = calculateStats(summaries, START_DATE_STR, getPlannedMiles(plan), {
+      timeZone: getHikingTimeZone(env),
+      planIntervals
+    });
+    const states = calculateStateProgress(summaries, getTrail(env), planIntervals);
 
     let weather = null;
     let location = null;
-    if (allPoints.length > 0) {
-      const currentPoint = allPoints[allPoints.length - 1];
+    const latestDay = summaries[summaries.length - 1];
+    if (latestDay && latestDay.lastPing) {
+      const currentPoint = latestDay.lastPing;
       location = { lat: currentPoint.lat, lon: currentPoint.lon };
       try {
-        weather = await fetchWeatherCached(currentPoint.lat, currentPoint.lon, env);
+        weather = USE_MOCK_DATA
+          ? getMockWeather(env)
+          : await fetchWeatherCached(currentPoint.lat, currentPoint.lon, env);
       } catch (error) {
         console.error('[Handler] Weather fetch failed:', error.message);
       }
@@ -59,14 +62,15 @@ export async function handleStats(request, env) {
 
     const response = {
       ...stats,
+      states,
       location: location,
       weather: weather
     };
 
-    // Cache computed stats for 60s to avoid re-running O(N×M) trail computation
-    if (env.TRAIL_HISTORY) {
+    // Cache computed stats for 60s to avoid recomputing on burst requests
+    if (store) {
       try {
-        await env.TRAIL_HISTORY.put('cache:stats', JSON.stringify({ data: response, timestamp: Date.now() }), { expirationTtl: 300 });
+        await store.put('cache:stats', JSON.stringify({ data: response, timestamp: Date.now() }), { expirationTtl: 300 });
       } catch (_) {}
     }
 
@@ -80,10 +84,16 @@ export async function handleStats(request, env) {
   }
 }
 
+// Trail handler — the configured trail's name, length and display files for the map
+export async function handleTrail(request, env) {
+  return createSuccessResponse(describeTrail(getTrail(env)), request, {
+    'Cache-Control': 'public, max-age=3600'
+  });
+}
+
 // Sync handler for manual point synchronization
 export async function handleSync(request, env) {
   const MAPSHARE_ID = env.MAPSHARE_ID;
-  const MAPSHARE_PASSWORD = env.MAPSHARE_PASSWORD || '';
   const START_DATE_STR = env.START_DATE;
   const USE_MOCK_DATA = env.USE_MOCK_DATA === 'true';
 
@@ -91,8 +101,9 @@ export async function handleSync(request, env) {
     return createErrorResponse(400, 'Sync not available in mock data mode', request);
   }
 
-  if (!env.TRAIL_HISTORY) {
-    return createErrorResponse(500, 'KV namespace not configured', request);
+  const store = getStore(env);
+  if (!store) {
+    return createErrorResponse(500, 'Storage not configured', request);
   }
 
   if (!MAPSHARE_ID) {
@@ -104,24 +115,19 @@ export async function handleSync(request, env) {
   }
 
   try {
-    const kmlUrl = buildKmlUrl(MAPSHARE_ID);
-    const kmlFetchOptions = buildKmlFetchOptions(MAPSHARE_PASSWORD);
-
-    const kmlResponse = await fetch(kmlUrl, kmlFetchOptions);
-    if (!kmlResponse.ok) throw new Error('Failed to fetch KML');
-    const kmlText = await kmlResponse.text();
-
-    const kmlPoints = parseKmlPoints(kmlText, new Date(START_DATE_STR));
-
-    await storePointsByDay(kmlPoints, env);
+    const full = new URL(request.url).searchParams.get('full') === 'true';
+    const summary = await trackIngest(env, 'sync', () => ingestKmlFeed(env, { full }));
 
-    const keys = await env.TRAIL_HISTORY.list({ prefix: 'points:' });
+    const storedDays = await store.listDays('points');
 
     return createSuccessResponse({
       success: true,
       message: 'Sync completed',
-      kmlPointsProcessed: kmlPoints.length,
-      daysStored: keys.keys.length
+      since: summary.since,
+      kmlPointsProcessed: summary.pointsParsed,
+      newPoints: summary.pointsNew,
+      newMessages: summary.messagesNew,
+      daysStored: storedDays.length
     }, request);
   } catch (error) {
     return createErrorResponse(500, error.message, request);
@@ -0,0 +1,183 @@
+import { createSuccessResponse } from './responses.js';
+import { getStore } from './store.js';
+import { getLatestTimestamp, DAY_TIMEZONE_KEY } from './storage.js';
+import { getHikingTimeZone } from './utils.js';
+
+const HEALTH_KEY = 'health:ingest';
+
+// Runs kept in health:ingest — a day of 20-minute cron runs
+const MAX_RECORDED_RUNS = 72;
+
+// Runs included in the /health response
+const RECENT_RUNS = 10;
+
+// The pipeline is degraded after this many failed runs in a row, or when the last successful
+// run is older than STALE_INGEST_MS (the cron runs every 20 minutes)
+const MAX_CONSECUTIVE_FAILURES = 3;
+const STALE_INGEST_MS = 60 * 60 * 1000;
+
+// Keyed values counted in the /health storage report
+const KEY_PREFIXES = ['token:', 'ratelimit:auth:', 'cache:', 'meta:', 'health:'];
+
+function emptyHealth() {
+  return { lastRun: null, lastSuccess: null, lastFailure: null, consecutiveFailures: 0, runs: [] };
+}
+
+async function readHealth(store) {
+  const stored = await store.get(HEALTH_KEY, 'json');
+  return stored || emptyHealth();
+}
+
+/**
+ * Append an ingest run to health:ingest and update the success/failure markers.
+ * `summary` is ingestKmlFeed's result for a successful run, `error` the thrown error otherwise.
+ * Never throws: failing to record health must not fail the ingest itself.
+ */
+export async function recordIngestRun(env, { trigger, startedAt, summary = null, error = null }) {
+  const store = getStore(env);
+  if (!store) return;
+
+  const run = {
+    trigger,
+    startedAt: startedAt.toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    httpStatus: summary ? summary.httpStatus : (error && error.status) || null,
+    pointsParsed: summary ? summary.pointsParsed : null,
+    pointsNew: summary ? summary.pointsNew : null,
+    messagesNew: summary ? summary.messagesNew : null,
+    error: error ? error.message : null
+  };
+
+  try {
+    const health = await readHealth(store);
+    health.lastRun = run;
+    if (error) {
+      health.lastFailure = run;
+      health.consecutiveFailures++;
+    } else {
+      health.lastSuccess = run;
+      health.consecutiveFailures = 0;
+    }
+    health.runs = [run, ...health.runs].slice(0, MAX_RECORDED_RUNS);
+    await store.put(HEALTH_KEY, JSON.stringify(health));
+  } catch (recordError) {
+    console.error('[Health] Failed to record ingest run:', recordError);
+  }
+}
+
+/**
+ * Run an ingest (a function returning ingestKmlFeed's summary) and record its outcome.
+ * Errors are recorded and rethrown.
+ */
+export async function trackIngest(env, trigger, ingest) {
+  const startedAt = new Date();
+  try {
+    const summary = await ingest();
+    await recordIngestRun(env, { trigger, startedAt, summary });
+    return summary;
+  } catch (error) {
+    await recordIngestRun(env, { trigger, startedAt, error });
+    throw error;
+  }
+}
+
+function minutesSince(time, now) {
+  return time ? Math.round((now - new Date(time).getTime()) / 60000) : null;
+}
+
+// 'unknown' before the first run, 'degraded' when ingest keeps failing or has gone quiet.
+// An old latest point alone is not degraded: that is the tracker being off, not the pipeline.
+function assessHealth(health, now) {
+  if (!health.lastRun) {
+    return { status: 'unknown', reasons: ['No ingest runs recorded yet'] };
+  }
+
+  const reasons = [];
+  if (health.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+    reasons.push(`${health.consecutiveFailures} consecutive ingest failures (last: ${health.lastFailure.error})`);
+  }
+  const lastSuccessTime = health.lastSuccess ? new Date(health.lastSuccess.startedAt).getTime() : null;
+  if (lastSuccessTime === null) {
+    reasons.push('No successful ingest run recorded');
+  } else if (now - lastSuccessTime > STALE_INGEST_MS) {
+    reasons.push(`No successful ingest in ${Math.round((now - lastSuccessTime) / 60000)} minutes`);
+  }
+
+  return { status: reasons.length > 0 ? 'degraded' : 'ok', reasons };
+}
+
+// Stored day keys and HIKING_TIMEZONE disagree after the zone is changed until
+// POST /admin/rebucket moves the days; null when they agree or nothing is stored yet
+async function checkDayTimeZone(store, env) {
+  const dayTimeZone = await store.get(DAY_TIMEZONE_KEY);
+  const timeZone = getHikingTimeZone(env);
+  if (!dayTimeZone || dayTimeZone === timeZone) return null;
+  return `Stored days are keyed in ${dayTimeZone} but HIKING_TIMEZONE is ${timeZone}; run POST /admin/rebucket`;
+}
+
+async function countStorage(store, env) {
+  const [points, messages, daySummaries, ...keyCounts] = await Promise.all([
+    store.listDays('points'),
+    store.listDays('messages'),
+    store.listDays('days'),
+    ...KEY_PREFIXES.map(prefix => store.countKeys(prefix))
+  ]);
+
+  const keys = {};
+  KEY_PREFIXES.forEach((prefix, i) => { keys[prefix.split(':')[0]] = keyCounts[i]; });
+
+  return {
+    backend: env.STORAGE_BACKEND || 'kv',
+    days: { points: points.length, messages: messages.length, daySummaries: daySummaries.length },
+    keys
+  };
+}
+
+// Health handler — ingest pipeline status, data freshness and storage counts
+export async function handleHealth(request, env) {
+  const now = Date.now();
+
+  const store = getStore(env);
+  if (!store) {
+    return createSuccessResponse({
+      status: 'degraded',
+      reasons: ['Storage not configured'],
+      checkedAt: new Date(now).toISOString()
+    }, request, { 'Cache-Control': 'no-cache' });
+  }
+
+  const health = await readHealth(store);
+  let { status, reasons } = assessHealth(health, now);
+  const timeZoneMismatch = await checkDayTimeZone(store, env);
+  if (timeZoneMismatch) {
+    status = 'degraded';
+    reasons = [...reasons, timeZoneMismatch];
+  }
+  const latestPoint = await getLatestTimestamp(env);
+
+  let storage = null;
+  try {
+    storage = await countStorage(store, env);
+  } catch (error) {
+    console.error('[Health] Failed to count stored keys:', error);
+  }
+
+  return createSuccessResponse({
+    status,
+    reasons,
+    checkedAt: new Date(now).toISOString(),
+    ingest: {
+      lastRun: health.lastRun,
+      lastSuccess: health.lastSuccess,
+      lastFailure: health.lastFailure,
+      consecutiveFailures: health.consecutiveFailures,
+      recentRuns: health.runs.slice(0, RECENT_RUNS)
+    },
+    freshness: {
+      latestPoint: latestPoint ? latestPoint.toISOString() : null,
+      latestPointAgeMinutes: minutesSince(latestPoint, now),
+      lastSuccessAgeMinutes: minutesSince(health.lastSuccess && health.lastSuccess.startedAt, now)
+    },
+    storage
+  }, request, { 'Cache-Control': 'no-cache' });
+}
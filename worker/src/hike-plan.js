@@ -0,0 +1,132 @@
+import { getTrail } from './trails.js';
+import { mergeIntervals, intervalsLength } from './intervals.js';
+
+export const HIKE_DIRECTIONS = ['nobo', 'sobo', 'flip-flop'];
+
+// Legs used when a plan gives only a direction, for a trail of totalMiles
+const DEFAULT_LEGS = {
+  nobo: totalMiles => [[0, totalMiles]],
+  sobo: totalMiles => [[totalMiles, 0]]
+};
+
+/**
+ * Parse a hike plan: { direction, legs: [[fromMile, toMile], ...] }, legs in the order they
+ * are hiked, each walked from fromMile toward toMile. `direction` is "nobo" (the default),
+ * "sobo" or "flip-flop"; nobo and sobo default to the whole trail, flip-flops must list legs.
+ * Accepts an object (a wrangler.toml [vars] table) or a JSON string (.dev.vars). Miles are
+ * along the hiked trail (TRAIL), whose length is totalMiles.
+ *
+ * @returns {{ direction: string, legs: Array<{ from: number, to: number }> }}
+ * @throws {Error} describing the first problem with the plan
+ */
+export function parseHikePlan(value, totalMiles) {
+  let plan = value;
+  if (typeof plan === 'string') {
+    try {
+      plan = JSON.parse(plan);
+    } catch (_) {
+      throw new Error('HIKE_PLAN must be JSON, e.g. {"direction":"sobo"}');
+    }
+  }
+  if (!plan || typeof plan !== 'object') {
+    throw new Error('HIKE_PLAN must be an object with a direction and optional legs');
+  }
+
+  const direction = plan.direction || 'nobo';
+  if (!HIKE_DIRECTIONS.includes(direction)) {
+    throw new Error(`HIKE_PLAN direction must be one of: ${HIKE_DIRECTIONS.join(', ')}`);
+  }
+
+  const rawLegs = plan.legs || (DEFAULT_LEGS[direction] && DEFAULT_LEGS[direction](totalMiles));
+  if (!Array.isArray(rawLegs) || rawLegs.length === 0) {
+    throw new Error('HIKE_PLAN legs must be a non-empty list of [fromMile, toMile] pairs (required for flip-flops)');
+  }
+
+  const legs = rawLegs.map(leg => ({ from: Number(leg[0]), to: Number(leg[1]) }));
+  for (const { from, to } of legs) {
+    if (![from, to].every(mile => Number.isFinite(mile) && mile >= 0 && mile <= totalMiles) || from === to) {
+      throw new Error(`HIKE_PLAN legs must be [fromMile, toMile] pairs of different miles between 0 and ${totalMiles}`);
+    }
+    if ((direction === 'nobo' && to < from) || (direction === 'sobo' && to > from)) {
+      throw new Error(`HIKE_PLAN legs of a ${direction} hike must all run ${direction === 'nobo' ? 'north (fromMile < toMile)' : 'south (fromMile > toMile)'}`);
+    }
+  }
+
+  return { direction, legs };
+}
+
+// The configured hike plan (HIKE_PLAN), or a northbound thru-hike when unset or invalid
+// (validateEnvVars reports invalid plans)
+export function getHikePlan(env) {
+  const { totalMiles } = getTrail(env);
+  if (env.HIKE_PLAN) {
+    try {
+      return parseHikePlan(env.HIKE_PLAN, totalMiles);
+    } catch (_) {
+      // fall through to the default
+    }
+  }
+  return parseHikePlan({ direction: 'nobo' }, totalMiles);
+}
+
+// The stretches of trail the plan covers, merged (legs may overlap)
+export function getPlanIntervals(plan) {
+  return mergeIntervals(plan.legs.map(({ from, to }) => [from, to]));
+}
+
+// Total miles the plan covers
+export function getPlannedMiles(plan) {
+  return intervalsLength(getPlanIntervals(plan));
+}
+
+// Index of the leg being hiked at a trail mile: the first leg that contains it (the first leg
+// before the hike starts, when mile is null)
+function findCurrentLeg(plan, mile) {
+  if (mile == null) return 0;
+  const index = plan.legs.findIndex(({ from, to }) => mile >= Math.min(from, to) && mile <= Math.max(from, to));
+  return Math.max(index, 0);
+}
+
+// Direction trail miles run on the leg being hiked at a trail mile: 1 (increasing) or -1
+export function getLegDirection(plan, mile) {
+  const { from, to } = plan.legs[findCurrentLeg(plan, mile)];
+  return Math.sign(to - from);
+}
+
+/**
+ * Planned miles from the current position (fromMile; the plan's start when null) to `mile`,
+ * following the legs in hiking order: a flip-flop finishes the current leg before starting the
+ * next at its first mile. Null when the mile isn't ahead on the plan.
+ */
+export function milesAlongPlan(plan, fromMile, mile) {
+  const legIndex = findCurrentLeg(plan, fromMile);
+  let distance = 0;
+  for (let i = legIndex; i < plan.legs.length; i++) {
+    const { from, to } = plan.legs[i];
+    const at = i === legIndex && fromMile != null ? fromMile : from;
+    const direction = Math.sign(to - from);
+    if ((mile - at) * direction >= 0 && (to - mile) * direction >= 0) {
+      return distance + Math.abs(mile - at);
+    }
+    distance += Math.abs(to - at);
+  }
+  return null;
+}
+
+/**
+ * The trail-mile stretches the next `miles` of the plan cover from the current position (fromMile;
+ * the plan's start when null), following the legs in hiking order as milesAlongPlan does. Merged.
+ */
+export function getPlanStretchAhead(plan, fromMile, miles) {
+  const legIndex = findCurrentLeg(plan, fromMile);
+  const stretch = [];
+  let left = miles;
+  for (let i = legIndex; i < plan.legs.length && left > 0; i++) {
+    const { from, to } = plan.legs[i];
+    const at = i === legIndex && fromMile != null ? fromMile : from;
+    const length = Math.min(Math.abs(to - at), left);
+    if (length > 0) stretch.push([at, at + Math.sign(to - at) * length]);
+    left -= length;
+  }
+  return mergeIntervals(stretch);
+}
@@ -0,0 +1,247 @@
+import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { storePointsByDay } from './storage.js';
+import { haversine } from './geo.js';
+import { getHikingTimeZone, getLocalDayStart } from './utils.js';
+import { getStore } from './store.js';
+
+const METERS_TO_FEET = 3.28084;
+const DEFAULT_MIN_INTERVAL_SECONDS = 120;
+const SUPPORTED_FORMATS = ['gpx', 'geojson', 'csv'];
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function buildPoint(lat, lon, time, elevationMeters) {
+  const date = time instanceof Date ? time : new Date(time);
+  if (lat === null || lon === null || isNaN(date.getTime())) return null;
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+  return {
+    lat,
+    lon,
+    time: date,
+    elevation: elevationMeters !== null ? elevationMeters * METERS_TO_FEET : null
+  };
+}
+
+// GPX 1.0/1.1: track points, route points and waypoints that carry a <time>
+export function parseGpxPoints(text) {
+  const points = [];
+  const ptRegex = /<(trkpt|rtept|wpt)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = ptRegex.exec(text)) !== null) {
+    const attrs = match[2];
+    const body = match[3] || '';
+    const lat = toNumber((attrs.match(/\blat\s*=\s*["']([^"']+)["']/) || [])[1]);
+    const lon = toNumber((attrs.match(/\blon\s*=\s*["']([^"']+)["']/) || [])[1]);
+    const timeMatch = body.match(/<time>\s*([^<]+?)\s*<\/time>/);
+    if (!timeMatch) continue;
+    const ele = toNumber((body.match(/<ele>\s*([^<]+?)\s*<\/ele>/) || [])[1]);
+    const point = buildPoint(lat, lon, timeMatch[1], ele);
+    if (point) points.push(point);
+  }
+  return points;
+}
+
+// GeoJSON Point/MultiPoint/LineString/MultiLineString features.
+// Per-vertex times come from properties.coordTimes (togeojson convention) or properties.times;
+// single points use properties.time or properties.timestamp.
+export function parseGeoJsonPoints(text) {
+  const geojson = JSON.parse(text);
+  const points = [];
+
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features || []
+    : geojson.type === 'Feature'
+      ? [geojson]
+      : [{ type: 'Feature', geometry: geojson, properties: {} }];
+
+  const addCoord = (coord, time) => {
+    if (!Array.isArray(coord) || time == null) return;
+    const point = buildPoint(toNumber(coord[1]), toNumber(coord[0]), time, toNumber(coord[2]));
+    if (point) points.push(point);
+  };
+
+  for (const feature of features) {
+    const geometry = feature && feature.geometry;
+    if (!geometry) continue;
+    const props = feature.properties || {};
+    const singleTime = props.time ?? props.timestamp ?? null;
+
+    switch (geometry.type) {
+      case 'Point':
+        addCoord(geometry.coordinates, singleTime);
+        break;
+      case 'MultiPoint':
+      case 'LineString': {
+        const times = props.coordTimes || props.times || [];
+        geometry.coordinates.forEach((coord, i) => addCoord(coord, times[i]));
+        break;
+      }
+      case 'MultiLineString': {
+        const times = props.coordTimes || props.times || [];
+        geometry.coordinates.forEach((line, li) => {
+          const lineTimes = Array.isArray(times[li]) ? times[li] : [];
+          line.forEach((coord, i) => addCoord(coord, lineTimes[i]));
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return points;
+}
+
+// Split one CSV line, honoring double-quoted fields
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (inQuotes) {
+      if (ch === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else current += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+// CSV with a header row: lat/latitude, lon/lng/longitude, time/timestamp/date,
+// and optionally ele/elevation/altitude (meters)
+export function parseCsvPoints(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length < 2) return [];
+
+  const header = splitCsvLine(lines[0]).map(h => h.toLowerCase());
+  const findColumn = (...names) => header.findIndex(h => names.includes(h));
+  const latCol = findColumn('lat', 'latitude');
+  const lonCol = findColumn('lon', 'lng', 'long', 'longitude');
+  const timeCol = findColumn('time', 'timestamp', 'date', 'datetime');
+  const eleCol = findColumn('ele', 'elevation', 'altitude', 'alt');
+
+  if (latCol === -1 || lonCol === -1 || timeCol === -1) {
+    throw new Error('CSV header must include lat, lon and time columns');
+  }
+
+  const points = [];
+  for (const line of lines.slice(1)) {
+    const fields = splitCsvLine(line);
+    const ele = eleCol === -1 ? null : toNumber(fields[eleCol]);
+    const point = buildPoint(toNumber(fields[latCol]), toNumber(fields[lonCol]), fields[timeCol], ele);
+    if (point) points.push(point);
+  }
+  return points;
+}
+
+// Pick the import format from ?format=, then Content-Type, then by sniffing the body
+export function detectImportFormat(text, contentType = '', formatParam = null) {
+  if (formatParam) return formatParam.toLowerCase();
+  const type = contentType.toLowerCase();
+  if (type.includes('gpx')) return 'gpx';
+  if (type.includes('geo+json') || type.includes('json')) return 'geojson';
+  if (type.includes('csv')) return 'csv';
+
+  const head = text.trimStart();
+  if (head.startsWith('<')) return 'gpx';
+  if (head.startsWith('{')) return 'geojson';
+  return 'csv';
+}
+
+/**
+ * Normalize an imported track into the stored point shape: sorted by time,
+ * thinned to at most one point per `minIntervalSeconds`, with velocity (mph)
+ * derived from the previous kept point and tagged with `source`.
+ */
+export function normalizeImportedPoints(points, { startDate, source, minIntervalSeconds = DEFAULT_MIN_INTERVAL_SECONDS }) {
+  const sorted = points
+    .filter(p => !startDate || p.time >= startDate)
+    .sort((a, b) => a.time - b.time);
+
+  const result = [];
+  for (const p of sorted) {
+    const prev = result[result.length - 1];
+    if (prev && (p.time - prev.time) / 1000 < minIntervalSeconds) continue;
+
+    let velocity = 0;
+    if (prev) {
+      const hours = (p.time - prev.time) / 3600000;
+      velocity = hours > 0 ? haversine(prev.lat, prev.lon, p.lat, p.lon) / hours : 0;
+    }
+    result.push({ ...p, velocity, source });
+  }
+  return result;
+}
+
+// Import handler — backfills tracker gaps from GPX, GeoJSON or CSV uploads.
+// Imported points never overwrite inReach points stored at the same timestamp.
+export async function handleImport(request, env) {
+  if (env.USE_MOCK_DATA === 'true') {
+    return createErrorResponse(400, 'Import not available in mock data mode', request);
+  }
+
+  if (!getStore(env)) {
+    return createErrorResponse(500, 'Storage not configured', request);
+  }
+
+  const url = new URL(request.url);
+  const source = (url.searchParams.get('source') || 'import').slice(0, 32);
+  const intervalParam = parseInt(url.searchParams.get('interval'), 10);
+  const minIntervalSeconds = Number.isFinite(intervalParam) && intervalParam >= 0 ? intervalParam : DEFAULT_MIN_INTERVAL_SECONDS;
+
+  let text;
+  try {
+    text = await request.text();
+  } catch (error) {
+    return createErrorResponse(400, 'Invalid request body', request);
+  }
+
+  if (!text || !text.trim()) {
+    return createErrorResponse(400, 'Request body is empty', request);
+  }
+
+  const format = detectImportFormat(text, request.headers.get('Content-Type') || '', url.searchParams.get('format'));
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    return createErrorResponse(400, `Unsupported format "${format}". Use one of: ${SUPPORTED_FORMATS.join(', ')}`, request);
+  }
+
+  let parsed;
+  try {
+    if (format === 'gpx') parsed = parseGpxPoints(text);
+    else if (format === 'geojson') parsed = parseGeoJsonPoints(text);
+    else parsed = parseCsvPoints(text);
+  } catch (error) {
+    return createErrorResponse(400, `Failed to parse ${format}: ${error.message}`, request);
+  }
+
+  const startDate = env.START_DATE ? getLocalDayStart(env.START_DATE, getHikingTimeZone(env)) : null;
+  const points = normalizeImportedPoints(parsed, { startDate, source, minIntervalSeconds });
+
+  try {
+    const { newPoints, daysWritten } = await storePointsByDay(points, env, { overwrite: false, trackLatest: false });
+    return createSuccessResponse({
+      success: true,
+      format,
+      source,
+      pointsParsed: parsed.length,
+      pointsImported: newPoints,
+      daysWritten
+    }, request, {
+      'Cache-Control': 'no-cache'
+    });
+  } catch (error) {
+    return createErrorResponse(500, error.message, request);
+  }
+}
@@ -1,44 +1,53 @@
 import { getCorsHeaders } from './cors.js';
 import { createErrorResponse } from './responses.js';
-import { requireAuth, handleAuth } from './auth.js';
-import { handleStats, handleSync } from './handlers.js';
+import { requireAuth, requireAdmin, handleAuth } from './auth.js';
+import { handleStats, handleSync, handleTrail } from './handlers.js';
 import { handleElevation } from './elevation.js';
 import { handlePoints } from './points-handler.js';
-import { buildKmlUrl, buildKmlFetchOptions } from './utils.js';
-import { parseKmlPoints } from './kml.js';
-import { storePointsByDay } from './storage.js';
+import { handleMessages } from './messages.js';
+import { ingestKmlFeed } from './ingest.js';
+import { handleImport } from './import.js';
+import { handleAdmin } from './admin.js';
+import { getStore } from './store.js';
+import { handleHealth, trackIngest } from './health.js';
+import { handleExport } from './export.js';
+import { handleCoverage } from './coverage.js';
+import { handleMilestones } from './milestones.js';
+import { handlePoi, handlePoiAhead } from './poi.js';
+import { getMockEnv, resolveMockScenario, listMockScenarios } from './mock.js';
+
+// Run a read handler. In mock mode it is served from a seeded scenario (see mock.js) rather
+// than storage, chosen by ?scenario= or MOCK_SCENARIO.
+async function handleDataRequest(handler, request, env, url) {
+  if (env.USE_MOCK_DATA !== 'true') return handler(request, env);
+
+  const scenario = resolveMockScenario(env, url);
+  if (!scenario) {
+    return createErrorResponse(400, `Unknown mock scenario. Use one of: ${listMockScenarios().join(', ')}`, request);
+  }
+  return handler(request, await getMockEnv(env, scenario));
+}
 
 export default {
   async scheduled(event, env, ctx) {
     const MAPSHARE_ID = env.MAPSHARE_ID;
-    const MAPSHARE_PASSWORD = env.MAPSHARE_PASSWORD || '';
     const START_DATE_STR = env.START_DATE;
 
-    if (!MAPSHARE_ID || !START_DATE_STR || !env.TRAIL_HISTORY) {
-      console.error('[Cron] Missing required env vars (MAPSHARE_ID, START_DATE, or TRAIL_HISTORY KV)');
+    if (!MAPSHARE_ID || !START_DATE_STR || !getStore(env)) {
+      console.error('[Cron] Missing required env vars (MAPSHARE_ID, START_DATE, or the TRAIL_HISTORY KV / TRAIL_DB D1 binding)');
       return;
     }
 
     try {
-      const kmlUrl = buildKmlUrl(MAPSHARE_ID);
-      const kmlFetchOptions = buildKmlFetchOptions(MAPSHARE_PASSWORD);
+      // Every run is recorded for GET /health, so a broken pipeline can be told from a tracker that's off
+      const summary = await trackIngest(env, 'cron', () => ingestKmlFeed(env));
 
-      const kmlResponse = await fetch(kmlUrl, kmlFetchOptions);
-      if (!kmlResponse.ok) {
-        console.error(`[Cron] KML fetch failed with status ${kmlResponse.status}`);
+      if (summary.pointsParsed === 0) {
+        console.log(`[Cron] No new points from KML feed since ${summary.since}`);
         return;
       }
 
-      const kmlText = await kmlResponse.text();
-      const kmlPoints = parseKmlPoints(kmlText, new Date(START_DATE_STR));
-
-      if (kmlPoints.length === 0) {
-        console.log('[Cron] No new points from KML feed');
-        return;
-      }
-
-      await storePointsByDay(kmlPoints, env);
-      console.log(`[Cron] Stored ${kmlPoints.length} points from KML feed`);
+      console.log(`[Cron] Parsed ${summary.pointsParsed} points since ${summary.since}: ${summary.pointsNew} new across ${summary.daysWritten} days (${summary.messagesNew} new messages)`);
     } catch (error) {
       console.error('[Cron] Error:', error.message);
     }
@@ -72,25 +81,94 @@ export default {
       return handleSync(request, env);
     }
 
+    // Handle import endpoint (requires authentication)
+    if (url.pathname === '/import' && request.method === 'POST') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleImport(request, env);
+    }
+
     // Handle points endpoint (requires authentication)
     if (url.pathname === '/points' && request.method === 'GET') {
       const authError = await requireAuth(request, env);
       if (authError) return authError;
-      return handlePoints(request, env);
+      return handleDataRequest(handlePoints, request, env, url);
+    }
+
+    // Handle track export endpoints (requires authentication)
+    if (url.pathname.startsWith('/export/') && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handleExport, request, env, url);
     }
 
     // Handle elevation endpoint (requires authentication)
     if (url.pathname === '/elevation' && request.method === 'GET') {
       const authError = await requireAuth(request, env);
       if (authError) return authError;
-      return handleElevation(request, env);
+      return handleDataRequest(handleElevation, request, env, url);
+    }
+
+    // Handle messages endpoint (requires authentication)
+    if (url.pathname === '/messages' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handleMessages, request, env, url);
+    }
+
+    // Handle trail info endpoint (requires authentication)
+    if (url.pathname === '/trail' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handleTrail, request, env, url);
+    }
+
+    // Handle trail coverage endpoint (requires authentication)
+    if (url.pathname === '/coverage' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handleCoverage, request, env, url);
+    }
+
+    // Handle milestones endpoint (requires authentication)
+    if (url.pathname === '/milestones' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handleMilestones, request, env, url);
+    }
+
+    // Handle points of interest endpoints (require authentication)
+    if (url.pathname === '/poi' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handlePoi, request, env, url);
+    }
+
+    if (url.pathname === '/poi/ahead' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handlePoiAhead, request, env, url);
+    }
+
+    // Handle health endpoint (requires authentication)
+    if (url.pathname === '/health' && request.method === 'GET') {
+      const authError = await requireAuth(request, env);
+      if (authError) return authError;
+      return handleDataRequest(handleHealth, request, env, url);
+    }
+
+    // Handle admin endpoints (requires an admin token)
+    if (url.pathname.startsWith('/admin/')) {
+      const authError = await requireAdmin(request, env);
+      if (authError) return authError;
+      return handleAdmin(request, env);
     }
 
     // Handle stats endpoint (requires authentication)
     if (url.pathname === '/' && request.method === 'GET') {
       const authError = await requireAuth(request, env);
       if (authError) return authError;
-      return handleStats(request, env);
+      return handleDataRequest(handleStats, request, env, url);
     }
 
     // 404 for unknown routes
@@ -0,0 +1,68 @@
+import { buildKmlUrl, buildKmlFetchOptions, getHikingTimeZone, getLocalDayStart } from './utils.js';
+import { parseKmlPoints } from './kml.js';
+import { storePointsByDay, getLatestTimestamp } from './storage.js';
+import { storeMessagesByDay } from './messages.js';
+import { getStore } from './store.js';
+import { archiveKmlSnapshot } from './archive.js';
+
+/**
+ * Parse a MapShare KML document and store its points and messages (points before START_DATE
+ * are dropped). Used for live feed fetches and for replaying archived snapshots.
+ *
+ * @returns {Promise<{ pointsParsed: number, pointsNew: number, daysWritten: number, messagesNew: number }>}
+ */
+export async function storeKmlSnapshot(kmlText, env) {
+  const startDate = getLocalDayStart(env.START_DATE, getHikingTimeZone(env));
+  const kmlPoints = parseKmlPoints(kmlText, startDate);
+
+  const { newPoints, daysWritten } = await storePointsByDay(kmlPoints, env);
+  const messagesNew = await storeMessagesByDay(kmlPoints, env);
+
+  return { pointsParsed: kmlPoints.length, pointsNew: newPoints, daysWritten, messagesNew };
+}
+
+/**
+ * Fetch the MapShare KML feed and store any new points and messages.
+ * Only requests points since the newest stored timestamp (Garmin's d1 parameter)
+ * unless `full` is set, in which case the feed is requested from START_DATE.
+ * The raw response is archived to KML_ARCHIVE (when bound) before it is parsed.
+ *
+ * Shared by the cron trigger and the manual /sync endpoint.
+ *
+ * A failed feed request throws an error carrying the HTTP status as `error.status`.
+ *
+ * @returns {Promise<{ since: string, httpStatus: number, pointsParsed: number, pointsNew: number, daysWritten: number, messagesNew: number }>}
+ */
+export async function ingestKmlFeed(env, { full = false } = {}) {
+  const startDate = getLocalDayStart(env.START_DATE, getHikingTimeZone(env));
+  const latest = full ? null : await getLatestTimestamp(env);
+  const since = latest && latest > startDate ? latest : startDate;
+
+  const kmlUrl = buildKmlUrl(env.MAPSHARE_ID, since, env.MAPSHARE_BASE_URL);
+  const kmlFetchOptions = buildKmlFetchOptions(env.MAPSHARE_PASSWORD || '');
+
+  const fetchedAt = new Date();
+  const kmlResponse = await fetch(kmlUrl, kmlFetchOptions);
+  if (!kmlResponse.ok) {
+    const error = new Error(`KML fetch failed with status ${kmlResponse.status}`);
+    error.status = kmlResponse.status;
+    throw error;
+  }
+
+  const kmlText = await kmlResponse.text();
+  await archiveKmlSnapshot(env, kmlText, { fetchedAt, since, httpStatus: kmlResponse.status });
+
+  const summary = {
+    since: since.toISOString(),
+    httpStatus: kmlResponse.status,
+    ...(await storeKmlSnapshot(kmlText, env))
+  };
+
+  try {
+    await getStore(env).put('meta:last_ingest', JSON.stringify({ ...summary, timestamp: new Date().toISOString() }));
+  } catch (error) {
+    console.error('[Ingest] Failed to record ingest summary:', error);
+  }
+
+  return summary;
+}
@@ -0,0 +1,65 @@
+// Trail-mile intervals: [lowMile, highMile] pairs with lowMile <= highMile, whatever the
+// direction they were walked in. Used for hike progress and coverage (stats.js, hike-plan.js,
+// coverage.js).
+
+// Sort and merge overlapping or touching intervals
+export function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(([a, b]) => (a <= b ? [a, b] : [b, a]))
+    .sort((x, y) => x[0] - y[0]);
+
+  const merged = [];
+  for (const [lo, hi] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && lo <= last[1]) {
+      last[1] = Math.max(last[1], hi);
+    } else {
+      merged.push([lo, hi]);
+    }
+  }
+  return merged;
+}
+
+// Total miles covered by a set of intervals, counting overlaps once
+export function intervalsLength(intervals) {
+  return mergeIntervals(intervals).reduce((total, [lo, hi]) => total + (hi - lo), 0);
+}
+
+// Parts of `intervals` that fall inside `bounds`, merged
+export function intersectIntervals(intervals, bounds) {
+  const a = mergeIntervals(intervals);
+  const b = mergeIntervals(bounds);
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const lo = Math.max(a[i][0], b[j][0]);
+    const hi = Math.min(a[i][1], b[j][1]);
+    if (lo < hi) result.push([lo, hi]);
+    if (a[i][1] < b[j][1]) i++; else j++;
+  }
+  return result;
+}
+
+// Round interval ends (for storing in day summaries)
+export function roundIntervals(intervals, places = 2) {
+  const factor = 10 ** places;
+  return intervals.map(([lo, hi]) => [Math.round(lo * factor) / factor, Math.round(hi * factor) / factor]);
+}
+
+// Parts of `intervals` outside `removed`, merged
+export function subtractIntervals(intervals, removed) {
+  const cuts = mergeIntervals(removed);
+  const result = [];
+  for (const [lo, hi] of mergeIntervals(intervals)) {
+    let start = lo;
+    for (const [cutLo, cutHi] of cuts) {
+      if (cutHi <= start) continue;
+      if (cutLo >= hi) break;
+      if (cutLo > start) result.push([start, cutLo]);
+      start = Math.max(start, cutHi);
+    }
+    if (start < hi) result.push([start, hi]);
+  }
+  return result;
+}
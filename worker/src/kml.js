@@ -1,3 +1,96 @@
+const METERS_TO_FEET = 3.28084;
+const KMH_TO_MPH = 0.621371;
+
+function decodeXmlEntities(str) {
+  return str
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+function parseNumber(value) {
+  if (value == null) return null;
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function parseBoolean(value) {
+  if (value == null) return null;
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  return null;
+}
+
+// Extract <Data name="..."><value>...</value></Data> pairs from a Placemark.
+// Also accepts the older bare form <Data name="...">...</Data>.
+export function parseExtendedData(placemarkXml) {
+  const data = {};
+  const dataRegex = /<Data\s+name="([^"]+)"\s*>([\s\S]*?)<\/Data>/g;
+  let match;
+  while ((match = dataRegex.exec(placemarkXml)) !== null) {
+    const inner = match[2];
+    const valueMatch = inner.match(/<value>([\s\S]*?)<\/value>/);
+    const raw = valueMatch ? valueMatch[1] : inner;
+    data[match[1]] = decodeXmlEntities(raw).trim();
+  }
+  return data;
+}
+
+// Look up an ExtendedData field ignoring case (older feeds used lowercase names)
+function getField(data, name) {
+  if (data[name] !== undefined) return data[name];
+  const lower = name.toLowerCase();
+  for (const key of Object.keys(data)) {
+    if (key.toLowerCase() === lower) return data[key];
+  }
+  return undefined;
+}
+
+/**
+ * Parse a single Garmin Placemark into a point, or null if it has no
+ * coordinates or timestamp (e.g. the track LineString at the end of the feed).
+ */
+export function parsePlacemark(placemarkXml) {
+  const coordMatch = placemarkXml.match(/<Point>[\s\S]*?<coordinates>\s*([^<]+?)\s*<\/coordinates>/);
+  const timeMatch = placemarkXml.match(/<when>\s*([^<]+?)\s*<\/when>/);
+  if (!coordMatch || !timeMatch) return null;
+
+  const [rawLon, rawLat, rawElevation] = coordMatch[1].split(',');
+  const lon = parseNumber(rawLon);
+  const lat = parseNumber(rawLat);
+  const time = new Date(timeMatch[1]);
+  if (lat === null || lon === null || isNaN(time.getTime())) return null;
+
+  const elevationMeters = parseNumber(rawElevation);
+  const data = parseExtendedData(placemarkXml);
+  const field = (name) => getField(data, name);
+
+  const velocityKmh = parseNumber(field('Velocity')) ?? 0;
+  const text = field('Text');
+  const event = field('Event');
+
+  return {
+    lat,
+    lon,
+    time,
+    velocity: velocityKmh * KMH_TO_MPH,
+    elevation: elevationMeters !== null ? elevationMeters * METERS_TO_FEET : null,
+    source: 'inreach',
+    event: event || null,
+    text: text || null,
+    course: parseNumber(field('Course')),
+    validFix: parseBoolean(field('Valid GPS Fix')),
+    inEmergency: parseBoolean(field('In Emergency')),
+    imei: field('IMEI') || null,
+    deviceType: field('Device Type') || null
+  };
+}
+
 // Lightweight KML parser for Garmin format
 export function parseKmlPoints(kmlText, startDate) {
   if (!kmlText || typeof kmlText !== 'string') {
@@ -9,28 +102,13 @@ export function parseKmlPoints(kmlText, startDate) {
   }
 
   const points = [];
-  const placemarkRegex = /<Placemark>[\s\S]*?<\/Placemark>/g;
+  const placemarkRegex = /<Placemark\b[^>]*>[\s\S]*?<\/Placemark>/g;
   const placemarks = kmlText.match(placemarkRegex) || [];
 
   for (const pm of placemarks) {
-    const coordMatch = pm.match(/<coordinates>([\d\.-]+),([\d\.-]+),([\d\.-]+)</);
-    const timeMatch = pm.match(/<when>([\d\-T:Z\.]+)</);
-    const velocityMatch = pm.match(/name="velocity">([\d\.]+)</);
-
-    if (coordMatch && timeMatch) {
-      const lon = parseFloat(coordMatch[1]);
-      const lat = parseFloat(coordMatch[2]);
-      const rawElevation = coordMatch[3] ? parseFloat(coordMatch[3]) : null;
-      const elevationMeters = rawElevation !== null && !isNaN(rawElevation) ? rawElevation : null;
-      const elevationFeet = elevationMeters !== null ? elevationMeters * 3.28084 : null;
-      const time = new Date(timeMatch[1]);
-      const rawVelocity = velocityMatch ? parseFloat(velocityMatch[1]) : 0;
-      const velocityKmh = isNaN(rawVelocity) ? 0 : rawVelocity;
-      const velocityMph = velocityKmh * 0.621371;
-
-      if (time >= startDate) {
-        points.push({ lat, lon, time, velocity: velocityMph, elevation: elevationFeet });
-      }
+    const point = parsePlacemark(pm);
+    if (point && point.time >= startDate) {
+      points.push(point);
     }
   }
   return points.sort((a, b) => a.time - b.time);
@@ -0,0 +1,69 @@
+// Workers allow six simultaneous outgoing connections per request; KV reads count toward it
+const DEFAULT_CONCURRENCY = 6;
+
+// List every key under a prefix ({ name, expiration? } entries), following list() cursors
+// until list_complete
+export async function listAllKeyEntries(kv, prefix) {
+  const entries = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix, cursor });
+    entries.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return entries;
+}
+
+// List every key name under a prefix
+export async function listAllKeys(kv, prefix) {
+  return (await listAllKeyEntries(kv, prefix)).map(key => key.name);
+}
+
+// Map over items with at most `concurrency` calls of fn in flight; results keep input order
+export async function mapWithConcurrency(items, fn, concurrency = DEFAULT_CONCURRENCY) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+}
+
+/**
+ * List the dates of day-keyed records (`${prefix}YYYY-MM-DD`, e.g. points:, messages:, day:),
+ * oldest first, optionally limited to the inclusive range [from, to] (YYYY-MM-DD).
+ */
+export async function listDays(kv, prefix, { from = null, to = null } = {}) {
+  const names = await listAllKeys(kv, prefix);
+  return names
+    .map(name => name.slice(prefix.length))
+    .filter(date => (!from || date >= from) && (!to || date <= to))
+    .sort();
+}
+
+/**
+ * Load day-keyed JSON records, oldest first, reading at most `concurrency` at a time.
+ * Reads the given `dates` if provided, otherwise every stored day in [from, to].
+ * Unreadable or unparseable days are logged and skipped.
+ *
+ * @returns {Promise<Array<{ date: string, value: any }>>}
+ */
+export async function loadDayRecords(kv, prefix, { from = null, to = null, dates = null, concurrency = DEFAULT_CONCURRENCY } = {}) {
+  if (!dates) dates = await listDays(kv, prefix, { from, to });
+  const records = await mapWithConcurrency(dates, async (date) => {
+    try {
+      const json = await kv.get(`${prefix}${date}`);
+      return json ? { date, value: JSON.parse(json) } : null;
+    } catch (error) {
+      console.error(`[KV] Failed to read ${prefix}${date}:`, error);
+      return null;
+    }
+  }, concurrency);
+  return records.filter(Boolean);
+}
@@ -0,0 +1,85 @@
+import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { groupPointsByDate, getHikingTimeZone } from './utils.js';
+import { getStore } from './store.js';
+
+// A Placemark is a message (preset or custom) when the inReach attached text to it
+export function isMessagePoint(point) {
+  return typeof point.text === 'string' && point.text.trim() !== '';
+}
+
+function serializeMessage(p) {
+  return {
+    time: p.time instanceof Date ? p.time.toISOString() : p.time,
+    lat: p.lat,
+    lon: p.lon,
+    text: p.text,
+    event: p.event ?? null,
+    inEmergency: p.inEmergency ?? null
+  };
+}
+
+// Store message Placemarks grouped by day (messages:YYYY-MM-DD), merged by timestamp.
+// Unchanged days are not rewritten. Returns the number of messages not already stored.
+export async function storeMessagesByDay(points, env) {
+  const store = getStore(env);
+  if (!store) return 0;
+
+  const messages = points.filter(isMessagePoint);
+  if (messages.length === 0) return 0;
+
+  const messagesByDay = groupPointsByDate(messages, getHikingTimeZone(env));
+  let newMessages = 0;
+
+  for (const [dateKey, dayMessages] of messagesByDay.entries()) {
+    try {
+      const storedMessages = await store.getDay('messages', dateKey);
+      const messageMap = new Map();
+      for (const m of storedMessages || []) {
+        messageMap.set(m.time, m);
+      }
+
+      let dayNewMessages = 0;
+      for (const m of dayMessages) {
+        const serialized = serializeMessage(m);
+        if (!messageMap.has(serialized.time)) dayNewMessages++;
+        messageMap.set(serialized.time, serialized);
+      }
+
+      const merged = Array.from(messageMap.values())
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+      if (storedMessages && JSON.stringify(merged) === JSON.stringify(storedMessages)) continue;
+
+      await store.putDay('messages', dateKey, merged);
+      newMessages += dayNewMessages;
+    } catch (error) {
+      console.error(`[Messages] Failed to store messages for ${dateKey}:`, error);
+    }
+  }
+
+  return newMessages;
+}
+
+// Load all stored messages, newest first
+export async function loadMessages(env) {
+  const store = getStore(env);
+  if (!store) return [];
+
+  const days = await store.loadDays('messages');
+  return days
+    .flatMap(day => day.value)
+    .sort((a, b) => new Date(b.time) - new Date(a.time));
+}
+
+// Messages handler — short dispatches sent from the inReach
+export async function handleMessages(request, env) {
+  try {
+    const messages = await loadMessages(env);
+    return createSuccessResponse({ messages }, request, {
+      'Cache-Control': 'public, max-age=300'
+    });
+  } catch (error) {
+    return createErrorResponse(500, error.message, request, {
+      'Cache-Control': 'no-cache'
+    });
+  }
+}
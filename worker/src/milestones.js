@@ -0,0 +1,86 @@
+import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { validateEnvOrError, calculateCurrentDay, getHikingTimeZone, addDays, roundMiles } from './utils.js';
+import { loadDaySummaries, findLatestTrailPosition } from './day-summary.js';
+import { calculateDailyHikeIntervals, calculateAverageDailyMiles } from './stats.js';
+import { calculateCoverage } from './coverage.js';
+import { getHikePlan, milesAlongPlan } from './hike-plan.js';
+import { getTrail } from './trails.js';
+
+// A milestone counts as passed when hiked trail comes this close to its mile: pings are
+// minutes apart, so the covered intervals rarely reach a milestone's exact mile
+const PASSED_SLACK_MILES = 0.25;
+
+function coversMile(intervals, mile, slack = 0) {
+  return intervals.some(([lo, hi]) => mile >= lo - slack && mile <= hi + slack);
+}
+
+/**
+ * Each milestone of the trail (trail.milestoneMiles, snapped to trail miles at build time by
+ * scripts/build-trail-milestones.js) with its status on the hike plan:
+ *   passed     hiked; datePassed is the first day the hiked trail reached it
+ *   skipped    in a skipped section (see calculateCoverage)
+ *   upcoming   ahead on the plan; milesAway along the plan from the latest on-trail ping and an
+ *              ETA (YYYY-MM-DD) at the average daily pace behind the finish estimate
+ *   off-plan   not on the planned trail
+ * `next` is the nearest upcoming milestone. Dates are day keys in the hiking time zone.
+ */
+export function calculateMilestones(summaries, trail, plan, { startDate, timeZone } = {}) {
+  const coverage = calculateCoverage(summaries, plan);
+  const days = calculateDailyHikeIntervals(summaries);
+  const position = findLatestTrailPosition(summaries);
+
+  const { currentDay, today } = calculateCurrentDay(startDate, timeZone);
+  const averageDailyMiles = position ? calculateAverageDailyMiles(coverage.hikedMiles, currentDay) : 0;
+
+  const milestones = (trail.milestoneMiles ? trail.milestoneMiles.milestones : []).map(milestone => {
+    const { name, description, state, lat, lon, mile } = milestone;
+    const result = { name, description, state, lat, lon, mile, status: 'off-plan', datePassed: null, milesAway: null, eta: null };
+
+    if (coversMile(coverage.hiked, mile, PASSED_SLACK_MILES)) {
+      const day = days.find(d => coversMile(d.intervals, mile, PASSED_SLACK_MILES));
+      return { ...result, status: 'passed', datePassed: day ? day.date : null };
+    }
+    if (coversMile(coverage.skipped, mile)) {
+      return { ...result, status: 'skipped' };
+    }
+
+    const milesAway = milesAlongPlan(plan, position && position.mile, mile);
+    if (milesAway === null) return result;
+    return {
+      ...result,
+      status: 'upcoming',
+      milesAway: roundMiles(milesAway),
+      eta: averageDailyMiles > 0 ? addDays(today, Math.ceil(milesAway / averageDailyMiles)) : null
+    };
+  });
+
+  const next = milestones
+    .filter(m => m.status === 'upcoming')
+    .reduce((nearest, m) => (!nearest || m.milesAway < nearest.milesAway ? m : nearest), null);
+
+  return {
+    position,
+    averageDailyMiles: roundMiles(averageDailyMiles),
+    next,
+    milestones
+  };
+}
+
+// Milestones handler
+export async function handleMilestones(request, env) {
+  const envError = validateEnvOrError(env, request, false);
+  if (envError) return envError;
+
+  try {
+    const summaries = await loadDaySummaries(env, { from: env.START_DATE });
+    const result = calculateMilestones(summaries, getTrail(env), getHikePlan(env), {
+      startDate: env.START_DATE,
+      timeZone: getHikingTimeZone(env)
+    });
+    return createSuccessResponse(result, request, {
+      'Cache-Control': 'public, max-age=300'
+    });
+  } catch (error) {
+    return createErrorResponse(500, error.message, request);
+  }
+}
@@ -0,0 +1,175 @@
+// Mock hike scenarios for USE_MOCK_DATA mode, selected with MOCK_SCENARIO or ?scenario=.
+// mock.js turns a scenario into inReach pings and stores them through the normal ingest path.
+//
+// A scenario is a list of consecutive days (the last one is today), each one of:
+//   { hike: [fromMile, toMile] }   hike between two trail miles; toMile < fromMile walks south
+//   { zero: true }                 rest in place at the last position (a few stationary pings)
+//   { town: 'helen' }              day off trail in one of TOWNS
+//   { outage: true }               no pings all day; with `hike`, the miles are walked unseen
+// and optionally:
+//   outageHours: [from, to]        no pings between these hours into the day's hike
+//   townTrip: { town, hours }      hitch into town halfway through the hike and back
+//   message: 'text'                inReach message sent with the day's last ping
+//   sos: 'text'                    SOS declared with the day's last ping
+//
+// Scenario options (defaults in mock.js): pingMinutes, paceMph, gpsNoiseMeters, and
+// gpsOutlierRate, the share of pings thrown a few miles off by a bad fix. `trail` is the
+// registered trail hiked (trails.js; "at" when omitted, which TOWNS and all the scenarios below
+// are on) and `plan` the scenario's HIKE_PLAN (see hike-plan.js), northbound when omitted.
+
+export const TOWNS = {
+  helen: { lat: 34.7003, lon: -83.7299, elevationFt: 1450 },
+  hiawassee: { lat: 34.9502, lon: -83.7578, elevationFt: 1900 },
+  franklin: { lat: 35.1822, lon: -83.3815, elevationFt: 2100 },
+  brysonCity: { lat: 35.4312, lon: -83.4496, elevationFt: 1740 },
+  millinocket: { lat: 45.6573, lon: -68.7098, elevationFt: 350 },
+  monson: { lat: 45.2873, lon: -69.5020, elevationFt: 1050 }
+};
+
+export const DEFAULT_MOCK_SCENARIO = 'nobo-start';
+
+export const MOCK_SCENARIOS = {
+  // Two weeks northbound from Springer into North Carolina with the usual town stops
+  'nobo-start': {
+    days: [
+      { hike: [0, 9], message: 'On top of Springer. Here we go!' },
+      { hike: [9, 30], message: 'Blood Mountain summit. Legs are feeling it.' },
+      { hike: [30, 47] },
+      { town: 'helen', message: 'Zero day in Helen. All good, at camp.' },
+      { hike: [47, 65] },
+      { hike: [65, 80] },
+      { town: 'hiawassee', message: 'Resupplied in Hiawassee. Heading back up.' },
+      { hike: [80, 97] },
+      { town: 'franklin' },
+      { hike: [97, 114] },
+      { hike: [114, 131] },
+      { town: 'brysonCity', message: 'Bryson City for laundry and pizza. Smokies next!' },
+      { hike: [131, 148] }
+    ]
+  },
+
+  // Southbound from Katahdin through the Hundred-Mile Wilderness to Monson
+  sobo: {
+    plan: { direction: 'sobo' },
+    days: [
+      { hike: [2197.9, 2187], message: 'Summited Katahdin. Only 2,187 miles to go!' },
+      { town: 'millinocket' },
+      { hike: [2187, 2172] },
+      { hike: [2172, 2158], message: 'Into the Hundred-Mile Wilderness.' },
+      { hike: [2158, 2143] },
+      { hike: [2143, 2129] },
+      { hike: [2129, 2114] },
+      { hike: [2114, 2100] },
+      { hike: [2100, 2088] },
+      { hike: [2088, 2077] },
+      { town: 'monson', message: 'Made it to Monson. Real food!' },
+      { hike: [2077, 2063] },
+      { hike: [2063, 2048] }
+    ]
+  },
+
+  // Flip-flop: north from Harpers Ferry, drive to Katahdin (tracker off), then south
+  // (plan: Harpers Ferry north to Pine Grove Furnace, Katahdin south to Pine Grove Furnace, Harpers
+  // Ferry to Springer; miles from the snapped milestones in at-trail-milestones.js)
+  'flip-flop': {
+    plan: { direction: 'flip-flop', legs: [[1016.28, 1099.24], [2197.9, 1099.24], [1016.28, 0]] },
+    days: [
+      { hike: [1016.28, 1036], message: 'Starting the flip-flop at Harpers Ferry.' },
+      { hike: [1036, 1052] },
+      { hike: [1052, 1068] },
+      { hike: [1068, 1083] },
+      { hike: [1083, 1099.24] },
+      { outage: true },
+      { town: 'millinocket', message: 'Flipped up to Maine. Katahdin tomorrow.' },
+      { hike: [2197.9, 2187] },
+      { hike: [2187, 2172] },
+      { hike: [2172, 2158] }
+    ]
+  },
+
+  // A week of zeros in Franklin waiting out an ankle injury
+  'long-zero': {
+    days: [
+      { hike: [0, 12] },
+      { hike: [12, 28] },
+      { hike: [28, 44] },
+      { hike: [44, 60] },
+      { hike: [60, 76] },
+      { hike: [76, 92] },
+      { hike: [92, 110], message: 'Rolled my ankle coming into Winding Stair Gap.' },
+      { town: 'franklin' },
+      { town: 'franklin' },
+      { town: 'franklin', message: 'Doc says rest it a few more days.' },
+      { town: 'franklin' },
+      { town: 'franklin' },
+      { town: 'franklin', message: 'Ankle feels good. Back out tomorrow.' },
+      { hike: [110, 122] },
+      { hike: [122, 137] }
+    ]
+  },
+
+  // Tracker gaps: dead zones during a hike, a rain day in the tent, two days with a dead battery
+  'tracker-outages': {
+    days: [
+      { hike: [0, 12] },
+      { hike: [12, 28], outageHours: [2, 5] },
+      { zero: true, message: 'Rain day, staying in the tent.' },
+      { hike: [28, 44] },
+      { hike: [44, 60], outage: true },
+      { hike: [60, 76], outage: true },
+      { hike: [76, 92], message: 'Battery died, sorry for the silence!' },
+      { hike: [92, 108], outageHours: [1, 3] },
+      { hike: [108, 124] }
+    ]
+  },
+
+  // Off-trail town trips from road crossings in the middle of hiking days
+  'town-trips': {
+    days: [
+      { hike: [0, 12] },
+      { hike: [12, 28] },
+      { hike: [28, 44] },
+      { hike: [44, 60], townTrip: { town: 'helen', hours: 3 } },
+      { hike: [60, 78], townTrip: { town: 'hiawassee', hours: 4 }, message: 'Quick resupply in Hiawassee.' },
+      { hike: [78, 92] },
+      { hike: [92, 100] },
+      { hike: [100, 120], townTrip: { town: 'franklin', hours: 5 } }
+    ]
+  },
+
+  // Hitched ahead from Dicks Creek Gap to the NOC, leaving a skipped section (GET /coverage)
+  'skipped-section': {
+    days: [
+      { hike: [0, 16] },
+      { hike: [16, 31] },
+      { hike: [31, 47] },
+      { hike: [47, 58] },
+      { hike: [58, 69] },
+      { hike: [137, 149], message: 'Hitched up to the NOC to meet friends. Will come back for the Nantahalas.' },
+      { hike: [149, 163] }
+    ]
+  },
+
+  // Poor GPS: wide scatter around the trail and occasional wild fixes
+  'gps-noise': {
+    gpsNoiseMeters: 60,
+    gpsOutlierRate: 0.03,
+    days: [
+      { hike: [0, 12] },
+      { hike: [12, 28] },
+      { hike: [28, 44] },
+      { hike: [44, 60] },
+      { hike: [60, 76] },
+      { hike: [76, 92] }
+    ]
+  },
+
+  // An SOS on the trail after a fall
+  sos: {
+    days: [
+      { hike: [0, 12] },
+      { hike: [12, 24] },
+      { hike: [24, 30], sos: "Took a bad fall past Blood Mountain, can't walk out." }
+    ]
+  }
+};
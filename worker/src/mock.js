@@ -1,13 +1,39 @@
-import { getUTCDateString, calculateCurrentDay } from './utils.js';
-import { calculateElevationStats } from './stats.js';
+import { getHikingTimeZone, getLocalDateString, getLocalDayStart, addDays, seededRandom } from './utils.js';
+import { TRAILS, DEFAULT_TRAIL_ID, locateTrailMile } from './trails.js';
+import { storePointsByDay } from './storage.js';
+import { storeMessagesByDay } from './messages.js';
+import { recordIngestRun } from './health.js';
+import { MOCK_SCENARIOS, TOWNS, DEFAULT_MOCK_SCENARIO } from './mock-scenarios.js';
+
+const METERS_PER_DEGREE_LAT = 111320;
+const METERS_TO_FEET = 3.28084;
+const MILES_TO_METERS = 1609.344;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Scenario defaults (see mock-scenarios.js)
+const SCENARIO_DEFAULTS = {
+  trail: DEFAULT_TRAIL_ID,
+  pingMinutes: 10,
+  paceMph: 2.3,
+  gpsNoiseMeters: 8,
+  gpsOutlierRate: 0
+};
+
+// Hiking days start at this local hour; zero and town days ping for ZERO_DAY_HOURS
+const DAY_START_HOUR = 8;
+const ZERO_DAY_HOURS = 2;
+
+// The newest mock ping is this old, so the tracker shows as live
+const LATEST_PING_AGE_MS = 10 * 60 * 1000;
+
+// Seeded scenario data is rebuilt this often so it keeps up with the clock
+const MOCK_REFRESH_MS = 10 * 60 * 1000;
+
+const MOCK_DEVICE = { imei: '300434067000000', deviceType: 'inReach Mini 2' };
 
 // Helper function to generate mock weather data
-function generateMockWeather(todayUTC) {
-  const getDateString = (daysOffset) => {
-    const date = new Date(todayUTC);
-    date.setUTCDate(date.getUTCDate() + daysOffset);
-    return getUTCDateString(date);
-  };
+function generateMockWeather(today) {
+  const getDateString = (daysOffset) => addDays(today, daysOffset);
 
   return {
     current: {
@@ -28,153 +54,228 @@ function generateMockWeather(todayUTC) {
   };
 }
 
-// Helper function to generate mock record dates
-function generateMockRecordDates(startDate) {
-  const longestDayDate = new Date(startDate);
-  longestDayDate.setUTCDate(longestDayDate.getUTCDate() + 2); // Day 3: Blood Mountain
-
-  const mostElevationGainDate = new Date(startDate);
-  mostElevationGainDate.setUTCDate(mostElevationGainDate.getUTCDate() + 9); // Day 10: Smokies approach
-
-  return {
-    longestDayDate: longestDayDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-    mostElevationGainDate: mostElevationGainDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
-  };
+// Mock weather for today in the hiking time zone (mock mode never calls the weather API)
+export function getMockWeather(env) {
+  return generateMockWeather(getLocalDateString(new Date(), getHikingTimeZone(env)));
 }
 
-// Generate mock data for demo purposes
-// Snapshot: ~12 days in, approaching Fontana Dam, NC (mile ~165)
-export function getMockData(startDateStr) {
-  const { todayUTC, startDate } = calculateCurrentDay(startDateStr);
+// Minimal in-memory stand-in for a KV namespace binding, holding a seeded scenario
+class MemoryKvNamespace {
+  constructor() {
+    this.values = new Map();
+  }
 
-  const totalMiles = 165.2;
-  const milesRemaining = 2032.7;   // 2197.9 - 165.2
-  const dailyDistance = 14.8;      // Today: moderate day approaching Fontana
-  const avgSpeed = 2.4;            // Realistic for hilly terrain
+  async get(key, type) {
+    const entry = this.values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.values.delete(key);
+      return null;
+    }
+    const json = type === 'json' || (type && type.type === 'json');
+    return json ? JSON.parse(entry.value) : entry.value;
+  }
 
-  // Hardcoded to match the 12-day mock GPS scenario regardless of today's date
-  const mockCurrentDay = 12;
-  const avgDailyMiles = totalMiles / (mockCurrentDay - 1);
-  const daysRemaining = Math.ceil(milesRemaining / avgDailyMiles);
-  const estFinish = new Date(todayUTC);
-  estFinish.setUTCDate(estFinish.getUTCDate() + daysRemaining);
+  async put(key, value, { expirationTtl, expiration } = {}) {
+    const expiresAt = expirationTtl ? Date.now() + expirationTtl * 1000 : expiration ? expiration * 1000 : null;
+    this.values.set(key, { value: String(value), expiresAt });
+  }
 
-  // Near Fontana Dam, NC — consistent with mock points endpoint
-  const mockLat = 35.4094;
-  const mockLon = -83.7651;
+  async delete(key) {
+    this.values.delete(key);
+  }
 
-  const mockWeather = generateMockWeather(todayUTC);
-  const recordDates = generateMockRecordDates(startDate);
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.values.entries()]
+      .filter(([name, entry]) => name.startsWith(prefix) && !(entry.expiresAt && entry.expiresAt <= Date.now()))
+      .map(([name, entry]) => (entry.expiresAt ? { name, expiration: Math.floor(entry.expiresAt / 1000) } : { name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return { keys, list_complete: true };
+  }
+}
 
-  const longestDayMiles = 18.3;       // Day 3: Springer to Blood Mountain push
-  const mostElevationGainFeet = 4820; // Day 10: Smokies approach ridgeline
+// Deterministic pseudo-random numbers in [0, 1), so a scenario looks the same on every rebuild
+function createRandom(seedText) {
+  let seed = 0;
+  for (const char of seedText) seed = (Math.imul(seed, 31) + char.charCodeAt(0)) >>> 0;
+  return () => {
+    const value = seededRandom(seed);
+    seed = (seed + 0x6D2B79F5) >>> 0;
+    return value;
+  };
+}
 
+// Displace a location by GPS error: scatter within noiseMeters, or a bad fix a few miles off
+function addGpsError(location, options, random) {
+  const outlier = random() < options.gpsOutlierRate;
+  const meters = outlier
+    ? (2 + random() * 3) * MILES_TO_METERS
+    : options.gpsNoiseMeters * Math.sqrt(random());
+  const bearing = random() * 2 * Math.PI;
+  const dLat = meters * Math.cos(bearing) / METERS_PER_DEGREE_LAT;
+  const dLon = meters * Math.sin(bearing) / (METERS_PER_DEGREE_LAT * Math.cos(location.lat * Math.PI / 180));
   return {
-    startDate: startDate.toLocaleDateString('en-US'),
-    totalMilesCompleted: totalMiles.toFixed(1),
-    milesRemaining: milesRemaining.toFixed(1),
-    dailyDistance: dailyDistance.toFixed(1),
-    averageSpeed: avgSpeed.toFixed(1),
-    currentDayOnTrail: mockCurrentDay,
-    estimatedFinishDate: estFinish.toLocaleDateString('en-US'),
-    longestDayMiles: longestDayMiles.toFixed(1),
-    longestDayDate: recordDates.longestDayDate,
-    mostElevationGainFeet: mostElevationGainFeet.toString(),
-    mostElevationGainDate: recordDates.mostElevationGainDate,
-    location: { lat: mockLat, lon: mockLon },
-    weather: mockWeather
+    lat: Math.round((location.lat + dLat) * 1e6) / 1e6,
+    lon: Math.round((location.lon + dLon) * 1e6) / 1e6,
+    elevation: location.elevationFt + (random() - 0.5) * 2 * Math.min(options.gpsNoiseMeters, 30) * METERS_TO_FEET
   };
 }
 
-// Generate mock elevation days — 12 days from start date, newest first
-// (matches the 12-day span of mock GPS points)
-export function getMockElevationDays(startDateStr) {
-  const days = [];
-  const startDate = new Date(startDateStr + 'T00:00:00Z');
+/**
+ * Where the hiker is `hoursIn` hours into a scenario day, and how fast they're moving.
+ * A hike walks linearly from its start to end mile; a town trip pauses it halfway, in town.
+ */
+function dayPosition(day, hoursIn, options) {
+  const [fromMile, toMile] = day.hike;
+  const hikeHours = Math.abs(toMile - fromMile) / options.paceMph;
+  let walkedHours = hoursIn;
 
-  for (let i = 11; i >= 0; i--) {
-    const date = new Date(startDate);
-    date.setUTCDate(date.getUTCDate() + i);
-    days.push(getUTCDateString(date));
+  if (day.townTrip) {
+    const leaveHours = hikeHours / 2;
+    if (hoursIn >= leaveHours && hoursIn < leaveHours + day.townTrip.hours) {
+      return { location: TOWNS[day.townTrip.town], moving: false };
+    }
+    if (hoursIn >= leaveHours + day.townTrip.hours) walkedHours -= day.townTrip.hours;
   }
 
-  return days;
+  const progress = hikeHours > 0 ? Math.min(walkedHours / hikeHours, 1) : 1;
+  return {
+    location: locateTrailMile(options.trailData, fromMile + (toMile - fromMile) * progress),
+    moving: progress < 1
+  };
 }
 
-// AT terrain profiles by day offset — realistic PUD (Pointless Ups and Downs) patterns
-// Each entry: [elevationFt, hourOffset] — drawn from known trail segments
-const DAY_PROFILES = [
-  // Day 0: Springer Mountain → Hawk Mountain Shelter (~8mi, gentle start)
-  [[3782,0],[3450,1],[3100,2],[2800,3],[3200,4],[3500,5],[3250,6],[2900,7],[3050,8]],
-  // Day 1: Hawk Mountain → Neels Gap approach (~11mi)
-  [[3050,0],[2750,1],[3400,2],[3800,3],[3550,4],[3200,5],[3600,6],[4000,7],[3700,8]],
-  // Day 2: Blood Mountain & Neels Gap (~9mi, hardest day early on)
-  [[3700,0],[4100,1],[4458,2],[4200,3],[3820,4],[3200,5],[3550,6],[4100,7],[3900,8]],
-  // Day 3: Zero/town day (Dahlonega — flat, off-trail)
-  [[1500,0],[1480,2],[1510,4],[1490,6],[1520,8]],
-  // Day 4: Back on trail, Tesnatee Gap → Low Gap (~12mi)
-  [[3000,0],[2700,1],[3100,2],[3400,3],[3200,4],[2900,5],[3300,6],[3600,7],[3400,8]],
-  // Day 5: Low Gap → Tray Mountain (~13mi, big climb)
-  [[3400,0],[3100,1],[3600,2],[4100,3],[4430,4],[4000,5],[3700,6],[3300,7],[3100,8]],
-  // Day 6: Zero in Hiawassee (~4mi road walk, flat)
-  [[1900,0],[1870,2],[1920,4],[1880,6]],
-  // Day 7: Hiawassee → Muskrat Creek Shelter (~14mi, rolling ridges)
-  [[4200,0],[3800,1],[4100,2],[4500,3],[4200,4],[3900,5],[4300,6],[4600,7],[4400,8]],
-  // Day 8: Zero in Franklin, NC (mostly flat)
-  [[2100,0],[2080,2],[2120,4],[2090,6]],
-  // Day 9: Winding Stair Gap → Wayah Bald (~11mi)
-  [[4500,0],[4100,1],[4600,2],[5040,3],[4700,4],[4300,5],[4600,6],[4900,7],[4700,8]],
-  // Day 10: Wayah Bald → Wesser (~14mi, big descent into Nantahala)
-  [[5200,0],[4800,1],[4400,2],[3900,3],[3400,4],[2900,5],[2400,6],[1900,7],[1723,8]],
-  // Day 11: Resupply in Bryson City (flat town)
-  [[1740,0],[1720,2],[1760,4],[1730,6]],
-  // Day 12: Stecoah Gap → approaching Fontana (~14mi)
-  [[3200,0],[2800,1],[3400,2],[3800,3],[3500,4],[3100,5],[2700,6],[2400,7],[2100,8]],
-];
-
-// Generate mock elevation data for a specific day
-export function getMockElevationData(dateStr, startDateStr) {
+function dayHours(day, options) {
+  if (!day.hike) return ZERO_DAY_HOURS;
+  return Math.abs(day.hike[1] - day.hike[0]) / options.paceMph + (day.townTrip ? day.townTrip.hours : 0);
+}
+
+/**
+ * Generate a scenario's inReach pings (in the shape parsePlacemark returns), with its last
+ * day ending on `lastDate` in the hiking time zone. Pings after `until` are left out.
+ */
+function generateScenarioPoints(name, scenario, { lastDate, until, timeZone }) {
+  const options = { ...SCENARIO_DEFAULTS, ...scenario };
+  options.trailData = TRAILS[options.trail].data;
+  const random = createRandom(name);
+  const pingMs = options.pingMinutes * 60 * 1000;
   const points = [];
+  let restLocation = scenario.days[0].hike ? locateTrailMile(options.trailData, scenario.days[0].hike[0]) : null;
+  let inEmergency = false;
 
-  const startDate = new Date(startDateStr + 'T00:00:00Z');
-  const dayDate = new Date(dateStr + 'T00:00:00Z');
-  const dayOffset = Math.round((dayDate - startDate) / (24 * 60 * 60 * 1000));
+  scenario.days.forEach((day, i) => {
+    const date = addDays(lastDate, i - (scenario.days.length - 1));
+    const dayStart = getLocalDayStart(date, timeZone).getTime() + DAY_START_HOUR * HOUR_MS;
+    const hours = dayHours(day, options);
+    const dayPoints = [];
 
-  const profileIndex = Math.max(0, Math.min(dayOffset, DAY_PROFILES.length - 1));
-  const profile = DAY_PROFILES[profileIndex];
+    for (let ms = 0; ms <= hours * HOUR_MS && !day.outage; ms += pingMs) {
+      const time = new Date(dayStart + ms);
+      if (time > until) break;
+      const hoursIn = ms / HOUR_MS;
+      if (day.outageHours && hoursIn >= day.outageHours[0] && hoursIn < day.outageHours[1]) continue;
 
-  for (let i = 0; i < profile.length; i++) {
-    const [baseElev, hourOffset] = profile[i];
-    const pointTime = new Date(dateStr + 'T06:00:00Z');
-    pointTime.setUTCHours(6 + hourOffset);
-    pointTime.setUTCMinutes(Math.floor(Math.random() * 30));
+      let position;
+      if (day.hike) position = dayPosition(day, hoursIn, options);
+      else if (day.town) position = { location: TOWNS[day.town], moving: false };
+      else position = { location: restLocation, moving: false };
 
-    const randomVariation = (Math.random() - 0.5) * 80;
-    const elevation = Math.round(baseElev + randomVariation);
+      const { lat, lon, elevation } = addGpsError(position.location, options, random);
+      dayPoints.push({
+        lat,
+        lon,
+        time,
+        velocity: position.moving ? options.paceMph * (0.8 + random() * 0.4) : 0,
+        elevation: Math.round(elevation),
+        source: 'inreach',
+        event: dayPoints.length === 0 ? 'Tracking turned on from device.' : 'Tracking interval received.',
+        text: null,
+        course: null,
+        validFix: true,
+        inEmergency,
+        ...MOCK_DEVICE
+      });
+    }
 
-    points.push({
-      time: pointTime.toISOString(),
-      elevation: elevation
-    });
-  }
+    const last = dayPoints[dayPoints.length - 1];
+    if (last && day.sos) {
+      inEmergency = true;
+      Object.assign(last, { event: 'SOS declared from device.', text: day.sos, inEmergency: true });
+    } else if (last && day.message) {
+      Object.assign(last, { event: 'Msg to shared map received', text: day.message });
+    }
 
-  const elevations = points.map(p => p.elevation);
-  const minElevation = Math.round(Math.min(...elevations));
-  const maxElevation = Math.round(Math.max(...elevations));
+    if (day.hike) restLocation = locateTrailMile(options.trailData, day.hike[1]);
+    points.push(...dayPoints);
+  });
 
-  const { verticalClimbed, verticalLoss } = calculateElevationStats(points);
+  return points;
+}
 
-  // Town/zero days have no speed; hiking days get a realistic value
-  const townDayOffsets = [3, 6, 8, 11];
-  const isTownDay = townDayOffsets.includes(dayOffset);
+// The scenario name for a request: ?scenario=, else MOCK_SCENARIO, else the default.
+// Returns null for an unknown name.
+export function resolveMockScenario(env, url) {
+  const name = url.searchParams.get('scenario') || env.MOCK_SCENARIO || DEFAULT_MOCK_SCENARIO;
+  return Object.hasOwn(MOCK_SCENARIOS, name) ? name : null;
+}
 
-  return {
-    date: dateStr,
-    points: points,
-    minElevation: minElevation,
-    maxElevation: maxElevation,
-    verticalClimbed: verticalClimbed,
-    verticalLoss: verticalLoss,
-    averageSpeed: isTownDay ? null : 2.4
+export function listMockScenarios() {
+  return Object.keys(MOCK_SCENARIOS);
+}
+
+async function seedScenario(env, name) {
+  const scenario = MOCK_SCENARIOS[name];
+  const timeZone = getHikingTimeZone(env);
+  const until = new Date(Date.now() - LATEST_PING_AGE_MS);
+
+  // End on today, unless today's hiking hasn't started yet; then the scenario ended yesterday
+  let lastDate = getLocalDateString(until, timeZone);
+  if (until.getTime() < getLocalDayStart(lastDate, timeZone).getTime() + DAY_START_HOUR * HOUR_MS) {
+    lastDate = addDays(lastDate, -1);
+  }
+  const startDate = addDays(lastDate, 1 - scenario.days.length);
+
+  const mockEnv = {
+    ...env,
+    START_DATE: startDate,
+    TRAIL: scenario.trail || DEFAULT_TRAIL_ID,
+    HIKE_PLAN: scenario.plan || env.HIKE_PLAN,
+    STORAGE_BACKEND: 'kv',
+    TRAIL_HISTORY: new MemoryKvNamespace()
   };
+
+  // Stored the way ingestKmlFeed stores a parsed feed, so snapping, outlier flags, day
+  // summaries and messages all come from the real code
+  const startedAt = new Date();
+  const points = generateScenarioPoints(name, scenario, { lastDate, until, timeZone });
+  const { newPoints, daysWritten } = await storePointsByDay(points, mockEnv);
+  const messagesNew = await storeMessagesByDay(points, mockEnv);
+  await recordIngestRun(mockEnv, {
+    trigger: 'mock',
+    startedAt,
+    summary: { httpStatus: 200, pointsParsed: points.length, pointsNew: newPoints, daysWritten, messagesNew }
+  });
+
+  console.log(`[Mock] Seeded scenario "${name}": ${points.length} points over ${scenario.days.length} days from ${startDate}`);
+  return mockEnv;
+}
+
+// scenario name -> { seededAt, env: Promise<env> }
+const seededScenarios = new Map();
+
+/**
+ * The env to serve a mock-mode request from: START_DATE, TRAIL and TRAIL_HISTORY replaced by
+ * the scenario's start date, its trail and an in-memory namespace seeded with its pings.
+ * Seeded data is kept per isolate and rebuilt every MOCK_REFRESH_MS.
+ */
+export function getMockEnv(env, name) {
+  const seeded = seededScenarios.get(name);
+  if (seeded && Date.now() - seeded.seededAt < MOCK_REFRESH_MS) return seeded.env;
+
+  const entry = { seededAt: Date.now(), env: seedScenario(env, name) };
+  entry.env.catch(() => {
+    if (seededScenarios.get(name) === entry) seededScenarios.delete(name);
+  });
+  seededScenarios.set(name, entry);
+  return entry.env;
 }
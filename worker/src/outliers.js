@@ -0,0 +1,83 @@
+import { haversine } from './geo.js';
+import { DEFAULT_MAX_HIKING_SPEED_MPH, DEFAULT_MAX_DRIVING_SPEED_MPH } from './constants.js';
+
+const MIN_JUMP_MILES = 0.05; // Ignore jitter when two pings share a timestamp
+
+// Implied ground speed in mph between two points
+function impliedSpeed(a, b) {
+  const miles = haversine(a.lat, a.lon, b.lat, b.lon);
+  const hours = Math.abs(new Date(b.time) - new Date(a.time)) / 3600000;
+  if (hours === 0) return miles > MIN_JUMP_MILES ? Infinity : 0;
+  return miles / hours;
+}
+
+// Whether a point is a fix the outlier check looks at (not hidden, with coordinates)
+function isFix(point) {
+  return !point.hidden && Number.isFinite(point.lat) && Number.isFinite(point.lon);
+}
+
+// Last fix in a time-sorted list, or null
+export function findLastFix(points) {
+  return points.findLast(isFix) || null;
+}
+
+// Last fix in a time-sorted list that isn't suspect: where the next list's check starts from
+export function findLastGoodFix(points) {
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (isFix(points[i]) && !points[i].suspect) return points[i];
+  }
+  return null;
+}
+
+// First fix in a time-sorted list, or null
+export function findFirstFix(points) {
+  return points.find(isFix) || null;
+}
+
+/**
+ * Flag physically implausible fixes as `suspect` (and clear the flag on the rest).
+ *
+ * A point is suspect when either:
+ *   - reaching it from the previous good point needs more than `drivingMph` and the
+ *     next fix doesn't confirm the new location, or
+ *   - it is a spike: both the leg in and the leg out exceed `hikingMph` while
+ *     skipping it (previous → next) does not — i.e. a multipath fix that
+ *     teleports away and back. Sustained fast legs (a car ride into town) are kept.
+ *
+ * Hidden points are ignored. Points must be sorted by time; they are updated in place.
+ * Stored points are checked a day at a time: `before` (the last good fix before them, see
+ * findLastGoodFix) lets the first fix be checked too, and `after` (the first fix after them,
+ * see findFirstFix) lets a relocation at the end be confirmed.
+ *
+ * @returns {number} Number of points flagged
+ */
+export function flagSpeedOutliers(points, { hikingMph = DEFAULT_MAX_HIKING_SPEED_MPH, drivingMph = DEFAULT_MAX_DRIVING_SPEED_MPH } = {}, { before = null, after = null } = {}) {
+  const candidates = points.filter(isFix);
+  let flagged = 0;
+  let prev = before;
+
+  for (let i = 0; i < candidates.length; i++) {
+    const point = candidates[i];
+    const next = i + 1 < candidates.length ? candidates[i + 1] : after;
+    let suspect = false;
+
+    if (prev) {
+      const speedIn = impliedSpeed(prev, point);
+      if (speedIn > drivingMph) {
+        // Unless the following fix agrees with it (a genuine relocation, e.g. a flight for a flip-flop)
+        suspect = !next || impliedSpeed(point, next) > hikingMph;
+      } else if (next && speedIn > hikingMph) {
+        suspect = impliedSpeed(point, next) > hikingMph && impliedSpeed(prev, next) <= hikingMph;
+      }
+    }
+
+    point.suspect = suspect || null;
+    if (suspect) {
+      flagged++;
+    } else {
+      prev = point;
+    }
+  }
+
+  return flagged;
+}
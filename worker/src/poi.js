@@ -0,0 +1,101 @@
+import { createErrorResponse, createSuccessResponse } from './responses.js';
+import { validateEnvOrError, roundMiles } from './utils.js';
+import { loadDaySummaries, findLatestTrailPosition } from './day-summary.js';
+import { getHikePlan, milesAlongPlan, getPlanStretchAhead } from './hike-plan.js';
+import { intersectIntervals, subtractIntervals, roundIntervals } from './intervals.js';
+import { getTrail } from './trails.js';
+
+// Point of interest categories, in the order the map lists them (matches scripts/build-trail-poi.js)
+export const POI_CATEGORIES = ['shelter', 'water', 'road', 'hostel', 'post-office', 'town', 'chicken'];
+
+const DEFAULT_AHEAD_MILES = 50;
+const MAX_AHEAD_MILES = 500;
+
+// The trail's points of interest (trail.poi, snapped to trail miles at build time by
+// scripts/build-trail-poi.js), sorted by trail mile
+function getTrailPoi(trail) {
+  return trail.poi ? trail.poi.points : [];
+}
+
+// Trail-mile stretches where each category's list is complete (trail.poi.coverage, from the
+// POI file's coverage); categories without any are incomplete everywhere
+function getTrailPoiCoverage(trail) {
+  return trail.poi && trail.poi.coverage ? trail.poi.coverage : {};
+}
+
+// Parse ?category=shelter,water into a list of categories (all when absent); null if any is unknown
+function parseCategories(value) {
+  if (!value) return POI_CATEGORIES;
+  const categories = value.split(',').map(c => c.trim()).filter(Boolean);
+  return categories.every(c => POI_CATEGORIES.includes(c)) ? categories : null;
+}
+
+/**
+ * For each category, the parts of the trail-mile stretch searched that its list covers and the
+ * parts it doesn't, where finding no points means no data rather than nothing there.
+ */
+export function describePoiCoverage(coverage, categories, stretch) {
+  return categories.map(category => ({
+    category,
+    coveredMiles: roundIntervals(intersectIntervals(stretch, coverage[category] || [])),
+    missingMiles: roundIntervals(subtractIntervals(stretch, coverage[category] || []))
+  }));
+}
+
+/**
+ * Points of interest ahead on the hike plan within `miles` of the latest on-trail ping (the
+ * plan's start before the hike does), nearest first, each with milesAhead along the plan.
+ */
+export function findPoiAhead(points, plan, position, miles) {
+  return points
+    .map(poi => ({ ...poi, milesAhead: milesAlongPlan(plan, position && position.mile, poi.mile) }))
+    .filter(poi => poi.milesAhead !== null && poi.milesAhead <= miles)
+    .map(poi => ({ ...poi, milesAhead: roundMiles(poi.milesAhead) }))
+    .sort((a, b) => a.milesAhead - b.milesAhead);
+}
+
+// All points of interest (GET /poi), for the map's category layers
+export async function handlePoi(request, env) {
+  const trail = getTrail(env);
+  const points = getTrailPoi(trail);
+  const categories = POI_CATEGORIES.filter(category => points.some(poi => poi.category === category));
+  return createSuccessResponse({ categories, coverage: getTrailPoiCoverage(trail), points }, request, {
+    'Cache-Control': 'public, max-age=3600'
+  });
+}
+
+// What's ahead (GET /poi/ahead?miles=N&category=a,b)
+export async function handlePoiAhead(request, env) {
+  const envError = validateEnvOrError(env, request, false);
+  if (envError) return envError;
+
+  const params = new URL(request.url).searchParams;
+  const miles = params.has('miles') ? Number(params.get('miles')) : DEFAULT_AHEAD_MILES;
+  if (!Number.isFinite(miles) || miles <= 0 || miles > MAX_AHEAD_MILES) {
+    return createErrorResponse(400, `Query parameter "miles" must be a number of miles up to ${MAX_AHEAD_MILES}`, request);
+  }
+  const categories = parseCategories(params.get('category'));
+  if (!categories) {
+    return createErrorResponse(400, `Query parameter "category" must list categories from: ${POI_CATEGORIES.join(', ')}`, request);
+  }
+
+  try {
+    const summaries = await loadDaySummaries(env, { from: env.START_DATE });
+    const position = findLatestTrailPosition(summaries);
+    const trail = getTrail(env);
+    const plan = getHikePlan(env);
+    const stretch = getPlanStretchAhead(plan, position && position.mile, miles);
+    const points = getTrailPoi(trail).filter(poi => categories.includes(poi.category));
+    return createSuccessResponse({
+      position,
+      miles,
+      stretch: roundIntervals(stretch),
+      coverage: describePoiCoverage(getTrailPoiCoverage(trail), categories, stretch),
+      points: findPoiAhead(points, plan, position, miles)
+    }, request, {
+      'Cache-Control': 'public, max-age=300'
+    });
+  } catch (error) {
+    return createErrorResponse(500, error.message, request);
+  }
+}
@@ -0,0 +1,70 @@
+import { roundMiles } from './utils.js';
+import { calculateDailyHikeIntervals } from './stats.js';
+import { mergeIntervals, intervalsLength, intersectIntervals } from './intervals.js';
+
+// A state counts as completed once less than this much of its planned trail is left: the
+// first and last pings near a state line or terminus rarely land exactly on it
+const STATE_COMPLETE_SLACK_MILES = 0.5;
+
+// Calendar days from one YYYY-MM-DD day key to another, counting both
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(toDate + 'T00:00:00Z') - new Date(fromDate + 'T00:00:00Z')) / 86400000) + 1;
+}
+
+// Trail-mile intervals of each state on the trail, in trail order (trail.states, see trails.js).
+// Border stretches belong to both states.
+export function getStateIntervals(trail) {
+  const byState = new Map();
+  for (const { states, fromMile, toMile } of trail.states ? trail.states.segments : []) {
+    for (const state of states) {
+      if (!byState.has(state)) byState.set(state, []);
+      byState.get(state).push([fromMile, toMile]);
+    }
+  }
+  return [...byState].map(([state, intervals]) => ({ state, intervals: mergeIntervals(intervals) }));
+}
+
+/**
+ * Progress through each state on the planned trail (planIntervals from hike-plan.js), in trail
+ * order. Miles are the planned trail in the state hiked so far (calculateDailyHikeIntervals) and
+ * left; dateEntered is the first day on the state's trail, dateCompleted the day its last planned
+ * miles were hiked, and daysSpent the calendar days from entering it to completing it (or to
+ * the last day hiked in it). Dates are day keys (YYYY-MM-DD) in the hiking time zone.
+ * Border miles count toward both states. Trails without state data return no states.
+ */
+export function calculateStateProgress(summaries, trail, planIntervals) {
+  const states = getStateIntervals(trail)
+    .map(({ state, intervals }) => ({ state, planned: intersectIntervals(intervals, planIntervals) }))
+    .filter(({ planned }) => intervalsLength(planned) > 0);
+  const progress = states.map(() => ({ dateEntered: null, dateCompleted: null, lastDate: null }));
+
+  let hiked = [];
+  for (const day of calculateDailyHikeIntervals(summaries)) {
+    hiked = mergeIntervals([...hiked, ...day.intervals]);
+    states.forEach(({ planned }, i) => {
+      const entry = progress[i];
+      if (intervalsLength(intersectIntervals(day.intervals, planned)) === 0) return;
+      entry.dateEntered = entry.dateEntered || day.date;
+      entry.lastDate = day.date;
+      if (!entry.dateCompleted &&
+          intervalsLength(planned) - intervalsLength(intersectIntervals(hiked, planned)) < STATE_COMPLETE_SLACK_MILES) {
+        entry.dateCompleted = day.date;
+      }
+    });
+  }
+
+  return states.map(({ state, planned }, i) => {
+    const { dateEntered, dateCompleted, lastDate } = progress[i];
+    const plannedMiles = intervalsLength(planned);
+    const milesDone = intervalsLength(intersectIntervals(hiked, planned));
+    return {
+      state,
+      plannedMiles: roundMiles(plannedMiles),
+      milesDone: roundMiles(milesDone),
+      milesRemaining: roundMiles(Math.max(0, plannedMiles - milesDone)),
+      dateEntered,
+      dateCompleted,
+      daysSpent: dateEntered ? daysBetween(dateEntered, dateCompleted || lastDate) : 0
+    };
+  });
+}
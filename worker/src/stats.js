@@ -1,9 +1,7 @@
 import { haversine } from './geo.js';
-import { getUTCDateString, groupPointsByDate, calculateCurrentDay, getElevation } from './utils.js';
-import {
-  MOVING_VELOCITY_THRESHOLD_MPH,
-  MIN_DAY_ON_TRAIL
-} from './constants.js';
+import { calculateCurrentDay, getElevation } from './utils.js';
+import { MIN_DAY_ON_TRAIL } from './constants.js';
+import { mergeIntervals, intervalsLength, intersectIntervals } from './intervals.js';
 
 /**
  * Helper function to calculate elevation statistics from points array
@@ -31,109 +29,153 @@ export function calculateElevationStats(points) {
 }
 
 /**
- * Calculate daily elevation gain for all days
+ * Calculate total elevation gain (feet) for one day's points
  */
-function calculateDailyElevationGain(pointsByDate) {
-  const dailyElevationGainMap = new Map();
+export function calculateDayElevationGain(dayPoints) {
+  const pointsWithElevation = dayPoints.filter(p => getElevation(p) !== null);
+  if (pointsWithElevation.length < 2) return 0;
 
-  for (const [dateKey, dayPoints] of pointsByDate.entries()) {
-    if (dayPoints.length < 2) {
-      dailyElevationGainMap.set(dateKey, 0);
-      continue;
-    }
-
-    const pointsWithElevation = dayPoints.filter(p => getElevation(p) !== null);
+  let dayElevationGain = 0;
+  const sortedDayPoints = pointsWithElevation.slice().sort((a, b) => new Date(a.time) - new Date(b.time));
 
-    if (pointsWithElevation.length < 2) {
-      dailyElevationGainMap.set(dateKey, 0);
-      continue;
+  for (let i = 1; i < sortedDayPoints.length; i++) {
+    const prev = getElevation(sortedDayPoints[i - 1]);
+    const curr = getElevation(sortedDayPoints[i]);
+    const elevationChange = curr - prev;
+    if (elevationChange > 0) {
+      dayElevationGain += elevationChange;
     }
+  }
 
-    let dayElevationGain = 0;
-    const sortedDayPoints = pointsWithElevation.slice().sort((a, b) => a.time - b.time);
+  return Math.round(dayElevationGain);
+}
 
-    for (let i = 1; i < sortedDayPoints.length; i++) {
-      const prev = getElevation(sortedDayPoints[i - 1]);
-      const curr = getElevation(sortedDayPoints[i]);
-      const elevationChange = curr - prev;
-      if (elevationChange > 0) {
-        dayElevationGain += elevationChange;
-      }
-    }
+// Consecutive on-trail pings count as walked between their trail miles when the gap is one a
+// hiker could walk in the time between them; longer jumps (a ride, a flip-flop) are skipped.
+// Nobody walks around the clock, so overnight and multi-day gaps allow a day's hiking per day.
+const MAX_WALKING_PACE_MPH = 4;
+const MAX_HIKING_HOURS_PER_DAY = 12;
+const WALKING_GAP_SLACK_MILES = 0.5;
+
+function isWalkableGap(fromMile, fromTime, toMile, toTime) {
+  const hours = Math.abs(new Date(toTime) - new Date(fromTime)) / 3600000;
+  const hikingHours = Math.min(hours, MAX_HIKING_HOURS_PER_DAY * Math.ceil(hours / 24));
+  return Math.abs(toMile - fromMile) <= MAX_WALKING_PACE_MPH * hikingHours + WALKING_GAP_SLACK_MILES;
+}
 
-    dailyElevationGainMap.set(dateKey, Math.round(dayElevationGain));
+/**
+ * Trail-mile intervals walked in one day's on-trail points (see intervals.js), merged.
+ * Works the same whichever direction they were walked in.
+ */
+export function calculateCoveredIntervals(dayPoints) {
+  const snapped = dayPoints
+    .filter(p => p.trailMile != null)
+    .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+  const intervals = [];
+  for (let i = 1; i < snapped.length; i++) {
+    const prev = snapped[i - 1];
+    const curr = snapped[i];
+    if (curr.trailMile !== prev.trailMile && isWalkableGap(prev.trailMile, prev.time, curr.trailMile, curr.time)) {
+      intervals.push([prev.trailMile, curr.trailMile]);
+    }
   }
-
-  return dailyElevationGainMap;
+  return mergeIntervals(intervals);
 }
 
 /**
- * Calculate daily mileage using trail miles (max - min trailMile per day).
+ * Calculate one day's mileage as the length of trail covered (calculateCoveredIntervals).
  * Falls back to haversine for days with no trail mile data.
  */
-function calculateDailyMileage(pointsByDate) {
-  const dailyMileageMap = new Map();
+export function calculateDayMileage(dayPoints) {
+  if (dayPoints.length < 2) return 0;
 
-  for (const [dateKey, dayPoints] of pointsByDate.entries()) {
-    if (dayPoints.length < 2) {
-      dailyMileageMap.set(dateKey, 0);
-      continue;
-    }
+  // Try trail-mile based calculation
+  const trailMilePoints = dayPoints.filter(p => p.trailMile != null);
+  if (trailMilePoints.length >= 2) {
+    return intervalsLength(calculateCoveredIntervals(trailMilePoints));
+  }
+
+  // Fallback: haversine sum (no correction factor)
+  let dayMiles = 0;
+  const sortedDayPoints = dayPoints.slice().sort((a, b) => new Date(a.time) - new Date(b.time));
+  for (let i = 1; i < sortedDayPoints.length; i++) {
+    const prev = sortedDayPoints[i - 1];
+    const curr = sortedDayPoints[i];
+    dayMiles += haversine(prev.lat, prev.lon, curr.lat, curr.lon);
+  }
+  return dayMiles;
+}
 
-    // Try trail-mile based calculation
-    const trailMilePoints = dayPoints.filter(p => p.trailMile != null);
-    if (trailMilePoints.length >= 2) {
-      const miles = trailMilePoints.map(p => p.trailMile);
-      const dayMiles = Math.max(...miles) - Math.min(...miles);
-      dailyMileageMap.set(dateKey, dayMiles);
-    } else {
-      // Fallback: haversine sum (no correction factor)
-      let dayMiles = 0;
-      const sortedDayPoints = dayPoints.slice().sort((a, b) => a.time - b.time);
-      for (let i = 1; i < sortedDayPoints.length; i++) {
-        const prev = sortedDayPoints[i - 1];
-        const curr = sortedDayPoints[i];
-        dayMiles += haversine(prev.lat, prev.lon, curr.lat, curr.lon);
+/**
+ * Trail covered each day of the hike: the day's covered intervals, plus the stretch between the
+ * previous day's last on-trail ping and the day's first when it was walkable (miles walked
+ * before the tracker was turned on, or during a tracker outage). Returns [{ date, intervals }].
+ */
+export function calculateDailyHikeIntervals(summaries) {
+  const days = [];
+  let previous = null;
+  for (const day of summaries) {
+    if (!day.coveredIntervals) continue;
+    const intervals = [...day.coveredIntervals];
+    if (previous && previous.lastTrailPing && day.firstTrailPing) {
+      const from = previous.lastTrailPing;
+      const to = day.firstTrailPing;
+      if (isWalkableGap(from.trailMile, from.time, to.trailMile, to.time)) {
+        intervals.push([from.trailMile, to.trailMile]);
       }
-      dailyMileageMap.set(dateKey, dayMiles);
     }
+    days.push({ date: day.date, intervals: mergeIntervals(intervals) });
+    if (day.lastTrailPing) previous = day;
   }
+  return days;
+}
 
-  return dailyMileageMap;
+/**
+ * Trail covered over the whole hike (calculateDailyHikeIntervals, merged across days)
+ */
+export function calculateHikeIntervals(summaries) {
+  return mergeIntervals(calculateDailyHikeIntervals(summaries).flatMap(day => day.intervals));
 }
 
 /**
- * Calculate total miles using the highest trailMile among on-trail points.
- * Falls back to haversine sum if no trail mile data available.
+ * Calculate total miles as the planned trail covered (planIntervals from hike-plan.js), so
+ * southbound and flip-flop hikes count the same as northbound ones.
+ * Falls back to the sum of daily (haversine) miles if no trail mile data is available.
  */
-function calculateTotalMiles(points) {
-  const trailMilePoints = points.filter(p => p.trailMile != null);
-  if (trailMilePoints.length > 0) {
-    return Math.max(...trailMilePoints.map(p => p.trailMile));
+function calculateTotalMiles(summaries, planIntervals) {
+  const covered = calculateHikeIntervals(summaries);
+  if (covered.length > 0) {
+    return intervalsLength(intersectIntervals(covered, planIntervals));
   }
+  return summaries.reduce((total, d) => total + d.miles, 0);
+}
 
-  // Fallback: haversine sum (no correction factor)
-  let total = 0;
-  for (let i = 1; i < points.length; i++) {
-    const prev = points[i - 1];
-    const curr = points[i];
-    if (!Number.isFinite(prev.lat) || !Number.isFinite(prev.lon) ||
-        !Number.isFinite(curr.lat) || !Number.isFinite(curr.lon)) continue;
-    total += haversine(prev.lat, prev.lon, curr.lat, curr.lon);
-  }
-  return total;
+// Average miles per day over the completed days of the hike (the pace behind the finish estimate)
+export function calculateAverageDailyMiles(totalMiles, currentDay) {
+  const completedDays = currentDay > MIN_DAY_ON_TRAIL ? currentDay - 1 : MIN_DAY_ON_TRAIL;
+  return completedDays > 0 ? totalMiles / completedDays : 0;
+}
+
+// Format a YYYY-MM-DD day key as e.g. "Mar 5"
+function formatShortDate(dateStr) {
+  return new Date(dateStr + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
 }
 
 /**
- * Main stats calculator
+ * Main stats calculator, built from the per-day summaries maintained at ingest (day-summary.js).
+ * Days (daily distance, longest day, current day) are counted in options.timeZone, the hiking
+ * time zone (defaults to UTC). totalTrailMiles is the hike's planned distance and
+ * options.planIntervals the trail it covers (getPlannedMiles/getPlanIntervals in hike-plan.js;
+ * defaults to miles 0 to totalTrailMiles).
  */
-export function calculateStats(points, startDateStr, totalTrailMiles, options = {}) {
-  // Optionally filter out off-trail points
-  if (options.filterOffTrail) {
-    points = points.filter(p => p.onTrail !== false);
-  }
+export function calculateStats(summaries, startDateStr, totalTrailMiles, options = {}) {
+  const planIntervals = options.planIntervals || [[0, totalTrailMiles]];
+  // Only days with on-trail, non-suspect pings count (see summarizeDay)
+  summaries = summaries.filter(d => d.onTrailPings > 0);
+  const onTrailPings = summaries.reduce((total, d) => total + d.onTrailPings, 0);
 
-  if (points.length < 2) {
+  if (onTrailPings < 2) {
     return {
       totalMilesCompleted: '0.0',
       milesRemaining: totalTrailMiles.toFixed(1),
@@ -149,41 +191,28 @@ export function calculateStats(points, startDateStr, totalTrailMiles, options =
     };
   }
 
-  const { currentDay, todayUTC, startDate } = calculateCurrentDay(startDateStr);
+  const { currentDay, today, todayUTC, startDate } = calculateCurrentDay(startDateStr, options.timeZone);
 
-  const totalMiles = calculateTotalMiles(points);
+  const totalMiles = calculateTotalMiles(summaries, planIntervals);
+  const movingTimeHours = summaries.reduce((total, d) => total + d.movingTimeHours, 0);
 
-  // Calculate moving time using haversine (for speed calculation)
-  let movingTimeHours = 0;
-  for (let i = 1; i < points.length; i++) {
-    const prev = points[i - 1];
-    const curr = points[i];
-    const timeDeltaHours = (curr.time - prev.time) / (1000 * 60 * 60);
-    if (curr.velocity > MOVING_VELOCITY_THRESHOLD_MPH) {
-      movingTimeHours += timeDeltaHours;
-    }
-  }
-
-  const pointsByDate = groupPointsByDate(points);
-  const dailyMileageMap = calculateDailyMileage(pointsByDate);
-  const todayStr = getUTCDateString(todayUTC);
-  const hasDataToday = dailyMileageMap.has(todayStr);
+  const summaryByDate = new Map(summaries.map(d => [d.date, d]));
+  const hasDataToday = summaryByDate.has(today);
 
   let dailyMiles;
   let dailyDistanceDate;
   if (hasDataToday) {
-    dailyMiles = dailyMileageMap.get(todayStr) || 0;
-    dailyDistanceDate = todayStr;
+    dailyMiles = summaryByDate.get(today).miles || 0;
+    dailyDistanceDate = today;
   } else {
-    const sortedDates = [...dailyMileageMap.keys()].sort().reverse();
+    const sortedDates = [...summaryByDate.keys()].sort().reverse();
     const mostRecentDate = sortedDates[0];
-    dailyMiles = mostRecentDate ? (dailyMileageMap.get(mostRecentDate) || 0) : 0;
-    dailyDistanceDate = mostRecentDate || todayStr;
+    dailyMiles = mostRecentDate ? (summaryByDate.get(mostRecentDate).miles || 0) : 0;
+    dailyDistanceDate = mostRecentDate || today;
   }
 
   const avgSpeed = movingTimeHours > 0 ? totalMiles / movingTimeHours : 0;
-  const completedDays = currentDay > MIN_DAY_ON_TRAIL ? currentDay - 1 : MIN_DAY_ON_TRAIL;
-  const avgDailyMiles = completedDays > 0 ? totalMiles / completedDays : 0;
+  const avgDailyMiles = calculateAverageDailyMiles(totalMiles, currentDay);
   const milesRemaining = Math.max(0, totalTrailMiles - totalMiles);
   const daysRemaining = avgDailyMiles > 0 && milesRemaining > 0 ? Math.ceil(milesRemaining / avgDailyMiles) : 0;
   const estFinish = new Date(todayUTC);
@@ -191,22 +220,17 @@ export function calculateStats(points, startDateStr, totalTrailMiles, options =
 
   let longestDayMiles = 0;
   let longestDayDate = null;
-
-  for (const [date, miles] of dailyMileageMap.entries()) {
-    if (miles > longestDayMiles) {
-      longestDayMiles = miles;
-      longestDayDate = date;
-    }
-  }
-
-  const dailyElevationGain = calculateDailyElevationGain(pointsByDate);
   let mostElevationGainFeet = 0;
   let mostElevationGainDate = null;
 
-  for (const [date, elevationGain] of dailyElevationGain.entries()) {
-    if (elevationGain > mostElevationGainFeet) {
-      mostElevationGainFeet = elevationGain;
-      mostElevationGainDate = date;
+  for (const day of summaries) {
+    if (day.miles > longestDayMiles) {
+      longestDayMiles = day.miles;
+      longestDayDate = day.date;
+    }
+    if (day.onTrailElevationGain > mostElevationGainFeet) {
+      mostElevationGainFeet = day.onTrailElevationGain;
+      mostElevationGainDate = day.date;
     }
   }
 
@@ -221,8 +245,8 @@ export function calculateStats(points, startDateStr, totalTrailMiles, options =
     currentDayOnTrail: currentDay,
     estimatedFinishDate: estFinish.toLocaleDateString('en-US'),
     longestDayMiles: longestDayDate ? longestDayMiles.toFixed(1) : '0.0',
-    longestDayDate: longestDayDate ? (new Date(longestDayDate + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })) : 'N/A',
+    longestDayDate: longestDayDate ? formatShortDate(longestDayDate) : 'N/A',
     mostElevationGainFeet: mostElevationGainDate ? mostElevationGainFeet.toString() : '0',
-    mostElevationGainDate: mostElevationGainDate ? (new Date(mostElevationGainDate + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })) : 'N/A'
+    mostElevationGainDate: mostElevationGainDate ? formatShortDate(mostElevationGainDate) : 'N/A'
   };
 }
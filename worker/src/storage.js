@@ -1,8 +1,19 @@
-import { getUTCDateString, groupPointsByDate } from './utils.js';
+import { groupPointsByDate, getSpeedLimits, getOffTrailThreshold, getHikingTimeZone, getLocalDayStart, addDays } from './utils.js';
+import { DEFAULT_HIKING_TIMEZONE } from './constants.js';
+import { flagSpeedOutliers, findFirstFix, findLastFix, findLastGoodFix } from './outliers.js';
+import { snapStalePoints, findSnapAnchor } from './trail-distance.js';
+import { getTrail } from './trails.js';
+import { getHikePlan } from './hike-plan.js';
 import { haversine } from './geo.js';
+import { writeDaySummary } from './day-summary.js';
+import { getStore } from './store.js';
 
 const STATIONARY_THRESHOLD_MILES = 100 / 5280; // 100 feet in miles
 
+// The time zone stored day keys are local dates in: written by the first ingest and by
+// POST /admin/rebucket, and compared with HIKING_TIMEZONE by /health
+export const DAY_TIMEZONE_KEY = 'meta:day_timezone';
+
 // Serialize a point to its storable/transferable JSON shape with consistent null handling
 export function serializePoint(p) {
   return {
@@ -12,7 +23,26 @@ export function serializePoint(p) {
     elevation: p.elevation ?? null,
     onTrail: p.onTrail ?? null,
     trailMile: p.trailMile ?? null,
-    trailElevation: p.trailElevation ?? null
+    trailElevation: p.trailElevation ?? null,
+    // 0-1 confidence in the chosen trail mile (see chooseTrailPass in trail-distance.js)
+    snapConfidence: p.snapConfidence ?? null,
+    // Trail data version/algorithm revision and off-trail threshold the snap fields were computed with
+    snapVersion: p.snapVersion ?? null,
+    snapThreshold: p.snapThreshold ?? null,
+    source: p.source ?? null,
+    // Admin edits (see admin.js): soft-delete flag and original coordinates of a moved point
+    hidden: p.hidden ?? null,
+    correctedFrom: p.correctedFrom ?? null,
+    // Set by flagSpeedOutliers (outliers.js) for physically implausible jumps
+    suspect: p.suspect ?? null,
+    // Garmin inReach ExtendedData (see parsePlacemark in kml.js)
+    event: p.event ?? null,
+    text: p.text ?? null,
+    course: p.course ?? null,
+    validFix: p.validFix ?? null,
+    inEmergency: p.inEmergency ?? null,
+    imei: p.imei ?? null,
+    deviceType: p.deviceType ?? null
   };
 }
 
@@ -38,36 +68,44 @@ function deduplicateStationary(points) {
   return result;
 }
 
-// Load all historical points from KV
-export async function loadHistoricalPoints(startDateStr, env) {
-  if (!env.TRAIL_HISTORY) {
+// Keep admin edits (hidden flag, corrected coordinates) when a re-fetched point replaces a stored one
+function preserveAdminEdits(existing, incoming) {
+  if (!existing.hidden && !existing.correctedFrom) return incoming;
+  const merged = { ...incoming, hidden: existing.hidden ?? null };
+  if (existing.correctedFrom) {
+    merged.lat = existing.lat;
+    merged.lon = existing.lon;
+    merged.correctedFrom = existing.correctedFrom;
+  }
+  return merged;
+}
+
+// Load historical points from storage, from START_DATE (or the later `from` day) through `to`
+// (YYYY-MM-DD days in the hiking time zone, inclusive; default: the latest stored day).
+// Points hidden by an admin are skipped unless includeHidden is set.
+export async function loadHistoricalPoints(startDateStr, env, { includeHidden = false, from = null, to = null } = {}) {
+  const store = getStore(env);
+  if (!store) {
     return [];
   }
 
   try {
-    const startDate = new Date(startDateStr + 'T00:00:00Z');
+    const startDate = getLocalDayStart(startDateStr, getHikingTimeZone(env));
     const allPoints = [];
 
-    const keys = await env.TRAIL_HISTORY.list({ prefix: 'points:' });
+    const days = await store.loadDays('points', {
+      from: from && from > startDateStr ? from : startDateStr,
+      to
+    });
 
-    for (const key of keys.keys) {
-      try {
-        const dayPointsJson = await env.TRAIL_HISTORY.get(key.name);
-        if (dayPointsJson) {
-          const dayPoints = JSON.parse(dayPointsJson);
-          const parsedPoints = dayPoints.map(p => ({
-            ...p,
-            time: new Date(p.time)
-          }));
-          allPoints.push(...parsedPoints);
-        }
-      } catch (error) {
-        console.error(`[Worker] Failed to parse points for ${key.name}:`, error);
+    for (const { value: dayPoints } of days) {
+      for (const p of dayPoints) {
+        allPoints.push({ ...p, time: new Date(p.time) });
       }
     }
 
     const sorted = allPoints
-      .filter(p => p.time >= startDate)
+      .filter(p => p.time >= startDate && (includeHidden || !p.hidden))
       .sort((a, b) => a.time - b.time);
     return deduplicateStationary(sorted);
   } catch (error) {
@@ -76,29 +114,118 @@ export async function loadHistoricalPoints(startDateStr, env) {
   }
 }
 
-// Store points grouped by day in KV
-export async function storePointsByDay(points, env) {
-  if (!env.TRAIL_HISTORY || points.length === 0) {
-    return;
+// Load points snapped between two trail miles (inclusive), oldest first, from START_DATE on.
+// Hidden points are skipped and stationary clusters collapsed as in loadHistoricalPoints.
+export async function loadPointsByMile(startDateStr, env, fromMile, toMile) {
+  const store = getStore(env);
+  if (!store) {
+    return [];
+  }
+
+  try {
+    const startDate = getLocalDayStart(startDateStr, getHikingTimeZone(env));
+    const points = (await store.loadPointsByMile(fromMile, toMile))
+      .map(p => ({ ...p, time: new Date(p.time) }))
+      .filter(p => p.time >= startDate && !p.hidden)
+      .sort((a, b) => a.time - b.time);
+    return deduplicateStationary(points);
+  } catch (error) {
+    console.error('[Worker] Failed to load points by mile:', error);
+    return [];
   }
+}
 
+// Read the timestamp of the newest point ingested so far, or null
+export async function getLatestTimestamp(env) {
+  const store = getStore(env);
+  if (!store) return null;
+  const value = await store.get('meta:latest_timestamp');
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Points stored for the day before dateKey (or null), which anchor snapping continuity and
+// the speed outlier check for dateKey
+export async function loadPreviousDayPoints(dateKey, env) {
+  const previousDay = addDays(dateKey, -1);
   try {
-    const pointsByDay = groupPointsByDate(points);
+    return await getStore(env).getDay('points', previousDay);
+  } catch (error) {
+    console.error(`[Worker] Failed to read points for ${previousDay}:`, error);
+    return null;
+  }
+}
 
-    for (const [dateKey, dayPoints] of pointsByDay.entries()) {
-      const kvKey = `points:${dateKey}`;
+// A relocation can only be confirmed by the fix after it, so a suspect last fix of the
+// previous day is checked again once the next day has points. Rewrites the previous day
+// and returns true if its flags changed.
+async function recheckPreviousDay(previous, dayPoints, speedLimits, env) {
+  const lastFix = previous.points && findLastFix(previous.points);
+  const firstFix = findFirstFix(dayPoints);
+  if (!lastFix || !lastFix.suspect || !firstFix) return false;
+
+  const before = findLastGoodFix(await loadPreviousDayPoints(previous.dateKey, env) || []);
+  const flagsBefore = JSON.stringify(previous.points.map(p => p.suspect ?? null));
+  flagSpeedOutliers(previous.points, speedLimits, { before, after: firstFix });
+  if (JSON.stringify(previous.points.map(p => p.suspect ?? null)) === flagsBefore) return false;
+
+  await getStore(env).putDay('points', previous.dateKey, previous.points);
+  await writeDaySummary(previous.dateKey, previous.points, env);
+  return true;
+}
+
+// Record the zone days are keyed in, unless already recorded. Days stored before the zone was
+// recorded were keyed in UTC.
+async function recordDayTimeZone(store, timeZone) {
+  if (await store.get(DAY_TIMEZONE_KEY)) return;
+  const storedDays = await store.listDays('points');
+  await store.put(DAY_TIMEZONE_KEY, storedDays.length > 0 ? DEFAULT_HIKING_TIMEZONE : timeZone);
+}
+
+// Store points grouped by day (points:YYYY-MM-DD, days in the hiking time zone),
+// keeping each written day's day:YYYY-MM-DD summary up to date.
+// Days whose merged contents are unchanged are not rewritten.
+// Options:
+//   overwrite   - replace stored points that share a timestamp (default true)
+//   trackLatest - advance meta:latest_timestamp used for incremental polling (default true);
+//                 disabled for imports so they can't make the poller skip inReach data
+// Returns { newPoints, daysWritten } — newPoints counts timestamps not already stored.
+export async function storePointsByDay(points, env, { overwrite = true, trackLatest = true } = {}) {
+  const result = { newPoints: 0, daysWritten: 0 };
+  const store = getStore(env);
+  if (!store || points.length === 0) {
+    return result;
+  }
+
+  try {
+    await recordDayTimeZone(store, getHikingTimeZone(env));
+    const pointsByDay = groupPointsByDate(points, getHikingTimeZone(env));
+    const speedLimits = getSpeedLimits(env);
+    const trail = getTrail(env);
+    const thresholdMiles = getOffTrailThreshold(env);
+    const plan = getHikePlan(env);
+    const dateKeys = Array.from(pointsByDay.keys()).sort();
+
+    // Points of the day before the one being stored. Their last on-trail point anchors trail
+    // snapping continuity, and their last good fix starts the speed outlier check.
+    let previous = { dateKey: addDays(dateKeys[0], -1), points: await loadPreviousDayPoints(dateKeys[0], env) };
+    let anchor = previous.points ? findSnapAnchor(previous.points) : null;
+
+    for (const dateKey of dateKeys) {
+      const dayPoints = pointsByDay.get(dateKey);
 
       try {
-        const existingJson = await env.TRAIL_HISTORY.get(kvKey);
-        let existingPoints = [];
-
-        if (existingJson) {
-          existingPoints = JSON.parse(existingJson).map(p => ({
-            ...p,
-            time: new Date(p.time)
-          }));
+        if (previous.dateKey !== addDays(dateKey, -1)) {
+          previous = { dateKey: addDays(dateKey, -1), points: await loadPreviousDayPoints(dateKey, env) };
         }
 
+        const storedPoints = await store.getDay('points', dateKey);
+        const existingPoints = (storedPoints || []).map(p => ({
+          ...p,
+          time: new Date(p.time)
+        }));
+
         const pointMap = new Map();
 
         for (const p of existingPoints) {
@@ -106,26 +233,52 @@ export async function storePointsByDay(points, env) {
           pointMap.set(timeKey, p);
         }
 
+        let dayNewPoints = 0;
         for (const p of dayPoints) {
           const timeKey = p.time.toISOString();
-          pointMap.set(timeKey, p);
+          const existing = pointMap.get(timeKey);
+          if (!existing) {
+            dayNewPoints++;
+            pointMap.set(timeKey, p);
+          } else if (overwrite) {
+            pointMap.set(timeKey, preserveAdminEdits(existing, p));
+          }
+        }
+
+        const sortedPoints = Array.from(pointMap.values()).sort((a, b) => a.time - b.time);
+        if (await recheckPreviousDay(previous, sortedPoints, speedLimits, env)) {
+          if (!previous.written) result.daysWritten++;
+          anchor = findSnapAnchor(previous.points) || anchor;
         }
+        snapStalePoints(sortedPoints, trail, thresholdMiles, { anchor, plan });
+        flagSpeedOutliers(sortedPoints, speedLimits, { before: previous.points && findLastGoodFix(previous.points) });
+        anchor = findSnapAnchor(sortedPoints) || anchor;
 
-        const mergedPoints = Array.from(pointMap.values())
-          .sort((a, b) => a.time - b.time)
-          .map(p => ({ ...serializePoint(p), velocity: p.velocity }));
+        const mergedPoints = sortedPoints.map(p => ({ ...serializePoint(p), velocity: p.velocity }));
+        previous = { dateKey, points: mergedPoints, written: false };
 
-        await env.TRAIL_HISTORY.put(kvKey, JSON.stringify(mergedPoints));
+        if (storedPoints && JSON.stringify(mergedPoints) === JSON.stringify(storedPoints)) continue;
+
+        await store.putDay('points', dateKey, mergedPoints);
+        await writeDaySummary(dateKey, mergedPoints, env);
+        result.newPoints += dayNewPoints;
+        result.daysWritten++;
+        previous.written = true;
       } catch (error) {
         console.error(`[Worker] Failed to store points for ${dateKey}:`, error);
       }
     }
 
-    if (points.length > 0) {
-      const latestPoint = points[points.length - 1];
-      await env.TRAIL_HISTORY.put('meta:latest_timestamp', latestPoint.time.toISOString());
+    if (trackLatest) {
+      const latestPoint = points.reduce((latest, p) => (p.time > latest.time ? p : latest), points[0]);
+      const storedLatest = await getLatestTimestamp(env);
+      if (!storedLatest || latestPoint.time > storedLatest) {
+        await store.put('meta:latest_timestamp', latestPoint.time.toISOString());
+      }
     }
   } catch (error) {
     console.error('Failed to store points:', error);
   }
+
+  return result;
 }
@@ -0,0 +1,156 @@
+// Table holding each day-keyed collection; points and messages are one row per record,
+// day summaries one row per day (schema: worker/migrations/0001_create_tables.sql)
+const DAY_TABLES = {
+  points: 'points',
+  messages: 'messages',
+  days: 'day_summaries'
+};
+
+function dayTable(collection) {
+  const table = DAY_TABLES[collection];
+  if (!table) throw new Error(`Unknown collection "${collection}"`);
+  return table;
+}
+
+// Per-record collections store a day's array as rows; summaries store the whole value
+function isRowCollection(collection) {
+  return collection === 'points' || collection === 'messages';
+}
+
+function rangeClause({ from = null, to = null }) {
+  const conditions = [];
+  const params = [];
+  if (from) { conditions.push('day >= ?'); params.push(from); }
+  if (to) { conditions.push('day <= ?'); params.push(to); }
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+// Store backed by a D1 (SQLite) database: points and messages are rows indexed by day,
+// and points also by trail mile, so range queries don't have to read whole days
+export class D1Store {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getDay(collection, date) {
+    const table = dayTable(collection);
+    if (!isRowCollection(collection)) {
+      const row = await this.db.prepare(`SELECT data FROM ${table} WHERE day = ?`).bind(date).first();
+      return row ? JSON.parse(row.data) : null;
+    }
+
+    const { results } = await this.db
+      .prepare(`SELECT data FROM ${table} WHERE day = ? ORDER BY time`)
+      .bind(date)
+      .all();
+    return results.length > 0 ? results.map(row => JSON.parse(row.data)) : null;
+  }
+
+  // Replaces the day's rows in one batch (a transaction). Records are keyed by timestamp, so a
+  // record written under a new day moves there rather than being duplicated.
+  async putDay(collection, date, value) {
+    const table = dayTable(collection);
+    if (!isRowCollection(collection)) {
+      await this.db
+        .prepare(`INSERT OR REPLACE INTO ${table} (day, data) VALUES (?, ?)`)
+        .bind(date, JSON.stringify(value))
+        .run();
+      return;
+    }
+
+    const statements = [this.db.prepare(`DELETE FROM ${table} WHERE day = ?`).bind(date)];
+    for (const record of value) {
+      const time = new Date(record.time).toISOString();
+      statements.push(collection === 'points'
+        ? this.db
+          .prepare('INSERT OR REPLACE INTO points (time, day, trail_mile, data) VALUES (?, ?, ?, ?)')
+          .bind(time, date, record.trailMile ?? null, JSON.stringify(record))
+        : this.db
+          .prepare('INSERT OR REPLACE INTO messages (time, day, data) VALUES (?, ?, ?)')
+          .bind(time, date, JSON.stringify(record)));
+    }
+    await this.db.batch(statements);
+  }
+
+  async deleteDay(collection, date) {
+    await this.db.prepare(`DELETE FROM ${dayTable(collection)} WHERE day = ?`).bind(date).run();
+  }
+
+  async listDays(collection, range = {}) {
+    const { where, params } = rangeClause(range);
+    const { results } = await this.db
+      .prepare(`SELECT DISTINCT day FROM ${dayTable(collection)} ${where} ORDER BY day`)
+      .bind(...params)
+      .all();
+    return results.map(row => row.day);
+  }
+
+  async loadDays(collection, range = {}) {
+    const table = dayTable(collection);
+    const { where, params } = rangeClause(range);
+    const order = isRowCollection(collection) ? 'day, time' : 'day';
+    const { results } = await this.db
+      .prepare(`SELECT day, data FROM ${table} ${where} ORDER BY ${order}`)
+      .bind(...params)
+      .all();
+
+    if (!isRowCollection(collection)) {
+      return results.map(row => ({ date: row.day, value: JSON.parse(row.data) }));
+    }
+
+    const days = [];
+    for (const row of results) {
+      const last = days[days.length - 1];
+      if (last && last.date === row.day) {
+        last.value.push(JSON.parse(row.data));
+      } else {
+        days.push({ date: row.day, value: [JSON.parse(row.data)] });
+      }
+    }
+    return days;
+  }
+
+  async loadPointsByMile(fromMile, toMile) {
+    const { results } = await this.db
+      .prepare('SELECT data FROM points WHERE trail_mile BETWEEN ? AND ? ORDER BY time')
+      // D1 can't bind Infinity (an open-ended range)
+      .bind(Math.max(fromMile, -Number.MAX_VALUE), Math.min(toMile, Number.MAX_VALUE))
+      .all();
+    return results.map(row => JSON.parse(row.data));
+  }
+
+  // Expired values read as missing and are removed, matching KV's expirationTtl behaviour
+  async get(key, type) {
+    const row = await this.db.prepare('SELECT value, expires_at FROM kv WHERE key = ?').bind(key).first();
+    if (!row) return null;
+    if (row.expires_at != null && row.expires_at <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return type === 'json' ? JSON.parse(row.value) : row.value;
+  }
+
+  // Accepts KV's put options: expirationTtl (seconds from now) or expiration (epoch seconds)
+  async put(key, value, { expirationTtl, expiration } = {}) {
+    const expiresAt = expirationTtl ? Date.now() + expirationTtl * 1000
+      : expiration ? expiration * 1000
+        : null;
+    await this.db
+      .prepare('INSERT OR REPLACE INTO kv (key, value, expires_at) VALUES (?, ?, ?)')
+      .bind(key, value, expiresAt)
+      .run();
+  }
+
+  async delete(key) {
+    await this.db.prepare('DELETE FROM kv WHERE key = ?').bind(key).run();
+  }
+
+  async countKeys(prefix) {
+    // substr rather than LIKE, which would treat _ and % in the prefix as wildcards
+    const row = await this.db
+      .prepare('SELECT COUNT(*) AS count FROM kv WHERE substr(key, 1, ?) = ? AND (expires_at IS NULL OR expires_at > ?)')
+      .bind(prefix.length, prefix, Date.now())
+      .first();
+    return row ? row.count : 0;
+  }
+}
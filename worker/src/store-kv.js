@@ -0,0 +1,81 @@
+import { listAllKeys, listDays, loadDayRecords } from './kv.js';
+
+// KV key prefix for each day-keyed collection
+const DAY_PREFIXES = {
+  points: 'points:',
+  messages: 'messages:',
+  days: 'day:'
+};
+
+function dayKey(collection, date) {
+  const prefix = DAY_PREFIXES[collection];
+  if (!prefix) throw new Error(`Unknown collection "${collection}"`);
+  return `${prefix}${date}`;
+}
+
+// Store backed by the TRAIL_HISTORY KV namespace: one JSON value per day per collection
+export class KvStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async getDay(collection, date) {
+    const json = await this.kv.get(dayKey(collection, date));
+    return json ? JSON.parse(json) : null;
+  }
+
+  async putDay(collection, date, value) {
+    await this.kv.put(dayKey(collection, date), JSON.stringify(value));
+  }
+
+  async deleteDay(collection, date) {
+    await this.kv.delete(dayKey(collection, date));
+  }
+
+  async listDays(collection, { from = null, to = null } = {}) {
+    return listDays(this.kv, DAY_PREFIXES[collection], { from, to });
+  }
+
+  async loadDays(collection, { from = null, to = null } = {}) {
+    return loadDayRecords(this.kv, DAY_PREFIXES[collection], { from, to });
+  }
+
+  // KV has no secondary index, so use the day summaries' trail mile spans to pick which
+  // days to read. Days without a summary yet are read too.
+  async loadPointsByMile(fromMile, toMile) {
+    const [pointDates, summaries] = await Promise.all([
+      this.listDays('points'),
+      this.loadDays('days')
+    ]);
+    const summaryByDate = new Map(summaries.map(({ date, value }) => [date, value]));
+
+    const candidates = [];
+    for (const date of pointDates) {
+      const summary = summaryByDate.get(date);
+      if (summary && (summary.maxTrailMile == null || summary.maxTrailMile < fromMile || summary.minTrailMile > toMile)) continue;
+      candidates.push(date);
+    }
+
+    const points = [];
+    for (const { value } of await loadDayRecords(this.kv, DAY_PREFIXES.points, { dates: candidates })) {
+      points.push(...value.filter(p => p.trailMile != null && p.trailMile >= fromMile && p.trailMile <= toMile));
+    }
+    return points.sort((a, b) => new Date(a.time) - new Date(b.time));
+  }
+
+  async get(key, type) {
+    return this.kv.get(key, type);
+  }
+
+  async put(key, value, options) {
+    await this.kv.put(key, value, options);
+  }
+
+  async delete(key) {
+    await this.kv.delete(key);
+  }
+
+  async countKeys(prefix) {
+    return (await listAllKeys(this.kv, prefix)).length;
+  }
+}
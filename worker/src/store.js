@@ -0,0 +1,37 @@
+import { KvStore } from './store-kv.js';
+import { D1Store } from './store-d1.js';
+
+/**
+ * Storage backends. Everything the worker persists goes through a store with this interface:
+ *
+ *   Day-keyed records, collection = 'points' | 'messages' | 'days' (per-day summaries):
+ *     getDay(collection, date)            -> stored value, or null
+ *     putDay(collection, date, value)
+ *     deleteDay(collection, date)
+ *     listDays(collection, { from, to })  -> ['YYYY-MM-DD', ...] oldest first
+ *     loadDays(collection, { from, to })  -> [{ date, value }] oldest first
+ *
+ *   Points by trail mile:
+ *     loadPointsByMile(fromMile, toMile)  -> stored points with trailMile in range, oldest first
+ *
+ *   Small keyed values (token:, ratelimit:auth:, cache:, meta:, health:):
+ *     get(key[, 'json']) / put(key, string, { expirationTtl }) / delete(key)
+ *     countKeys(prefix)                   -> number of unexpired keys under the prefix
+ *
+ * STORAGE_BACKEND selects the implementation: "kv" (default, TRAIL_HISTORY binding) or
+ * "d1" (TRAIL_DB binding, schema in worker/migrations/).
+ */
+
+const stores = new WeakMap();
+
+// Store for the configured backend, or null if its binding is missing
+export function getStore(env) {
+  if (stores.has(env)) return stores.get(env);
+
+  const store = env.STORAGE_BACKEND === 'd1'
+    ? (env.TRAIL_DB ? new D1Store(env.TRAIL_DB) : null)
+    : (env.TRAIL_HISTORY ? new KvStore(env.TRAIL_HISTORY) : null);
+
+  stores.set(env, store);
+  return store;
+}
@@ -1,56 +1,198 @@
-import { AT_TRAIL_DATA } from './at-trail-with-miles.js';
 import { projectToSegment } from './geo.js';
 import { DEFAULT_OFF_TRAIL_THRESHOLD_MILES } from './constants.js';
+import { getTrailIndex, findNearbySegments } from './trail-index.js';
+import { getLegDirection } from './hike-plan.js';
+
+// Snapping algorithm revision; bump when the choice of snap changes so stored points get re-snapped
+const SNAP_ALGORITHM_REVISION = 3;
+
+// Tag stored with points snapped to `trail` (trails.js): its data version plus algorithm revision
+export function getSnapVersion(trail) {
+  return `${trail.dataVersion}.${SNAP_ALGORITHM_REVISION}`;
+}
+
+// Continuity model: how far along the trail a hiker can plausibly get from the previous fix
+const MAX_TRAIL_PACE_MPH = 4;
+const FORWARD_SLACK_MILES = 0.5;
+const BACKTRACK_SLACK_MILES = 0.5; // Small backtracks (water, a forgotten trekking pole) are normal
+const ANCHOR_MAX_HOURS = 36; // Beyond this the previous fix says nothing useful about the next one
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Every place the trail passes within thresholdMiles of the point: the local minima of the
+// point's distance to consecutive segments, so each leg of a switchback is its own pass
+function findTrailPasses(point, trailData, index, thresholdMiles) {
+  const candidates = [];
+  for (const i of findNearbySegments(index, point.lat, point.lon, thresholdMiles)) {
+    const [aLon, aLat] = trailData[i];
+    const [bLon, bLat] = trailData[i + 1];
+
+    const { distance, t } = projectToSegment(point.lat, point.lon, aLat, aLon, bLat, bLon);
+    if (distance <= thresholdMiles) candidates.push({ idx: i, t, distance });
+  }
+
+  const passes = candidates.filter((c, k) => {
+    const prev = candidates[k - 1];
+    const next = candidates[k + 1];
+    const prevDist = prev && prev.idx === c.idx - 1 ? prev.distance : Infinity;
+    const nextDist = next && next.idx === c.idx + 1 ? next.distance : Infinity;
+    return c.distance <= prevDist && c.distance < nextDist;
+  });
+
+  for (const pass of passes) {
+    const [, , mile1] = trailData[pass.idx];
+    const [, , mile2] = trailData[pass.idx + 1];
+    pass.mile = mile1 + pass.t * (mile2 - mile1);
+  }
+  return passes;
+}
+
+// Miles by which a candidate trail mile falls outside the range reachable from the anchor, hiking
+// in `direction` (1 toward higher trail miles, -1 toward lower)
+function continuityExcess(mile, elapsedHours, anchor, direction) {
+  const forward = MAX_TRAIL_PACE_MPH * elapsedHours + FORWARD_SLACK_MILES;
+  const minMile = anchor.trailMile - (direction > 0 ? BACKTRACK_SLACK_MILES : forward);
+  const maxMile = anchor.trailMile + (direction > 0 ? forward : BACKTRACK_SLACK_MILES);
+  if (mile < minMile) return minMile - mile;
+  if (mile > maxMile) return mile - maxMile;
+  return 0;
+}
 
 /**
- * Combined single-pass: tag each point as on/off trail AND snap on-trail points to get
- * trailMile + trailElevation. Replaces calling tagPointsOnOffTrail() + snapPointsToTrail()
- * separately, halving the number of projectToSegment() calls.
+ * Pick the most plausible pass and a confidence for it. Each pass scores its distance from
+ * the point (in units of the threshold) plus, given a recent anchor, the miles it lies outside
+ * the range reachable since the anchor in the direction of the hike plan leg the anchor is on
+ * (northbound without a plan). A point near a single pass always snaps to it, so real
+ * jumps (a hitch to a flip-flop start) still snap; continuity only breaks ties where the trail
+ * doubles back on itself.
  *
- * @param {Array} points - Array of point objects with lat, lon
- * @param {Array} trailData - AT_TRAIL_DATA array of [lon, lat, miles, elevFt]
+ * Confidence is the product of proximity (1 on the trail, 0.5 at the threshold), separation
+ * (1 when the best pass elsewhere on the trail scores at least 1 worse, down to 0.5 for a tie) and plausibility
+ * (1 within the reachable range, falling off with the excess miles).
+ */
+function chooseTrailPass(passes, point, anchor, thresholdMiles, plan) {
+  const scale = Math.max(thresholdMiles, 0.01);
+  const elapsedHours = anchor ? (new Date(point.time) - new Date(anchor.time)) / 3600000 : NaN;
+  const useAnchor = elapsedHours >= 0 && elapsedHours <= ANCHOR_MAX_HOURS;
+  const direction = useAnchor && plan ? getLegDirection(plan, anchor.trailMile) : 1;
+
+  const scored = passes.map(pass => {
+    const excess = useAnchor ? continuityExcess(pass.mile, elapsedHours, anchor, direction) : 0;
+    return { pass, excess, score: pass.distance / scale + excess };
+  }).sort((a, b) => a.score - b.score);
+
+  // Passes within a couple of thresholds of trail mile are the same stretch, not an ambiguity
+  const [best] = scored;
+  const runnerUp = scored.find(c => Math.abs(c.pass.mile - best.pass.mile) > 2 * scale);
+  const proximity = 1 - 0.5 * (best.pass.distance / scale);
+  const separation = runnerUp ? 0.5 + 0.5 * Math.min(1, runnerUp.score - best.score) : 1;
+  const plausibility = 1 / (1 + best.excess);
+
+  return { pass: best.pass, confidence: round2(proximity * separation * plausibility) };
+}
+
+// Snap a single point, using `anchor` (the previous on-trail point) and the hike plan for continuity
+function snapPoint(point, trailData, index, thresholdMiles, anchor, plan) {
+  const passes = Number.isFinite(point.lat) && Number.isFinite(point.lon)
+    ? findTrailPasses(point, trailData, index, thresholdMiles)
+    : [];
+
+  point.onTrail = passes.length > 0;
+
+  if (!point.onTrail) {
+    point.trailMile = null;
+    point.trailElevation = null;
+    point.snapConfidence = null;
+    return;
+  }
+
+  const { pass, confidence } = chooseTrailPass(passes, point, anchor, thresholdMiles, plan);
+  const [, , , elev1] = trailData[pass.idx];
+  const [, , , elev2] = trailData[pass.idx + 1];
+  point.trailMile = round2(pass.mile);
+  point.trailElevation = (elev1 !== null && elev2 !== null)
+    ? Math.round(elev1 + pass.t * (elev2 - elev1))
+    : null;
+  point.snapConfidence = confidence;
+}
+
+// Whether a point can anchor continuity for the points after it
+function isAnchor(point) {
+  return point.onTrail === true && point.trailMile != null && !point.hidden && !point.suspect;
+}
+
+// Last point in a time-sorted list that can anchor continuity for later points, or null
+export function findSnapAnchor(points) {
+  for (let i = points.length - 1; i >= 0; i--) {
+    if (isAnchor(points[i])) return points[i];
+  }
+  return null;
+}
+
+/**
+ * Tag each point as on/off trail and snap on-trail points to get trailMile, trailElevation
+ * and snapConfidence.
+ *
+ * Only segments within thresholdMiles can make a point on-trail, so each point is projected
+ * onto the few segments the spatial grid (trail-index.js) returns for that radius rather
+ * than the whole trail. Where the trail passes the point more than once (switchbacks,
+ * Blood Mountain / Neels Gap), the previous on-trail point's mile, the elapsed time and the
+ * hiking direction pick the pass that keeps progress plausible (see chooseTrailPass).
+ *
+ * @param {Array} points - Array of point objects with lat, lon, time, sorted by time
+ * @param {Object} trail - Registered trail (trails.js) whose data is [lon, lat, miles, elevFt] vertices
  * @param {number} thresholdMiles - On-trail distance threshold in miles
- * @returns {Array} Same points array with onTrail, trailMile, trailElevation set
+ * @param {Object} [options]
+ * @param {Object} [options.anchor] - On-trail point preceding `points` ({ trailMile, time })
+ * @param {Object} [options.plan] - Hike plan (hike-plan.js) giving the direction of travel; northbound when omitted
+ * @returns {Array} Same points array with onTrail, trailMile, trailElevation, snapConfidence set
  */
-export function tagAndSnapPoints(points, trailData = AT_TRAIL_DATA, thresholdMiles = DEFAULT_OFF_TRAIL_THRESHOLD_MILES) {
+export function tagAndSnapPoints(points, trail, thresholdMiles = DEFAULT_OFF_TRAIL_THRESHOLD_MILES, { anchor = null, plan = null } = {}) {
+  const index = getTrailIndex(trail);
+
   for (const point of points) {
-    if (!Number.isFinite(point.lat) || !Number.isFinite(point.lon)) {
-      point.onTrail = false;
-      point.trailMile = null;
-      point.trailElevation = null;
-      continue;
-    }
+    snapPoint(point, trail.data, index, thresholdMiles, anchor, plan);
+    if (isAnchor(point)) anchor = point;
+  }
+  return points;
+}
 
-    let bestDist = Infinity;
-    let bestT = 0;
-    let bestIdx = 0;
-
-    for (let i = 0; i < trailData.length - 1; i++) {
-      const [aLon, aLat] = trailData[i];
-      const [bLon, bLat] = trailData[i + 1];
-
-      const { distance, t } = projectToSegment(point.lat, point.lon, aLat, aLon, bLat, bLon);
-      if (distance < bestDist) {
-        bestDist = distance;
-        bestT = t;
-        bestIdx = i;
-        if (bestDist < 0.001) break; // Close enough — early exit
-      }
-    }
+// Whether a point's stored snap results were computed against the current data of `trail`,
+// snapping algorithm and threshold
+export function isSnapCurrent(point, trail, thresholdMiles) {
+  return point.snapVersion === getSnapVersion(trail) && point.snapThreshold === thresholdMiles;
+}
+
+/**
+ * Snap only the points whose stored snap results are missing or stale (different trail
+ * data version or trail, algorithm revision or off-trail threshold), tagging them with the current
+ * version/threshold. Points snapped at ingest are skipped, so this is cheap on already-migrated
+ * history. Current points still anchor continuity for the stale points after them.
+ *
+ * @param {Array} points - Points to check, sorted by time (updated in place)
+ * @param {Object} trail - Registered trail to snap to (trails.js)
+ * @param {number} thresholdMiles - On-trail distance threshold in miles
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Re-snap every point regardless of its tag
+ * @param {Object} [options.anchor] - On-trail point preceding `points` ({ trailMile, time })
+ * @param {Object} [options.plan] - Hike plan (hike-plan.js) giving the direction of travel; northbound when omitted
+ * @returns {number} Number of points (re)snapped
+ */
+export function snapStalePoints(points, trail, thresholdMiles = DEFAULT_OFF_TRAIL_THRESHOLD_MILES, { force = false, anchor = null, plan = null } = {}) {
+  const index = getTrailIndex(trail);
+  const snapVersion = getSnapVersion(trail);
+  let snapped = 0;
 
-    point.onTrail = bestDist <= thresholdMiles;
-
-    if (point.onTrail) {
-      const [, , mile1, elev1] = trailData[bestIdx];
-      const [, , mile2, elev2] = trailData[bestIdx + 1];
-      point.trailMile = Math.round((mile1 + bestT * (mile2 - mile1)) * 100) / 100;
-      point.trailElevation = (elev1 !== null && elev2 !== null)
-        ? Math.round(elev1 + bestT * (elev2 - elev1))
-        : null;
-    } else {
-      point.trailMile = null;
-      point.trailElevation = null;
+  for (const point of points) {
+    if (force || !isSnapCurrent(point, trail, thresholdMiles)) {
+      snapPoint(point, trail.data, index, thresholdMiles, anchor, plan);
+      point.snapVersion = snapVersion;
+      point.snapThreshold = thresholdMiles;
+      snapped++;
     }
+    if (isAnchor(point)) anchor = point;
   }
-  return points;
+  return snapped;
 }
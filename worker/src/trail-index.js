@@ -0,0 +1,74 @@
+const DEFAULT_CELL_DEGREES = 0.05;
+const MILES_PER_DEG_LAT = 69.0;
+
+// Indexes built at runtime for trails without a current prebuilt index, keyed by the data array
+const indexCache = new WeakMap();
+
+/**
+ * Build a uniform lat/lon grid over the segments of `trailData`. Each cell lists the
+ * indices i of the segments (trailData[i] -> trailData[i + 1]) whose bounding box
+ * overlaps it. scripts/build-trail-index.js uses it to generate the prebuilt trail indexes.
+ *
+ * @param {Array} trailData - Array of [lon, lat, ...] vertices
+ * @param {number} cellDegrees - Grid cell size in degrees
+ * @returns {{ cellDegrees: number, cells: Object<string, number[]> }}
+ */
+export function buildTrailIndex(trailData, cellDegrees = DEFAULT_CELL_DEGREES) {
+  const cells = {};
+  for (let i = 0; i < trailData.length - 1; i++) {
+    const [aLon, aLat] = trailData[i];
+    const [bLon, bLat] = trailData[i + 1];
+    const minCol = Math.floor(Math.min(aLon, bLon) / cellDegrees);
+    const maxCol = Math.floor(Math.max(aLon, bLon) / cellDegrees);
+    const minRow = Math.floor(Math.min(aLat, bLat) / cellDegrees);
+    const maxRow = Math.floor(Math.max(aLat, bLat) / cellDegrees);
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const key = `${col},${row}`;
+        (cells[key] || (cells[key] = [])).push(i);
+      }
+    }
+  }
+  return { cellDegrees, cells };
+}
+
+// Spatial index for a registered trail (trails.js): its prebuilt grid when it matches the data
+// version, otherwise one built on first use and cached for the isolate's lifetime
+export function getTrailIndex(trail) {
+  if (trail.index && trail.index.version === trail.dataVersion) {
+    return trail.index;
+  }
+
+  let index = indexCache.get(trail.data);
+  if (!index) {
+    index = buildTrailIndex(trail.data);
+    indexCache.set(trail.data, index);
+  }
+  return index;
+}
+
+/**
+ * Segment indices that could lie within `radiusMiles` of a point, in ascending order.
+ * Any segment closer than the radius (as measured by projectToSegment) is included;
+ * segments further away may be included too.
+ */
+export function findNearbySegments(index, lat, lon, radiusMiles) {
+  const { cellDegrees, cells } = index;
+  const latDelta = radiusMiles / MILES_PER_DEG_LAT;
+  const lonDelta = radiusMiles / (MILES_PER_DEG_LAT * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+
+  const minCol = Math.floor((lon - lonDelta) / cellDegrees);
+  const maxCol = Math.floor((lon + lonDelta) / cellDegrees);
+  const minRow = Math.floor((lat - latDelta) / cellDegrees);
+  const maxRow = Math.floor((lat + latDelta) / cellDegrees);
+
+  const found = new Set();
+  for (let col = minCol; col <= maxCol; col++) {
+    for (let row = minRow; row <= maxRow; row++) {
+      const segments = cells[`${col},${row}`];
+      if (!segments) continue;
+      for (const i of segments) found.add(i);
+    }
+  }
+  return Array.from(found).sort((a, b) => a - b);
+}
@@ -0,0 +1,76 @@
+// Trail registry: every long trail the worker can track, selected with TRAIL (default "at").
+//
+// A trail's data modules are generated by the scripts in scripts/ (see README, "Other Trails"):
+//   <id>-trail-with-miles.js   [lon, lat, cumulativeMiles, elevationFt] vertices and data version
+//   <id>-trail-index.js        prebuilt spatial grid over those vertices
+//   <id>-trail-states.js       trail-mile ranges of the states it passes through (optional)
+//   <id>-trail-milestones.js   the map's milestones snapped to their trail miles (optional)
+//   <id>-trail-poi.js          points of interest snapped to their trail miles (optional)
+// The display files (GeoJSON line and milestones) are served with the frontend, which reads
+// their paths from GET /trail.
+import { AT_TRAIL_DATA, AT_TRAIL_DATA_VERSION } from './at-trail-with-miles.js';
+import { AT_TRAIL_INDEX } from './at-trail-index.js';
+import { AT_TRAIL_STATES } from './at-trail-states.js';
+import { AT_TRAIL_MILESTONES } from './at-trail-milestones.js';
+import { AT_TRAIL_POI } from './at-trail-poi.js';
+
+export const DEFAULT_TRAIL_ID = 'at';
+
+export const TRAILS = {
+  at: {
+    id: 'at',
+    name: 'Appalachian Trail',
+    shortName: 'AT',
+    totalMiles: 2197.9,
+    data: AT_TRAIL_DATA,
+    dataVersion: AT_TRAIL_DATA_VERSION,
+    index: AT_TRAIL_INDEX,
+    states: AT_TRAIL_STATES,
+    milestoneMiles: AT_TRAIL_MILESTONES,
+    poi: AT_TRAIL_POI,
+    geojson: 'data/at-trail-simplified.geojson',
+    milestones: 'data/milestones.json'
+  }
+};
+
+export function listTrails() {
+  return Object.keys(TRAILS);
+}
+
+// The configured trail (TRAIL), or the AT when unset or unknown (validateEnvVars reports
+// unknown trails)
+export function getTrail(env) {
+  return TRAILS[env.TRAIL] || TRAILS[DEFAULT_TRAIL_ID];
+}
+
+/**
+ * Position at a trail mile of a trail's data ([lon, lat, mile, elevationFt] vertices),
+ * interpolated between the vertices on either side and clamped to the trail's ends:
+ * { lat, lon, elevationFt, course, vertex }, where course is the trail's heading there in
+ * degrees and vertex the index of the last vertex at or before the mile.
+ */
+export function locateTrailMile(trailData, mile) {
+  let lo = 0;
+  let hi = trailData.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (trailData[mid][2] <= mile) lo = mid; else hi = mid;
+  }
+  const [lon1, lat1, mile1, elev1] = trailData[lo];
+  const [lon2, lat2, mile2, elev2] = trailData[hi];
+  const t = mile2 > mile1 ? Math.min(Math.max((mile - mile1) / (mile2 - mile1), 0), 1) : 0;
+  return {
+    lat: lat1 + t * (lat2 - lat1),
+    lon: lon1 + t * (lon2 - lon1),
+    elevationFt: elev1 + t * (elev2 - elev1),
+    course: (Math.atan2(lon2 - lon1, lat2 - lat1) * 180 / Math.PI + 360) % 360,
+    vertex: lo
+  };
+}
+
+// What the frontend needs to draw a trail (GET /trail), including its state lines
+export function describeTrail(trail) {
+  const { id, name, shortName, totalMiles, geojson, milestones } = trail;
+  const stateLines = trail.states ? trail.states.lines : [];
+  return { id, name, shortName, totalMiles, geojson, milestones, stateLines };
+}
@@ -1,5 +1,15 @@
-import { MS_PER_DAY, DATE_REGEX, DEFAULT_OFF_TRAIL_THRESHOLD_MILES } from './constants.js';
+import {
+  MS_PER_DAY,
+  DATE_REGEX,
+  DEFAULT_OFF_TRAIL_THRESHOLD_MILES,
+  DEFAULT_MAX_HIKING_SPEED_MPH,
+  DEFAULT_MAX_DRIVING_SPEED_MPH,
+  DEFAULT_HIKING_TIMEZONE,
+  DEFAULT_MAPSHARE_BASE_URL
+} from './constants.js';
 import { createErrorResponse } from './responses.js';
+import { parseHikePlan } from './hike-plan.js';
+import { TRAILS, listTrails, getTrail } from './trails.js';
 
 // Parse OFF_TRAIL_THRESHOLD env var, falling back to the default constant.
 export function getOffTrailThreshold(env) {
@@ -7,6 +17,16 @@ export function getOffTrailThreshold(env) {
   return Number.isFinite(parsed) ? parsed : DEFAULT_OFF_TRAIL_THRESHOLD_MILES;
 }
 
+// Parse MAX_HIKING_SPEED_MPH / MAX_DRIVING_SPEED_MPH env vars used by the outlier filter.
+export function getSpeedLimits(env) {
+  const hiking = parseFloat(env.MAX_HIKING_SPEED_MPH);
+  const driving = parseFloat(env.MAX_DRIVING_SPEED_MPH);
+  return {
+    hikingMph: Number.isFinite(hiking) ? hiking : DEFAULT_MAX_HIKING_SPEED_MPH,
+    drivingMph: Number.isFinite(driving) ? driving : DEFAULT_MAX_DRIVING_SPEED_MPH
+  };
+}
+
 // Get the effective elevation for a point, preferring DEM-based trailElevation over GPS elevation.
 export function getElevation(point) {
   if (point.trailElevation != null) return point.trailElevation;
@@ -14,6 +34,20 @@ export function getElevation(point) {
   return null;
 }
 
+// Deterministic pseudo-random number in [0, 1) for an integer seed (mulberry32), for generated
+// data that has to look the same on every run
+export function seededRandom(seed) {
+  let t = (seed + 0x6D2B79F5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Round miles to one decimal place for API responses
+export function roundMiles(miles) {
+  return Math.round(miles * 10) / 10;
+}
+
 // Helper function to get UTC date string (YYYY-MM-DD) from Date object or ISO string
 export function getUTCDateString(dateOrTime) {
   if (!dateOrTime) return null;
@@ -21,11 +55,97 @@ export function getUTCDateString(dateOrTime) {
   return date.toISOString().split('T')[0];
 }
 
-// Group an array of points by UTC date
-export function groupPointsByDate(points) {
+// Whether a string is an IANA time zone name the runtime understands (e.g. America/New_York)
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Whether a string is an absolute http:// or https:// URL
+export function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (_) {
+    return false;
+  }
+}
+
+// Parse HIKING_TIMEZONE env var (IANA name) used for day boundaries, falling back to the default.
+export function getHikingTimeZone(env) {
+  const timeZone = env.HIKING_TIMEZONE;
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_HIKING_TIMEZONE;
+}
+
+// Intl formatters are relatively expensive to construct, so keep one per time zone
+const dateFormatters = new Map();
+function getDateFormatter(timeZone) {
+  let formatter = dateFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    dateFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// Wall-clock fields of an instant in the given time zone
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getDateFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+// Date string (YYYY-MM-DD) of a Date or ISO string in the given time zone
+export function getLocalDateString(dateOrTime, timeZone = DEFAULT_HIKING_TIMEZONE) {
+  if (!dateOrTime) return null;
+  const date = dateOrTime instanceof Date ? dateOrTime : new Date(dateOrTime);
+  if (timeZone === 'UTC') return getUTCDateString(date);
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+}
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+function getTimeZoneOffsetMs(date, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  return wallClockAsUTC - (date.getTime() - date.getMilliseconds());
+}
+
+// The instant local midnight starts a YYYY-MM-DD day in the given time zone
+export function getLocalDayStart(dateStr, timeZone = DEFAULT_HIKING_TIMEZONE) {
+  const midnightUTC = new Date(dateStr + 'T00:00:00Z');
+  if (timeZone === 'UTC') return midnightUTC;
+  // Apply the offset, then re-check it in case a DST change falls between the guess and the answer
+  let start = new Date(midnightUTC.getTime() - getTimeZoneOffsetMs(midnightUTC, timeZone));
+  start = new Date(midnightUTC.getTime() - getTimeZoneOffsetMs(start, timeZone));
+  return start;
+}
+
+// Shift a YYYY-MM-DD date string by a number of days
+export function addDays(dateStr, days) {
+  return getUTCDateString(new Date(Date.parse(dateStr + 'T00:00:00Z') + days * MS_PER_DAY));
+}
+
+// Group an array of points by date in the given time zone (the hiking time zone for day keys)
+export function groupPointsByDate(points, timeZone = DEFAULT_HIKING_TIMEZONE) {
   const pointsByDate = new Map();
   for (const point of points) {
-    const dateKey = getUTCDateString(point.time);
+    const dateKey = getLocalDateString(point.time, timeZone);
     if (!pointsByDate.has(dateKey)) {
       pointsByDate.set(dateKey, []);
     }
@@ -34,19 +154,27 @@ export function groupPointsByDate(points) {
   return pointsByDate;
 }
 
-// Calculate current day on trail from start date
-export function calculateCurrentDay(startDateStr) {
+// Calculate current day on trail from start date, counting days in the hiking time zone.
+// `today` is the local date string; `todayUTC` is that date at UTC midnight (for date arithmetic).
+export function calculateCurrentDay(startDateStr, timeZone = DEFAULT_HIKING_TIMEZONE) {
   const startDate = new Date(startDateStr + 'T00:00:00Z');
-  const now = new Date();
-  const todayUTC = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-  const startDateUTC = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth(), startDate.getUTCDate()));
-  const daysDiff = Math.floor((todayUTC - startDateUTC) / MS_PER_DAY);
-  return { currentDay: Math.max(1, daysDiff + 1), todayUTC, startDate };
+  const today = getLocalDateString(new Date(), timeZone);
+  const todayUTC = new Date(today + 'T00:00:00Z');
+  const daysDiff = Math.floor((todayUTC - startDate) / MS_PER_DAY);
+  return { currentDay: Math.max(1, daysDiff + 1), today, todayUTC, startDate };
+}
+
+// Format a Date the way the MapShare feed expects d1/d2 (e.g. 2026-03-03T14:05z)
+export function formatGarminFeedDate(date) {
+  return date.toISOString().slice(0, 16) + 'z';
 }
 
-// Build KML URL from MapShare ID
-export function buildKmlUrl(mapshareId) {
-  return `https://share.garmin.com/Feed/Share/${mapshareId}`;
+// Build KML URL from MapShare ID, optionally limited to points since a given Date.
+// baseUrl (MAPSHARE_BASE_URL) points the feed elsewhere, e.g. at scripts/fake-mapshare-server.js.
+export function buildKmlUrl(mapshareId, since = null, baseUrl = DEFAULT_MAPSHARE_BASE_URL) {
+  const url = `${(baseUrl || DEFAULT_MAPSHARE_BASE_URL).replace(/\/+$/, '')}/Feed/Share/${mapshareId}`;
+  if (!since) return url;
+  return `${url}?d1=${encodeURIComponent(formatGarminFeedDate(since))}`;
 }
 
 // Build fetch options for KML request (Garmin uses HTTP Basic Auth)
@@ -91,6 +219,30 @@ export function validateEnvVars(env, requireMapshare = true) {
     }
   }
 
+  if (env.HIKING_TIMEZONE && !isValidTimeZone(env.HIKING_TIMEZONE)) {
+    errors.push('HIKING_TIMEZONE must be an IANA time zone name such as America/New_York');
+  }
+
+  if (env.MAPSHARE_BASE_URL && !isHttpUrl(env.MAPSHARE_BASE_URL)) {
+    errors.push('MAPSHARE_BASE_URL must be an http(s) URL such as https://share.garmin.com');
+  }
+
+  if (env.STORAGE_BACKEND && !['kv', 'd1'].includes(env.STORAGE_BACKEND)) {
+    errors.push('STORAGE_BACKEND must be "kv" or "d1"');
+  }
+
+  if (env.TRAIL && !TRAILS[env.TRAIL]) {
+    errors.push(`TRAIL must be one of: ${listTrails().join(', ')}`);
+  }
+
+  if (env.HIKE_PLAN) {
+    try {
+      parseHikePlan(env.HIKE_PLAN, getTrail(env).totalMiles);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
   if (env.START_LAT !== undefined) {
     const lat = parseFloat(env.START_LAT);
     if (isNaN(lat) || lat < -90 || lat > 90) {
@@ -1,3 +1,5 @@
+import { getStore } from './store.js';
+
 const weatherCodeMap = {
   0: 'Clear sky',
   1: 'Mainly clear',
@@ -32,16 +34,17 @@ const weatherCodeMap = {
 const WEATHER_CACHE_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
 
 /**
- * Fetch weather with KV caching to avoid rate-limiting Open-Meteo.
+ * Fetch weather with cached storage to avoid rate-limiting Open-Meteo.
  * Returns the weather object, sourced from cache if fresh enough.
  * On fetch error, serves stale cached data if available to avoid rate-limit spirals.
  */
 export async function fetchWeatherCached(lat, lon, env) {
   let staleCache = null;
 
-  if (env.TRAIL_HISTORY) {
+  const store = getStore(env);
+  if (store) {
     try {
-      const cachedJson = await env.TRAIL_HISTORY.get('cache:weather');
+      const cachedJson = await store.get('cache:weather');
       if (cachedJson) {
         const cached = JSON.parse(cachedJson);
         if (Date.now() - cached.timestamp < WEATHER_CACHE_TTL_MS) {
@@ -57,9 +60,9 @@ export async function fetchWeatherCached(lat, lon, env) {
   try {
     const weather = await fetchWeather(lat, lon);
 
-    if (env.TRAIL_HISTORY) {
+    if (store) {
       try {
-        await env.TRAIL_HISTORY.put('cache:weather', JSON.stringify({ weather, timestamp: Date.now() }));
+        await store.put('cache:weather', JSON.stringify({ weather, timestamp: Date.now() }));
       } catch (error) {
         console.error('[Weather] Failed to write weather cache:', error);
       }